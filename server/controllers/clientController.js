@@ -5,21 +5,44 @@
 
 import Client from '../models/Client.js';
 import Invoice from '../models/Invoice.js';
-import { validateGSTIN, validatePAN } from '../utils/validators.js';
+import { getTaxIdentityErrors } from '../utils/validators.js';
+import { validateGSTINDetails } from '../utils/gstCalculator.js';
 import fs from 'fs';
 import path from 'path';
 
+// GSTIN/PAN errors for a client and its branches; branch GSTINs carry the
+// client's PAN
+const getClientTaxErrors = ({ gstin, pan, branches }) => {
+  const errors = getTaxIdentityErrors({ gstin, pan });
+  const clientPan = pan || (gstin ? String(gstin).toUpperCase().substring(2, 12) : null);
+
+  (branches || []).forEach((branch, index) => {
+    if (!branch?.gstin) return;
+    const result = validateGSTINDetails(branch.gstin, {
+      pan: clientPan,
+      field: `branches[${index}].gstin`,
+    });
+    errors.push(...result.errors);
+  });
+
+  return errors;
+};
+
 export const createClient = async (req, res) => {
   try {
     const organizationId = req.user.organizationId;
     const data = req.body;
 
-    if (data.gstin && !validateGSTIN(data.gstin)) {
-      return res.status(400).json({ error: 'Invalid GSTIN format' });
+    const taxErrors = getClientTaxErrors(data);
+    if (taxErrors.length > 0) {
+      return res.status(400).json({
+        error: taxErrors.map((e) => e.message).join('; '),
+        errors: taxErrors,
+      });
     }
 
-    if (data.pan && !validatePAN(data.pan)) {
-      return res.status(400).json({ error: 'Invalid PAN format' });
+    if (data.gstin) {
+      data.gstin = data.gstin.toUpperCase().trim();
     }
 
     if (data.gstin) {
@@ -174,8 +197,25 @@ export const updateClient = async (req, res) => {
     const organizationId = req.user.organizationId;
     const data = req.body;
 
-    if (data.gstin && !validateGSTIN(data.gstin)) {
-      return res.status(400).json({ error: 'Invalid GSTIN format' });
+    if (data.gstin || data.pan || data.branches) {
+      const existing = await Client.findOne({ _id: id, organization: organizationId }).select(
+        'gstin pan branches'
+      );
+      if (!existing) {
+        return res.status(404).json({ error: 'Client not found' });
+      }
+
+      const taxErrors = getClientTaxErrors({
+        gstin: data.gstin !== undefined ? data.gstin : existing.gstin,
+        pan: data.pan !== undefined ? data.pan : existing.pan,
+        branches: data.branches,
+      });
+      if (taxErrors.length > 0) {
+        return res.status(400).json({
+          error: taxErrors.map((e) => e.message).join('; '),
+          errors: taxErrors,
+        });
+      }
     }
 
     if (data.sameAsBilling) {
@@ -11,7 +11,7 @@ const auditLogSchema = new mongoose.Schema(
     // Entity Information
     entityType: {
       type: String,
-      enum: ['INVOICE', 'PAYMENT', 'CLIENT', 'PRODUCT', 'PURCHASE_ORDER', 'QUOTATION', 'ORGANIZATION', 'USER'],
+      enum: ['INVOICE', 'PAYMENT', 'CLIENT', 'PRODUCT', 'PURCHASE_ORDER', 'QUOTATION', 'ORGANIZATION', 'USER', 'CREDIT_NOTE', 'DEBIT_NOTE', 'PURCHASE_INVOICE', 'GST_PERIOD_LOCK'],
       required: true,
       index: true,
     },
@@ -28,7 +28,7 @@ const auditLogSchema = new mongoose.Schema(
     // Action Details
     action: {
       type: String,
-      enum: ['CREATE', 'UPDATE', 'DELETE', 'APPROVE', 'REJECT', 'CANCEL', 'PAYMENT', 'STATUS_CHANGE'],
+      enum: ['CREATE', 'UPDATE', 'DELETE', 'APPROVE', 'REJECT', 'CANCEL', 'PAYMENT', 'STATUS_CHANGE', 'LOCK', 'UNLOCK', 'OVERRIDE'],
       required: true,
       index: true,
     },
@@ -4,6 +4,9 @@
 // ============================================
 
 import mongoose from "mongoose";
+import { TDS_PAYABLE_SECTION_KEYS } from "../utils/tdsSections.js";
+import { TCS_SECTION_KEYS } from "../utils/tcsSections.js";
+import { gstinValidator } from "../utils/validators.js";
 
 const clientSchema = new mongoose.Schema(
   {
@@ -24,15 +27,7 @@ const clientSchema = new mongoose.Schema(
       type: String,
       uppercase: true,
       trim: true,
-      validate: {
-        validator: function (v) {
-          if (!v) return true;
-          const gstinRegex =
-            /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-          return gstinRegex.test(v);
-        },
-        message: "Invalid GSTIN format",
-      },
+      validate: gstinValidator("gstin"),
     },
 
     pan: {
@@ -152,6 +147,77 @@ const clientSchema = new mongoose.Schema(
     defaultTaxRate: Number,
     creditLimit: Number,
 
+    // TDS we deduct when paying this party as a vendor
+    tdsSection: {
+      type: String,
+      enum: [...TDS_PAYABLE_SECTION_KEYS, null],
+      default: null,
+    },
+    // Section 194C(6): transporter owning up to ten goods carriages, PAN furnished
+    tdsTransporterDeclaration: {
+      type: Boolean,
+      default: false,
+    },
+    // Lower/nil deduction certificates (section 197)
+    tdsCertificates: [
+      {
+        section: {
+          type: String,
+          enum: TDS_PAYABLE_SECTION_KEYS,
+          required: true,
+        },
+        certificateNumber: {
+          type: String,
+          required: true,
+          uppercase: true,
+          trim: true,
+        },
+        rate: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100,
+        },
+        validFrom: {
+          type: Date,
+          required: true,
+        },
+        validTo: {
+          type: Date,
+          required: true,
+        },
+        // Amount the certificate covers; deductions beyond it are at the normal rate
+        amountLimit: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    // TCS we collect when selling to this party (e.g. scrap buyers)
+    tcsSection: {
+      type: String,
+      enum: [...TCS_SECTION_KEYS, null],
+      default: null,
+    },
+    // Buyer deducts TDS u/s 194Q on its purchases from us: no TCS u/s 206C(1H)
+    tdsOnPurchases194Q: {
+      type: Boolean,
+      default: false,
+    },
+    // TAN under which this client deducts TDS from our receipts (Form 26AS)
+    tan: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          if (!v) return true;
+          return /^[A-Z]{4}[0-9]{5}[A-Z]{1}$/.test(v);
+        },
+        message: "Invalid TAN format (Example: MUMA12345B)",
+      },
+    },
+
     isActive: {
       type: Boolean,
       default: true,
@@ -191,7 +257,12 @@ const clientSchema = new mongoose.Schema(
         city: String,
         state: String,
         pincode: String,
-        gstin: String,
+        gstin: {
+          type: String,
+          uppercase: true,
+          trim: true,
+          validate: gstinValidator("gstin"),
+        },
         contactPerson: String,
         email: String,
         phone: String,
@@ -221,6 +292,7 @@ const clientSchema = new mongoose.Schema(
 clientSchema.index({ organization: 1, clientCode: 1 }, { unique: true });
 clientSchema.index({ organization: 1, isArchived: 1 });
 clientSchema.index({ gstin: 1 });
+clientSchema.index({ organization: 1, tan: 1 });
 clientSchema.index({ udyamNumber: 1 }); // ✅ NEW
 clientSchema.index({ companyName: "text", contactPerson: "text" });
 
@@ -4,6 +4,8 @@
 // ============================================
 
 import mongoose from 'mongoose';
+import { GST_RATE_SLABS } from './HSNCode.js';
+import { CURRENCY_CODES } from '../utils/currencies.js';
 
 const creditNoteSchema = new mongoose.Schema(
   {
@@ -46,28 +48,49 @@ const creditNoteSchema = new mongoose.Schema(
     },
     items: [
       {
+        // Invoice line credited (notes raised from invoice lines)
+        invoiceItem: mongoose.Schema.Types.ObjectId,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
         description: { type: String, required: true },
         hsnSacCode: String,
         quantity: { type: Number, required: true, min: 0 },
-        unit: {
-          type: String,
-          enum: ['PCS', 'KG', 'LITER', 'METER', 'BOX', 'HOUR', 'DAY', 'MONTH', 'SET', 'UNIT'],
-          required: true,
-        },
+        // Same units as the invoice line
+        unit: { type: String, required: true },
         rate: { type: Number, required: true, min: 0 },
         gstRate: {
           type: Number,
-          enum: [0, 5, 12, 18, 28],
+          enum: GST_RATE_SLABS,
           required: true,
         },
+        cessRate: { type: Number, default: 0, min: 0 },
+        cessPerUnit: { type: Number, default: 0, min: 0 },
+        cess: { type: Number, default: 0 },
         itemType: {
           type: String,
           enum: ['PRODUCT', 'SERVICE'],
           required: true,
         },
         amount: { type: Number, required: true, min: 0 },
+        // Per-line tax, as split on the original line
+        taxableAmount: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalAmount: Number,
       },
     ],
+
+    // Currency and rate of the original invoice
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES,
+      default: 'INR',
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
     subtotal: {
       type: Number,
       required: true,
@@ -85,6 +108,10 @@ const creditNoteSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    cess: {
+      type: Number,
+      default: 0,
+    },
     totalTax: {
       type: Number,
       default: 0,
@@ -96,10 +123,32 @@ const creditNoteSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['DRAFT', 'ISSUED', 'APPLIED'],
+      enum: ['DRAFT', 'ISSUED', 'PARTIALLY_APPLIED', 'APPLIED'],
       default: 'ISSUED',
     },
     appliedDate: Date,
+
+    // Credit applied against open invoices of the client
+    applications: [
+      {
+        invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+        invoiceNumber: String,
+        amount: { type: Number, required: true, min: 0 },
+        appliedAt: { type: Date, default: Date.now },
+        appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
+    appliedAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Returned goods taken back into stock
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+
     notes: String,
     organization: {
       type: mongoose.Schema.Types.ObjectId,
@@ -4,6 +4,7 @@
 // ============================================
 
 import mongoose from 'mongoose';
+import { GST_RATE_SLABS } from './HSNCode.js';
 
 const debitNoteSchema = new mongoose.Schema(
   {
@@ -56,9 +57,12 @@ const debitNoteSchema = new mongoose.Schema(
         rate: { type: Number, required: true, min: 0 },
         gstRate: {
           type: Number,
-          enum: [0, 5, 12, 18, 28],
+          enum: GST_RATE_SLABS,
           required: true,
         },
+        cessRate: { type: Number, default: 0, min: 0 },
+        cessPerUnit: { type: Number, default: 0, min: 0 },
+        cess: { type: Number, default: 0 },
         itemType: {
           type: String,
           enum: ['PRODUCT', 'SERVICE'],
@@ -84,6 +88,10 @@ const debitNoteSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    cess: {
+      type: Number,
+      default: 0,
+    },
     totalTax: {
       type: Number,
       default: 0,
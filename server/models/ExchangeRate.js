@@ -0,0 +1,52 @@
+// ============================================
+// FILE: server/models/ExchangeRate.js
+// Daily exchange rates of document currencies against INR
+// ============================================
+
+import mongoose from 'mongoose';
+import { CURRENCY_CODES, BASE_CURRENCY } from '../utils/currencies.js';
+
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES.filter((code) => code !== BASE_CURRENCY),
+      required: true,
+    },
+    // Rate date (midnight, local time)
+    date: {
+      type: Date,
+      required: true,
+    },
+    // INR for one unit of the currency
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.0001, 'Exchange rate must be positive'],
+    },
+    source: {
+      type: String,
+      enum: ['MANUAL', 'CSV'],
+      default: 'MANUAL',
+    },
+    notes: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One rate per currency per day
+exchangeRateSchema.index({ organization: 1, currency: 1, date: -1 }, { unique: true });
+
+export default mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,98 @@
+// ============================================
+// FILE: server/models/GSTPeriodLock.js
+// Return periods locked once filed, per GSTIN
+// ============================================
+
+import mongoose from 'mongoose';
+
+export const LOCKABLE_RETURNS = ['GSTR1', 'GSTR3B', 'CMP08'];
+
+const gstPeriodLockSchema = new mongoose.Schema(
+  {
+    gstin: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Return period in GSTN format (MMYYYY)
+    period: {
+      type: String,
+      required: true,
+      match: /^(0[1-9]|1[0-2])\d{4}$/,
+    },
+    month: Number,
+    year: Number,
+
+    // Returns marked filed for the period
+    filedReturns: [
+      {
+        returnType: {
+          type: String,
+          enum: LOCKABLE_RETURNS,
+          required: true,
+        },
+        arn: String,
+        filedOn: Date,
+        markedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        markedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Documents dated in a locked period are read-only
+    isLocked: {
+      type: Boolean,
+      default: true,
+    },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lockedAt: Date,
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    unlockedAt: Date,
+    unlockReason: String,
+
+    // Edits let through by an approver while the period stayed locked
+    overrides: [
+      {
+        entityType: String,
+        entityId: mongoose.Schema.Types.ObjectId,
+        entityNumber: String,
+        action: String,
+        reason: String,
+        approvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        approvedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+gstPeriodLockSchema.index({ organization: 1, gstin: 1, period: 1 }, { unique: true });
+gstPeriodLockSchema.index({ organization: 1, isLocked: 1 });
+
+export default mongoose.model('GSTPeriodLock', gstPeriodLockSchema);
@@ -0,0 +1,148 @@
+// ============================================
+// FILE: server/models/GSTR2BReconciliation.js
+// GSTR-2B import and purchase invoice reconciliation
+// ============================================
+
+import mongoose from 'mongoose';
+
+const taxAmountsSchema = {
+  taxableValue: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  cess: { type: Number, default: 0 },
+};
+
+const reconciliationLineSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['MATCHED', 'AMOUNT_MISMATCH', 'MISSING_IN_BOOKS', 'MISSING_IN_2B'],
+    required: true,
+  },
+  documentType: {
+    type: String,
+    enum: ['INVOICE', 'CREDIT_NOTE', 'DEBIT_NOTE'],
+    default: 'INVOICE',
+  },
+  supplierGstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  supplierName: String,
+
+  // As reported by the supplier (GSTR-2B)
+  portal: {
+    invoiceNumber: String,
+    invoiceDate: Date,
+    invoiceValue: { type: Number, default: 0 },
+    ...taxAmountsSchema,
+    reverseCharge: { type: Boolean, default: false },
+    itcAvailable: { type: Boolean, default: true },
+    supplierFilingDate: Date,
+  },
+
+  // As booked in our purchase register
+  books: {
+    purchaseInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+    },
+    piNumber: String,
+    invoiceNumber: String,
+    invoiceDate: Date,
+    invoiceValue: { type: Number, default: 0 },
+    ...taxAmountsSchema,
+  },
+
+  // Portal minus books
+  differences: taxAmountsSchema,
+
+  // ITC decision for this line
+  itcDecision: {
+    type: String,
+    enum: ['PENDING', 'ACCEPTED', 'DEFERRED'],
+    default: 'PENDING',
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  decidedAt: Date,
+  remarks: String,
+});
+
+const gstr2bReconciliationSchema = new mongoose.Schema(
+  {
+    gstin: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    // Return period in GSTN format (MMYYYY)
+    period: {
+      type: String,
+      required: true,
+    },
+    month: Number,
+    year: Number,
+
+    generationDate: Date,
+    sourceFileName: String,
+
+    tolerance: {
+      amount: { type: Number, default: 1 },
+      days: { type: Number, default: 3 },
+    },
+
+    lines: [reconciliationLineSchema],
+
+    summary: {
+      matched: { type: Number, default: 0 },
+      amountMismatch: { type: Number, default: 0 },
+      missingInBooks: { type: Number, default: 0 },
+      missingIn2B: { type: Number, default: 0 },
+      pendingDecisions: { type: Number, default: 0 },
+    },
+
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastMatchedAt: Date,
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+gstr2bReconciliationSchema.index(
+  { organization: 1, gstin: 1, period: 1 },
+  { unique: true }
+);
+gstr2bReconciliationSchema.index({ 'lines.books.purchaseInvoice': 1 });
+
+// Keep summary counts in sync with lines
+gstr2bReconciliationSchema.pre('save', function (next) {
+  const count = (predicate) => this.lines.filter(predicate).length;
+
+  this.summary = {
+    matched: count((l) => l.status === 'MATCHED'),
+    amountMismatch: count((l) => l.status === 'AMOUNT_MISMATCH'),
+    missingInBooks: count((l) => l.status === 'MISSING_IN_BOOKS'),
+    missingIn2B: count((l) => l.status === 'MISSING_IN_2B'),
+    pendingDecisions: count((l) => l.itcDecision === 'PENDING'),
+  };
+
+  next();
+});
+
+export default mongoose.model('GSTR2BReconciliation', gstr2bReconciliationSchema);
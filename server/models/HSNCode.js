@@ -5,6 +5,32 @@
 
 import mongoose from 'mongoose';
 
+// Slabs notified under the CGST/IGST rate schedules. 12% and 28% stay valid for
+// documents dated before the September 2025 rationalisation and for items
+// that were not moved; 40% applies to sin and luxury goods from 22-09-2025.
+export const GST_RATE_SLABS = [0, 0.1, 0.25, 1.5, 3, 5, 12, 18, 28, 40];
+
+// One notified rate for an HSN/SAC over a date range. Overlapping entries mean
+// the rate depends on value or use (e.g. apparel above/below ₹2,500).
+const rateScheduleSchema = new mongoose.Schema({
+  rate: {
+    type: Number,
+    required: true,
+    enum: GST_RATE_SLABS,
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+  },
+  // Inclusive; open-ended while null
+  effectiveTo: {
+    type: Date,
+    default: null,
+  },
+  notification: String,
+  condition: String,
+}, { _id: true });
+
 const hsnCodeSchema = new mongoose.Schema({
   // HSN/SAC Code
   code: {
@@ -33,9 +59,12 @@ const hsnCodeSchema = new mongoose.Schema({
   gstRates: [{
     type: Number,
     min: 0,
-    max: 28,
+    max: 40,
   }],
   
+  // Time-aware rate master, consulted by the GST calculator by document date
+  rateSchedule: [rateScheduleSchema],
+  
   // Most common/default GST rate
   defaultGstRate: {
     type: Number,
@@ -128,6 +157,88 @@ hsnCodeSchema.pre('save', function(next) {
   next();
 });
 
+// Rates in force on a date (several when the rate is value-dependent)
+hsnCodeSchema.methods.getRatesOn = function(date = new Date()) {
+  const when = new Date(date);
+  return (this.rateSchedule || [])
+    .filter(entry =>
+      entry.effectiveFrom <= when &&
+      (!entry.effectiveTo || entry.effectiveTo >= when)
+    )
+    .map(entry => entry.rate);
+};
+
+// Add a rate from a date, closing whichever open-ended entry it supersedes
+hsnCodeSchema.methods.addScheduledRate = function({ rate, effectiveFrom, effectiveTo, notification, condition }) {
+  const from = new Date(effectiveFrom);
+  const dayBefore = new Date(from.getTime() - 24 * 60 * 60 * 1000);
+
+  (this.rateSchedule || []).forEach(entry => {
+    if (
+      !entry.effectiveTo &&
+      entry.effectiveFrom < from &&
+      (entry.condition || '') === (condition || '')
+    ) {
+      entry.effectiveTo = dayBefore;
+    }
+  });
+
+  this.rateSchedule.push({
+    rate,
+    effectiveFrom: from,
+    effectiveTo: effectiveTo ? new Date(effectiveTo) : null,
+    notification,
+    condition,
+  });
+  this.rateSchedule.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+
+  if (!this.gstRates.includes(rate)) this.gstRates.push(rate);
+  if (from <= new Date() && (!effectiveTo || new Date(effectiveTo) >= new Date())) {
+    this.defaultGstRate = rate;
+  }
+};
+
+// Resolve scheduled rates for a set of codes on a date. Codes without their own
+// schedule fall back to the longest scheduled prefix (8 → 6 → 4 → 2 digits).
+// Returns Map(code → { matchedCode, rates }) for codes that resolved.
+hsnCodeSchema.statics.resolveRatesOn = async function(codes, date = new Date()) {
+  const cleanCodes = [...new Set(
+    codes.filter(Boolean).map(code => String(code).replace(/\s/g, '').toUpperCase())
+  )];
+  const resolved = new Map();
+  if (cleanCodes.length === 0) return resolved;
+
+  const candidates = new Set();
+  cleanCodes.forEach(code => {
+    [code, code.slice(0, 6), code.slice(0, 4), code.slice(0, 2)]
+      .filter(prefix => prefix.length >= 2)
+      .forEach(prefix => candidates.add(prefix));
+  });
+
+  const masters = await this.find({
+    code: { $in: [...candidates] },
+    isActive: true,
+    'rateSchedule.0': { $exists: true },
+  }).select('code rateSchedule');
+
+  const byCode = new Map(masters.map(master => [master.code, master]));
+
+  cleanCodes.forEach(code => {
+    const prefixes = [code, code.slice(0, 6), code.slice(0, 4), code.slice(0, 2)];
+    for (const prefix of prefixes) {
+      const master = byCode.get(prefix);
+      if (!master) continue;
+      const rates = master.getRatesOn(date);
+      if (rates.length > 0) {
+        resolved.set(code, { matchedCode: master.code, rates: [...new Set(rates)] });
+        break;
+      }
+    }
+  });
+
+  return resolved;
+};
+
 // Static method to search HSN codes
 hsnCodeSchema.statics.searchHSN = async function(query, limit = 20) {
   const searchRegex = new RegExp(query, 'i');
@@ -146,7 +257,7 @@ hsnCodeSchema.statics.searchHSN = async function(query, limit = 20) {
   })
   .sort({ usageCount: -1, code: 1 }) // Popular codes first
   .limit(limit)
-  .select('code description type defaultGstRate gstRates usageCount');
+  .select('code description type defaultGstRate gstRates rateSchedule usageCount');
   
   return results;
 };
@@ -0,0 +1,72 @@
+// ============================================
+// FILE: server/models/ITCLedgerEntry.js
+// ITC reversals and re-claims per purchase invoice and return period
+// ============================================
+
+import mongoose from 'mongoose';
+
+/**
+ * Entry types and the GSTR-3B rows they are reported in
+ * REVERSAL_180_DAYS: rule 37, vendor unpaid 180 days after the invoice -> 4B(2)
+ * RECLAIM_180_DAYS:  rule 37 reversal re-claimed on payment             -> 4A(5) and 4D(1)
+ * RULE_42:           inputs/input services used for exempt supplies      -> 4B(1)
+ * RULE_43:           capital goods used for exempt supplies              -> 4B(1)
+ */
+export const ITC_ENTRY_TYPES = ['REVERSAL_180_DAYS', 'RECLAIM_180_DAYS', 'RULE_42', 'RULE_43'];
+
+const itcLedgerEntrySchema = new mongoose.Schema(
+  {
+    entryType: {
+      type: String,
+      enum: ITC_ENTRY_TYPES,
+      required: true,
+    },
+    // Registration whose credit is affected
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // GSTR-3B period (MMYYYY) the entry is reported in
+    period: {
+      type: String,
+      required: true,
+      match: /^(0[1-9]|1[0-2])\d{4}$/,
+    },
+    purchaseInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+    },
+
+    igst: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    cess: { type: Number, default: 0 },
+
+    // How the amount was arrived at
+    baseCredit: { type: Number, default: 0 },
+    ratio: Number,
+    exemptTurnover: Number,
+    totalTurnover: Number,
+    unpaidAmount: Number,
+    remarks: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+itcLedgerEntrySchema.index({ organization: 1, gstin: 1, period: 1 });
+itcLedgerEntrySchema.index({ purchaseInvoice: 1, entryType: 1 });
+
+export default mongoose.model('ITCLedgerEntry', itcLedgerEntrySchema);
@@ -4,6 +4,10 @@
 // ============================================
 
 import mongoose from "mongoose";
+import { POS_SERVICE_CATEGORY_KEYS } from "../utils/placeOfSupply.js";
+import { SUPPLY_TYPE_KEYS } from "../utils/exportSupply.js";
+import { TCS_SECTION_KEYS } from "../utils/tcsSections.js";
+import { CURRENCY_CODES } from "../utils/currencies.js";
 
 const invoiceItemSchema = new mongoose.Schema({
   itemType: {
@@ -90,11 +94,47 @@ const invoiceItemSchema = new mongoose.Schema({
     required: true,
   },
 
+  // Compensation cess: ad valorem % of taxable value and/or specific ₹ per unit
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cess: {
+    type: Number,
+    default: 0,
+  },
+
+  // Place-of-supply rule for service lines (IGST Act section 12/13)
+  posCategory: {
+    type: String,
+    enum: POS_SERVICE_CATEGORY_KEYS,
+  },
+
   // Total with GST
   totalAmount: {
     type: Number,
     required: true,
   },
+
+  // INR values of a foreign-currency line, reported in GST returns
+  inr: {
+    rate: Number,
+    baseAmount: Number,
+    discountAmount: Number,
+    taxableAmount: Number,
+    amount: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    cess: Number,
+    totalAmount: Number,
+  },
 });
 
 const invoiceSchema = new mongoose.Schema(
@@ -115,6 +155,7 @@ const invoiceSchema = new mongoose.Schema(
       enum: [
         "PROFORMA",
         "TAX_INVOICE",
+        "BILL_OF_SUPPLY",
         "CREDIT_NOTE",
         "DEBIT_NOTE",
         "DELIVERY_CHALLAN",
@@ -149,6 +190,11 @@ const invoiceSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Reference of the bulk-import row group the invoice was created from
+    importReference: {
+      type: String,
+      trim: true,
+    },
     salesPersonName: {
       type: String,
       trim: true,
@@ -219,6 +265,10 @@ const invoiceSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    cess: {
+      type: Number,
+      default: 0,
+    },
     totalTax: {
       type: Number,
       default: 0,
@@ -249,6 +299,16 @@ const invoiceSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    tcsSection: {
+      type: String,
+      enum: [...TCS_SECTION_KEYS, null],
+      default: null,
+    },
+    // Part of the invoice value TCS was collected on (above the threshold)
+    tcsBaseAmount: {
+      type: Number,
+      default: 0,
+    },
 
     // Reverse Charge
     reverseCharge: {
@@ -256,6 +316,22 @@ const invoiceSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Supply to another registration of the same PAN (distinct persons)
+    isStockTransfer: {
+      type: Boolean,
+      default: false,
+    },
+    stockTransfer: {
+      fromGstin: String,
+      toGstin: String,
+      toBranchName: String,
+      // Inward entry booked by the receiving registration
+      receivedAs: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PurchaseInvoice",
+      },
+    },
+
     // Totals
     roundOff: {
       type: Number,
@@ -266,6 +342,32 @@ const invoiceSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Document currency; amounts above are in this currency
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES,
+      default: "INR",
+    },
+    // INR for one unit of the currency on the invoice date
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    inrTotals: {
+      subtotal: Number,
+      discountAmount: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      cess: Number,
+      totalTax: Number,
+      tdsAmount: Number,
+      tcsAmount: Number,
+      roundOff: Number,
+      totalAmount: Number,
+    },
+
     // Amount in Words
     amountInWords: {
       type: String,
@@ -277,6 +379,11 @@ const invoiceSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Credit notes applied against this invoice
+    creditedAmount: {
+      type: Number,
+      default: 0,
+    },
     balanceAmount: {
       type: Number,
       required: true,
@@ -294,6 +401,18 @@ const invoiceSchema = new mongoose.Schema(
       default: "DRAFT",
     },
 
+    // Cancellation (the invoice and its number are kept)
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelReason: String,
+    cancelReasonCode: {
+      type: String,
+      enum: ["DUPLICATE", "DATA_ENTRY_MISTAKE", "ORDER_CANCELLED", "OTHERS"],
+    },
+
     // Notes and terms
     notes: String,
     termsConditions: String,
@@ -316,6 +435,88 @@ const invoiceSchema = new mongoose.Schema(
       },
     ],
 
+    // Place of supply (IGST Act sections 10-13), decides the tax split
+    placeOfSupply: {
+      stateCode: String,
+      stateName: String,
+      section: String,
+      basis: String,
+      supplyKind: {
+        type: String,
+        enum: ["GOODS", "SERVICES"],
+      },
+      isExport: Boolean,
+      isInterstate: Boolean,
+      overridden: {
+        type: Boolean,
+        default: false,
+      },
+      determinedAt: Date,
+    },
+
+    // Delivery address when different from the client's shipping address
+    shipTo: {
+      name: String,
+      gstin: String,
+      address: String,
+      city: String,
+      state: String,
+      pincode: String,
+      country: {
+        type: String,
+        default: "India",
+      },
+      // Delivered to a third person on the client's direction (bill-to/ship-to)
+      isThirdParty: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    // Default POS rule for service lines and where the service is performed
+    serviceCategory: {
+      type: String,
+      enum: POS_SERVICE_CATEGORY_KEYS,
+    },
+    serviceLocation: {
+      address: String,
+      city: String,
+      state: String,
+      country: {
+        type: String,
+        default: "India",
+      },
+    },
+    // False for over-the-counter sales (section 10(1)(c))
+    goodsMovement: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Export / SEZ / deemed export (e-invoice SupTyp codes); unset on older invoices
+    supplyType: {
+      type: String,
+      enum: SUPPLY_TYPE_KEYS,
+    },
+    exportDetails: {
+      shippingBillNumber: String,
+      shippingBillDate: Date,
+      portCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+      // ISO 3166 alpha-2 code
+      destinationCountry: {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+      // LUT the zero-rated supply was made under
+      lutNumber: String,
+      lutValidTo: Date,
+    },
+
     // GST Calculation Metadata
     gstCalculationMeta: {
       clientStateCode: String,
@@ -388,14 +589,64 @@ const invoiceSchema = new mongoose.Schema(
         enum: ["ROAD", "RAIL", "AIR", "SHIP"],
       },
       vehicleNumber: String,
+      vehicleType: {
+        type: String,
+        enum: ["REGULAR", "ODC"], // ODC = over dimensional cargo
+        default: "REGULAR",
+      },
       transporterName: String,
       transporterId: String,
+      transportDocNumber: String,
+      transportDocDate: Date,
       distance: Number,
+      fromPincode: String,
+      toPincode: String,
       status: {
         type: String,
         enum: ["NOT_GENERATED", "GENERATED", "CANCELLED", "EXPIRED"],
         default: "NOT_GENERATED",
       },
+
+      // Part-B (vehicle) updates after generation
+      partBUpdates: [
+        {
+          vehicleNumber: String,
+          transportMode: String,
+          transportDocNumber: String,
+          transportDocDate: Date,
+          fromPlace: String,
+          fromStateCode: String,
+          reasonCode: String,
+          reasonRemarks: String,
+          validUpto: Date,
+          updatedAt: { type: Date, default: Date.now },
+          updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        },
+      ],
+
+      // Validity extensions
+      extensions: [
+        {
+          remainingDistance: Number,
+          fromPlace: String,
+          fromStateCode: String,
+          fromPincode: String,
+          consignmentStatus: {
+            type: String,
+            enum: ["IN_MOVEMENT", "IN_TRANSIT"],
+          },
+          reasonCode: String,
+          reasonRemarks: String,
+          previousValidUpto: Date,
+          validUpto: Date,
+          extendedAt: { type: Date, default: Date.now },
+          extendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        },
+      ],
+
+      expiryAlertSentAt: Date,
+      cancelDate: Date,
+      cancelReason: String,
     },
 
     // ✅ FEATURE #41: GST Filing Status
@@ -550,11 +801,16 @@ invoiceSchema.index({ status: 1 });
 invoiceSchema.index({ invoiceDate: 1 });
 invoiceSchema.index({ dueDate: 1 });
 invoiceSchema.index({ shareToken: 1 }, { sparse: true });
+invoiceSchema.index({ organization: 1, importReference: 1 }, { sparse: true });
 invoiceSchema.index({ "eInvoice.irn": 1 }, { sparse: true });
 invoiceSchema.index({ "eWayBill.ewbNumber": 1 }, { sparse: true });
+invoiceSchema.index({ "eWayBill.status": 1, "eWayBill.validUpto": 1 });
 
 // Pre-save hook to update status based on payment
 invoiceSchema.pre("save", function (next) {
+  // Cancelled invoices keep their status (their balance is zeroed)
+  if (this.status === "CANCELLED") return next();
+
   if (this.balanceAmount <= 0) {
     this.status = "PAID";
   } else if (this.paidAmount > 0) {
@@ -563,6 +819,9 @@ invoiceSchema.pre("save", function (next) {
     this.status = "OVERDUE";
   } else if (this.status === "DRAFT") {
     // Keep as DRAFT
+  } else if (this.creditedAmount > 0) {
+    // Part of the balance settled by credit notes
+    this.status = "PARTIALLY_PAID";
   } else {
     this.status = "PENDING";
   }
@@ -0,0 +1,65 @@
+// ============================================
+// FILE: server/models/InvoiceRevision.js
+// Immutable snapshot of an invoice, one per save
+// ============================================
+
+import mongoose from 'mongoose';
+
+const invoiceRevisionSchema = new mongoose.Schema(
+  {
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true,
+    },
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Number and status when the revision was saved
+    documentNumber: String,
+    status: String,
+
+    source: {
+      type: String,
+      enum: ['CREATE', 'UPDATE', 'RESTORE', 'CANCEL'],
+      required: true,
+    },
+    // Revision a restore copied from
+    restoredFrom: Number,
+
+    // The invoice as saved, with the client as it was at the time
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdByName: String,
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+invoiceRevisionSchema.index({ invoice: 1, revisionNumber: 1 }, { unique: true });
+invoiceRevisionSchema.index({ organization: 1, createdAt: -1 });
+
+// Revisions are never edited; a restore saves a new one
+const rejectChange = function (next) {
+  next(new Error('Invoice revisions cannot be modified'));
+};
+invoiceRevisionSchema.pre('findOneAndUpdate', rejectChange);
+invoiceRevisionSchema.pre('updateOne', rejectChange);
+invoiceRevisionSchema.pre('updateMany', rejectChange);
+
+export default mongoose.model('InvoiceRevision', invoiceRevisionSchema);
@@ -4,6 +4,8 @@
 // ============================================
 
 import mongoose from "mongoose";
+import { COMPOSITION_CATEGORY_KEYS } from "../utils/compositionScheme.js";
+import { gstinValidator } from "../utils/validators.js";
 
 // ✅ NEW: Sub-schema for organization branches
 const branchSchema = new mongoose.Schema(
@@ -43,14 +45,7 @@ const branchSchema = new mongoose.Schema(
       required: true,
       uppercase: true,
       trim: true,
-      validate: {
-        validator: function (v) {
-          const gstinRegex =
-            /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-          return gstinRegex.test(v);
-        },
-        message: "Invalid GSTIN format (Example: 27AABCU9603R1Z5)",
-      },
+      validate: gstinValidator("gstin"),
     },
     contactPerson: String,
     email: String,
@@ -77,14 +72,7 @@ const gstinEntrySchema = new mongoose.Schema(
       required: true,
       uppercase: true,
       trim: true,
-      validate: {
-        validator: function (v) {
-          const gstinRegex =
-            /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-          return gstinRegex.test(v);
-        },
-        message: "Invalid GSTIN format (Example: 27AABCU9603R1Z5)",
-      },
+      validate: gstinValidator("gstin"),
     },
     stateCode: {
       type: String,
@@ -139,6 +127,46 @@ const gstinEntrySchema = new mongoose.Schema(
   }
 );
 
+// Letter of Undertaking (RFD-11) for zero-rated supplies without payment of IGST.
+// Filed per GSTIN for a financial year; a blank gstin covers every registration.
+const lutEntrySchema = new mongoose.Schema(
+  {
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    lutNumber: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    financialYear: {
+      type: String,
+      trim: true,
+    },
+    validFrom: {
+      type: Date,
+      required: true,
+    },
+    validTo: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function (v) {
+          return !this.validFrom || v >= this.validFrom;
+        },
+        message: "LUT validity end must be on or after its start",
+      },
+    },
+    filedOn: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
 const organizationSchema = new mongoose.Schema(
   {
     name: {
@@ -164,9 +192,25 @@ const organizationSchema = new mongoose.Schema(
       sparse: true,
       uppercase: true,
       trim: true,
+      validate: gstinValidator("gstin"),
     },
     gstinStateCode: String,
 
+    // Export / SEZ supplies under LUT
+    lutEntries: [lutEntrySchema],
+
+    // GST registration type; composition dealers issue bills of supply and file CMP-08
+    registrationType: {
+      type: String,
+      enum: ["REGULAR", "COMPOSITION"],
+      default: "REGULAR",
+    },
+    compositionCategory: {
+      type: String,
+      enum: COMPOSITION_CATEGORY_KEYS,
+    },
+    compositionEffectiveFrom: Date,
+
     pan: {
       type: String,
       uppercase: true,
@@ -195,6 +239,54 @@ const organizationSchema = new mongoose.Schema(
       },
     },
 
+    // TAN for TDS deducted from vendor payments (ITNS 281, Form 26Q)
+    tan: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      validate: {
+        validator: function (v) {
+          if (!v) return true;
+          return /^[A-Z]{4}[0-9]{5}[A-Z]{1}$/.test(v);
+        },
+        message: "Invalid TAN format (Example: MUMA12345B)",
+      },
+    },
+    tdsDeductor: {
+      // 26Q deductor category: K company, F firm, T trust, etc.
+      deductorType: {
+        type: String,
+        default: "K",
+      },
+      branch: String,
+      responsiblePerson: {
+        name: String,
+        designation: String,
+        pan: {
+          type: String,
+          uppercase: true,
+          trim: true,
+        },
+        mobile: String,
+        email: String,
+      },
+    },
+    // Turnover declared per financial year, for years not fully in the books
+    // (TCS u/s 206C(1H) depends on the preceding year's turnover)
+    turnoverHistory: [
+      {
+        financialYear: {
+          type: String,
+          required: true,
+        },
+        turnover: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+
     // MSME/Udyam Registration
     udyamNumber: {
       type: String,
@@ -314,6 +406,26 @@ const organizationSchema = new mongoose.Schema(
       default: 1,
     },
 
+    // Reverse-charge self-invoices (rule 47A) and payment vouchers (rule 52)
+    selfInvoicePrefix: {
+      type: String,
+      default: "RCM",
+    },
+    selfInvoiceNumbersByFY: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    paymentVoucherPrefix: {
+      type: String,
+      default: "RPV",
+    },
+    paymentVoucherNumbersByFY: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+
     // Display Settings
     displaySettings: {
       dateFormat: {
@@ -448,6 +560,27 @@ organizationSchema.pre("findOneAndUpdate", function (next) {
   next();
 });
 
+/**
+ * LUT in force for a GSTIN on a date (validTo is inclusive)
+ * @param {string} gstin - Supplying registration
+ * @param {Date} date - Invoice date
+ * @returns {Object|null} LUT entry
+ */
+organizationSchema.methods.findValidLUT = function (gstin, date = new Date()) {
+  const day = new Date(date);
+  return (
+    (this.lutEntries || [])
+      .filter((lut) => !lut.gstin || !gstin || lut.gstin === gstin)
+      .filter((lut) => {
+        const end = new Date(lut.validTo);
+        end.setHours(23, 59, 59, 999);
+        return new Date(lut.validFrom) <= day && day <= end;
+      })
+      // A GSTIN-specific LUT wins over an organization-wide one
+      .sort((a, b) => (b.gstin ? 1 : 0) - (a.gstin ? 1 : 0))[0] || null
+  );
+};
+
 // Indexes
 organizationSchema.index({ email: 1 });
 organizationSchema.index({ "branches.gstin": 1 }); // ✅ NEW
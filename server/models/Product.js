@@ -4,6 +4,8 @@
 // ============================================
 
 import mongoose from "mongoose";
+import { GST_RATE_SLABS } from "./HSNCode.js";
+import { POS_SERVICE_CATEGORY_KEYS } from "../utils/placeOfSupply.js";
 
 // ✅ Location-based stock schema
 const stockLocationSchema = new mongoose.Schema({
@@ -195,9 +197,26 @@ const productSchema = new mongoose.Schema(
     gstRate: {
       type: Number,
       required: [true, "GST rate is required"],
-      enum: [0, 5, 12, 18, 28],
+      enum: GST_RATE_SLABS,
       default: 18,
     },
+    // Compensation cess (ad valorem % and/or specific ₹ per unit)
+    cessRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    cessPerUnit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Place-of-supply rule for services (IGST Act section 12/13)
+    posCategory: {
+      type: String,
+      enum: POS_SERVICE_CATEGORY_KEYS,
+      default: "GENERAL",
+    },
     category: {
       type: String,
       trim: true,
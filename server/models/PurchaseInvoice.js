@@ -4,6 +4,8 @@
 // ============================================
 
 import mongoose from 'mongoose';
+import { RCM_CATEGORY_KEYS } from '../utils/reverseCharge.js';
+import { TDS_PAYABLE_SECTION_KEYS } from '../utils/tdsSections.js';
 
 const piItemSchema = new mongoose.Schema({
   description: {
@@ -35,6 +37,38 @@ const piItemSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Compensation cess charged by the vendor
+  cessRate: {
+    type: Number,
+    default: 0,
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+  },
+  cessAmount: {
+    type: Number,
+    default: 0,
+  },
+  // ITC eligibility of this line (GSTR-3B Table 4)
+  // INELIGIBLE_17_5: blocked credit, claimed in 4A and reversed in 4B(1)
+  // INELIGIBLE_OTHERS: PoS / Section 16(4) restrictions, reported in 4D(2) only
+  itcEligibility: {
+    type: String,
+    enum: ['ELIGIBLE', 'INELIGIBLE_17_5', 'INELIGIBLE_OTHERS'],
+    default: 'ELIGIBLE',
+  },
+  isCapitalGoods: {
+    type: Boolean,
+    default: false,
+  },
+  // Use of the input for Rule 42/43 reversals
+  // EXEMPT / NON_BUSINESS: credit reversed in full; COMMON: reversed by the exempt turnover ratio
+  itcUsage: {
+    type: String,
+    enum: ['TAXABLE', 'EXEMPT', 'NON_BUSINESS', 'COMMON'],
+    default: 'TAXABLE',
+  },
 });
 
 const purchaseInvoiceSchema = new mongoose.Schema(
@@ -108,6 +142,59 @@ const purchaseInvoiceSchema = new mongoose.Schema(
       default: 0,
     },
     
+    // Tax split of gstAmount (derived from isInterstate in pre-save)
+    isInterstate: {
+      type: Boolean,
+    },
+    igst: {
+      type: Number,
+      default: 0,
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+    },
+    cess: {
+      type: Number,
+      default: 0,
+    },
+    
+    // Nature of the inward supply for ITC reporting
+    supplyType: {
+      type: String,
+      enum: ['REGULAR', 'IMPORT_GOODS', 'IMPORT_SERVICES', 'ISD'],
+      default: 'REGULAR',
+    },
+    reverseCharge: {
+      type: Boolean,
+      default: false,
+    },
+    // Why the tax is payable by us (notified service, unregistered supplier, import)
+    rcmCategory: {
+      type: String,
+      enum: [...RCM_CATEGORY_KEYS, null],
+      default: null,
+    },
+    // Self-invoice raised for reverse-charge purchases
+    selfInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SelfInvoice',
+    },
+    // Stock transfer invoice issued by another of our registrations
+    stockTransferInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    
+    // Import documentation (IMPORT_GOODS)
+    billOfEntryNumber: String,
+    billOfEntryDate: Date,
+    portCode: String,
+    
     totalAmount: {
       type: Number,
       required: true,
@@ -119,6 +206,17 @@ const purchaseInvoiceSchema = new mongoose.Schema(
       default: 0,
     },
     
+    // TDS deducted from the vendor (settles the bill like a payment)
+    tdsSection: {
+      type: String,
+      enum: [...TDS_PAYABLE_SECTION_KEYS, 'NONE', null],
+      default: null,
+    },
+    tdsDeducted: {
+      type: Number,
+      default: 0,
+    },
+    
     balanceAmount: {
       type: Number,
       required: true,
@@ -161,6 +259,18 @@ const purchaseInvoiceSchema = new mongoose.Schema(
         paymentDate: Date,
         paymentMode: String,
         referenceNumber: String,
+        // Payment voucher (rule 52) for payments to a reverse-charge supplier
+        paymentVoucherNumber: String,
+        // TDS deducted with this payment
+        tdsSection: String,
+        tdsAmount: {
+          type: Number,
+          default: 0,
+        },
+        tdsDeduction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'TDSDeduction',
+        },
         notes: String,
         recordedAt: {
           type: Date,
@@ -200,6 +310,7 @@ purchaseInvoiceSchema.index({ organization: 1, piNumber: 1 }, { unique: true });
 purchaseInvoiceSchema.index({ vendor: 1 });
 purchaseInvoiceSchema.index({ status: 1 });
 purchaseInvoiceSchema.index({ piDate: 1 });
+purchaseInvoiceSchema.index({ organization: 1, ourBranchGSTIN: 1, piDate: 1 });
 purchaseInvoiceSchema.index({ linkedPO: 1 });
 // ✅ NEW: Index for branch queries
 purchaseInvoiceSchema.index({ vendor: 1, ourBranchGSTIN: 1 });
@@ -213,16 +324,38 @@ purchaseInvoiceSchema.pre('save', function (next) {
   // Calculate GST for each item
   this.items.forEach((item) => {
     item.gstAmount = (item.amount * item.gstRate) / 100;
+    item.cessAmount =
+      (item.amount * (item.cessRate || 0)) / 100 + (item.quantity || 0) * (item.cessPerUnit || 0);
   });
   
   // Calculate total GST
   this.gstAmount = this.items.reduce((sum, item) => sum + item.gstAmount, 0);
   
-  // Calculate total amount
-  this.totalAmount = this.subtotal + this.gstAmount;
+  // Split GST into IGST or CGST+SGST once the supply type is known
+  if (this.isInterstate !== undefined && this.isInterstate !== null) {
+    if (this.isInterstate) {
+      this.igst = this.gstAmount;
+      this.cgst = 0;
+      this.sgst = 0;
+    } else {
+      this.igst = 0;
+      this.cgst = this.gstAmount / 2;
+      this.sgst = this.gstAmount / 2;
+    }
+  }
+  
+  // Compensation cess
+  this.cess = this.items.reduce((sum, item) => sum + (item.cessAmount || 0), 0);
+
+  // Calculate total amount; under reverse charge the supplier is paid the
+  // value only and the tax goes to the government through the self-invoice
+  const taxPayableToVendor = this.reverseCharge || this.supplyType === 'IMPORT_SERVICES'
+    ? 0
+    : this.gstAmount + this.cess;
+  this.totalAmount = this.subtotal + taxPayableToVendor;
   
   // Update balance amount
-  this.balanceAmount = this.totalAmount - (this.paidAmount || 0);
+  this.balanceAmount = this.totalAmount - (this.paidAmount || 0) - (this.tdsDeducted || 0);
   
   next();
 });
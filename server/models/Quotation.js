@@ -5,6 +5,7 @@
 // ============================================
 
 import mongoose from 'mongoose';
+import { CURRENCY_CODES } from '../utils/currencies.js';
 
 const quotationItemSchema = new mongoose.Schema({
   itemType: {
@@ -85,10 +86,38 @@ const quotationItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  cessRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cessPerUnit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cess: {
+    type: Number,
+    default: 0,
+  },
   totalAmount: {
     type: Number,
     required: true,
   },
+
+  // INR values of a foreign-currency line
+  inr: {
+    rate: Number,
+    baseAmount: Number,
+    discountAmount: Number,
+    taxableAmount: Number,
+    amount: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    cess: Number,
+    totalAmount: Number,
+  },
 });
 
 const quotationSchema = new mongoose.Schema(
@@ -136,6 +165,10 @@ const quotationSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    cess: {
+      type: Number,
+      default: 0,
+    },
     totalTax: {
       type: Number,
       default: 0,
@@ -152,6 +185,30 @@ const quotationSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+
+    // Document currency; amounts above are in this currency
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES,
+      default: 'INR',
+    },
+    // INR for one unit of the currency on the quotation date
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    inrTotals: {
+      subtotal: Number,
+      discountAmount: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      cess: Number,
+      totalTax: Number,
+      roundOff: Number,
+      totalAmount: Number,
+    },
     status: {
       type: String,
       enum: ['DRAFT', 'SENT', 'ACCEPTED', 'REJECTED', 'EXPIRED', 'CONVERTED'],
@@ -4,6 +4,7 @@
 // ============================================
 
 import mongoose from "mongoose";
+import { CURRENCY_CODES } from "../utils/currencies.js";
 
 const receiptItemSchema = new mongoose.Schema({
   type: {
@@ -130,6 +131,33 @@ const receiptSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // Receipt currency (the invoice currency) and the rate it was booked at
+    currency: {
+      type: String,
+      enum: CURRENCY_CODES,
+      default: "INR",
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    // INR value of totalReceipt at the receipt rate (bank balance)
+    inrTotalReceipt: Number,
+
+    // Realised forex gain/loss against the invoice rate
+    forex: {
+      invoiceRate: Number,
+      foreignAmount: Number,
+      inrAtInvoiceRate: Number,
+      inrAtReceiptRate: Number,
+      gainLoss: Number,
+      result: {
+        type: String,
+        enum: ["GAIN", "LOSS", "NONE"],
+      },
+    },
+
     invoiceAllocation: {
       invoiceAmount: Number,
       amountAllocated: Number,
@@ -237,6 +265,9 @@ receiptSchema.pre("validate", function (next) {
     this.totalReceipt = 0;
   }
 
+  this.inrTotalReceipt =
+    Math.round(this.totalReceipt * (this.exchangeRate || 1) * 100) / 100;
+
   next();
 });
 
@@ -4,6 +4,7 @@
 // ============================================
 
 import mongoose from 'mongoose';
+import { GST_RATE_SLABS } from './HSNCode.js';
 
 const recurringInvoiceSchema = new mongoose.Schema(
   {
@@ -19,7 +20,7 @@ const recurringInvoiceSchema = new mongoose.Schema(
     },
     invoiceType: {
       type: String,
-      enum: ['PROFORMA', 'TAX_INVOICE', 'CREDIT_NOTE', 'DEBIT_NOTE'],
+      enum: ['PROFORMA', 'TAX_INVOICE', 'BILL_OF_SUPPLY', 'CREDIT_NOTE', 'DEBIT_NOTE'],
       default: 'TAX_INVOICE',
     },
     items: [
@@ -35,9 +36,11 @@ const recurringInvoiceSchema = new mongoose.Schema(
         rate: { type: Number, required: true, min: 0 },
         gstRate: {
           type: Number,
-          enum: [0, 5, 12, 18, 28],
+          enum: GST_RATE_SLABS,
           required: true,
         },
+        cessRate: { type: Number, default: 0, min: 0 },
+        cessPerUnit: { type: Number, default: 0, min: 0 },
         itemType: {
           type: String,
           enum: ['PRODUCT', 'SERVICE'],
@@ -0,0 +1,183 @@
+// ============================================
+// FILE: server/models/SelfInvoice.js
+// Reverse-charge self-invoices (rule 47A) and RCM tax payments
+// ============================================
+
+import mongoose from 'mongoose';
+import { RCM_CATEGORY_KEYS } from '../utils/reverseCharge.js';
+
+const selfInvoiceItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+  },
+  hsnSacCode: String,
+  quantity: Number,
+  unit: String,
+  taxableValue: {
+    type: Number,
+    required: true,
+  },
+  gstRate: {
+    type: Number,
+    default: 0,
+  },
+  igst: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  cess: { type: Number, default: 0 },
+  // Copied from the purchase line; decides the Table 4 row of the credit
+  itcEligibility: {
+    type: String,
+    enum: ['ELIGIBLE', 'INELIGIBLE_17_5', 'INELIGIBLE_OTHERS'],
+    default: 'ELIGIBLE',
+  },
+});
+
+// RCM tax can only be discharged in cash (electronic cash ledger)
+const taxPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+  },
+  paidOn: {
+    type: Date,
+    required: true,
+  },
+  // CPIN / CIN of the challan, or the GSTR-3B ARN it was set off in
+  challanNumber: String,
+  // GSTR-3B period (MMYYYY) the tax was paid through; credit is claimed in the same period
+  returnPeriod: {
+    type: String,
+    required: true,
+    match: /^(0[1-9]|1[0-2])\d{4}$/,
+  },
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const selfInvoiceSchema = new mongoose.Schema(
+  {
+    selfInvoiceNumber: {
+      type: String,
+      required: true,
+    },
+    selfInvoiceDate: {
+      type: Date,
+      required: true,
+    },
+    financialYear: String,
+
+    purchaseInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+      required: true,
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    // Supplier as on the date of the self-invoice
+    vendorName: String,
+    vendorGstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    vendorAddress: String,
+
+    // Registration liable to pay the tax
+    ourGSTIN: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    rcmCategory: {
+      type: String,
+      enum: RCM_CATEGORY_KEYS,
+      required: true,
+    },
+    placeOfSupply: String,
+    isInterstate: {
+      type: Boolean,
+      default: false,
+    },
+
+    items: [selfInvoiceItemSchema],
+
+    taxableValue: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    cess: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+
+    taxPayments: [taxPaymentSchema],
+    taxPaid: { type: Number, default: 0 },
+    taxBalance: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ['ISSUED', 'PARTIALLY_PAID', 'TAX_PAID', 'CANCELLED'],
+      default: 'ISSUED',
+    },
+    cancellationReason: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+selfInvoiceSchema.index({ organization: 1, selfInvoiceNumber: 1 }, { unique: true });
+selfInvoiceSchema.index({ organization: 1, selfInvoiceDate: 1 });
+selfInvoiceSchema.index({ organization: 1, 'taxPayments.returnPeriod': 1 });
+selfInvoiceSchema.index({ purchaseInvoice: 1 });
+
+// Totals from the lines, paid/balance from the cash payments
+selfInvoiceSchema.pre('save', function (next) {
+  const round2 = (value) => parseFloat((value || 0).toFixed(2));
+  const sum = (field) => round2(this.items.reduce((total, item) => total + (item[field] || 0), 0));
+
+  this.taxableValue = sum('taxableValue');
+  this.igst = sum('igst');
+  this.cgst = sum('cgst');
+  this.sgst = sum('sgst');
+  this.cess = sum('cess');
+  this.totalTax = round2(this.igst + this.cgst + this.sgst + this.cess);
+
+  this.taxPaid = round2(this.taxPayments.reduce((total, p) => total + (p.amount || 0), 0));
+  this.taxBalance = round2(Math.max(this.totalTax - this.taxPaid, 0));
+
+  if (this.status !== 'CANCELLED') {
+    if (this.taxBalance <= 0) this.status = 'TAX_PAID';
+    else if (this.taxPaid > 0) this.status = 'PARTIALLY_PAID';
+    else this.status = 'ISSUED';
+  }
+
+  next();
+});
+
+export default mongoose.model('SelfInvoice', selfInvoiceSchema);
@@ -3,6 +3,7 @@
 // ============================================
 
 import mongoose from 'mongoose';
+import { POS_SERVICE_CATEGORY_KEYS } from '../utils/placeOfSupply.js';
 
 const serviceSchema = new mongoose.Schema({
   name: {
@@ -30,6 +31,12 @@ const serviceSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Place-of-supply rule (IGST Act section 12/13)
+  posCategory: {
+    type: String,
+    enum: POS_SERVICE_CATEGORY_KEYS,
+    default: 'GENERAL',
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -0,0 +1,105 @@
+// ============================================
+// FILE: server/models/TCSCollection.js
+// TCS collected from buyers on sales (collectee rows of Form 27EQ)
+// ============================================
+
+import mongoose from 'mongoose';
+import { TCS_SECTION_KEYS } from '../utils/tcsSections.js';
+
+const tcsCollectionSchema = new mongoose.Schema(
+  {
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true,
+    },
+    invoiceNumber: String,
+
+    section: {
+      type: String,
+      enum: TCS_SECTION_KEYS,
+      required: true,
+    },
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    quarter: {
+      type: String,
+      enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+      required: true,
+    },
+
+    // Collectee as reported in 27EQ
+    collecteePAN: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    collecteeName: String,
+    collecteeCode: {
+      type: String,
+      enum: ['01', '02'],
+    },
+
+    // Invoice value (including GST) and the part of it TCS was collected on
+    totalValue: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    collectionDate: {
+      type: Date,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      default: 0,
+    },
+    tcsAmount: {
+      type: Number,
+      default: 0,
+    },
+    // 27EQ collectee remark (C higher rate for want of PAN)
+    remark: {
+      type: String,
+      enum: ['C', null],
+      default: null,
+    },
+
+    // Deposit
+    challan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TDSChallan',
+    },
+    depositDueDate: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tcsCollectionSchema.index({ organization: 1, client: 1, financialYear: 1 });
+tcsCollectionSchema.index({ organization: 1, financialYear: 1, quarter: 1 });
+tcsCollectionSchema.index({ organization: 1, challan: 1 });
+tcsCollectionSchema.index({ invoice: 1 }, { unique: true });
+
+export default mongoose.model('TCSCollection', tcsCollectionSchema);
@@ -0,0 +1,116 @@
+// ============================================
+// FILE: server/models/TDSChallan.js
+// Challan ITNS 281 deposits of TDS deducted from vendors and TCS collected from buyers
+// ============================================
+
+import mongoose from 'mongoose';
+import { TDS_PAYABLE_SECTION_KEYS } from '../utils/tdsSections.js';
+import { TCS_SECTION_KEYS } from '../utils/tcsSections.js';
+
+const tdsChallanSchema = new mongoose.Schema(
+  {
+    challanType: {
+      type: String,
+      enum: ['ITNS281'],
+      default: 'ITNS281',
+    },
+    // Statement the deposit is reported in: 26Q (TDS) or 27EQ (TCS)
+    statementType: {
+      type: String,
+      enum: ['26Q', '27EQ'],
+      default: '26Q',
+    },
+    tan: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    section: {
+      type: String,
+      enum: [...TDS_PAYABLE_SECTION_KEYS, ...TCS_SECTION_KEYS],
+      required: true,
+    },
+    // 0020 company deductees/collectees, 0021 non-company
+    majorHead: {
+      type: String,
+      enum: ['0020', '0021'],
+      required: true,
+    },
+    // 200 TDS/TCS payable by taxpayer, 400 regular assessment
+    minorHead: {
+      type: String,
+      enum: ['200', '400'],
+      default: '200',
+    },
+    assessmentYear: String,
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    quarter: {
+      type: String,
+      enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+      required: true,
+    },
+
+    // Challan identification number: BSR code + date + serial
+    bsrCode: {
+      type: String,
+      required: true,
+      match: [/^\d{7}$/, 'BSR code must be 7 digits'],
+    },
+    challanSerialNumber: {
+      type: String,
+      required: true,
+      match: [/^\d{1,5}$/, 'Challan serial number must be up to 5 digits'],
+    },
+    depositDate: {
+      type: Date,
+      required: true,
+    },
+
+    tax: { type: Number, default: 0 },
+    surcharge: { type: Number, default: 0 },
+    educationCess: { type: Number, default: 0 },
+    interest: { type: Number, default: 0 },
+    fee: { type: Number, default: 0 },
+    others: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+
+    paymentMode: String,
+    remarks: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tdsChallanSchema.index(
+  { organization: 1, bsrCode: 1, depositDate: 1, challanSerialNumber: 1 },
+  { unique: true }
+);
+tdsChallanSchema.index({ organization: 1, financialYear: 1, quarter: 1 });
+
+tdsChallanSchema.pre('save', function (next) {
+  this.totalAmount =
+    (this.tax || 0) +
+    (this.surcharge || 0) +
+    (this.educationCess || 0) +
+    (this.interest || 0) +
+    (this.fee || 0) +
+    (this.others || 0);
+  next();
+});
+
+export default mongoose.model('TDSChallan', tdsChallanSchema);
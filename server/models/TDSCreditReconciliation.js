@@ -0,0 +1,206 @@
+// ============================================
+// FILE: server/models/TDSCreditReconciliation.js
+// Form 26AS / AIS import and TDS receivable reconciliation
+// ============================================
+
+import mongoose from 'mongoose';
+
+const statementEntrySchema = new mongoose.Schema(
+  {
+    section: String,
+    transactionDate: Date,
+    // 26AS status of booking: F final, O overbooked, P provisional, U unmatched
+    bookingStatus: String,
+    bookingDate: Date,
+    amountPaid: { type: Number, default: 0 },
+    taxDeducted: { type: Number, default: 0 },
+    tdsDeposited: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const followUpSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+  mode: {
+    type: String,
+    enum: ['EMAIL', 'PHONE', 'LETTER', 'MEETING', 'OTHER'],
+    default: 'EMAIL',
+  },
+  notes: String,
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+});
+
+const creditLineSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['MATCHED', 'SHORT_DEPOSITED', 'MISSING_IN_26AS', 'EXCESS_IN_26AS', 'NOT_IN_BOOKS'],
+    required: true,
+  },
+  quarter: {
+    type: String,
+    enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+    required: true,
+  },
+
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  },
+  clientName: String,
+  deductorTan: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  deductorPan: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  deductorName: String,
+
+  // As reported by the deductor (26AS / AIS)
+  statement: {
+    sections: [String],
+    amountPaid: { type: Number, default: 0 },
+    taxDeducted: { type: Number, default: 0 },
+    // Credit available to us: deposits whose booking status is not Unmatched
+    tdsDeposited: { type: Number, default: 0 },
+    unmatchedAmount: { type: Number, default: 0 },
+    entries: [statementEntrySchema],
+  },
+
+  // TDS_RECEIVABLE items on our receipts
+  books: {
+    tdsAmount: { type: Number, default: 0 },
+    receipts: [
+      {
+        receipt: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Receipt',
+        },
+        itemId: mongoose.Schema.Types.ObjectId,
+        receiptNumber: String,
+        receiptDate: Date,
+        tdsSection: String,
+        amount: Number,
+        certificateNumber: String,
+      },
+    ],
+  },
+
+  // Statement minus books
+  difference: { type: Number, default: 0 },
+  reason: String,
+
+  // Chasing the deductor until Form 16A is in hand
+  followUpStatus: {
+    type: String,
+    enum: ['NOT_REQUIRED', 'OPEN', 'FORM16A_RECEIVED'],
+    default: 'OPEN',
+  },
+  nextFollowUpDate: Date,
+  followUps: [followUpSchema],
+  form16A: {
+    certificateNumber: String,
+    receivedAt: Date,
+    tdsAmount: Number,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+});
+
+const tdsCreditReconciliationSchema = new mongoose.Schema(
+  {
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    // PAN the statement was generated for
+    pan: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    source: {
+      type: String,
+      enum: ['26AS', 'AIS', 'MANUAL'],
+      default: '26AS',
+    },
+    sourceFileName: String,
+
+    tolerance: {
+      amount: { type: Number, default: 1 },
+    },
+
+    lines: [creditLineSchema],
+
+    summary: {
+      matched: { type: Number, default: 0 },
+      shortDeposited: { type: Number, default: 0 },
+      missingIn26AS: { type: Number, default: 0 },
+      excessIn26AS: { type: Number, default: 0 },
+      notInBooks: { type: Number, default: 0 },
+      openFollowUps: { type: Number, default: 0 },
+      form16AReceived: { type: Number, default: 0 },
+      booksTDS: { type: Number, default: 0 },
+      depositedTDS: { type: Number, default: 0 },
+      shortfall: { type: Number, default: 0 },
+    },
+
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastMatchedAt: Date,
+
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+tdsCreditReconciliationSchema.index(
+  { organization: 1, financialYear: 1 },
+  { unique: true }
+);
+tdsCreditReconciliationSchema.index({ organization: 1, 'lines.client': 1 });
+tdsCreditReconciliationSchema.index({ organization: 1, 'lines.nextFollowUpDate': 1 });
+
+// Keep summary counts in sync with lines
+tdsCreditReconciliationSchema.pre('save', function (next) {
+  const count = (predicate) => this.lines.filter(predicate).length;
+  const sum = (pick) =>
+    parseFloat(this.lines.reduce((acc, line) => acc + (pick(line) || 0), 0).toFixed(2));
+
+  this.summary = {
+    matched: count((l) => l.status === 'MATCHED'),
+    shortDeposited: count((l) => l.status === 'SHORT_DEPOSITED'),
+    missingIn26AS: count((l) => l.status === 'MISSING_IN_26AS'),
+    excessIn26AS: count((l) => l.status === 'EXCESS_IN_26AS'),
+    notInBooks: count((l) => l.status === 'NOT_IN_BOOKS'),
+    openFollowUps: count((l) => l.followUpStatus === 'OPEN'),
+    form16AReceived: count((l) => l.followUpStatus === 'FORM16A_RECEIVED'),
+    booksTDS: sum((l) => l.books?.tdsAmount),
+    depositedTDS: sum((l) => l.statement?.tdsDeposited),
+    shortfall: sum((l) => (l.difference < 0 ? -l.difference : 0)),
+  };
+
+  next();
+});
+
+export default mongoose.model('TDSCreditReconciliation', tdsCreditReconciliationSchema);
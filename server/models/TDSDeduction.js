@@ -0,0 +1,116 @@
+// ============================================
+// FILE: server/models/TDSDeduction.js
+// TDS deducted from vendor payments (deductee rows of Form 26Q)
+// ============================================
+
+import mongoose from 'mongoose';
+import { TDS_PAYABLE_SECTION_KEYS } from '../utils/tdsSections.js';
+
+const tdsDeductionSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Client',
+      required: true,
+    },
+    purchaseInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseInvoice',
+    },
+    // Payment entry on the purchase invoice the tax was deducted from
+    paymentId: mongoose.Schema.Types.ObjectId,
+
+    section: {
+      type: String,
+      enum: TDS_PAYABLE_SECTION_KEYS,
+      required: true,
+    },
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    quarter: {
+      type: String,
+      enum: ['Q1', 'Q2', 'Q3', 'Q4'],
+      required: true,
+    },
+
+    // Deductee as reported in 26Q
+    deducteePAN: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    deducteeName: String,
+    deducteeCode: {
+      type: String,
+      enum: ['01', '02'],
+    },
+
+    // Amount paid/credited (value of the bill excluding GST) and when
+    amountPaid: {
+      type: Number,
+      required: true,
+    },
+    // Part of amountPaid carried over from earlier bills below the threshold
+    catchUpAmount: {
+      type: Number,
+      default: 0,
+    },
+    paymentDate: {
+      type: Date,
+      required: true,
+    },
+    deductionDate: {
+      type: Date,
+      required: true,
+    },
+    rate: {
+      type: Number,
+      default: 0,
+    },
+    tdsAmount: {
+      type: Number,
+      default: 0,
+    },
+    // 26Q deductee remark (A lower deduction, C no PAN, T transporter, Y below threshold)
+    remark: {
+      type: String,
+      enum: ['A', 'C', 'T', 'Y', null],
+      default: null,
+    },
+    lowerDeductionCertificate: String,
+    // Earlier below-threshold row whose amount was taxed with this one
+    caughtUpBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TDSDeduction',
+    },
+
+    // Deposit
+    challan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TDSChallan',
+    },
+    depositDueDate: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tdsDeductionSchema.index({ organization: 1, vendor: 1, section: 1, financialYear: 1 });
+tdsDeductionSchema.index({ organization: 1, financialYear: 1, quarter: 1 });
+tdsDeductionSchema.index({ organization: 1, challan: 1 });
+tdsDeductionSchema.index({ purchaseInvoice: 1 });
+
+export default mongoose.model('TDSDeduction', tdsDeductionSchema);
@@ -10,6 +10,20 @@ import DebitNote from '../models/DebitNote.js';
 import Invoice from '../models/Invoice.js';
 import Organization from '../models/Organization.js';
 import { calculateGSTBreakdown } from '../utils/gstCalculator.js';
+import { getSupplyType } from '../utils/exportSupply.js';
+import { checkPeriodLock } from '../services/periodLockService.js';
+import { getDocumentGSTIN } from '../services/gstr1Service.js';
+import {
+  getCreditedAmounts,
+  getCreditableInvoiceError,
+  buildCreditNoteLines,
+  getCreditNoteTotals,
+  getCreditNoteDeadline,
+  restockCreditNote,
+  reverseRestock,
+  applyCreditNote,
+  unapplyCreditNote,
+} from '../services/creditNoteService.js';
 
 const router = express.Router();
 
@@ -34,6 +48,54 @@ router.get('/credit-notes', async (req, res) => {
   }
 });
 
+// Invoice lines with the quantity and value still open for credit
+router.get('/credit-notes/creditable/:invoiceId', async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.invoiceId,
+      organization: req.user.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const credited = await getCreditedAmounts(invoice._id);
+
+    res.json({
+      invoice: {
+        _id: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        currency: invoice.currency,
+        totalAmount: invoice.totalAmount,
+        balanceAmount: invoice.balanceAmount,
+      },
+      error: getCreditableInvoiceError(invoice),
+      deadline: getCreditNoteDeadline(invoice.invoiceDate),
+      creditedAmount: credited.totalAmount,
+      lines: invoice.items.map((item) => {
+        const done = credited.byLine.get(item._id.toString()) || { quantity: 0, taxableAmount: 0 };
+        return {
+          invoiceItemId: item._id,
+          description: item.description,
+          hsnSacCode: item.hsnSacCode,
+          unit: item.unit,
+          quantity: item.quantity,
+          taxableAmount: item.taxableAmount,
+          creditedQuantity: done.quantity,
+          creditedValue: Math.round(done.taxableAmount * 100) / 100,
+          openQuantity: Math.round((item.quantity - done.quantity) * 100) / 100,
+          openValue: Math.round((item.taxableAmount - done.taxableAmount) * 100) / 100,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error('Error fetching creditable lines:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single credit note
 router.get('/credit-notes/:id', async (req, res) => {
   try {
@@ -59,10 +121,12 @@ router.get('/credit-notes/:id', async (req, res) => {
 });
 
 // Create credit note
+// Raised from invoice lines (`lines`: invoiceItemId with quantity and/or taxable value),
+// or from free-form `items` capped at the invoice total
 router.post('/credit-notes', async (req, res) => {
   try {
     const organizationId = req.user.organizationId;
-    const { invoiceId, reason, reasonDescription, items, notes } = req.body;
+    const { invoiceId, reason, reasonDescription, lines, items, restock, applications, notes } = req.body;
 
     // Verify invoice
     const invoice = await Invoice.findOne({
@@ -74,21 +138,83 @@ router.post('/credit-notes', async (req, res) => {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
+    const invoiceError = getCreditableInvoiceError(invoice);
+    if (invoiceError) {
+      return res.status(400).json({ error: invoiceError });
+    }
+
     const organization = await Organization.findById(organizationId);
 
+    // Notes are dated today; they are how filed periods get corrected
+    const periodLock = await checkPeriodLock({
+      req,
+      gstin: getDocumentGSTIN(invoice.gstinUsed, organization),
+      dates: [new Date()],
+      entityType: 'CREDIT_NOTE',
+      action: 'CREATE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    const credited = await getCreditedAmounts(invoice._id);
+    let noteItems;
+    let totals;
+
+    if (lines) {
+      const built = buildCreditNoteLines({ invoice, lines, credited: credited.byLine });
+      if (built.errors.length > 0) {
+        return res.status(400).json({ error: built.errors.join('; '), errors: built.errors });
+      }
+      noteItems = built.items;
+      totals = getCreditNoteTotals(noteItems);
+    } else {
+      // Calculate GST
+      const gstBreakdown = calculateGSTBreakdown(
+        items,
+        invoice.client.gstin || '',
+        organization.gstin || '',
+        // Notes follow the place of supply and supply type of the invoice they adjust
+        {
+          placeOfSupply: invoice.placeOfSupply,
+          supplyType: getSupplyType(invoice),
+          billOfSupply: invoice.invoiceType === 'BILL_OF_SUPPLY',
+        }
+      );
+      noteItems = gstBreakdown.items;
+
+      const subtotal = gstBreakdown.items.reduce((sum, item) => sum + item.amount, 0);
+      totals = {
+        subtotal,
+        cgst: gstBreakdown.totalCGST,
+        sgst: gstBreakdown.totalSGST,
+        igst: gstBreakdown.totalIGST,
+        cess: gstBreakdown.totalCess,
+        totalTax: gstBreakdown.totalTax,
+        totalAmount: subtotal + gstBreakdown.totalTax,
+      };
+    }
+
+    // Credit can never exceed what was invoiced
+    const openAmount = Math.round((invoice.totalAmount - credited.totalAmount) * 100) / 100;
+    if (totals.totalAmount > openAmount + 0.01) {
+      return res.status(400).json({
+        error: `Credit of ${totals.totalAmount} exceeds the ${openAmount} of invoice ${invoice.invoiceNumber} not yet credited`,
+      });
+    }
+
+    const warnings = [];
+    const deadline = getCreditNoteDeadline(invoice.invoiceDate);
+    if (new Date() > deadline) {
+      warnings.push(
+        `Issued after ${deadline.toDateString()}: the credit note cannot reduce output tax on ${invoice.invoiceNumber} (CGST Act s.34(2))`
+      );
+    }
+
     // Generate credit note number
     const count = await CreditNote.countDocuments({ organization: organizationId });
     const creditNoteNumber = `CN-${String(count + 1).padStart(5, '0')}`;
 
-    // Calculate GST
-    const gstBreakdown = calculateGSTBreakdown(
-      items,
-      invoice.client.gstin || '',
-      organization.gstin || ''
-    );
-
-    const subtotal = gstBreakdown.items.reduce((sum, item) => sum + item.amount, 0);
-
     const creditNote = await CreditNote.create({
       creditNoteNumber,
       originalInvoice: invoiceId,
@@ -96,43 +222,127 @@ router.post('/credit-notes', async (req, res) => {
       creditNoteDate: new Date(),
       reason,
       reasonDescription,
-      items: gstBreakdown.items,
-      subtotal,
-      cgst: gstBreakdown.totalCGST,
-      sgst: gstBreakdown.totalSGST,
-      igst: gstBreakdown.totalIGST,
-      totalTax: gstBreakdown.totalTax,
-      totalAmount: subtotal + gstBreakdown.totalTax,
+      items: noteItems,
+      ...totals,
+      currency: invoice.currency || 'INR',
+      exchangeRate: invoice.exchangeRate || 1,
       notes,
       organization: organizationId,
     });
 
+    // Returned goods go back into stock unless told otherwise
+    if (restock ?? reason === 'GOODS_RETURNED') {
+      const restocked = await restockCreditNote({ creditNote, userId: req.user.id });
+      if (restocked.length > 0) {
+        creditNote.restocked = true;
+        await creditNote.save();
+      }
+    }
+
+    let applied = null;
+    if (applications?.length) {
+      applied = await applyCreditNote({ creditNote, allocations: applications, user: req.user });
+      warnings.push(...applied.errors.map((e) => `Not applied: ${e}`));
+    }
+
     const populated = await CreditNote.findById(creditNote._id)
       .populate('originalInvoice')
       .populate('client');
 
-    res.status(201).json(populated);
+    res.status(201).json({ ...populated.toObject(), warnings, appliedInvoices: applied?.invoices || [] });
   } catch (error) {
     console.error('Error creating credit note:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Apply a credit note against open invoices of the same client
+router.post('/credit-notes/:id/apply', async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    const result = await applyCreditNote({
+      creditNote,
+      allocations: req.body.allocations,
+      user: req.user,
+    });
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: result.errors.join('; '), errors: result.errors });
+    }
+
+    res.json({ creditNote, invoices: result.invoices });
+  } catch (error) {
+    console.error('Error applying credit note:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take a credit note off the invoices it was applied to
+router.post('/credit-notes/:id/unapply', async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ error: 'Credit note not found' });
+    }
+
+    await unapplyCreditNote({ creditNote });
+    await creditNote.save();
+
+    res.json(creditNote);
+  } catch (error) {
+    console.error('Error unapplying credit note:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete credit note
 router.delete('/credit-notes/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const organizationId = req.user.organizationId;
 
-    const creditNote = await CreditNote.findOneAndDelete({
+    const creditNote = await CreditNote.findOne({
       _id: id,
       organization: organizationId,
-    });
+    }).populate('originalInvoice', 'gstinUsed');
 
     if (!creditNote) {
       return res.status(404).json({ error: 'Credit note not found' });
     }
 
+    const organization = await Organization.findById(organizationId);
+    const periodLock = await checkPeriodLock({
+      req,
+      gstin: getDocumentGSTIN(creditNote.originalInvoice?.gstinUsed, organization),
+      dates: [creditNote.creditNoteDate],
+      entityType: 'CREDIT_NOTE',
+      entityId: creditNote._id,
+      entityNumber: creditNote.creditNoteNumber,
+      action: 'DELETE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    // Invoice balances and stock go back to where they were
+    await unapplyCreditNote({ creditNote });
+    if (creditNote.restocked) {
+      await reverseRestock({ creditNote, userId: req.user.id });
+    }
+
+    await creditNote.deleteOne();
+
     res.json({ message: 'Credit note deleted successfully' });
   } catch (error) {
     console.error('Error deleting credit note:', error);
@@ -201,6 +411,18 @@ router.post('/debit-notes', async (req, res) => {
 
     const organization = await Organization.findById(organizationId);
 
+    // Notes are dated today; they are how filed periods get corrected
+    const periodLock = await checkPeriodLock({
+      req,
+      gstin: getDocumentGSTIN(invoice.gstinUsed, organization),
+      dates: [new Date()],
+      entityType: 'DEBIT_NOTE',
+      action: 'CREATE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
     // Generate debit note number
     const count = await DebitNote.countDocuments({ organization: organizationId });
     const debitNoteNumber = `DN-${String(count + 1).padStart(5, '0')}`;
@@ -209,7 +431,13 @@ router.post('/debit-notes', async (req, res) => {
     const gstBreakdown = calculateGSTBreakdown(
       items,
       invoice.client.gstin || '',
-      organization.gstin || ''
+      organization.gstin || '',
+      // Notes follow the place of supply and supply type of the invoice they adjust
+      {
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: getSupplyType(invoice),
+        billOfSupply: invoice.invoiceType === 'BILL_OF_SUPPLY',
+      }
     );
 
     const subtotal = gstBreakdown.items.reduce((sum, item) => sum + item.amount, 0);
@@ -226,6 +454,7 @@ router.post('/debit-notes', async (req, res) => {
       cgst: gstBreakdown.totalCGST,
       sgst: gstBreakdown.totalSGST,
       igst: gstBreakdown.totalIGST,
+      cess: gstBreakdown.totalCess,
       totalTax: gstBreakdown.totalTax,
       totalAmount: subtotal + gstBreakdown.totalTax,
       notes,
@@ -249,15 +478,31 @@ router.delete('/debit-notes/:id', async (req, res) => {
     const { id } = req.params;
     const organizationId = req.user.organizationId;
 
-    const debitNote = await DebitNote.findOneAndDelete({
+    const debitNote = await DebitNote.findOne({
       _id: id,
       organization: organizationId,
-    });
+    }).populate('originalInvoice', 'gstinUsed');
 
     if (!debitNote) {
       return res.status(404).json({ error: 'Debit note not found' });
     }
 
+    const organization = await Organization.findById(organizationId);
+    const periodLock = await checkPeriodLock({
+      req,
+      gstin: getDocumentGSTIN(debitNote.originalInvoice?.gstinUsed, organization),
+      dates: [debitNote.debitNoteDate],
+      entityType: 'DEBIT_NOTE',
+      entityId: debitNote._id,
+      entityNumber: debitNote.debitNoteNumber,
+      action: 'DELETE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    await debitNote.deleteOne();
+
     res.json({ message: 'Debit note deleted successfully' });
   } catch (error) {
     console.error('Error deleting debit note:', error);
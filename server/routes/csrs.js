@@ -9,6 +9,14 @@ import CSR from "../models/CSR.js";
 import Invoice from "../models/Invoice.js";
 import Organization from "../models/Organization.js";
 import Client from "../models/Client.js";
+import { resolveDocumentPlaceOfSupply } from "../utils/placeOfSupply.js";
+import { getSupplyType } from "../utils/exportSupply.js";
+import {
+  isCompositionOrganization,
+  validateCompositionSupply,
+} from "../utils/compositionScheme.js";
+import { computeInvoiceTCS, recordInvoiceTCS } from "../services/tcsService.js";
+import { recordInvoiceRevision } from "../services/invoiceRevisionService.js";
 
 const router = express.Router();
 
@@ -403,6 +411,11 @@ router.post("/:id/generate-invoice", protect, async (req, res) => {
 
     const organization = await Organization.findById(organizationId);
 
+    // Composition dealers bill CSRs on a bill of supply, without tax
+    const isComposition = isCompositionOrganization(organization);
+    const invoiceType = isComposition ? "BILL_OF_SUPPLY" : "TAX_INVOICE";
+    const gstRate = isComposition ? 0 : 18;
+
     // Create invoice items from CSR
     const invoiceItems = [];
 
@@ -415,7 +428,7 @@ router.post("/:id/generate-invoice", protect, async (req, res) => {
         quantity: csr.serviceHours || 1,
         unit: csr.serviceHours ? "HOUR" : "UNIT",
         rate: csr.labourCost / (csr.serviceHours || 1),
-        gstRate: 18,
+        gstRate,
         amount: csr.labourCost,
         taxableAmount: csr.labourCost,
       });
@@ -431,31 +444,88 @@ router.post("/:id/generate-invoice", protect, async (req, res) => {
           quantity: part.quantity,
           unit: "PCS",
           rate: part.rate,
-          gstRate: 18,
+          gstRate,
           amount: part.amount,
           taxableAmount: part.amount,
         });
       });
     }
 
+    const placeOfSupply = resolveDocumentPlaceOfSupply({
+      organization,
+      client: csr.client,
+      items: invoiceItems,
+    });
+    const supplyType = getSupplyType({}, csr.client);
+    const compositionErrors = validateCompositionSupply({
+      organization,
+      invoiceType,
+      placeOfSupply,
+      supplyType,
+    });
+    if (compositionErrors.length > 0) {
+      return res.status(400).json({
+        error: compositionErrors.join("; "),
+        errors: compositionErrors,
+      });
+    }
+
+    // Income-tax TCS (206C) on the invoice value
+    const invoiceDate = new Date();
+    const tcs = await computeInvoiceTCS({
+      organization,
+      client: csr.client,
+      invoice: {
+        invoiceType,
+        invoiceDate,
+        items: invoiceItems,
+        subtotal: csr.totalCost,
+        supplyType,
+      },
+    });
+    const totalAmount = csr.totalCost + tcs.tcsAmount;
+
     // Create invoice
     const invoice = await Invoice.create({
       invoiceNumber: `INV-${organization.invoicePrefix}-${String(
         organization.nextInvoiceNumber
       ).padStart(4, "0")}`,
-      invoiceType: "TAX_INVOICE",
+      invoiceType,
       client: csr.client._id,
-      invoiceDate: new Date(),
+      placeOfSupply,
+      invoiceDate,
       dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
       items: invoiceItems,
       subtotal: csr.totalCost,
-      totalAmount: csr.totalCost,
-      balanceAmount: csr.totalCost,
+      supplyType,
+      tcsApplicable: tcs.tcsAmount > 0,
+      tcsSection: tcs.section,
+      tcsRate: tcs.rate,
+      tcsBaseAmount: tcs.baseAmount,
+      tcsAmount: tcs.tcsAmount,
+      totalAmount,
+      balanceAmount: totalAmount,
       status: "PENDING",
       notes: `CSR: ${csr.csrNumber} - ${csr.serviceDescription}`,
       organization: organizationId,
     });
 
+    // TCS payable register
+    await recordInvoiceTCS({
+      organizationId,
+      invoice,
+      client: csr.client,
+      computation: tcs,
+      userId: req.user.id,
+    });
+
+    const populatedInvoice = await Invoice.findById(invoice._id).populate("client");
+    await recordInvoiceRevision({
+      invoice: populatedInvoice,
+      user: req.user,
+      source: "CREATE",
+    });
+
     // Update CSR
     csr.invoiceGenerated = true;
     csr.linkedInvoice = invoice._id;
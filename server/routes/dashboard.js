@@ -52,7 +52,7 @@ router.get("/stats", async (req, res) => {
     const overdueInvoices = await Invoice.countDocuments({
       organization: organizationId,
       dueDate: { $lt: today },
-      status: { $ne: "PAID" },
+      status: { $nin: ["PAID", "CANCELLED"] },
     });
     console.log('⏰ Overdue Invoices:', overdueInvoices);
 
@@ -66,6 +66,7 @@ router.get("/stats", async (req, res) => {
     const monthlyInvoices = await Invoice.find({
       organization: organizationId,
       invoiceDate: { $gte: firstDayOfMonth, $lte: lastDayOfMonth },
+      status: { $ne: "CANCELLED" },
     });
     const monthlyRevenue = monthlyInvoices.reduce(
       (sum, inv) => sum + inv.totalAmount,
@@ -88,6 +89,7 @@ router.get("/stats", async (req, res) => {
       {
         $match: {
           organization: organizationId,
+          status: { $ne: "CANCELLED" },
         },
       },
       {
@@ -238,7 +240,10 @@ router.get("/bills-summary", async (req, res) => {
     );
 
     // Bills Raised
-    const allInvoices = await Invoice.find({ organization: organizationId });
+    const allInvoices = await Invoice.find({
+      organization: organizationId,
+      status: { $ne: "CANCELLED" },
+    });
     const billsRaised = allInvoices.reduce(
       (sum, inv) => sum + inv.totalAmount,
       0
@@ -268,6 +273,7 @@ router.get("/bills-summary", async (req, res) => {
     const thisMonthInvoices = await Invoice.find({
       organization: organizationId,
       invoiceDate: { $gte: firstDayOfMonth, $lte: lastDayOfMonth },
+      status: { $ne: "CANCELLED" },
     });
     const thisMonthRaised = thisMonthInvoices.reduce(
       (sum, inv) => sum + inv.totalAmount,
@@ -287,6 +293,7 @@ router.get("/bills-summary", async (req, res) => {
     const lastMonthInvoices = await Invoice.find({
       organization: organizationId,
       invoiceDate: { $gte: firstDayOfLastMonth, $lte: lastDayOfLastMonth },
+      status: { $ne: "CANCELLED" },
     });
     const lastMonthRaised = lastMonthInvoices.reduce(
       (sum, inv) => sum + inv.totalAmount,
@@ -0,0 +1,197 @@
+// ============================================
+// FILE: server/routes/exchangeRates.js
+// Daily exchange rates for foreign-currency documents
+// ============================================
+
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import csv from 'csv-parser';
+import { protect } from '../middleware/auth.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import { CURRENCIES, BASE_CURRENCY, isForeignCurrency } from '../utils/currencies.js';
+import {
+  getExchangeRate,
+  parseRateRows,
+  saveRates,
+} from '../services/exchangeRateService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Configure multer for CSV uploads
+const upload = multer({
+  dest: 'uploads/temp/',
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max
+  },
+});
+
+// Supported document currencies
+router.get('/currencies', async (req, res) => {
+  res.json(
+    Object.entries(CURRENCIES).map(([code, currency]) => ({
+      code,
+      name: currency.name,
+      symbol: currency.symbol.trim(),
+      isBase: code === BASE_CURRENCY,
+    }))
+  );
+});
+
+// Rate in force for a currency on a date
+router.get('/lookup', async (req, res) => {
+  try {
+    const { currency, date } = req.query;
+    if (!isForeignCurrency(currency) || !CURRENCIES[currency]) {
+      return res.status(400).json({ error: `Select a currency other than ${BASE_CURRENCY}` });
+    }
+
+    const rate = await getExchangeRate({
+      organizationId: req.user.organizationId,
+      currency,
+      date: date ? new Date(date) : new Date(),
+    });
+    if (!rate) {
+      return res.status(404).json({ error: `No ${currency} rate on or before this date` });
+    }
+
+    res.json(rate);
+  } catch (error) {
+    console.error('Error looking up exchange rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List rates
+router.get('/', async (req, res) => {
+  try {
+    const { currency, startDate, endDate } = req.query;
+
+    const filter = { organization: req.user.organizationId };
+    if (currency) filter.currency = currency;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = new Date(startDate);
+      if (endDate) filter.date.$lte = new Date(endDate);
+    }
+
+    const rates = await ExchangeRate.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ date: -1, currency: 1 })
+      .limit(parseInt(req.query.limit) || 500);
+
+    res.json(rates);
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enter a day's rate (replaces an existing rate for that day)
+router.post('/', async (req, res) => {
+  try {
+    const { currency, date, rate, notes } = req.body;
+
+    const { rates, errors } = parseRateRows([{ date, currency, rate }]);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.map((e) => e.message).join('; ') });
+    }
+
+    await saveRates({
+      organizationId: req.user.organizationId,
+      rates: rates.map((r) => ({ ...r, notes })),
+      source: 'MANUAL',
+      userId: req.user.id,
+    });
+
+    const saved = await ExchangeRate.findOne({
+      organization: req.user.organizationId,
+      currency: rates[0].currency,
+      date: rates[0].date,
+    });
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import rates (CSV: Date, Currency, Rate — or Date, USD, EUR, AED)
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      const data = [];
+      fs.createReadStream(req.file.path)
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+        .on('data', (row) => data.push(row))
+        .on('end', () => resolve(data))
+        .on('error', reject);
+    }).finally(() => fs.unlink(req.file.path, () => {}));
+
+    const { rates, errors } = parseRateRows(rows);
+    if (rates.length === 0) {
+      return res.status(400).json({
+        error: 'No exchange rates found',
+        hint: 'CSV should have columns: Date, Currency, Rate (or Date and one column per currency)',
+        errors,
+      });
+    }
+
+    const result = await saveRates({
+      organizationId: req.user.organizationId,
+      rates,
+      source: 'CSV',
+      userId: req.user.id,
+    });
+
+    console.log(`✅ Exchange rates imported: ${result.inserted} new, ${result.updated} updated, ${errors.length} errors`);
+
+    res.json({
+      message: 'Exchange rates imported',
+      stats: {
+        rows: rows.length,
+        rates: rates.length,
+        inserted: result.inserted,
+        updated: result.updated,
+        failed: errors.length,
+      },
+      errors,
+    });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
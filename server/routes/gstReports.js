@@ -7,49 +7,181 @@ import express from 'express';
 import { protect } from '../middleware/auth.js';
 import Invoice from '../models/Invoice.js';
 import Organization from '../models/Organization.js';
+import {
+  buildGSTR1,
+  belongsToGSTIN,
+  getDocumentGSTIN,
+  getOrganizationGSTINs,
+  getB2CLThreshold,
+  getReturnPeriodError,
+  resolvePlaceOfSupply,
+} from '../services/gstr1Service.js';
+import { buildGSTR3B, consolidateGSTR3B } from '../services/gstr3bService.js';
+import { buildCMP08 } from '../services/cmp08Service.js';
+import { buildGSTR9, getFinancialYearRange } from '../services/gstr9Service.js';
+import { isCompositionOrganization, getCompositionQuarter } from '../utils/compositionScheme.js';
+import { toINRDocument } from '../utils/currencies.js';
+import { getStateCodeFromGSTIN } from '../utils/gstCalculator.js';
 
 const router = express.Router();
 
 router.use(protect);
 
+// Composition taxpayers file CMP-08 instead of GSTR-1/3B
+const rejectComposition = async (req, res, next) => {
+  try {
+    const organization = await Organization.findById(req.user.organizationId).select(
+      'registrationType'
+    );
+    if (isCompositionOrganization(organization)) {
+      return res.status(400).json({
+        error: 'Composition taxpayers file CMP-08 quarterly instead of GSTR-1 and GSTR-3B',
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Reports run for one registration with ?gstin=<GSTIN>; without it (or with
+// ALL) they consolidate the organization and break the figures down by GSTIN
+const resolveGSTINScope = (organization, gstin) => {
+  const registrations = getOrganizationGSTINs(organization);
+  if (!gstin || String(gstin).toUpperCase() === 'ALL') {
+    return { gstin: null, registrations };
+  }
+
+  const wanted = String(gstin).toUpperCase().trim();
+  if (!registrations.some((r) => r.gstin === wanted)) {
+    return { error: `GSTIN ${wanted} is not registered to this organization` };
+  }
+  return { gstin: wanted, registrations };
+};
+
+// Invoices of the scoped registration (all of them when consolidated)
+const filterByGSTIN = (invoices, scope, organization) =>
+  scope.gstin
+    ? invoices.filter((inv) => belongsToGSTIN(inv.gstinUsed, scope.gstin, organization))
+    : invoices;
+
+// Group invoices by the registration they were issued under
+const groupByGSTIN = (invoices, scope, organization) => {
+  const groups = new Map(scope.registrations.map((r) => [r.gstin, []]));
+  invoices.forEach((inv) => {
+    const gstin = getDocumentGSTIN(inv.gstinUsed, organization);
+    if (!groups.has(gstin)) groups.set(gstin, []);
+    groups.get(gstin).push(inv);
+  });
+  return [...groups.entries()].map(([gstin, docs]) => ({
+    gstin,
+    registration: scope.registrations.find((r) => r.gstin === gstin) || null,
+    invoices: docs,
+  }));
+};
+
+// Outward tax totals of a set of invoices
+const sumInvoiceTax = (invoices) => {
+  const sum = (field) =>
+    parseFloat(invoices.reduce((total, inv) => total + (inv[field] || 0), 0).toFixed(2));
+  const cgst = sum('cgst');
+  const sgst = sum('sgst');
+  const igst = sum('igst');
+  const cess = sum('cess');
+  return {
+    invoices: invoices.length,
+    taxableValue: parseFloat(
+      invoices
+        .reduce((total, inv) => total + (inv.subtotal || 0) - (inv.discountAmount || 0), 0)
+        .toFixed(2)
+    ),
+    cgst,
+    sgst,
+    igst,
+    cess,
+    totalTax: parseFloat((cgst + sgst + igst + cess).toFixed(2)),
+    invoiceValue: sum('totalAmount'),
+  };
+};
+
+// Inter-GSTIN stock transfers: taxable supplies between distinct persons
+const summarizeStockTransfers = (invoices) => {
+  const transfers = invoices.filter((inv) => inv.isStockTransfer);
+  return {
+    ...sumInvoiceTax(transfers),
+    pendingReceipt: transfers.filter((inv) => !inv.stockTransfer?.receivedAs).length,
+  };
+};
+
 // GSTR-1 Report (Outward Supplies)
-router.get('/gstr1', async (req, res) => {
+router.get('/gstr1', rejectComposition, async (req, res) => {
   try {
     const organizationId = req.user.organizationId;
-    const { month, year } = req.query;
+    const { month, year, gstin } = req.query;
 
-    if (!month || !year) {
-      return res.status(400).json({ error: 'Month and year are required' });
+    const periodError = getReturnPeriodError(month, year);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const scope = resolveGSTINScope(organization, gstin);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
     }
 
     const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
     const endDate = new Date(parseInt(year), parseInt(month), 0, 23, 59, 59);
 
-    const invoices = await Invoice.find({
+    // Foreign-currency invoices are reported at their INR values
+    const periodInvoices = await Invoice.find({
       organization: organizationId,
       invoiceDate: { $gte: startDate, $lte: endDate },
       invoiceType: { $in: ['TAX_INVOICE', 'DEBIT_NOTE'] },
-    }).populate('client');
-
-    const organization = await Organization.findById(organizationId);
+      status: { $nin: ['DRAFT', 'CANCELLED'] },
+    })
+      .populate('client')
+      .then((docs) => docs.map(toINRDocument));
+    const invoices = filterByGSTIN(periodInvoices, scope, organization);
+    const registration = scope.registrations.find((r) => r.gstin === scope.gstin);
+
+    // Place of supply as in the GSTR-1 export, falling back to the issuing registration's state
+    const placeOfSupplyOf = (inv) =>
+      resolvePlaceOfSupply(
+        inv.client,
+        getStateCodeFromGSTIN(getDocumentGSTIN(inv.gstinUsed, organization)),
+        inv.placeOfSupply
+      );
+    const isInterstate = (inv) =>
+      (inv.igst || 0) > 0 || !!inv.gstCalculationMeta?.isInterstate || !!inv.placeOfSupply?.isInterstate;
 
     // B2B Invoices (clients with GSTIN)
     const b2bInvoices = invoices.filter((inv) => inv.client && inv.client.gstin);
     
-    // B2C Large (invoice > 2.5 lakhs, interstate)
-    const b2cLarge = invoices.filter(
-      (inv) =>
-        (!inv.client || !inv.client.gstin) &&
-        inv.totalAmount > 250000 &&
-        inv.igst > 0
-    );
-
-    // B2C Small (all other B2C)
+    // B2C Large (interstate, above the B2CL limit in force on the invoice date)
+    const isB2CLarge = (inv) =>
+      (!inv.client || !inv.client.gstin) &&
+      isInterstate(inv) &&
+      inv.totalAmount > getB2CLThreshold(inv.invoiceDate);
+    const b2cLarge = invoices.filter(isB2CLarge);
+
+    // B2C Small (all other B2C), by place of supply
     const b2cSmall = invoices.filter(
-      (inv) =>
-        (!inv.client || !inv.client.gstin) &&
-        (inv.totalAmount <= 250000 || inv.igst === 0)
+      (inv) => (!inv.client || !inv.client.gstin) && !isB2CLarge(inv)
     );
+    const b2cSmallByPos = {};
+    b2cSmall.forEach((inv) => {
+      const pos = placeOfSupplyOf(inv) || 'N/A';
+      if (!b2cSmallByPos[pos]) {
+        b2cSmallByPos[pos] = { type: 'OE', placeOfSupply: pos, taxableValue: 0, cgst: 0, sgst: 0, igst: 0, cess: 0 };
+      }
+      const row = b2cSmallByPos[pos];
+      row.taxableValue += (inv.subtotal || 0) - (inv.discountAmount || 0);
+      row.cgst += inv.cgst || 0;
+      row.sgst += inv.sgst || 0;
+      row.igst += inv.igst || 0;
+      row.cess += inv.cess || 0;
+    });
 
     // Calculate totals
     const totalInvoices = invoices.length;
@@ -57,7 +189,8 @@ router.get('/gstr1', async (req, res) => {
     const totalCGST = invoices.reduce((sum, inv) => sum + (inv.cgst || 0), 0);
     const totalSGST = invoices.reduce((sum, inv) => sum + (inv.sgst || 0), 0);
     const totalIGST = invoices.reduce((sum, inv) => sum + (inv.igst || 0), 0);
-    const totalTax = totalCGST + totalSGST + totalIGST;
+    const totalCess = invoices.reduce((sum, inv) => sum + (inv.cess || 0), 0);
+    const totalTax = totalCGST + totalSGST + totalIGST + totalCess;
     const totalInvoiceValue = invoices.reduce((sum, inv) => sum + inv.totalAmount, 0);
 
     // HSN Summary for GSTR-1
@@ -76,6 +209,7 @@ router.get('/gstr1', async (req, res) => {
             cgst: 0,
             sgst: 0,
             igst: 0,
+            cess: 0,
             rate: item.gstRate,
           };
         }
@@ -91,20 +225,23 @@ router.get('/gstr1', async (req, res) => {
           hsnSummary[hsn].cgst += itemTax / 2;
           hsnSummary[hsn].sgst += itemTax / 2;
         }
+        hsnSummary[hsn].cess += item.cess || 0;
       });
     });
 
     res.json({
       period: { month: parseInt(month), year: parseInt(year) },
-      gstin: organization.gstin,
+      gstin: scope.gstin || organization.gstin,
+      consolidated: !scope.gstin,
       legalName: organization.companyName,
-      tradeName: organization.companyName,
+      tradeName: registration?.tradeName || organization.companyName,
       summary: {
         totalInvoices,
         totalTaxableValue: parseFloat(totalTaxableValue.toFixed(2)),
         totalCGST: parseFloat(totalCGST.toFixed(2)),
         totalSGST: parseFloat(totalSGST.toFixed(2)),
         totalIGST: parseFloat(totalIGST.toFixed(2)),
+        totalCess: parseFloat(totalCess.toFixed(2)),
         totalTax: parseFloat(totalTax.toFixed(2)),
         totalInvoiceValue: parseFloat(totalInvoiceValue.toFixed(2)),
       },
@@ -113,26 +250,32 @@ router.get('/gstr1', async (req, res) => {
         invoiceDate: inv.invoiceDate,
         recipientGSTIN: inv.client.gstin,
         recipientName: inv.client.companyName,
+        supplierGSTIN: getDocumentGSTIN(inv.gstinUsed, organization),
+        isStockTransfer: inv.isStockTransfer || false,
         invoiceValue: inv.totalAmount,
         taxableValue: inv.subtotal - (inv.discountAmount || 0),
         cgst: inv.cgst || 0,
         sgst: inv.sgst || 0,
         igst: inv.igst || 0,
+        cess: inv.cess || 0,
       })),
       b2cl: b2cLarge.map((inv) => ({
         invoiceNumber: inv.invoiceNumber,
         invoiceDate: inv.invoiceDate,
         invoiceValue: inv.totalAmount,
-        placeOfSupply: inv.client?.stateCode || 'N/A',
+        placeOfSupply: placeOfSupplyOf(inv) || 'N/A',
         igst: inv.igst || 0,
+        cess: inv.cess || 0,
+      })),
+      // Other than exports, one row per place of supply
+      b2cs: Object.values(b2cSmallByPos).map((row) => ({
+        ...row,
+        taxableValue: parseFloat(row.taxableValue.toFixed(2)),
+        cgst: parseFloat(row.cgst.toFixed(2)),
+        sgst: parseFloat(row.sgst.toFixed(2)),
+        igst: parseFloat(row.igst.toFixed(2)),
+        cess: parseFloat(row.cess.toFixed(2)),
       })),
-      b2cs: {
-        type: 'OE', // Other than exports
-        placeOfSupply: organization.gstinStateCode || '33',
-        taxableValue: b2cSmall.reduce((sum, inv) => sum + (inv.subtotal || 0), 0),
-        cgst: b2cSmall.reduce((sum, inv) => sum + (inv.cgst || 0), 0),
-        sgst: b2cSmall.reduce((sum, inv) => sum + (inv.sgst || 0), 0),
-      },
       hsn: Object.values(hsnSummary).map((item) => ({
         ...item,
         totalValue: parseFloat(item.totalValue.toFixed(2)),
@@ -140,7 +283,17 @@ router.get('/gstr1', async (req, res) => {
         cgst: parseFloat(item.cgst.toFixed(2)),
         sgst: parseFloat(item.sgst.toFixed(2)),
         igst: parseFloat(item.igst.toFixed(2)),
+        cess: parseFloat(item.cess.toFixed(2)),
       })),
+      stockTransfers: summarizeStockTransfers(invoices),
+      byGstin: scope.gstin
+        ? undefined
+        : groupByGSTIN(invoices, scope, organization).map((group) => ({
+            gstin: group.gstin,
+            tradeName: group.registration?.tradeName,
+            ...sumInvoiceTax(group.invoices),
+            stockTransfers: summarizeStockTransfers(group.invoices),
+          })),
     });
   } catch (error) {
     console.error('Error generating GSTR-1:', error);
@@ -148,95 +301,164 @@ router.get('/gstr1', async (req, res) => {
   }
 });
 
-// GSTR-3B Report (Monthly Summary)
-router.get('/gstr3b', async (req, res) => {
+// GSTR-1 JSON export (GSTN offline-tool schema)
+router.get('/gstr1/export', rejectComposition, async (req, res) => {
   try {
     const organizationId = req.user.organizationId;
-    const { month, year } = req.query;
+    const { month, year, gstin } = req.query;
 
-    if (!month || !year) {
-      return res.status(400).json({ error: 'Month and year are required' });
+    const periodError = getReturnPeriodError(month, year);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
     }
 
-    const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
-    const endDate = new Date(parseInt(year), parseInt(month), 0, 23, 59, 59);
+    const { json, errors, warnings, summary } = await buildGSTR1({
+      organizationId,
+      month,
+      year,
+      gstin,
+    });
 
-    const invoices = await Invoice.find({
-      organization: organizationId,
-      invoiceDate: { $gte: startDate, $lte: endDate },
-    }).populate('client');
+    // The portal rejects the whole file on any schema error, so refuse early
+    if (errors.length > 0) {
+      return res.status(422).json({
+        error: `GSTR-1 has ${errors.length} validation error(s). Fix them before exporting.`,
+        errors,
+        warnings,
+        summary,
+      });
+    }
+
+    const filename = `GSTR1_${json.gstin}_${json.fp}.json`;
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(JSON.stringify(json, null, 2));
+  } catch (error) {
+    console.error('Error exporting GSTR-1 JSON:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Original invoices behind the credit/debit notes of a GSTR-1 period
+router.get('/gstr1/note-references', rejectComposition, async (req, res) => {
+  try {
+    const { month, year, gstin } = req.query;
+
+    const periodError = getReturnPeriodError(month, year);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+
+    const { references, summary } = await buildGSTR1({
+      organizationId: req.user.organizationId,
+      month,
+      year,
+      gstin,
+    });
+
+    res.json({ gstin: summary.gstin, fp: summary.fp, references });
+  } catch (error) {
+    console.error('Error fetching GSTR-1 note references:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GSTR-3B Report (Monthly Summary)
+router.get('/gstr3b', rejectComposition, async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { month, year, gstin } = req.query;
+
+    const periodError = getReturnPeriodError(month, year);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
 
     const organization = await Organization.findById(organizationId);
+    const scope = resolveGSTINScope(organization, gstin);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
 
-    // 3.1 - Outward taxable supplies
-    const outwardTaxable = invoices.filter((inv) => inv.totalTax > 0);
-    const outwardTaxableValue = outwardTaxable.reduce(
-      (sum, inv) => sum + (inv.subtotal - (inv.discountAmount || 0)),
-      0
-    );
-    const outwardCGST = outwardTaxable.reduce((sum, inv) => sum + (inv.cgst || 0), 0);
-    const outwardSGST = outwardTaxable.reduce((sum, inv) => sum + (inv.sgst || 0), 0);
-    const outwardIGST = outwardTaxable.reduce((sum, inv) => sum + (inv.igst || 0), 0);
-
-    // 3.2 - Inter-state supplies
-    const interStateSupplies = invoices.filter((inv) => inv.igst > 0);
-    const interStateValue = interStateSupplies.reduce((sum, inv) => sum + inv.totalAmount, 0);
-    const interStateIGST = interStateSupplies.reduce((sum, inv) => sum + inv.igst, 0);
-
-    // 4 - Eligible ITC (Input Tax Credit)
-    // Note: This would require purchase/expense data which we don't have yet
-    // For now, returning zero values
-    const itcAvailable = {
-      imports: { cgst: 0, sgst: 0, igst: 0, cess: 0 },
-      capitalGoods: { cgst: 0, sgst: 0, igst: 0, cess: 0 },
-      inputServiceDistributor: { cgst: 0, sgst: 0, igst: 0, cess: 0 },
-      all: { cgst: 0, sgst: 0, igst: 0, cess: 0 },
-    };
-
-    // 5 - Interest and late fee
-    const interestAndLateFee = {
-      cgst: 0,
-      sgst: 0,
-      igst: 0,
-      cess: 0,
-    };
+    let report;
+    if (!scope.gstin && scope.registrations.length > 0) {
+      const reports = [];
+      for (const r of scope.registrations) {
+        reports.push(await buildGSTR3B({ organizationId, month, year, gstin: r.gstin }));
+      }
+      report = consolidateGSTR3B(reports);
+    } else {
+      report = await buildGSTR3B({ organizationId, month, year, gstin: scope.gstin });
+    }
+    const outward = report['3.1'].a_outwardTaxable;
+    const netITC = report['4'].C;
+    const cash = report.totals.cashPayable;
 
     res.json({
       period: { month: parseInt(month), year: parseInt(year) },
-      gstin: organization.gstin,
-      legalName: organization.companyName,
-      
+      gstin: report.gstin,
+      legalName: report.legalName,
+
+      // Full table set (3.1, 3.2, 4A-4D, 5, 6.1)
+      tables: {
+        '3.1': report['3.1'],
+        '3.2': report['3.2'],
+        '4': report['4'],
+        '5': report['5'],
+        '6.1': report['6.1'],
+      },
+
+      // Rule 37 / Rule 42-43 reversals behind 4B and 4D
+      itcLedger: report.itcLedger,
+
       // 3.1 - Outward taxable supplies
       outwardSupplies: {
-        taxableValue: parseFloat(outwardTaxableValue.toFixed(2)),
-        cgst: parseFloat(outwardCGST.toFixed(2)),
-        sgst: parseFloat(outwardSGST.toFixed(2)),
-        igst: parseFloat(outwardIGST.toFixed(2)),
-        cess: 0,
+        taxableValue: outward.txval,
+        cgst: outward.cgst,
+        sgst: outward.sgst,
+        igst: outward.igst,
+        cess: outward.cess,
       },
-      
+
       // 3.2 - Inter-state supplies
       interStateSupplies: {
-        taxableValue: parseFloat(interStateValue.toFixed(2)),
-        igst: parseFloat(interStateIGST.toFixed(2)),
+        taxableValue: parseFloat(
+          report['3.2'].unregistered.reduce((sum, row) => sum + row.txval, 0).toFixed(2)
+        ),
+        igst: parseFloat(
+          report['3.2'].unregistered.reduce((sum, row) => sum + row.igst, 0).toFixed(2)
+        ),
       },
-      
+
       // 4 - Eligible ITC
-      itc: itcAvailable,
-      
+      itc: {
+        imports: report['4'].A[1],
+        importServices: report['4'].A[2],
+        reverseCharge: report['4'].A[3],
+        inputServiceDistributor: report['4'].A[4],
+        all: netITC,
+      },
+
       // 5 - Interest and late fee
-      interestAndLateFee,
-      
-      // Net tax liability
-      taxPayable: {
-        cgst: parseFloat((outwardCGST - itcAvailable.all.cgst).toFixed(2)),
-        sgst: parseFloat((outwardSGST - itcAvailable.all.sgst).toFixed(2)),
-        igst: parseFloat((outwardIGST - itcAvailable.all.igst).toFixed(2)),
+      interestAndLateFee: {
+        cgst: 0,
+        sgst: 0,
+        igst: 0,
         cess: 0,
-        totalTax: parseFloat(
-          (outwardCGST + outwardSGST + outwardIGST - itcAvailable.all.cgst - itcAvailable.all.sgst - itcAvailable.all.igst).toFixed(2)
-        ),
       },
+
+      // Net tax liability (cash, after set-off and RCM)
+      taxPayable: {
+        cgst: cash.cgst,
+        sgst: cash.sgst,
+        igst: cash.igst,
+        cess: cash.cess,
+        totalTax: parseFloat((cash.cgst + cash.sgst + cash.igst + cash.cess).toFixed(2)),
+      },
+
+      // Per-registration totals of a consolidated return
+      byGstin: report.byGstin,
     });
   } catch (error) {
     console.error('Error generating GSTR-3B:', error);
@@ -244,11 +466,147 @@ router.get('/gstr3b', async (req, res) => {
   }
 });
 
+// GSTR-9 annual return workbook for one registration
+router.get('/gstr9', rejectComposition, async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { financialYear, gstin, filingDate } = req.query;
+
+    try {
+      getFinancialYearRange(financialYear);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (filingDate && isNaN(new Date(filingDate).getTime())) {
+      return res.status(400).json({ error: 'Invalid filing date' });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const scope = resolveGSTINScope(organization, gstin);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
+    // GSTR-9 is not consolidated, so an organization with several registrations names one
+    if (!scope.gstin && scope.registrations.length > 1) {
+      return res.status(400).json({ error: 'GSTR-9 is filed per registration; choose a GSTIN' });
+    }
+
+    const report = await buildGSTR9({
+      organizationId,
+      financialYear,
+      gstin: scope.gstin,
+      filingDate,
+    });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error generating GSTR-9:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// HSN-wise summary (HSN + rate) of a set of invoices
+const buildHSNSummary = (invoices) => {
+  const hsnSummary = {};
+  
+  invoices.forEach((invoice) => {
+    invoice.items.forEach((item) => {
+      const hsn = item.hsnSacCode || 'UNCLASSIFIED';
+      const gstRate = item.gstRate || 0;
+      const key = `${hsn}_${gstRate}`;
+
+      if (!hsnSummary[key]) {
+        hsnSummary[key] = {
+          hsnCode: hsn,
+          description: item.description,
+          uqc: item.unit,
+          gstRate: gstRate,
+          totalQuantity: 0,
+          totalValue: 0,
+          taxableValue: 0,
+          cgst: 0,
+          sgst: 0,
+          igst: 0,
+          cess: 0,
+        };
+      }
+
+      hsnSummary[key].totalQuantity += item.quantity;
+      hsnSummary[key].totalValue += item.amount;
+      hsnSummary[key].taxableValue += item.amount;
+
+      // Calculate tax
+      const itemTax = (item.amount * gstRate) / 100;
+      if (invoice.igst > 0) {
+        // Interstate
+        hsnSummary[key].igst += itemTax;
+      } else {
+        // Intrastate
+        hsnSummary[key].cgst += itemTax / 2;
+        hsnSummary[key].sgst += itemTax / 2;
+      }
+
+      // Cess is stored per line (ad valorem and/or specific)
+      hsnSummary[key].cess += item.cess || 0;
+    });
+  });
+
+  // Convert to array and sort by HSN code
+  const summary = Object.values(hsnSummary)
+    .map((item) => ({
+      ...item,
+      totalValue: parseFloat(item.totalValue.toFixed(2)),
+      taxableValue: parseFloat(item.taxableValue.toFixed(2)),
+      cgst: parseFloat(item.cgst.toFixed(2)),
+      sgst: parseFloat(item.sgst.toFixed(2)),
+      igst: parseFloat(item.igst.toFixed(2)),
+      cess: parseFloat(item.cess.toFixed(2)),
+      totalTax: parseFloat((item.cgst + item.sgst + item.igst + item.cess).toFixed(2)),
+    }))
+    .sort((a, b) => {
+      if (a.hsnCode === 'UNCLASSIFIED') return 1;
+      if (b.hsnCode === 'UNCLASSIFIED') return -1;
+      return a.hsnCode.localeCompare(b.hsnCode);
+    });
+
+  // Calculate totals
+  const totals = {
+    totalQuantity: summary.reduce((sum, item) => sum + item.totalQuantity, 0),
+    totalValue: summary.reduce((sum, item) => sum + item.totalValue, 0),
+    taxableValue: summary.reduce((sum, item) => sum + item.taxableValue, 0),
+    cgst: summary.reduce((sum, item) => sum + item.cgst, 0),
+    sgst: summary.reduce((sum, item) => sum + item.sgst, 0),
+    igst: summary.reduce((sum, item) => sum + item.igst, 0),
+    cess: summary.reduce((sum, item) => sum + item.cess, 0),
+    totalTax: summary.reduce((sum, item) => sum + item.totalTax, 0),
+  };
+
+  return {
+    summary,
+    totals: {
+      ...totals,
+      totalValue: parseFloat(totals.totalValue.toFixed(2)),
+      taxableValue: parseFloat(totals.taxableValue.toFixed(2)),
+      cgst: parseFloat(totals.cgst.toFixed(2)),
+      sgst: parseFloat(totals.sgst.toFixed(2)),
+      igst: parseFloat(totals.igst.toFixed(2)),
+      cess: parseFloat(totals.cess.toFixed(2)),
+      totalTax: parseFloat(totals.totalTax.toFixed(2)),
+    },
+  };
+};
+
 // HSN Summary Report
 router.get('/hsn-summary', async (req, res) => {
   try {
     const organizationId = req.user.organizationId;
-    const { month, year, startDate, endDate } = req.query;
+    const { month, year, startDate, endDate, gstin } = req.query;
+
+    const organization = await Organization.findById(organizationId);
+    const scope = resolveGSTINScope(organization, gstin);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
 
     let dateFilter = {};
     
@@ -262,93 +620,32 @@ router.get('/hsn-summary', async (req, res) => {
       };
     }
 
-    const invoices = await Invoice.find({
-      organization: organizationId,
-      ...dateFilter,
-    });
-
-    // Build HSN summary
-    const hsnSummary = {};
-    
-    invoices.forEach((invoice) => {
-      invoice.items.forEach((item) => {
-        const hsn = item.hsnSacCode || 'UNCLASSIFIED';
-        const gstRate = item.gstRate || 0;
-        const key = `${hsn}_${gstRate}`;
-
-        if (!hsnSummary[key]) {
-          hsnSummary[key] = {
-            hsnCode: hsn,
-            description: item.description,
-            uqc: item.unit,
-            gstRate: gstRate,
-            totalQuantity: 0,
-            totalValue: 0,
-            taxableValue: 0,
-            cgst: 0,
-            sgst: 0,
-            igst: 0,
-          };
-        }
-
-        hsnSummary[key].totalQuantity += item.quantity;
-        hsnSummary[key].totalValue += item.amount;
-        hsnSummary[key].taxableValue += item.amount;
-
-        // Calculate tax
-        const itemTax = (item.amount * gstRate) / 100;
-        if (invoice.igst > 0) {
-          // Interstate
-          hsnSummary[key].igst += itemTax;
-        } else {
-          // Intrastate
-          hsnSummary[key].cgst += itemTax / 2;
-          hsnSummary[key].sgst += itemTax / 2;
-        }
-      });
-    });
-
-    // Convert to array and sort by HSN code
-    const summary = Object.values(hsnSummary)
-      .map((item) => ({
-        ...item,
-        totalValue: parseFloat(item.totalValue.toFixed(2)),
-        taxableValue: parseFloat(item.taxableValue.toFixed(2)),
-        cgst: parseFloat(item.cgst.toFixed(2)),
-        sgst: parseFloat(item.sgst.toFixed(2)),
-        igst: parseFloat(item.igst.toFixed(2)),
-        totalTax: parseFloat((item.cgst + item.sgst + item.igst).toFixed(2)),
-      }))
-      .sort((a, b) => {
-        if (a.hsnCode === 'UNCLASSIFIED') return 1;
-        if (b.hsnCode === 'UNCLASSIFIED') return -1;
-        return a.hsnCode.localeCompare(b.hsnCode);
-      });
-
-    // Calculate totals
-    const totals = {
-      totalQuantity: summary.reduce((sum, item) => sum + item.totalQuantity, 0),
-      totalValue: summary.reduce((sum, item) => sum + item.totalValue, 0),
-      taxableValue: summary.reduce((sum, item) => sum + item.taxableValue, 0),
-      cgst: summary.reduce((sum, item) => sum + item.cgst, 0),
-      sgst: summary.reduce((sum, item) => sum + item.sgst, 0),
-      igst: summary.reduce((sum, item) => sum + item.igst, 0),
-      totalTax: summary.reduce((sum, item) => sum + item.totalTax, 0),
-    };
+    const invoices = filterByGSTIN(
+      (
+        await Invoice.find({
+          organization: organizationId,
+          ...dateFilter,
+          status: { $nin: ['DRAFT', 'CANCELLED'] },
+        })
+      ).map(toINRDocument),
+      scope,
+      organization
+    );
+    const { summary, totals } = buildHSNSummary(invoices);
 
     res.json({
       period: month && year ? { month: parseInt(month), year: parseInt(year) } : null,
       dateRange: startDate && endDate ? { startDate, endDate } : null,
+      gstin: scope.gstin,
       summary,
-      totals: {
-        ...totals,
-        totalValue: parseFloat(totals.totalValue.toFixed(2)),
-        taxableValue: parseFloat(totals.taxableValue.toFixed(2)),
-        cgst: parseFloat(totals.cgst.toFixed(2)),
-        sgst: parseFloat(totals.sgst.toFixed(2)),
-        igst: parseFloat(totals.igst.toFixed(2)),
-        totalTax: parseFloat(totals.totalTax.toFixed(2)),
-      },
+      totals,
+      byGstin: scope.gstin
+        ? undefined
+        : groupByGSTIN(invoices, scope, organization).map((group) => ({
+            gstin: group.gstin,
+            tradeName: group.registration?.tradeName,
+            ...buildHSNSummary(group.invoices),
+          })),
     });
   } catch (error) {
     console.error('Error generating HSN summary:', error);
@@ -360,9 +657,15 @@ router.get('/hsn-summary', async (req, res) => {
 router.get('/tax-liability', async (req, res) => {
   try {
     const organizationId = req.user.organizationId;
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, gstin } = req.query;
 
-    const filter = { organization: organizationId };
+    const organization = await Organization.findById(organizationId);
+    const scope = resolveGSTINScope(organization, gstin);
+    if (scope.error) {
+      return res.status(400).json({ error: scope.error });
+    }
+
+    const filter = { organization: organizationId, status: { $nin: ['DRAFT', 'CANCELLED'] } };
     
     if (startDate || endDate) {
       filter.invoiceDate = {};
@@ -370,11 +673,16 @@ router.get('/tax-liability', async (req, res) => {
       if (endDate) filter.invoiceDate.$lte = new Date(endDate);
     }
 
-    const invoices = await Invoice.find(filter);
+    const invoices = filterByGSTIN(
+      (await Invoice.find(filter)).map(toINRDocument),
+      scope,
+      organization
+    );
 
     const totalCGST = invoices.reduce((sum, inv) => sum + (inv.cgst || 0), 0);
     const totalSGST = invoices.reduce((sum, inv) => sum + (inv.sgst || 0), 0);
     const totalIGST = invoices.reduce((sum, inv) => sum + (inv.igst || 0), 0);
+    const totalCess = invoices.reduce((sum, inv) => sum + (inv.cess || 0), 0);
     const totalTDS = invoices.reduce((sum, inv) => sum + (inv.tdsAmount || 0), 0);
 
     res.json({
@@ -383,10 +691,23 @@ router.get('/tax-liability', async (req, res) => {
         cgst: parseFloat(totalCGST.toFixed(2)),
         sgst: parseFloat(totalSGST.toFixed(2)),
         igst: parseFloat(totalIGST.toFixed(2)),
+        cess: parseFloat(totalCess.toFixed(2)),
         totalGST: parseFloat((totalCGST + totalSGST + totalIGST).toFixed(2)),
         tds: parseFloat(totalTDS.toFixed(2)),
-        netPayable: parseFloat((totalCGST + totalSGST + totalIGST - totalTDS).toFixed(2)),
+        netPayable: parseFloat((totalCGST + totalSGST + totalIGST + totalCess - totalTDS).toFixed(2)),
       },
+      gstin: scope.gstin,
+      stockTransfers: summarizeStockTransfers(invoices),
+      byGstin: scope.gstin
+        ? undefined
+        : groupByGSTIN(invoices, scope, organization).map((group) => ({
+            gstin: group.gstin,
+            tradeName: group.registration?.tradeName,
+            ...sumInvoiceTax(group.invoices),
+            tds: parseFloat(
+              group.invoices.reduce((sum, inv) => sum + (inv.tdsAmount || 0), 0).toFixed(2)
+            ),
+          })),
     });
   } catch (error) {
     console.error('Error calculating tax liability:', error);
@@ -394,4 +715,37 @@ router.get('/tax-liability', async (req, res) => {
   }
 });
 
+// CMP-08 quarterly statement (composition taxpayers)
+router.get('/cmp-08', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { financialYear, quarter, gstin } = req.query;
+
+    if (!financialYear || !quarter) {
+      return res.status(400).json({ error: 'Financial year and quarter are required' });
+    }
+
+    const organization = await Organization.findById(organizationId).select(
+      'registrationType compositionCategory'
+    );
+    if (!isCompositionOrganization(organization)) {
+      return res.status(400).json({ error: 'CMP-08 is filed by composition taxpayers only' });
+    }
+    if (!organization.compositionCategory) {
+      return res.status(400).json({ error: 'Set the composition category before preparing CMP-08' });
+    }
+    try {
+      getCompositionQuarter(financialYear, quarter);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const report = await buildCMP08({ organizationId, financialYear, quarter, gstin });
+    res.json(report);
+  } catch (error) {
+    console.error('Error generating CMP-08:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,278 @@
+// ============================================
+// FILE: server/routes/gstr2b.js
+// GSTR-2B Import & Purchase Reconciliation Routes
+// ============================================
+
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import { protect } from '../middleware/auth.js';
+import Organization from '../models/Organization.js';
+import GSTR2BReconciliation from '../models/GSTR2BReconciliation.js';
+import { resolveReturnGSTIN } from '../services/gstr1Service.js';
+import { parseGSTR2B, reconcileGSTR2B } from '../services/gstr2bService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Configure multer for 2B JSON uploads
+const upload = multer({
+  dest: 'uploads/temp/',
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JSON files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB max
+  },
+});
+
+const DECISIONS = ['PENDING', 'ACCEPTED', 'DEFERRED'];
+
+// Import a GSTR-2B JSON (file upload or JSON body) and reconcile
+router.post('/import', upload.single('file'), async (req, res) => {
+  let payload;
+  try {
+    if (req.file) {
+      payload = JSON.parse(fs.readFileSync(req.file.path, 'utf8'));
+    } else if (req.body && req.body.data) {
+      payload = req.body;
+    } else {
+      return res.status(400).json({ error: 'No GSTR-2B file uploaded' });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: 'GSTR-2B file is not valid JSON' });
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+
+  try {
+    const organization = await Organization.findById(req.user.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseGSTR2B(payload);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Period and GSTIN come from the file unless overridden
+    const period = parsed.period || req.body.period;
+    if (!period || !/^\d{6}$/.test(period)) {
+      return res.status(400).json({ error: 'Return period (MMYYYY) could not be determined' });
+    }
+    const month = parseInt(period.slice(0, 2));
+    const year = parseInt(period.slice(2));
+
+    const gstin = resolveReturnGSTIN(organization, parsed.gstin || req.body.gstin);
+    const registered = [
+      organization.gstin,
+      ...(organization.gstinEntries || []).map((entry) => entry.gstin),
+    ].filter(Boolean);
+    if (!gstin || !registered.includes(gstin)) {
+      return res.status(400).json({
+        error: `GSTIN ${parsed.gstin || gstin || ''} is not registered for this organization`,
+      });
+    }
+
+    const tolerance = {};
+    if (req.body.toleranceAmount !== undefined) tolerance.amount = parseFloat(req.body.toleranceAmount);
+    if (req.body.toleranceDays !== undefined) tolerance.days = parseInt(req.body.toleranceDays);
+
+    const reconciliation = await reconcileGSTR2B({
+      organization,
+      gstin,
+      month,
+      year,
+      documents: parsed.documents,
+      generationDate: parsed.generationDate,
+      sourceFileName: req.file?.originalname,
+      tolerance: Object.keys(tolerance).length ? tolerance : null,
+      userId: req.user.id,
+    });
+
+    console.log(`✅ GSTR-2B ${gstin}/${period} imported: ${parsed.documents.length} documents`);
+
+    res.status(201).json(reconciliation);
+  } catch (error) {
+    console.error('Error importing GSTR-2B:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List reconciliations
+router.get('/', async (req, res) => {
+  try {
+    const { gstin, year } = req.query;
+    const query = { organization: req.user.organizationId };
+    if (gstin) query.gstin = gstin.toUpperCase();
+    if (year) query.year = parseInt(year);
+
+    const reconciliations = await GSTR2BReconciliation.find(query)
+      .select('-lines')
+      .populate('importedBy', 'name email')
+      .sort({ year: -1, month: -1 });
+
+    res.json(reconciliations);
+  } catch (error) {
+    console.error('Error fetching GSTR-2B reconciliations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a reconciliation with its lines
+router.get('/:id', async (req, res) => {
+  try {
+    const reconciliation = await GSTR2BReconciliation.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    })
+      .populate('lines.books.purchaseInvoice', 'piNumber status')
+      .populate('lines.decidedBy', 'name email');
+
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const { status, decision } = req.query;
+    const result = reconciliation.toObject();
+    if (status) result.lines = result.lines.filter((line) => line.status === status);
+    if (decision) result.lines = result.lines.filter((line) => line.itcDecision === decision);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching GSTR-2B reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Accept or defer ITC on a single line
+router.patch('/:id/lines/:lineId/decision', async (req, res) => {
+  try {
+    const { decision, remarks } = req.body;
+    if (!DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `Decision must be one of ${DECISIONS.join(', ')}` });
+    }
+
+    const reconciliation = await GSTR2BReconciliation.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const line = reconciliation.lines.id(req.params.lineId);
+    if (!line) {
+      return res.status(404).json({ error: 'Line not found' });
+    }
+
+    line.itcDecision = decision;
+    line.remarks = remarks;
+    line.decidedBy = req.user.id;
+    line.decidedAt = new Date();
+    await reconciliation.save();
+
+    res.json(line);
+  } catch (error) {
+    console.error('Error updating ITC decision:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply one decision to several lines
+router.post('/:id/lines/bulk-decision', async (req, res) => {
+  try {
+    const { lineIds, decision, remarks } = req.body;
+    if (!Array.isArray(lineIds) || lineIds.length === 0) {
+      return res.status(400).json({ error: 'lineIds array is required' });
+    }
+    if (!DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `Decision must be one of ${DECISIONS.join(', ')}` });
+    }
+
+    const reconciliation = await GSTR2BReconciliation.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    let updated = 0;
+    lineIds.forEach((lineId) => {
+      const line = reconciliation.lines.id(lineId);
+      if (!line) return;
+      line.itcDecision = decision;
+      line.remarks = remarks;
+      line.decidedBy = req.user.id;
+      line.decidedAt = new Date();
+      updated++;
+    });
+    await reconciliation.save();
+
+    res.json({ updated, summary: reconciliation.summary });
+  } catch (error) {
+    console.error('Error updating ITC decisions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run matching after purchase invoices were added or corrected
+router.post('/:id/rematch', async (req, res) => {
+  try {
+    const existing = await GSTR2BReconciliation.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+
+    const tolerance = {};
+    if (req.body.toleranceAmount !== undefined) tolerance.amount = parseFloat(req.body.toleranceAmount);
+    if (req.body.toleranceDays !== undefined) tolerance.days = parseInt(req.body.toleranceDays);
+
+    const reconciliation = await reconcileGSTR2B({
+      organization,
+      gstin: existing.gstin,
+      month: existing.month,
+      year: existing.year,
+      tolerance: Object.keys(tolerance).length ? tolerance : null,
+    });
+
+    res.json(reconciliation);
+  } catch (error) {
+    console.error('Error re-matching GSTR-2B:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a reconciliation
+router.delete('/:id', async (req, res) => {
+  try {
+    const reconciliation = await GSTR2BReconciliation.findOneAndDelete({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    res.json({ message: 'Reconciliation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting GSTR-2B reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -5,7 +5,8 @@
 
 import express from 'express';
 import { protect } from '../middleware/auth.js';
-import HSNCode from '../models/HSNCode.js';
+import HSNCode, { GST_RATE_SLABS } from '../models/HSNCode.js';
+import { buildRateMigrationReport, importRateSchedule } from '../services/gstRateService.js';
 import multer from 'multer';
 import csv from 'csv-parser';
 import fs from 'fs';
@@ -249,6 +250,141 @@ router.get('/stats', protect, async (req, res) => {
   }
 });
 
+// Products, recurring templates and open quotations carrying outdated GST rates
+router.get('/rates/migration-report', protect, async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid asOf date' });
+    }
+
+    const report = await buildRateMigrationReport(req.user.organizationId, asOf);
+    res.json(report);
+  } catch (error) {
+    console.error('Error building rate migration report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import rate schedule entries (CSV: HSN Code, Rate, Effective From, Effective To, Notification)
+router.post('/rates/import', protect, upload.single('file'), async (req, res) => {
+  try {
+    let entries = req.body.entries;
+
+    if (req.file) {
+      entries = await new Promise((resolve, reject) => {
+        const rows = [];
+        fs.createReadStream(req.file.path)
+          .pipe(csv({
+            mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/\s+/g, '_'),
+          }))
+          .on('data', (row) => {
+            rows.push({
+              code: (row.hsn_code || row.hsn || row.code || row['hsn/sac_code'] || '').toString().trim(),
+              rate: row.gst_rate || row.rate,
+              effectiveFrom: row.effective_from || row.from,
+              effectiveTo: row.effective_to || row.to || null,
+              notification: row.notification || row.notification_no,
+              condition: row.condition,
+              description: row.description,
+            });
+          })
+          .on('end', () => resolve(rows))
+          .on('error', reject);
+      }).finally(() => fs.unlink(req.file.path, () => {}));
+    }
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({
+        error: 'No rate schedule entries found',
+        hint: 'CSV should have columns: HSN Code, Rate, Effective From, Effective To (optional), Notification (optional)',
+      });
+    }
+
+    const result = await importRateSchedule(entries);
+
+    console.log(`✅ Rate schedule import: ${result.updated} updated, ${result.created} created, ${result.errors.length} errors`);
+
+    res.json({
+      message: 'Rate schedule imported',
+      stats: {
+        total: entries.length,
+        updated: result.updated,
+        created: result.created,
+        failed: result.errors.length,
+      },
+      errors: result.errors,
+    });
+  } catch (error) {
+    console.error('Error importing rate schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rate schedule for a code, with the rates in force on ?date
+router.get('/:code/rates', protect, async (req, res) => {
+  try {
+    const hsnCode = await HSNCode.findOne({ code: req.params.code.toUpperCase() })
+      .select('code description rateSchedule defaultGstRate');
+
+    if (!hsnCode) {
+      return res.status(404).json({ error: 'HSN code not found' });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const resolved = await HSNCode.resolveRatesOn([hsnCode.code], date);
+
+    res.json({
+      code: hsnCode.code,
+      description: hsnCode.description,
+      rateSchedule: hsnCode.rateSchedule,
+      date,
+      ratesInForce: resolved.get(hsnCode.code)?.rates || [],
+      matchedCode: resolved.get(hsnCode.code)?.matchedCode || null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a dated rate to a code's schedule
+router.post('/:code/rates', protect, async (req, res) => {
+  try {
+    const { rate, effectiveFrom, effectiveTo, notification, condition } = req.body;
+
+    if (!GST_RATE_SLABS.includes(Number(rate))) {
+      return res.status(400).json({
+        error: `GST rate must be one of ${GST_RATE_SLABS.join(', ')}`,
+      });
+    }
+    if (!effectiveFrom || Number.isNaN(new Date(effectiveFrom).getTime())) {
+      return res.status(400).json({ error: 'Valid effectiveFrom date is required' });
+    }
+    if (effectiveTo && new Date(effectiveTo) < new Date(effectiveFrom)) {
+      return res.status(400).json({ error: 'effectiveTo cannot be before effectiveFrom' });
+    }
+
+    const hsnCode = await HSNCode.findOne({ code: req.params.code.toUpperCase() });
+    if (!hsnCode) {
+      return res.status(404).json({ error: 'HSN code not found' });
+    }
+
+    hsnCode.addScheduledRate({
+      rate: Number(rate),
+      effectiveFrom,
+      effectiveTo,
+      notification,
+      condition,
+    });
+    await hsnCode.save();
+
+    res.status(201).json(hsnCode);
+  } catch (error) {
+    console.error('Error adding scheduled rate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get HSN code details by code (AFTER specific routes)
 router.get('/:code', protect, async (req, res) => {
   try {
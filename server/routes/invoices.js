@@ -12,8 +12,69 @@ import Organization from "../models/Organization.js";
 import PurchaseOrder from "../models/PurchaseOrder.js";
 import GRN from "../models/GRN.js";
 import mongoose from "mongoose";
-import { calculateGSTBreakdown } from "../utils/gstCalculator.js";
-import { amountToWords } from "../utils/numberToWords.js";
+import {
+  calculateGSTBreakdown,
+  applyRateSchedule,
+} from "../utils/gstCalculator.js";
+import { resolveDocumentPlaceOfSupply } from "../utils/placeOfSupply.js";
+import {
+  resolveExportSupply,
+  resolveSupplierGstin,
+} from "../utils/exportSupply.js";
+import { resolveStockTransfer } from "../utils/stockTransfer.js";
+import {
+  isCompositionOrganization,
+  validateCompositionSupply,
+} from "../utils/compositionScheme.js";
+import {
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  generateEInvoice,
+  cancelEInvoice,
+} from "../services/einvoiceService.js";
+import {
+  buildEWayBillPayload,
+  validateEWayBillPayload,
+  isEWayBillRequired,
+  generateEWayBill,
+  updateEWayBillPartB,
+  extendEWayBill,
+  cancelEWayBill,
+} from "../services/ewayBillService.js";
+import { checkPeriodLock } from "../services/periodLockService.js";
+import {
+  resolveDocumentRate,
+  applyINRValues,
+} from "../services/exchangeRateService.js";
+import { isForeignCurrency } from "../utils/currencies.js";
+import {
+  computeInvoiceTCS,
+  recordInvoiceTCS,
+} from "../services/tcsService.js";
+import {
+  getCancellationErrors,
+  cancelInvoice,
+} from "../services/invoiceCancellationService.js";
+import { getDocumentGSTIN } from "../services/gstr1Service.js";
+import {
+  recordInvoiceRevision,
+  diffInvoiceRevisions,
+  getRestoreData,
+} from "../services/invoiceRevisionService.js";
+import InvoiceRevision from "../models/InvoiceRevision.js";
+import {
+  IMPORT_COLUMNS,
+  readImportRows,
+  buildInvoiceImport,
+  describeInvoiceImport,
+  commitInvoiceImport,
+} from "../services/invoiceImportService.js";
+import {
+  SALE_INVOICE_TYPES,
+  priceInvoice,
+  createInvoice,
+} from "../services/invoiceCreationService.js";
+import multer from "multer";
 import { extractTextFromImage } from "../utils/extractTextFromImage.js";
 import crypto from "crypto";
 import uploadInvoiceAttachments from "../config/invoiceAttachmentsMulter.js";
@@ -29,6 +90,21 @@ import archiver from "archiver";
 
 const router = express.Router();
 
+// Configure multer for bulk import files
+const importUpload = multer({
+  dest: "uploads/temp/",
+  fileFilter: (req, file, cb) => {
+    if ([".csv", ".xlsx"].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV or XLSX files are allowed"));
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max
+  },
+});
+
 // ✅ FEATURE #34: Public invoice view (NO AUTH REQUIRED)
 router.get("/public/:shareToken", async (req, res) => {
   try {
@@ -264,6 +340,144 @@ router.get("/check-duplicate", async (req, res) => {
   }
 });
 
+// Preview the place of supply for an invoice being drafted
+router.post("/place-of-supply/preview", async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { clientId, items, shipTo, serviceCategory, serviceLocation, goodsMovement, selectedGstin, placeOfSupply } =
+      req.body;
+
+    const [client, organization] = await Promise.all([
+      Client.findOne({ _id: clientId, organization: organizationId }),
+      Organization.findById(organizationId),
+    ]);
+
+    if (!client) {
+      return res.status(404).json({ error: "Client not found" });
+    }
+
+    try {
+      const result = resolveDocumentPlaceOfSupply({
+        organization,
+        selectedGstin,
+        override: placeOfSupply,
+        client,
+        items: items || [],
+        shipTo,
+        serviceCategory,
+        serviceLocation,
+        goodsMovement,
+      });
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  } catch (error) {
+    console.error("Error previewing place of supply:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Column headers accepted by the bulk import, as a CSV to fill in
+router.get("/import/template", (req, res) => {
+  const headers = [
+    "Reference",
+    "Client GSTIN",
+    "Client Code",
+    "Invoice Date",
+    "Due Date",
+    "Invoice Type",
+    "Place Of Supply",
+    "Currency",
+    "Exchange Rate",
+    "PO Number",
+    "Notes",
+    "Product",
+    "HSN",
+    "Description",
+    "Quantity",
+    "Unit",
+    "Rate",
+    "GST Rate",
+    "Discount Percent",
+  ];
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", 'attachment; filename="invoice-import-template.csv"');
+  res.send(`${headers.join(",")}\n`);
+});
+
+// Bulk import from CSV/XLSX: one row per line item, grouped into invoices by Reference.
+// Returns a dry-run report; with commit=true and no errors the invoices are created in order.
+router.post("/import", importUpload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: "No import file uploaded",
+      hint: `Columns: ${Object.values(IMPORT_COLUMNS).map((headers) => headers[0]).join(", ")}`,
+    });
+  }
+
+  try {
+    const organizationId = req.user.organizationId;
+    const commit = String(req.body.commit ?? req.query.commit) === "true";
+
+    const organization = await Organization.findById(organizationId);
+    const rows = await readImportRows({
+      filePath: req.file.path,
+      originalName: req.file.originalname,
+    });
+
+    const build = await buildInvoiceImport({ organization, rows });
+    const report = describeInvoiceImport({ organization, build });
+
+    if (!commit) {
+      return res.json({ dryRun: true, ...report });
+    }
+
+    // Nothing is created unless every row of the file is valid
+    if (build.errors.length > 0) {
+      return res.status(400).json({
+        error: `Import has ${build.errors.length} error(s); fix them and upload again`,
+        dryRun: true,
+        ...report,
+      });
+    }
+
+    const result = await commitInvoiceImport({ organization, build, user: req.user });
+
+    for (const invoice of result.created) {
+      await logManualAudit({
+        entityType: "INVOICE",
+        entityId: invoice._id,
+        entityNumber: invoice.invoiceNumber,
+        action: "CREATE",
+        userId: req.user.id,
+        userName: req.user.name,
+        userEmail: req.user.email,
+        userIpAddress: req.ip,
+        description: `Invoice imported from ${req.file.originalname} (reference ${invoice.reference})`,
+        organization: organizationId,
+      });
+    }
+
+    console.log(`📥 Invoice import: ${result.created.length} of ${build.summary.valid} created`);
+
+    res.status(result.failed ? 207 : 201).json({
+      dryRun: false,
+      message: result.failed
+        ? `Created ${result.created.length} invoice(s); stopped at ${result.failed.reference}`
+        : `Created ${result.created.length} invoice(s)`,
+      ...result,
+      warnings: [...build.warnings, ...result.warnings],
+    });
+  } catch (error) {
+    console.error("Invoice import error:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    fs.unlink(req.file.path, () => {});
+  }
+});
+
 // Get single invoice
 router.get("/:id", async (req, res) => {
   try {
@@ -377,7 +591,7 @@ router.post(
       // END DOCUMENT TYPE VALIDATION
       // ====================================================
 
-      if (data.invoiceType === "TAX_INVOICE") {
+      if (SALE_INVOICE_TYPES.includes(data.invoiceType)) {
         console.log("🔍 Validating stock availability...");
 
         const stockErrors = [];
@@ -427,50 +641,179 @@ router.post(
         console.log("✅ Stock validation passed");
       }
 
-      // Generate invoice number
-      const invoiceNumber = `${organization.invoicePrefix}-${String(
-        organization.nextInvoiceNumber
-      ).padStart(4, "0")}`;
+      // Cess and POS category come from the product master unless the line sets them
+      const productIds = data.items
+        .filter(
+          (item) =>
+            item.productId &&
+            item.productId !== "custom" &&
+            ((item.cessRate === undefined && item.cessPerUnit === undefined) ||
+              item.posCategory === undefined)
+        )
+        .map((item) => item.productId);
+      if (productIds.length > 0) {
+        const masterProducts = await Product.find({ _id: { $in: productIds } }).select(
+          "type cessRate cessPerUnit posCategory"
+        );
+        const productById = new Map(masterProducts.map((p) => [p._id.toString(), p]));
+        data.items = data.items.map((item) => {
+          const product = productById.get(String(item.productId));
+          if (!product) return item;
+          const withMaster = { ...item };
+          if (item.cessRate === undefined && item.cessPerUnit === undefined) {
+            withMaster.cessRate = product.cessRate || 0;
+            withMaster.cessPerUnit = product.cessPerUnit || 0;
+          }
+          if (item.posCategory === undefined && product.type === "SERVICE") {
+            withMaster.posCategory = product.posCategory;
+          }
+          return withMaster;
+        });
+      }
 
-      // Calculate GST breakdown
-      const gstBreakdown = calculateGSTBreakdown(
-        data.items,
-        client.gstin,
-        organization.gstin
+      // Rates notified for the invoice date take precedence over entered rates
+      const rateSchedule = await applyRateSchedule(data.items, data.invoiceDate);
+      if (rateSchedule.conflicts.length > 0) {
+        return res.status(400).json({
+          error: `GST rate does not match the rate schedule for ${rateSchedule.conflicts
+            .map((c) => `${c.description} (HSN ${c.hsnSacCode}: ${c.scheduledRates.join("/")}%)`)
+            .join(", ")}`,
+          conflicts: rateSchedule.conflicts,
+        });
+      }
+      data.items = rateSchedule.items;
+      rateSchedule.adjustments.forEach((a) =>
+        console.log(`📋 ${a.description}: GST ${a.enteredRate}% → ${a.appliedRate}% (HSN ${a.matchedCode} schedule)`)
       );
 
-      // Calculate totals
-      const subtotal = gstBreakdown.items.reduce(
-        (sum, item) => sum + item.amount,
-        0
+      // Place of supply decides the CGST/SGST vs IGST split
+      let placeOfSupply;
+      try {
+        placeOfSupply = resolveDocumentPlaceOfSupply({
+          organization,
+          selectedGstin: data.selectedGstin,
+          override: data.placeOfSupply,
+          client,
+          items: data.items,
+          shipTo: data.shipTo,
+          serviceCategory: data.serviceCategory,
+          serviceLocation: data.serviceLocation,
+          goodsMovement: data.goodsMovement,
+        });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      placeOfSupply.warnings.forEach((warning) =>
+        console.warn(`⚠️ Place of supply: ${warning}`)
       );
 
-      let discountAmount = 0;
-      if (data.discountType === "PERCENTAGE") {
-        discountAmount = (subtotal * data.discountValue) / 100;
-      } else {
-        discountAmount = data.discountValue || 0;
+      // Export / SEZ / deemed export: LUT must be in force for supplies without IGST
+      const exportSupply = resolveExportSupply({
+        organization,
+        selectedGstin: data.selectedGstin,
+        client,
+        invoiceDate: data.invoiceDate,
+        supplyType: data.supplyType,
+        exportDetails: data.exportDetails,
+      });
+      if (exportSupply.errors.length > 0) {
+        return res.status(400).json({
+          error: exportSupply.errors.join("; "),
+          errors: exportSupply.errors,
+        });
+      }
+      exportSupply.warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+
+      // Document currency and the rate its INR values are reported at
+      const documentRate = await resolveDocumentRate({
+        organizationId,
+        currency: data.currency,
+        exchangeRate: data.exchangeRate,
+        date: data.invoiceDate || new Date(),
+      });
+      if (documentRate.errors.length > 0) {
+        return res.status(400).json({
+          error: documentRate.errors.join("; "),
+          errors: documentRate.errors,
+        });
+      }
+      documentRate.warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+
+      // Composition dealers issue bills of supply and collect no tax
+      const compositionErrors = validateCompositionSupply({
+        organization,
+        invoiceType: data.invoiceType,
+        placeOfSupply,
+        supplyType: exportSupply.supplyType,
+      });
+      if (compositionErrors.length > 0) {
+        return res.status(400).json({
+          error: compositionErrors.join("; "),
+          errors: compositionErrors,
+        });
       }
 
-      const taxableAmount = subtotal - discountAmount;
+      // Supplies to our own registrations in other states are taxable
+      const stockTransfer = resolveStockTransfer({
+        organization,
+        selectedGstin: data.selectedGstin,
+        client,
+      });
+      if (stockTransfer.errors.length > 0) {
+        return res.status(400).json({
+          error: stockTransfer.errors.join("; "),
+          errors: stockTransfer.errors,
+        });
+      }
 
-      let tcsAmount = 0;
-      if (data.tcsApplicable && data.tcsRate) {
-        tcsAmount = (taxableAmount * data.tcsRate) / 100;
+      // Filed periods are closed to new invoices
+      const periodLock = await checkPeriodLock({
+        req,
+        gstin: resolveSupplierGstin(organization, data.selectedGstin),
+        dates: [data.invoiceDate || new Date()],
+        entityType: "INVOICE",
+        action: "CREATE",
+      });
+      if (periodLock) {
+        return res
+          .status(periodLock.status)
+          .json({ error: periodLock.error, periodLock: periodLock.lock });
       }
 
-      const totalAmount =
-        taxableAmount +
-        gstBreakdown.totalTax +
-        tcsAmount -
-        (data.tdsAmount || 0);
-      const roundOff = Math.round(totalAmount) - totalAmount;
-      const finalTotal = Math.round(totalAmount);
+      // Calculate GST breakdown
+      const gstBreakdown = calculateGSTBreakdown(
+        data.items,
+        client.gstin,
+        organization.gstin,
+        {
+          placeOfSupply,
+          supplyType: exportSupply.supplyType,
+          billOfSupply: isCompositionOrganization(organization),
+        }
+      );
 
-      const amountInWordsText = amountToWords(finalTotal);
+      const plan = {
+        invoiceType: data.invoiceType,
+        invoiceDate: data.invoiceDate,
+        dueDate: data.dueDate,
+        gstBreakdown,
+        placeOfSupply,
+        supplyType: exportSupply.supplyType,
+        exportDetails: exportSupply.exportDetails,
+        stockTransfer,
+        documentRate,
+        discountType: data.discountType,
+        discountValue: data.discountValue,
+        tdsSection: data.tdsSection,
+        tdsRate: data.tdsRate,
+        tdsAmount: data.tdsAmount,
+        tcsSection: data.tcsSection,
+        notes: data.notes,
+      };
+      const priced = await priceInvoice({ organization, client, invoice: plan });
 
       // ✅ DECLARE invoiceItems BEFORE using it
-      const invoiceItems = data.items.map((item) => {
+      plan.items = data.items.map((item) => {
         const gstItem = gstBreakdown.items.find(
           (gst) => gst.description === item.description
         );
@@ -489,125 +832,38 @@ router.post(
         };
       });
 
-      // ✅ NOW create invoice with invoiceItems
-      const invoice = await Invoice.create({
-        invoiceNumber,
-        invoiceType: data.invoiceType,
-        client: data.clientId,
-        invoiceDate: data.invoiceDate,
-        dueDate: data.dueDate,
-
-        poNumber: data.poNumber,
-        poDate: data.poDate,
-        contractNumber: data.contractNumber,
-        salesPersonName: data.salesPersonName,
-        grnNumber: data.grnNumber,
-        preparedBy: data.preparedBy,
-        verifiedBy: data.verifiedBy,
-        items: invoiceItems, // ✅ NOW it's declared!
-
-        subtotal: parseFloat(subtotal.toFixed(2)),
-        discountType: data.discountType,
-        discountValue: data.discountValue,
-        discountAmount: parseFloat(discountAmount.toFixed(2)),
-
-        cgst: gstBreakdown.totalCGST,
-        sgst: gstBreakdown.totalSGST,
-        igst: gstBreakdown.totalIGST,
-        totalTax: gstBreakdown.totalTax,
-
-        tdsSection: data.tdsSection || null,
-        tdsRate: data.tdsRate || 0,
-        tdsAmount: data.tdsAmount || 0,
-
-        tcsApplicable: data.tcsApplicable || false,
-        tcsRate: data.tcsRate || 0,
-        tcsAmount: tcsAmount,
-
-        reverseCharge: data.reverseCharge || false,
-
-        roundOff: parseFloat(roundOff.toFixed(2)),
-        totalAmount: finalTotal,
-        amountInWords: amountInWordsText,
-        paidAmount: 0,
-        balanceAmount: finalTotal,
-        status: "PENDING",
-        notes: data.notes,
+      // Generate invoice number
+      const invoiceNumber = `${organization.invoicePrefix}-${String(
+        organization.nextInvoiceNumber
+      ).padStart(4, "0")}`;
 
-        gstCalculationMeta: {
-          clientStateCode: gstBreakdown.transactionInfo?.clientState || "N/A",
-          orgStateCode: gstBreakdown.transactionInfo?.orgState || "N/A",
-          transactionType: gstBreakdown.transactionInfo?.type,
-          isInterstate: gstBreakdown.isInterstate,
-          gstSplit: gstBreakdown.transactionInfo?.gstSplit,
-          clientState: gstBreakdown.transactionInfo?.clientState,
-          orgState: gstBreakdown.transactionInfo?.orgState,
-          calculatedAt: new Date(),
+      // Saves, records TCS, moves stock and records the CREATE revision
+      const { invoice, warnings } = await createInvoice({
+        organization,
+        client,
+        invoice: plan,
+        priced,
+        invoiceNumber,
+        fields: {
+          poNumber: data.poNumber,
+          poDate: data.poDate,
+          contractNumber: data.contractNumber,
+          salesPersonName: data.salesPersonName,
+          grnNumber: data.grnNumber,
+          preparedBy: data.preparedBy,
+          verifiedBy: data.verifiedBy,
+          reverseCharge: data.reverseCharge || false,
+          shipTo: data.shipTo,
+          serviceCategory: data.serviceCategory,
+          serviceLocation: data.serviceLocation,
+          goodsMovement: data.goodsMovement,
+          eInvoice: data.eInvoice,
+          eWayBill: data.eWayBill,
+          template: data.template || "MODERN",
         },
-
-        eInvoice: data.eInvoice,
-        eWayBill: data.eWayBill,
-        template: data.template || "MODERN",
-        organization: organizationId,
+        user: req.user,
       });
 
-      console.log(`📝 Invoice created: ${invoice.invoiceNumber}`);
-
-      // ✅ REDUCE STOCK FOR TAX_INVOICE
-      if (data.invoiceType === "TAX_INVOICE") {
-        for (const item of invoice.items) {
-          // ✅ Use productId instead of product
-          const productId = item.productId || item.product;
-
-          if (productId) {
-            try {
-              const product = await Product.findById(productId);
-              if (product && product.trackInventory) {
-                await product.reduceStock(
-                  item.quantity,
-                  `Invoice ${invoiceNumber}`,
-                  invoice._id,
-                  req.user.id,
-                  "Main Warehouse"
-                );
-                console.log(
-                  `✅ Stock reduced for ${product.name}: ${item.quantity} units`
-                );
-              }
-            } catch (stockError) {
-              console.error("Stock reduction error:", stockError);
-            }
-          }
-        }
-      }
-
-      // ✅ INCREASE STOCK FOR CREDIT_NOTE
-      if (data.invoiceType === "CREDIT_NOTE") {
-        for (const item of invoice.items) {
-          const productId = item.productId || item.product;
-
-          if (productId) {
-            try {
-              const product = await Product.findById(productId);
-              if (product && product.trackInventory) {
-                await product.increaseStock(
-                  item.quantity,
-                  `Credit Note ${invoiceNumber}`,
-                  invoice._id,
-                  req.user.id,
-                  "Main Warehouse"
-                );
-                console.log(
-                  `✅ Stock increased for ${product.name}: ${item.quantity} units`
-                );
-              }
-            } catch (stockError) {
-              console.error("Stock increase error:", stockError);
-            }
-          }
-        }
-      }
-
       // ============================================
       // ✅ THREE-WAY MATCHING (BEFORE incrementing invoice number)
       // ============================================
@@ -714,12 +970,12 @@ router.post(
         $inc: { nextInvoiceNumber: 1 },
       });
 
-      // Populate and send response
-      const populatedInvoice = await Invoice.findById(invoice._id).populate(
-        "client"
-      );
-
-      res.status(201).json(populatedInvoice);
+      // Rates replaced from the schedule are reported back to the user
+      res.status(201).json({
+        ...invoice.toJSON(),
+        rateAdjustments: rateSchedule.adjustments,
+        warnings,
+      });
     } catch (error) {
       console.error("Create invoice error:", error);
       res.status(500).json({ error: error.message });
@@ -743,7 +999,9 @@ router.post("/create-draft", auditCreate("DRAFT_INVOICE"), async (req, res) => {
     const draft = await Invoice.create({
       invoiceNumber: null, // ✅ Allow null for drafts
       draftNumber: draftNumber,
-      invoiceType: data.invoiceType || "TAX_INVOICE",
+      invoiceType:
+        data.invoiceType ||
+        (isCompositionOrganization(organization) ? "BILL_OF_SUPPLY" : "TAX_INVOICE"),
       client: data.clientId || null,
       invoiceDate: data.invoiceDate || new Date().toISOString().split("T")[0],
       dueDate: data.dueDate || null,
@@ -805,6 +1063,9 @@ router.post("/create-draft", auditCreate("DRAFT_INVOICE"), async (req, res) => {
       roundOff: 0,
       totalAmount: data.totalAmount || 0,
       amountInWords: data.amountInWords || "",
+      // Rate is fixed when the draft is finalised
+      currency: data.currency || "INR",
+      exchangeRate: data.exchangeRate || 1,
       paidAmount: 0,
       balanceAmount: data.totalAmount || 0,
       status: "DRAFT", // ✅ Mark as DRAFT status
@@ -827,6 +1088,9 @@ router.post("/create-draft", auditCreate("DRAFT_INVOICE"), async (req, res) => {
 
     console.log(`📝 Draft created: ${draft.draftNumber}`);
 
+    await draft.populate("client");
+    await recordInvoiceRevision({ invoice: draft, user: req.user, source: "CREATE" });
+
     res.status(201).json({
       _id: draft._id,
       draftNumber: draft.draftNumber,
@@ -862,7 +1126,54 @@ router.put(
         return res.status(404).json({ error: "Invoice not found" });
       }
 
+      if (invoice.status === "CANCELLED") {
+        return res
+          .status(400)
+          .json({ error: "Cancelled invoices cannot be edited" });
+      }
+
+      // Registered e-invoices are locked; corrections go through credit/debit notes
+      if (invoice.eInvoice?.status === "GENERATED") {
+        return res.status(400).json({
+          error: `Invoice has an active IRN (${invoice.eInvoice.irn}) and cannot be edited. Cancel the IRN within 24 hours or issue a credit/debit note.`,
+        });
+      }
+
+      // Invoices in a filed period are read-only; drafts only once finalised
+      const isDraft = invoice.status === "DRAFT";
+      if (!isDraft || data.status === "PENDING") {
+        const lockOrganization = await Organization.findById(organizationId);
+        const periodLock = await checkPeriodLock({
+          req,
+          gstin: isDraft
+            ? resolveSupplierGstin(lockOrganization, data.selectedGstin ?? invoice.selectedGstin)
+            : getDocumentGSTIN(invoice.gstinUsed, lockOrganization),
+          dates: isDraft
+            ? [data.invoiceDate || invoice.invoiceDate || new Date()]
+            : [invoice.invoiceDate, data.invoiceDate],
+          entityType: "INVOICE",
+          entityId: invoice._id,
+          entityNumber: invoice.invoiceNumber || invoice.draftNumber,
+          action: "UPDATE",
+        });
+        if (periodLock) {
+          return res
+            .status(periodLock.status)
+            .json({ error: periodLock.error, periodLock: periodLock.lock });
+        }
+      }
+
+      // Currency and rate are fixed once the invoice is final (INR values are stored)
+      if (invoice.status !== "DRAFT") {
+        delete data.currency;
+        delete data.exchangeRate;
+        delete data.inrTotals;
+      }
+
       // ✅ NEW: If converting DRAFT to FINAL invoice
+      let tcs = null;
+      let tcsClient = null;
+      let rateAdjustments = [];
       if (invoice.status === "DRAFT" && data.status === "PENDING") {
         const organization = await Organization.findById(organizationId);
 
@@ -874,17 +1185,112 @@ router.put(
         data.invoiceNumber = invoiceNumber;
 
         // Recalculate totals with current items
-        const { calculateGSTBreakdown } = await import(
-          "../utils/gstCalculator.js"
-        );
         const { amountToWords } = await import("../utils/numberToWords.js");
 
         const client = await Client.findById(data.clientId);
 
+        const rateSchedule = await applyRateSchedule(
+          data.items,
+          data.invoiceDate || invoice.invoiceDate
+        );
+        if (rateSchedule.conflicts.length > 0) {
+          return res.status(400).json({
+            error: `GST rate does not match the rate schedule for ${rateSchedule.conflicts
+              .map((c) => `${c.description} (HSN ${c.hsnSacCode}: ${c.scheduledRates.join("/")}%)`)
+              .join(", ")}`,
+            conflicts: rateSchedule.conflicts,
+          });
+        }
+        data.items = rateSchedule.items;
+        rateAdjustments = rateSchedule.adjustments;
+
+        let placeOfSupply;
+        try {
+          placeOfSupply = resolveDocumentPlaceOfSupply({
+            organization,
+            selectedGstin: data.selectedGstin ?? invoice.selectedGstin,
+            override: data.placeOfSupply?.overridden === false ? null : data.placeOfSupply,
+            client,
+            items: data.items,
+            shipTo: data.shipTo ?? invoice.shipTo,
+            serviceCategory: data.serviceCategory ?? invoice.serviceCategory,
+            serviceLocation: data.serviceLocation ?? invoice.serviceLocation,
+            goodsMovement: data.goodsMovement ?? invoice.goodsMovement,
+          });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        data.placeOfSupply = placeOfSupply;
+
+        const exportSupply = resolveExportSupply({
+          organization,
+          selectedGstin: data.selectedGstin ?? invoice.selectedGstin,
+          client,
+          invoiceDate: data.invoiceDate || invoice.invoiceDate,
+          supplyType: data.supplyType ?? invoice.supplyType,
+          exportDetails: data.exportDetails ?? invoice.exportDetails,
+        });
+        if (exportSupply.errors.length > 0) {
+          return res.status(400).json({
+            error: exportSupply.errors.join("; "),
+            errors: exportSupply.errors,
+          });
+        }
+        data.supplyType = exportSupply.supplyType;
+        data.exportDetails = exportSupply.exportDetails;
+
+        const compositionErrors = validateCompositionSupply({
+          organization,
+          invoiceType: data.invoiceType || invoice.invoiceType,
+          placeOfSupply,
+          supplyType: exportSupply.supplyType,
+        });
+        if (compositionErrors.length > 0) {
+          return res.status(400).json({
+            error: compositionErrors.join("; "),
+            errors: compositionErrors,
+          });
+        }
+
+        const stockTransfer = resolveStockTransfer({
+          organization,
+          selectedGstin: data.selectedGstin ?? invoice.selectedGstin,
+          client,
+        });
+        if (stockTransfer.errors.length > 0) {
+          return res.status(400).json({
+            error: stockTransfer.errors.join("; "),
+            errors: stockTransfer.errors,
+          });
+        }
+        data.isStockTransfer = stockTransfer.isStockTransfer;
+        data.stockTransfer = stockTransfer.stockTransfer;
+
+        // Rate on the invoice date unless one is entered
+        const documentRate = await resolveDocumentRate({
+          organizationId,
+          currency: data.currency ?? invoice.currency,
+          exchangeRate: data.exchangeRate,
+          date: data.invoiceDate || invoice.invoiceDate,
+        });
+        if (documentRate.errors.length > 0) {
+          return res.status(400).json({
+            error: documentRate.errors.join("; "),
+            errors: documentRate.errors,
+          });
+        }
+        data.currency = documentRate.currency;
+        data.exchangeRate = documentRate.exchangeRate;
+
         const gstBreakdown = calculateGSTBreakdown(
           data.items,
           client.gstin,
-          organization.gstin
+          organization.gstin,
+          {
+            placeOfSupply,
+            supplyType: exportSupply.supplyType,
+            billOfSupply: isCompositionOrganization(organization),
+          }
         );
 
         const subtotal = gstBreakdown.items.reduce(
@@ -901,10 +1307,26 @@ router.put(
 
         const taxableAmount = subtotal - discountAmount;
 
-        let tcsAmount = 0;
-        if (data.tcsApplicable && data.tcsRate) {
-          tcsAmount = (taxableAmount * data.tcsRate) / 100;
-        }
+        // Income-tax TCS (206C) on the invoice value including GST
+        tcs = await computeInvoiceTCS({
+          organization,
+          client,
+          invoice: {
+            invoiceType: data.invoiceType || invoice.invoiceType,
+            invoiceDate: data.invoiceDate || invoice.invoiceDate || new Date(),
+            items: gstBreakdown.items,
+            subtotal,
+            discountAmount,
+            totalTax: gstBreakdown.totalTax,
+            supplyType: exportSupply.supplyType,
+            exchangeRate: documentRate.exchangeRate,
+          },
+          section: data.tcsSection ?? invoice.tcsSection,
+          excludeInvoiceId: invoice._id,
+        });
+        const tcsAmount = parseFloat(
+          (tcs.tcsAmount / documentRate.exchangeRate).toFixed(2)
+        );
 
         const totalAmount =
           taxableAmount +
@@ -912,20 +1334,54 @@ router.put(
           tcsAmount -
           (data.tdsAmount || 0);
 
-        const roundOff = Math.round(totalAmount) - totalAmount;
-        const finalTotal = Math.round(totalAmount);
+        const finalTotal = isForeignCurrency(documentRate.currency)
+          ? parseFloat(totalAmount.toFixed(2))
+          : Math.round(totalAmount);
+        const roundOff = finalTotal - totalAmount;
+
+        // INR values per line and in total for GST reporting
+        if (isForeignCurrency(documentRate.currency)) {
+          const inrValues = applyINRValues(
+            gstBreakdown.items,
+            {
+              subtotal,
+              discountAmount,
+              cgst: gstBreakdown.totalCGST,
+              sgst: gstBreakdown.totalSGST,
+              igst: gstBreakdown.totalIGST,
+              cess: gstBreakdown.totalCess,
+              totalTax: gstBreakdown.totalTax,
+              tdsAmount: data.tdsAmount || 0,
+              tcsAmount,
+              roundOff,
+              totalAmount: finalTotal,
+            },
+            documentRate.exchangeRate
+          );
+          data.items = data.items.map((item, index) => ({
+            ...item,
+            inr: inrValues.items[index].inr,
+          }));
+          data.inrTotals = inrValues.inrTotals;
+        }
 
         data.cgst = gstBreakdown.totalCGST;
         data.sgst = gstBreakdown.totalSGST;
         data.igst = gstBreakdown.totalIGST;
+        data.cess = gstBreakdown.totalCess;
         data.totalTax = gstBreakdown.totalTax;
         data.subtotal = subtotal;
         data.discountAmount = discountAmount;
         data.roundOff = roundOff;
         data.totalAmount = finalTotal;
         data.balanceAmount = finalTotal;
-        data.amountInWords = amountToWords(finalTotal);
+        data.amountInWords = amountToWords(finalTotal, documentRate.currency);
+        data.tcsApplicable = tcsAmount > 0;
+        data.tcsSection = tcs.section;
+        data.tcsRate = tcs.rate;
+        data.tcsBaseAmount = tcs.baseAmount;
         data.tcsAmount = tcsAmount;
+        tcsClient = client;
 
         // Increment invoice number
         await Organization.findByIdAndUpdate(organizationId, {
@@ -937,7 +1393,10 @@ router.put(
 
       if (data.totalAmount) {
         const { amountToWords } = await import("../utils/numberToWords.js");
-        data.amountInWords = amountToWords(data.totalAmount);
+        data.amountInWords = amountToWords(
+          data.totalAmount,
+          data.currency || invoice.currency
+        );
       }
 
       const updatedInvoice = await Invoice.findOneAndUpdate(
@@ -950,7 +1409,20 @@ router.put(
         return res.status(404).json({ error: "Invoice not found" });
       }
 
-      res.json(updatedInvoice);
+      // TCS payable register for the finalised invoice
+      if (tcs) {
+        await recordInvoiceTCS({
+          organizationId,
+          invoice: updatedInvoice,
+          client: tcsClient,
+          computation: tcs,
+          userId: req.user.id,
+        });
+      }
+
+      await recordInvoiceRevision({ invoice: updatedInvoice, user: req.user });
+
+      res.json({ ...updatedInvoice.toJSON(), rateAdjustments });
     } catch (error) {
       console.error("Update error:", error);
       res.status(500).json({ error: error.message });
@@ -958,56 +1430,242 @@ router.put(
   }
 );
 
-// ✅ FEATURE #34: Generate/Update Share Link
-router.post("/:id/share", async (req, res) => {
+// ============================================
+// INVOICE REVISIONS
+// ============================================
+
+// Revision of an invoice in the caller's organization
+const findRevision = (invoiceId, organizationId, revisionNumber) =>
+  InvoiceRevision.findOne({
+    invoice: invoiceId,
+    organization: organizationId,
+    revisionNumber: parseInt(revisionNumber),
+  });
+
+// List revisions (without snapshots)
+router.get("/:id/revisions", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { expiresIn } = req.body;
-    const organizationId = req.user.organizationId;
+    const revisions = await InvoiceRevision.find({
+      invoice: req.params.id,
+      organization: req.user.organizationId,
+    })
+      .select("-snapshot")
+      .sort({ revisionNumber: -1 });
 
-    const invoice = await Invoice.findOne({
-      _id: id,
+    res.json(revisions);
+  } catch (error) {
+    console.error("Error fetching invoice revisions:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare two revisions: ?from=2&to=5 (defaults to the previous and latest revision)
+router.get("/:id/revisions/diff", async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const latest = await InvoiceRevision.findOne({
+      invoice: req.params.id,
       organization: organizationId,
-    });
+    })
+      .sort({ revisionNumber: -1 })
+      .select("revisionNumber");
 
-    if (!invoice) {
-      return res.status(404).json({ error: "Invoice not found" });
+    if (!latest) {
+      return res.status(404).json({ error: "Invoice has no revisions" });
     }
 
-    const shareToken = crypto.randomBytes(32).toString("hex");
-
-    let shareExpiresAt = null;
-    if (expiresIn) {
-      shareExpiresAt = new Date();
-      shareExpiresAt.setDate(shareExpiresAt.getDate() + parseInt(expiresIn));
+    const toNumber = parseInt(req.query.to) || latest.revisionNumber;
+    const fromNumber = parseInt(req.query.from) || toNumber - 1;
+    if (fromNumber < 1 || fromNumber === toNumber) {
+      return res
+        .status(400)
+        .json({ error: "Select two different revisions to compare" });
     }
 
-    invoice.shareToken = shareToken;
-    invoice.shareEnabled = true;
-    invoice.shareExpiresAt = shareExpiresAt;
-    invoice.shareViews = 0;
-
-    await invoice.save();
-
-    // ✅ NEW CODE - Use environment variable for frontend URL
-    const frontendUrl = process.env.CLIENT_URL || "http://localhost:5173";
-    const shareUrl = `${frontendUrl}/public/invoice/${shareToken}`;
+    const [from, to] = await Promise.all([
+      findRevision(req.params.id, organizationId, fromNumber),
+      findRevision(req.params.id, organizationId, toNumber),
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({
+        error: `Revision ${!from ? fromNumber : toNumber} not found`,
+      });
+    }
 
-    res.json({
-      shareToken,
-      shareUrl,
-      shareEnabled: true,
-      shareExpiresAt,
-      message: "Share link generated successfully",
-    });
+    res.json(diffInvoiceRevisions(from, to));
   } catch (error) {
-    console.error("Share link error:", error);
+    console.error("Error comparing invoice revisions:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ✅ FEATURE #34: Disable Share Link
-router.delete("/:id/share", async (req, res) => {
+router.get("/:id/revisions/:revisionNumber", async (req, res) => {
+  try {
+    const revision = await findRevision(
+      req.params.id,
+      req.user.organizationId,
+      req.params.revisionNumber
+    );
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error("Error fetching invoice revision:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PDF of the invoice as it was at a revision
+router.get("/:id/revisions/:revisionNumber/pdf", async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const revision = await findRevision(
+      req.params.id,
+      organizationId,
+      req.params.revisionNumber
+    );
+    if (!revision) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const { generateInvoicePDF } = await import("../utils/pdfGenerator.js");
+    const html = await generateInvoicePDF(revision.snapshot, organization);
+    const pdfBuffer = await renderPDF(html);
+
+    const filename = `${(revision.documentNumber || "Invoice").replace(
+      /\//g,
+      "-"
+    )} -- Revision ${revision.revisionNumber}.pdf`;
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(
+        filename
+      )}`
+    );
+    res.setHeader("Content-Length", pdfBuffer.length);
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error("Revision PDF generation error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Put a draft back to an earlier revision (saved as a new revision)
+router.post(
+  "/:id/revisions/:revisionNumber/restore",
+  auditUpdate(
+    "INVOICE",
+    Invoice,
+    (invoice) => invoice.invoiceNumber || invoice.draftNumber
+  ),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const organizationId = req.user.organizationId;
+
+      const invoice = await Invoice.findOne({
+        _id: id,
+        organization: organizationId,
+      });
+      if (!invoice) {
+        return res.status(404).json({ error: "Invoice not found" });
+      }
+      if (invoice.status !== "DRAFT") {
+        return res.status(400).json({
+          error: "Only drafts can be restored; issued invoices are corrected with credit/debit notes",
+        });
+      }
+
+      const revision = await findRevision(
+        id,
+        organizationId,
+        req.params.revisionNumber
+      );
+      if (!revision) {
+        return res.status(404).json({ error: "Revision not found" });
+      }
+
+      const restoredInvoice = await Invoice.findOneAndUpdate(
+        { _id: id, organization: organizationId },
+        getRestoreData(revision),
+        { new: true }
+      ).populate("client");
+
+      await recordInvoiceRevision({
+        invoice: restoredInvoice,
+        user: req.user,
+        source: "RESTORE",
+        restoredFrom: revision.revisionNumber,
+      });
+
+      console.log(
+        `↩️ ${restoredInvoice.draftNumber} restored to revision ${revision.revisionNumber}`
+      );
+
+      res.json(restoredInvoice);
+    } catch (error) {
+      console.error("Restore revision error:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// ✅ FEATURE #34: Generate/Update Share Link
+router.post("/:id/share", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expiresIn } = req.body;
+    const organizationId = req.user.organizationId;
+
+    const invoice = await Invoice.findOne({
+      _id: id,
+      organization: organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const shareToken = crypto.randomBytes(32).toString("hex");
+
+    let shareExpiresAt = null;
+    if (expiresIn) {
+      shareExpiresAt = new Date();
+      shareExpiresAt.setDate(shareExpiresAt.getDate() + parseInt(expiresIn));
+    }
+
+    invoice.shareToken = shareToken;
+    invoice.shareEnabled = true;
+    invoice.shareExpiresAt = shareExpiresAt;
+    invoice.shareViews = 0;
+
+    await invoice.save();
+
+    // ✅ NEW CODE - Use environment variable for frontend URL
+    const frontendUrl = process.env.CLIENT_URL || "http://localhost:5173";
+    const shareUrl = `${frontendUrl}/public/invoice/${shareToken}`;
+
+    res.json({
+      shareToken,
+      shareUrl,
+      shareEnabled: true,
+      shareExpiresAt,
+      message: "Share link generated successfully",
+    });
+  } catch (error) {
+    console.error("Share link error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ✅ FEATURE #34: Disable Share Link
+router.delete("/:id/share", async (req, res) => {
   try {
     const { id } = req.params;
     const organizationId = req.user.organizationId;
@@ -1292,6 +1950,76 @@ router.patch("/:id/filing-status", async (req, res) => {
   }
 });
 
+// Shipping bill details usually arrive after an export invoice is issued
+router.patch("/:id/export-details", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const organizationId = req.user.organizationId;
+
+    const invoice = await Invoice.findOne({
+      _id: id,
+      organization: organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    if (!invoice.supplyType || invoice.supplyType === "DOMESTIC") {
+      return res.status(400).json({ error: "Invoice is not an export, SEZ or deemed export supply" });
+    }
+
+    const organization = await Organization.findById(organizationId);
+
+    // Shipping bill and port details are part of the filed return
+    const periodLock = await checkPeriodLock({
+      req,
+      gstin: getDocumentGSTIN(invoice.gstinUsed, organization),
+      dates: [invoice.invoiceDate],
+      entityType: "INVOICE",
+      entityId: invoice._id,
+      entityNumber: invoice.invoiceNumber,
+      action: "UPDATE",
+    });
+    if (periodLock) {
+      return res
+        .status(periodLock.status)
+        .json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    const current = invoice.exportDetails?.toObject?.() || {};
+    const exportSupply = resolveExportSupply({
+      organization,
+      selectedGstin: invoice.selectedGstin,
+      client: invoice.client,
+      invoiceDate: invoice.invoiceDate,
+      supplyType: invoice.supplyType,
+      exportDetails: { ...current, ...req.body },
+      // The LUT was checked when the invoice was issued
+      requireLut: false,
+    });
+
+    if (exportSupply.errors.length > 0) {
+      return res.status(400).json({
+        error: exportSupply.errors.join("; "),
+        errors: exportSupply.errors,
+      });
+    }
+
+    invoice.exportDetails = {
+      ...exportSupply.exportDetails,
+      lutNumber: current.lutNumber,
+      lutValidTo: current.lutValidTo,
+    };
+    await invoice.save();
+
+    res.json(invoice);
+  } catch (error) {
+    console.error("Error updating export details:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ← ADD THIS NEW ROUTE
 // ✅ FEATURE #20: Update Template Settings
 router.patch("/:id/template-settings", async (req, res) => {
@@ -1354,64 +2082,11 @@ router.delete(
         return res.status(404).json({ error: "Invoice not found" });
       }
 
-      // ✅ FEATURE #40: RESTORE STOCK if TAX_INVOICE
-      if (invoice.invoiceType === "TAX_INVOICE") {
-        console.log(
-          `🔄 Restoring stock for invoice ${invoice.invoiceNumber}...`
-        );
-
-        for (const item of invoice.items) {
-          if (item.product) {
-            try {
-              const product = await Product.findById(item.product);
-              if (product && product.trackInventory) {
-                await product.increaseStock(
-                  item.quantity,
-                  `Invoice ${invoice.invoiceNumber} deleted`,
-                  invoice._id,
-                  req.user.id,
-                  "Main Warehouse"
-                );
-                console.log(
-                  `✅ Restored ${item.quantity} ${product.unit} of ${product.name}`
-                );
-              }
-            } catch (stockError) {
-              console.error("Stock restoration error:", stockError);
-              // Continue with deletion even if stock update fails
-            }
-          }
-        }
-      }
-
-      // ✅ FEATURE #40: REVERSE STOCK for CREDIT_NOTE
-      if (invoice.invoiceType === "CREDIT_NOTE") {
-        console.log(
-          `🔄 Reversing credit note stock for invoice ${invoice.invoiceNumber}...`
-        );
-
-        for (const item of invoice.items) {
-          if (item.product) {
-            try {
-              const product = await Product.findById(item.product);
-              if (product && product.trackInventory) {
-                // Reduce stock again since credit note is being deleted
-                await product.reduceStock(
-                  item.quantity,
-                  `Credit Note ${invoice.invoiceNumber} deleted`,
-                  invoice._id,
-                  req.user.id,
-                  "Main Warehouse"
-                );
-                console.log(
-                  `✅ Reversed ${item.quantity} ${product.unit} of ${product.name}`
-                );
-              }
-            } catch (stockError) {
-              console.error("Stock reversal error:", stockError);
-            }
-          }
-        }
+      // Issued invoices keep their number; they are cancelled, not deleted
+      if (invoice.status !== "DRAFT") {
+        return res.status(400).json({
+          error: `Invoice ${invoice.invoiceNumber} has been issued and cannot be deleted. Cancel it instead to keep the number in sequence.`,
+        });
       }
 
       // Delete attachments
@@ -1433,6 +2108,355 @@ router.delete(
   }
 );
 
+// Cancel an issued invoice: reverses stock, releases serials, takes receipts
+// off it and cancels the IRN / e-way bill. The number stays used.
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const { reason, reasonCode, receiptAction, refund } = req.body;
+    const organizationId = req.user.organizationId;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: "Cancellation reason is required" });
+    }
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const errors = await getCancellationErrors({
+      invoice,
+      reasonCode,
+      receiptAction,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join("; "), errors });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const periodLock = await checkPeriodLock({
+      req,
+      gstin: getDocumentGSTIN(invoice.gstinUsed, organization),
+      dates: [invoice.invoiceDate],
+      entityType: "INVOICE",
+      entityId: invoice._id,
+      entityNumber: invoice.invoiceNumber,
+      action: "CANCEL",
+    });
+    if (periodLock) {
+      return res
+        .status(periodLock.status)
+        .json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    const result = await cancelInvoice({
+      invoice,
+      organization,
+      reason: reason.trim(),
+      reasonCode,
+      receiptAction,
+      refund,
+      user: req.user,
+    });
+    if (!result.success) {
+      return res
+        .status(400)
+        .json({ error: result.errors.join("; "), errors: result.errors });
+    }
+
+    await logManualAudit({
+      entityType: "INVOICE",
+      entityId: invoice._id,
+      entityNumber: invoice.invoiceNumber,
+      action: "CANCEL",
+      userId: req.user.id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      userIpAddress: req.ip,
+      description: `Invoice cancelled: ${invoice.cancelReason}`,
+      severity: "HIGH",
+      organization: organizationId,
+    });
+    await recordInvoiceRevision({ invoice, user: req.user, source: "CANCEL" });
+
+    res.json({
+      message: `Invoice ${invoice.invoiceNumber} cancelled`,
+      invoice,
+      ...result.summary,
+    });
+  } catch (error) {
+    console.error("Invoice cancellation error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Preview and validate the e-invoice (INV-01) payload
+router.get("/:id/einvoice/payload", async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const payload = buildEInvoicePayload(invoice, organization);
+    const errors = validateEInvoicePayload(payload);
+
+    res.json({ valid: errors.length === 0, errors, payload });
+  } catch (error) {
+    console.error("E-invoice payload error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate IRN through the configured IRP provider
+router.post("/:id/einvoice", async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const result = await generateEInvoice(invoice, organization);
+
+    if (!result.success) {
+      return res.status(422).json({
+        error: "E-invoice validation failed",
+        errors: result.errors,
+      });
+    }
+
+    await logManualAudit({
+      entityType: "INVOICE",
+      entityId: invoice._id,
+      entityNumber: invoice.invoiceNumber,
+      action: "STATUS_CHANGE",
+      userId: req.user.id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      userIpAddress: req.ip,
+      description: `IRN generated: ${result.eInvoice.irn} (Ack ${result.eInvoice.ackNo})`,
+      severity: "MEDIUM",
+      organization: req.user.organizationId,
+    });
+
+    res.json({ message: "IRN generated successfully", eInvoice: result.eInvoice });
+  } catch (error) {
+    console.error("IRN generation error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Cancel IRN (allowed within 24 hours of generation)
+// Only the IRN: POST /:id/cancel cancels the invoice itself
+router.post("/:id/einvoice/cancel", async (req, res) => {
+  try {
+    const { reasonCode, remarks } = req.body;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const result = await cancelEInvoice(invoice, organization, reasonCode, remarks);
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: result.errors[0].message,
+        errors: result.errors,
+      });
+    }
+
+    await logManualAudit({
+      entityType: "INVOICE",
+      entityId: invoice._id,
+      entityNumber: invoice.invoiceNumber,
+      action: "CANCEL",
+      userId: req.user.id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      userIpAddress: req.ip,
+      description: `IRN cancelled: ${invoice.eInvoice.irn} (${invoice.eInvoice.cancelReason})`,
+      severity: "HIGH",
+      organization: req.user.organizationId,
+    });
+
+    res.json({ message: "IRN cancelled successfully", eInvoice: result.eInvoice });
+  } catch (error) {
+    console.error("IRN cancellation error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Preview and validate the e-way bill payload
+router.post("/:id/eway-bill/payload", async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const payload = buildEWayBillPayload(invoice, organization, req.body);
+    const errors = validateEWayBillPayload(payload);
+
+    res.json({
+      required: isEWayBillRequired(invoice),
+      valid: errors.length === 0,
+      errors,
+      payload,
+    });
+  } catch (error) {
+    console.error("E-way bill payload error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate e-way bill through the configured EWB provider
+router.post("/:id/eway-bill", async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    }).populate("client");
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const result = await generateEWayBill(invoice, organization, req.body);
+
+    if (!result.success) {
+      return res.status(422).json({
+        error: "E-way bill validation failed",
+        errors: result.errors,
+      });
+    }
+
+    res.json({ message: "E-way bill generated successfully", eWayBill: result.eWayBill });
+  } catch (error) {
+    console.error("E-way bill generation error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Update Part-B (vehicle / transport document)
+router.patch("/:id/eway-bill/part-b", async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const result = await updateEWayBillPartB(invoice, organization, req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.errors[0].message, errors: result.errors });
+    }
+
+    res.json({ message: "Vehicle details updated", eWayBill: result.eWayBill });
+  } catch (error) {
+    console.error("E-way bill Part-B error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Extend e-way bill validity
+router.post("/:id/eway-bill/extend", async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const result = await extendEWayBill(invoice, organization, req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.errors[0].message, errors: result.errors });
+    }
+
+    res.json({ message: "E-way bill validity extended", eWayBill: result.eWayBill });
+  } catch (error) {
+    console.error("E-way bill extension error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Cancel e-way bill (allowed within 24 hours of generation)
+router.post("/:id/eway-bill/cancel", async (req, res) => {
+  try {
+    const { reasonCode, remarks } = req.body;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const result = await cancelEWayBill(invoice, organization, reasonCode, remarks);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.errors[0].message, errors: result.errors });
+    }
+
+    await logManualAudit({
+      entityType: "INVOICE",
+      entityId: invoice._id,
+      entityNumber: invoice.invoiceNumber,
+      action: "CANCEL",
+      userId: req.user.id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      userIpAddress: req.ip,
+      description: `E-way bill cancelled: ${invoice.eWayBill.ewbNumber} (${invoice.eWayBill.cancelReason})`,
+      severity: "MEDIUM",
+      organization: req.user.organizationId,
+    });
+
+    res.json({ message: "E-way bill cancelled successfully", eWayBill: result.eWayBill });
+  } catch (error) {
+    console.error("E-way bill cancellation error:", error);
+    res.status(500).json({ error: error.message, code: error.code });
+  }
+});
+
 // Generate UPI QR Code
 router.get("/:id/upi-qr", async (req, res) => {
   try {
@@ -1475,6 +2499,24 @@ router.get("/:id/upi-qr", async (req, res) => {
   }
 });
 
+// Render invoice HTML to an A4 PDF
+const renderPDF = async (html) => {
+  const htmlPdf = await import("html-pdf-node");
+
+  const options = {
+    format: "A4",
+    printBackground: true,
+    margin: {
+      top: "10mm",
+      right: "10mm",
+      bottom: "10mm",
+      left: "10mm",
+    },
+  };
+
+  return htmlPdf.default.generatePdf({ content: html }, options);
+};
+
 // Generate and download PDF
 // In server/routes/invoices.js - Replace the /pdf route:
 
@@ -1498,22 +2540,7 @@ router.get("/:id/pdf", async (req, res) => {
     // ✅ CHANGED: Now using await because generateInvoicePDF is async
     const { generateInvoicePDF } = await import("../utils/pdfGenerator.js");
     const html = await generateInvoicePDF(invoice, organization);
-
-    const htmlPdf = await import("html-pdf-node");
-
-    const options = {
-      format: "A4",
-      printBackground: true,
-      margin: {
-        top: "10mm",
-        right: "10mm",
-        bottom: "10mm",
-        left: "10mm",
-      },
-    };
-
-    const file = { content: html };
-    const pdfBuffer = await htmlPdf.default.generatePdf(file, options);
+    const pdfBuffer = await renderPDF(html);
 
     // Generate filename
     const sanitizedCompanyName = organization.name
@@ -0,0 +1,146 @@
+// ============================================
+// FILE: server/routes/itcLedger.js
+// ITC ledger: 180-day reversals, re-claims and Rule 42/43
+// ============================================
+
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import ITCLedgerEntry, { ITC_ENTRY_TYPES } from '../models/ITCLedgerEntry.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import {
+  runPaymentWindowCheck,
+  computeCommonCreditReversal,
+  postCommonCreditReversal,
+  getPurchaseITCLedger,
+} from '../services/itcLedgerService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// List ledger entries
+router.get('/', async (req, res) => {
+  try {
+    const { period, gstin, entryType, purchaseInvoiceId } = req.query;
+
+    const filter = { organization: req.user.organizationId };
+    if (period) filter.period = period;
+    if (gstin) filter.gstin = gstin.toUpperCase().trim();
+    if (entryType && entryType !== 'ALL') {
+      if (!ITC_ENTRY_TYPES.includes(entryType)) {
+        return res.status(400).json({ error: `Entry type must be one of ${ITC_ENTRY_TYPES.join(', ')}` });
+      }
+      filter.entryType = entryType;
+    }
+    if (purchaseInvoiceId) filter.purchaseInvoice = purchaseInvoiceId;
+
+    const entries = await ITCLedgerEntry.find(filter)
+      .populate('purchaseInvoice', 'piNumber piDate vendorReferenceNumber totalAmount balanceAmount')
+      .populate('createdBy', 'name email')
+      .sort({ period: 1, createdAt: 1 });
+
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching ITC ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ITC ledger of one purchase invoice
+router.get('/purchase-invoices/:id', async (req, res) => {
+  try {
+    const pi = await PurchaseInvoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!pi) {
+      return res.status(404).json({ error: 'Purchase Invoice not found' });
+    }
+
+    const ledger = await getPurchaseITCLedger(pi);
+    res.json(ledger);
+  } catch (error) {
+    console.error('Error fetching purchase ITC ledger:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the 180-day payment check now (it also runs nightly)
+router.post('/payment-window-check', async (req, res) => {
+  try {
+    const asOf = req.body.asOf ? new Date(req.body.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const result = await runPaymentWindowCheck({
+      organizationId: req.user.organizationId,
+      asOf,
+      userId: req.user.id,
+    });
+
+    res.json({
+      message: `${result.reversals} reversal(s) and ${result.reclaims} re-claim(s) posted`,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error running ITC payment window check:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview Rule 42/43 reversals for a month
+router.get('/common-credit', async (req, res) => {
+  try {
+    const { month, year, gstin, exemptTurnover, totalTurnover } = req.query;
+
+    if (!month || !year) {
+      return res.status(400).json({ error: 'Month and year are required' });
+    }
+
+    const result = await computeCommonCreditReversal({
+      organizationId: req.user.organizationId,
+      month,
+      year,
+      gstin,
+      exemptTurnover,
+      totalTurnover,
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error computing Rule 42/43 reversal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Post Rule 42/43 reversals for a month (replaces earlier postings)
+router.post('/common-credit', async (req, res) => {
+  try {
+    const { month, year, gstin, exemptTurnover, totalTurnover } = req.body;
+
+    if (!month || !year) {
+      return res.status(400).json({ error: 'Month and year are required' });
+    }
+
+    const result = await postCommonCreditReversal(
+      {
+        organizationId: req.user.organizationId,
+        month,
+        year,
+        gstin,
+        exemptTurnover,
+        totalTurnover,
+      },
+      req.user.id
+    );
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error posting Rule 42/43 reversal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
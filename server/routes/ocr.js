@@ -67,6 +67,8 @@ router.post('/scan-document', upload.single('image'), async (req, res) => {
       description: extractedData.items?.[0]?.description || 'Scanned item',
       invoiceNumber: extractedData.invoiceNumber || '',
       gstin: extractedData.gstin || '',
+      gstinValid: extractedData.gstin ? extractedData.gstinValid : null,
+      gstinErrors: extractedData.gstinErrors || [],
       poNumber: extractedData.poNumber || '',
       dueDate: extractedData.dueDate || '',
       confidence: extractedData.confidence || 0,
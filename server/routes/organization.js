@@ -10,10 +10,27 @@ import upload from '../config/multer.js';
 import fs from 'fs';
 import path from 'path';
 import { previewInvoiceNumber } from '../utils/invoiceNumberGenerator.js';
+import { COMPOSITION_CATEGORIES, COMPOSITION_CATEGORY_KEYS } from '../utils/compositionScheme.js';
+import { validateGSTINDetails } from '../utils/gstCalculator.js';
+import { getTaxIdentityErrors } from '../utils/validators.js';
 
 const router = express.Router();
 router.use(protect);
 
+// Every registration of the organization carries its PAN
+const getOrganizationPAN = (organization, updates = {}) => {
+  const pan = updates.pan !== undefined ? updates.pan : organization?.pan;
+  if (pan) return String(pan).toUpperCase().trim();
+  const gstin = updates.gstin || organization?.gstin || organization?.gstinEntries?.[0]?.gstin;
+  return gstin ? String(gstin).toUpperCase().substring(2, 12) : null;
+};
+
+const sendTaxErrors = (res, errors) =>
+  res.status(400).json({
+    error: errors.map((e) => e.message).join('; '),
+    errors,
+  });
+
 // Get organization details
 router.get('/', async (req, res) => {
   try {
@@ -33,6 +50,27 @@ router.get('/', async (req, res) => {
 // Update organization details
 router.put('/', async (req, res) => {
   try {
+    const { gstin, pan, gstinEntries } = req.body;
+    if (gstin || pan || gstinEntries) {
+      const current = await Organization.findById(req.user.organizationId).select(
+        'gstin pan gstinEntries'
+      );
+      const orgPan = getOrganizationPAN(current, req.body);
+
+      const errors = getTaxIdentityErrors({ gstin, pan: orgPan });
+      (gstinEntries || []).forEach((entry, index) => {
+        errors.push(
+          ...validateGSTINDetails(entry?.gstin, {
+            pan: orgPan,
+            field: `gstinEntries[${index}].gstin`,
+          }).errors
+        );
+      });
+      if (errors.length > 0) {
+        return sendTaxErrors(res, errors);
+      }
+    }
+
     const organization = await Organization.findByIdAndUpdate(
       req.user.organizationId,
       { $set: req.body },
@@ -74,48 +112,28 @@ router.post('/gstins', async (req, res) => {
   try {
     const { gstin, address, city, pincode, tradeName, registrationDate } = req.body;
     
-    // Validate GSTIN format
-    const gstinRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-    if (!gstinRegex.test(gstin)) {
-      return res.status(400).json({ error: 'Invalid GSTIN format' });
-    }
-    
     const organization = await Organization.findById(req.user.organizationId);
     
     if (!organization) {
       return res.status(404).json({ error: 'Organization not found' });
     }
     
+    // Check digit, state code and the organization's PAN
+    const validation = validateGSTINDetails(gstin, { pan: getOrganizationPAN(organization) });
+    if (!validation.isValid) {
+      return sendTaxErrors(res, validation.errors);
+    }
+    const { stateCode, stateName } = validation.details;
+    
     // Check if GSTIN already exists
-    const exists = organization.gstinEntries?.some(g => g.gstin === gstin);
+    const exists = organization.gstinEntries?.some(g => g.gstin === validation.gstin);
     if (exists) {
       return res.status(400).json({ error: 'GSTIN already exists' });
     }
     
-    // Extract state code and name
-    const stateCode = gstin.substring(0, 2);
-    const stateMap = {
-      '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab',
-      '04': 'Chandigarh', '05': 'Uttarakhand', '06': 'Haryana',
-      '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
-      '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh',
-      '13': 'Nagaland', '14': 'Manipur', '15': 'Mizoram',
-      '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam',
-      '19': 'West Bengal', '20': 'Jharkhand', '21': 'Odisha',
-      '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
-      '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
-      '32': 'Kerala', '33': 'Tamil Nadu', '36': 'Telangana',
-      '37': 'Andhra Pradesh',
-    };
-    
-    const stateName = stateMap[stateCode];
-    if (!stateName) {
-      return res.status(400).json({ error: 'Invalid state code in GSTIN' });
-    }
-    
     // Create new GSTIN entry
     const newGstin = {
-      gstin,
+      gstin: validation.gstin,
       stateCode,
       stateName,
       tradeName: tradeName || organization.name,
@@ -288,6 +306,104 @@ router.get('/gstins/:gstinId/invoices', async (req, res) => {
   }
 });
 
+// Get LUTs (Letters of Undertaking for zero-rated supplies)
+router.get('/luts', async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const gstins = [
+      ...new Set([organization.gstin, ...(organization.gstinEntries || []).map((g) => g.gstin)]),
+    ].filter(Boolean);
+
+    res.json({
+      luts: organization.lutEntries || [],
+      inForce: gstins.map((gstin) => ({
+        gstin,
+        lut: organization.findValidLUT(gstin, date),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching LUTs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a LUT
+router.post('/luts', async (req, res) => {
+  try {
+    const { gstin, lutNumber, financialYear, validFrom, validTo, filedOn } = req.body;
+
+    if (!lutNumber || !validFrom || !validTo) {
+      return res.status(400).json({ error: 'LUT number, valid from and valid to are required' });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const registered = [organization.gstin, ...(organization.gstinEntries || []).map((g) => g.gstin)];
+    if (gstin && !registered.includes(String(gstin).toUpperCase())) {
+      return res.status(400).json({ error: `GSTIN ${gstin} is not registered for this organization` });
+    }
+
+    const overlapping = (organization.lutEntries || []).find(
+      (lut) =>
+        (lut.gstin || null) === (gstin ? String(gstin).toUpperCase() : null) &&
+        new Date(lut.validFrom) <= new Date(validTo) &&
+        new Date(validFrom) <= new Date(lut.validTo)
+    );
+    if (overlapping) {
+      return res.status(400).json({
+        error: `LUT ${overlapping.lutNumber} already covers part of this period`,
+      });
+    }
+
+    organization.lutEntries.push({ gstin, lutNumber, financialYear, validFrom, validTo, filedOn });
+    await organization.save();
+
+    res.json({
+      message: 'LUT added successfully',
+      lut: organization.lutEntries[organization.lutEntries.length - 1],
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error adding LUT:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a LUT
+router.delete('/luts/:lutId', async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organizationId);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!organization.lutEntries.id(req.params.lutId)) {
+      return res.status(404).json({ error: 'LUT not found' });
+    }
+
+    organization.lutEntries.pull(req.params.lutId);
+    await organization.save();
+
+    res.json({ message: 'LUT deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting LUT:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Upload company logo
 router.post('/logo', upload.single('logo'), async (req, res) => {
   try {
@@ -505,6 +621,39 @@ router.patch('/cin', async (req, res) => {
   }
 });
 
+// TDS deductor details (TAN and person responsible) for challans and Form 26Q
+router.patch('/tds-deductor', async (req, res) => {
+  try {
+    const { tan, deductorType, branch, responsiblePerson } = req.body;
+
+    if (responsiblePerson?.pan && !/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(String(responsiblePerson.pan).toUpperCase())) {
+      return res.status(400).json({ error: 'Invalid PAN of the person responsible' });
+    }
+
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organizationId,
+      {
+        $set: {
+          tan,
+          'tdsDeductor.deductorType': deductorType || 'K',
+          'tdsDeductor.branch': branch,
+          'tdsDeductor.responsiblePerson': responsiblePerson || {},
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    console.error('Error updating TDS deductor details:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Update invoice number settings
 router.patch('/invoice-settings', async (req, res) => {
   try {
@@ -613,6 +762,50 @@ router.patch('/turnover', async (req, res) => {
   }
 });
 
+// Switch between regular and composition registration
+router.patch('/registration-type', async (req, res) => {
+  try {
+    const { registrationType, compositionCategory, compositionEffectiveFrom } = req.body;
+
+    if (!['REGULAR', 'COMPOSITION'].includes(registrationType)) {
+      return res.status(400).json({ error: 'Registration type must be REGULAR or COMPOSITION' });
+    }
+    if (registrationType === 'COMPOSITION' && !COMPOSITION_CATEGORIES[compositionCategory]) {
+      return res.status(400).json({
+        error: `Composition category is required: ${COMPOSITION_CATEGORY_KEYS.join(', ')}`,
+      });
+    }
+
+    const isComposition = registrationType === 'COMPOSITION';
+    const organization = await Organization.findByIdAndUpdate(
+      req.user.organizationId,
+      {
+        $set: {
+          registrationType,
+          compositionCategory: isComposition ? compositionCategory : null,
+          compositionEffectiveFrom: isComposition ? compositionEffectiveFrom || new Date() : null,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json({
+      message: 'Registration type updated',
+      organization,
+      info: isComposition
+        ? `Composition scheme: bills of supply only, ${COMPOSITION_CATEGORIES[compositionCategory].rate}% on turnover via CMP-08`
+        : 'Regular scheme: tax invoices, GSTR-1 and GSTR-3B',
+    });
+  } catch (error) {
+    console.error('Error updating registration type:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get HSN requirement
 router.get('/hsn-requirement', async (req, res) => {
   try {
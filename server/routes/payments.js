@@ -21,7 +21,8 @@ router.use(protect);
 // Helper function to update invoice status
 const updateInvoiceStatus = async (invoice) => {
   invoice.paidAmount = invoice.paidAmount || 0;
-  invoice.balanceAmount = invoice.totalAmount - invoice.paidAmount;
+  // Credit notes applied also reduce what is due
+  invoice.balanceAmount = invoice.totalAmount - invoice.paidAmount - (invoice.creditedAmount || 0);
 
   if (invoice.balanceAmount <= 0) {
     invoice.status = 'PAID';
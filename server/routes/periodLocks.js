@@ -0,0 +1,162 @@
+// ============================================
+// FILE: server/routes/periodLocks.js
+// Filed return periods: mark filed, list and unlock
+// ============================================
+
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import Organization from '../models/Organization.js';
+import GSTPeriodLock, { LOCKABLE_RETURNS } from '../models/GSTPeriodLock.js';
+import { getOrganizationGSTINs } from '../services/gstr1Service.js';
+import { canOverridePeriodLock, markPeriodFiled } from '../services/periodLockService.js';
+import { logManualAudit } from '../middleware/auditMiddleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// List locked (and previously unlocked) periods
+router.get('/', async (req, res) => {
+  try {
+    const { gstin, year, locked } = req.query;
+
+    const filter = { organization: req.user.organizationId };
+    if (gstin) filter.gstin = gstin.toUpperCase().trim();
+    if (year) filter.year = parseInt(year);
+    if (locked === 'true') filter.isLocked = true;
+    if (locked === 'false') filter.isLocked = false;
+
+    const locks = await GSTPeriodLock.find(filter)
+      .populate('lockedBy', 'name email')
+      .populate('unlockedBy', 'name email')
+      .populate('overrides.approvedBy', 'name email')
+      .sort({ year: -1, month: -1, gstin: 1 });
+
+    res.json(locks);
+  } catch (error) {
+    console.error('Error fetching period locks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a return filed; the period (the whole quarter for CMP-08) locks for the GSTIN
+router.post('/', async (req, res) => {
+  try {
+    const { gstin, month, year, returnType, arn, filedOn } = req.body;
+
+    const m = parseInt(month);
+    const y = parseInt(year);
+    if (!gstin || !m || !y || m < 1 || m > 12) {
+      return res.status(400).json({ error: 'GSTIN, month (1-12) and year are required' });
+    }
+    if (!LOCKABLE_RETURNS.includes(returnType)) {
+      return res.status(400).json({ error: `Return type must be one of ${LOCKABLE_RETURNS.join(', ')}` });
+    }
+    if (filedOn && isNaN(new Date(filedOn).getTime())) {
+      return res.status(400).json({ error: 'Invalid filing date' });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const wanted = gstin.toUpperCase().trim();
+    if (!getOrganizationGSTINs(organization).some((r) => r.gstin === wanted)) {
+      return res.status(400).json({ error: `GSTIN ${wanted} is not registered to this organization` });
+    }
+
+    const quarterStart = Math.floor((m - 1) / 3) * 3 + 1;
+    const months = returnType === 'CMP08' ? [quarterStart, quarterStart + 1, quarterStart + 2] : [m];
+
+    const locks = [];
+    for (const lockMonth of months) {
+      const lock = await markPeriodFiled({
+        organization,
+        gstin: wanted,
+        month: lockMonth,
+        year: y,
+        returnType,
+        arn,
+        filedOn,
+        userId: req.user.id,
+      });
+      locks.push(lock);
+
+      await logManualAudit({
+        entityType: 'GST_PERIOD_LOCK',
+        entityId: lock._id,
+        entityNumber: `${lock.gstin}/${lock.period}`,
+        action: 'LOCK',
+        userId: req.user.id,
+        userName: req.user.name,
+        userEmail: req.user.email,
+        userIpAddress: req.ip,
+        description: `${returnType} marked filed for ${lock.gstin} ${lock.period}${arn ? ` (ARN ${arn})` : ''}; period locked`,
+        severity: 'HIGH',
+        organization: req.user.organizationId,
+      });
+    }
+
+    res.status(201).json({
+      message: `${returnType} marked filed; ${locks.length} period(s) locked for ${wanted}`,
+      locks,
+    });
+  } catch (error) {
+    console.error('Error marking period filed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reopen a locked period (approvers only)
+router.patch('/:id/unlock', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!canOverridePeriodLock(req.user)) {
+      return res.status(403).json({ error: 'Only an approver can unlock a filed period' });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'Reason is required to unlock a filed period' });
+    }
+
+    const lock = await GSTPeriodLock.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!lock) {
+      return res.status(404).json({ error: 'Period lock not found' });
+    }
+    if (!lock.isLocked) {
+      return res.status(400).json({ error: 'Period is already unlocked' });
+    }
+
+    lock.isLocked = false;
+    lock.unlockedBy = req.user.id;
+    lock.unlockedAt = new Date();
+    lock.unlockReason = reason.trim();
+    await lock.save();
+
+    await logManualAudit({
+      entityType: 'GST_PERIOD_LOCK',
+      entityId: lock._id,
+      entityNumber: `${lock.gstin}/${lock.period}`,
+      action: 'UNLOCK',
+      userId: req.user.id,
+      userName: req.user.name,
+      userEmail: req.user.email,
+      userIpAddress: req.ip,
+      description: `Filed period ${lock.gstin} ${lock.period} unlocked: ${lock.unlockReason}`,
+      severity: 'CRITICAL',
+      organization: req.user.organizationId,
+    });
+
+    res.json({ message: 'Period unlocked', lock });
+  } catch (error) {
+    console.error('Error unlocking period:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -7,13 +7,60 @@ import express from 'express';
 import { protect } from '../middleware/auth.js';
 import PurchaseInvoice from '../models/PurchaseInvoice.js';
 import PurchaseOrder from '../models/PurchaseOrder.js';
+import Invoice from '../models/Invoice.js';
 import Client from '../models/Client.js';
 import Organization from '../models/Organization.js';
+import { getStateCodeFromGSTIN, validateGSTINDetails } from '../utils/gstCalculator.js';
+import { resolveReverseCharge, isReverseChargeInward } from '../utils/reverseCharge.js';
+import { createSelfInvoice, generateRCMDocumentNumber } from '../services/rcmService.js';
+import { syncPaymentWindowReversal } from '../services/itcLedgerService.js';
+import { checkPeriodLock } from '../services/periodLockService.js';
+import { resolveReturnGSTIN } from '../services/gstr1Service.js';
+import { computeBillTDS, recordBillTDS } from '../services/tdsPayableService.js';
+import { TDS_PAYABLE_SECTIONS } from '../utils/tdsSections.js';
 
 const router = express.Router();
 
 router.use(protect);
 
+const panOf = (party) => party?.pan || (party?.gstin ? party.gstin.substring(2, 12) : null);
+
+// GSTINs keyed in (or read by OCR) on a purchase invoice: the vendor branch
+// carries the vendor's PAN, our branch the organization's
+const getPurchaseGSTINErrors = (data, vendor, organization) => {
+  const errors = [];
+  if (data.vendorBranchGSTIN) {
+    errors.push(
+      ...validateGSTINDetails(data.vendorBranchGSTIN, {
+        pan: panOf(vendor),
+        field: 'vendorBranchGSTIN',
+      }).errors
+    );
+  }
+  if (data.ourBranchGSTIN) {
+    errors.push(
+      ...validateGSTINDetails(data.ourBranchGSTIN, {
+        pan: panOf(organization),
+        field: 'ourBranchGSTIN',
+      }).errors
+    );
+  }
+  return errors;
+};
+
+// Purchase invoices dated in a filed period are read-only: their credit is
+// already in that month's GSTR-3B
+const checkPurchasePeriodLock = (req, organization, { pi, ourBranchGSTIN, dates, action }) =>
+  checkPeriodLock({
+    req,
+    gstin: resolveReturnGSTIN(organization, ourBranchGSTIN ?? pi?.ourBranchGSTIN),
+    dates,
+    entityType: 'PURCHASE_INVOICE',
+    entityId: pi?._id,
+    entityNumber: pi?.piNumber,
+    action,
+  });
+
 // ============================================
 // GET ROUTES
 // ============================================
@@ -87,7 +134,8 @@ router.get('/:id', async (req, res) => {
       .populate('createdBy', 'name email')
       .populate('approvedBy', 'name email')
       .populate('rejectedBy', 'name email')
-      .populate('payments.recordedBy', 'name email');
+      .populate('payments.recordedBy', 'name email')
+      .populate('selfInvoice');
 
     if (!pi) {
       return res.status(404).json({ error: 'Purchase Invoice not found' });
@@ -109,7 +157,49 @@ router.post('/', async (req, res) => {
     const organizationId = req.user.organizationId;
     const data = req.body;
 
-    const organization = await Organization.findById(organizationId);
+    const [organization, vendor] = await Promise.all([
+      Organization.findById(organizationId),
+      Client.findById(data.vendorId),
+    ]);
+
+    const gstinErrors = getPurchaseGSTINErrors(data, vendor, organization);
+    if (gstinErrors.length > 0) {
+      return res.status(400).json({
+        error: gstinErrors.map((e) => e.message).join('; '),
+        errors: gstinErrors,
+      });
+    }
+    
+    // Imports always attract IGST; otherwise compare vendor and our state codes
+    const supplyType = data.supplyType || 'REGULAR';
+    const vendorState = getStateCodeFromGSTIN(data.vendorBranchGSTIN || vendor?.gstin);
+    const ourState = getStateCodeFromGSTIN(data.ourBranchGSTIN || organization.gstin);
+    const isInterstate = supplyType.startsWith('IMPORT')
+      ? true
+      : vendorState && ourState
+        ? vendorState !== ourState
+        : undefined;
+
+    // Reverse charge: notified services, unregistered suppliers, imported services
+    const rcm = resolveReverseCharge({
+      vendor,
+      vendorGstin: data.vendorBranchGSTIN,
+      rcmCategory: data.rcmCategory,
+      reverseCharge: data.reverseCharge,
+      supplyType,
+    });
+    if (rcm.errors.length > 0) {
+      return res.status(400).json({ error: rcm.errors[0], errors: rcm.errors });
+    }
+
+    const periodLock = await checkPurchasePeriodLock(req, organization, {
+      ourBranchGSTIN: data.ourBranchGSTIN,
+      dates: [data.piDate || new Date()],
+      action: 'CREATE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
     
     // Generate PI number
     const piCount = await PurchaseInvoice.countDocuments({ organization: organizationId });
@@ -123,6 +213,17 @@ router.post('/', async (req, res) => {
       vendor: data.vendorId,
       linkedPO: data.linkedPOId || null,
       vendorReferenceNumber: data.vendorReferenceNumber,
+      ourBranchGSTIN: data.ourBranchGSTIN,
+      ourBranchName: data.ourBranchName,
+      vendorBranchGSTIN: data.vendorBranchGSTIN,
+      vendorBranchName: data.vendorBranchName,
+      supplyType,
+      reverseCharge: rcm.reverseCharge,
+      rcmCategory: rcm.rcmCategory,
+      isInterstate,
+      billOfEntryNumber: data.billOfEntryNumber,
+      billOfEntryDate: data.billOfEntryDate,
+      portCode: data.portCode,
       items: data.items.map((item) => ({
         description: item.description,
         hsnSacCode: item.hsnSacCode,
@@ -130,8 +231,11 @@ router.post('/', async (req, res) => {
         unit: item.unit,
         rate: item.rate,
         amount: item.amount,
-        gstRate: item.gstRate || 18,
-        gstAmount: (item.amount * (item.gstRate || 18)) / 100,
+        gstRate: item.gstRate ?? 18,
+        gstAmount: (item.amount * (item.gstRate ?? 18)) / 100,
+        itcEligibility: item.itcEligibility || 'ELIGIBLE',
+        isCapitalGoods: item.isCapitalGoods || false,
+        itcUsage: item.itcUsage || 'TAXABLE',
       })),
       subtotal: data.subtotal,
       gstAmount: data.gstAmount,
@@ -157,6 +261,117 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Book a stock transfer from another of our registrations as an inward supply
+// of the receiving GSTIN (credit is available like any other purchase)
+router.post('/from-stock-transfer/:invoiceId', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+
+    const invoice = await Invoice.findOne({
+      _id: req.params.invoiceId,
+      organization: organizationId,
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    if (!invoice.isStockTransfer || !invoice.stockTransfer?.toGstin) {
+      return res.status(400).json({ error: 'Invoice is not a stock transfer between our registrations' });
+    }
+
+    if (invoice.stockTransfer.receivedAs) {
+      return res.status(400).json({ error: 'Stock transfer has already been received' });
+    }
+
+    if (['DRAFT', 'CANCELLED'].includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot receive a ${invoice.status.toLowerCase()} invoice` });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const { fromGstin, toGstin } = invoice.stockTransfer;
+    const fromEntry = organization.gstinEntries?.find((entry) => entry.gstin === fromGstin);
+    const toEntry = organization.gstinEntries?.find((entry) => entry.gstin === toGstin);
+
+    // The sending registration appears as a vendor of the receiving one
+    let vendor = await Client.findOne({ organization: organizationId, gstin: fromGstin });
+    if (!vendor) {
+      const clientCount = await Client.countDocuments({ organization: organizationId });
+      vendor = await Client.create({
+        clientCode: `CLI${String(clientCount + 1).padStart(4, '0')}`,
+        companyName: fromEntry?.tradeName || organization.name,
+        gstin: fromGstin,
+        billingAddress: fromEntry?.address || organization.address,
+        billingCity: fromEntry?.city || organization.city,
+        billingPincode: fromEntry?.pincode || organization.pincode,
+        organization: organizationId,
+      });
+    }
+
+    const piCount = await PurchaseInvoice.countDocuments({ organization: organizationId });
+    const piNumber = `PI-${String(piCount + 1).padStart(5, '0')}`;
+    const piDate = req.body.piDate || invoice.invoiceDate;
+
+    const periodLock = await checkPurchasePeriodLock(req, organization, {
+      ourBranchGSTIN: toGstin,
+      dates: [piDate],
+      action: 'CREATE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    const pi = await PurchaseInvoice.create({
+      piNumber,
+      piDate,
+      dueDate: req.body.dueDate || invoice.dueDate || piDate,
+      vendor: vendor._id,
+      vendorReferenceNumber: invoice.invoiceNumber,
+      ourBranchGSTIN: toGstin,
+      ourBranchName: toEntry?.tradeName || invoice.stockTransfer.toBranchName,
+      vendorBranchGSTIN: fromGstin,
+      vendorBranchName: fromEntry?.tradeName,
+      supplyType: 'REGULAR',
+      isInterstate: invoice.igst > 0,
+      stockTransferInvoice: invoice._id,
+      items: invoice.items.map((item) => ({
+        description: item.description,
+        hsnSacCode: item.hsnSacCode,
+        quantity: item.quantity,
+        unit: item.unit,
+        rate: item.rate,
+        amount: item.taxableAmount,
+        gstRate: item.gstRate,
+        gstAmount: (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0),
+        cessRate: item.cessRate || 0,
+        cessPerUnit: item.cessPerUnit || 0,
+        cessAmount: item.cess || 0,
+      })),
+      subtotal: invoice.subtotal - (invoice.discountAmount || 0),
+      gstAmount: invoice.cgst + invoice.sgst + invoice.igst,
+      totalAmount: invoice.totalAmount,
+      paidAmount: 0,
+      balanceAmount: invoice.totalAmount,
+      notes: req.body.notes || `Stock transfer from ${fromGstin}`,
+      status: 'PENDING',
+      createdBy: req.user.id,
+      organization: organizationId,
+    });
+
+    invoice.stockTransfer.receivedAs = pi._id;
+    await invoice.save();
+
+    const populatedPI = await PurchaseInvoice.findById(pi._id)
+      .populate('vendor')
+      .populate('createdBy', 'name email');
+
+    res.status(201).json(populatedPI);
+  } catch (error) {
+    console.error('Error receiving stock transfer:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // UPDATE ROUTES
 // ============================================
@@ -182,6 +397,27 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot edit an approved invoice' });
     }
 
+    const organization = await Organization.findById(organizationId);
+    const periodLock = await checkPurchasePeriodLock(req, organization, {
+      pi,
+      dates: [pi.piDate, data.piDate],
+      action: 'UPDATE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
+    if (data.vendorBranchGSTIN || data.ourBranchGSTIN) {
+      const vendor = await Client.findById(pi.vendor);
+      const gstinErrors = getPurchaseGSTINErrors(data, vendor, organization);
+      if (gstinErrors.length > 0) {
+        return res.status(400).json({
+          error: gstinErrors.map((e) => e.message).join('; '),
+          errors: gstinErrors,
+        });
+      }
+    }
+
     // Update fields
     Object.keys(data).forEach(key => {
       if (data[key] !== undefined && key !== '_id') {
@@ -227,17 +463,37 @@ router.patch('/:id/approve', async (req, res) => {
       return res.status(400).json({ error: 'Cannot approve a rejected/cancelled invoice' });
     }
 
+    const organization = await Organization.findById(organizationId);
+    const periodLock = await checkPurchasePeriodLock(req, organization, {
+      pi,
+      dates: [pi.piDate],
+      action: 'APPROVE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
     pi.status = 'APPROVED';
     pi.approvedBy = req.user.id;
     pi.approvedAt = new Date();
 
     await pi.save();
 
+    // Tax on reverse-charge purchases is ours: raise the self-invoice now
+    if (isReverseChargeInward(pi)) {
+      await createSelfInvoice({
+        organizationId,
+        purchaseInvoice: pi,
+        userId: req.user.id,
+      });
+    }
+
     const updatedPI = await PurchaseInvoice.findById(pi._id)
       .populate('vendor')
       .populate('linkedPO')
       .populate('createdBy', 'name email')
-      .populate('approvedBy', 'name email');
+      .populate('approvedBy', 'name email')
+      .populate('selfInvoice');
 
     res.json(updatedPI);
   } catch (error) {
@@ -311,6 +567,16 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    const organization = await Organization.findById(organizationId);
+    const periodLock = await checkPurchasePeriodLock(req, organization, {
+      pi,
+      dates: [pi.piDate],
+      action: 'DELETE',
+    });
+    if (periodLock) {
+      return res.status(periodLock.status).json({ error: periodLock.error, periodLock: periodLock.lock });
+    }
+
     await pi.deleteOne();
 
     res.json({ message: 'Purchase Invoice deleted successfully' });
@@ -328,7 +594,7 @@ router.delete('/:id', async (req, res) => {
 router.post('/:id/payment', async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, paymentDate, paymentMode, referenceNumber, notes } = req.body;
+    const { amount, paymentDate, paymentMode, referenceNumber, notes, tdsSection } = req.body;
     const organizationId = req.user.organizationId;
 
     const pi = await PurchaseInvoice.findOne({
@@ -340,21 +606,56 @@ router.post('/:id/payment', async (req, res) => {
       return res.status(404).json({ error: 'Purchase Invoice not found' });
     }
 
-    if (amount > pi.balanceAmount) {
-      return res.status(400).json({ error: 'Payment amount exceeds balance' });
+    // TDS under the section chosen for the payment, the bill or the vendor
+    const vendor = await Client.findById(pi.vendor);
+    const section = tdsSection !== undefined ? tdsSection : pi.tdsSection || vendor?.tdsSection;
+    let tds = null;
+    if (section && section !== 'NONE') {
+      if (!TDS_PAYABLE_SECTIONS[section]) {
+        return res.status(400).json({ error: `Unknown TDS section ${section}` });
+      }
+      tds = await computeBillTDS({
+        organizationId,
+        pi,
+        vendor,
+        section,
+        date: paymentDate || new Date(),
+      });
+    }
+    const tdsAmount = tds?.tdsAmount || 0;
+
+    if (amount + tdsAmount > pi.balanceAmount) {
+      return res.status(400).json({
+        error: tdsAmount
+          ? `Payment amount plus TDS of ${tdsAmount} exceeds balance`
+          : 'Payment amount exceeds balance',
+      });
     }
 
+    // Payments to a reverse-charge supplier need a payment voucher
+    const voucher = isReverseChargeInward(pi)
+      ? await generateRCMDocumentNumber(organizationId, 'PAYMENT_VOUCHER', paymentDate || new Date())
+      : null;
+
     pi.payments.push({
       amount,
       paymentDate,
       paymentMode,
       referenceNumber,
+      paymentVoucherNumber: voucher?.number,
+      tdsSection: tds && !tds.alreadyDeducted ? section : undefined,
+      tdsAmount,
       notes,
       recordedBy: req.user.id,
     });
+    const payment = pi.payments[pi.payments.length - 1];
 
     pi.paidAmount = (pi.paidAmount || 0) + amount;
-    pi.balanceAmount = pi.totalAmount - pi.paidAmount;
+    if (tds && !tds.alreadyDeducted) {
+      pi.tdsSection = section;
+      pi.tdsDeducted = (pi.tdsDeducted || 0) + tdsAmount;
+    }
+    pi.balanceAmount = pi.totalAmount - pi.paidAmount - (pi.tdsDeducted || 0);
 
     // Update status based on payment
     if (pi.balanceAmount <= 0) {
@@ -365,6 +666,26 @@ router.post('/:id/payment', async (req, res) => {
 
     await pi.save();
 
+    const deductions = await recordBillTDS({
+      organizationId,
+      pi,
+      vendor,
+      computation: tds,
+      paymentId: payment._id,
+      paymentDate: paymentDate || new Date(),
+      userId: req.user.id,
+    });
+    const taxed = deductions.find((d) => d.tdsAmount > 0) || deductions[0];
+    if (taxed) {
+      await PurchaseInvoice.updateOne(
+        { _id: pi._id, 'payments._id': payment._id },
+        { $set: { 'payments.$.tdsDeduction': taxed._id } }
+      );
+    }
+
+    // Re-claim credit reversed under the 180-day rule for the part now paid
+    await syncPaymentWindowReversal(pi, { asOf: new Date(paymentDate || Date.now()), userId: req.user.id });
+
     const updatedPI = await PurchaseInvoice.findById(pi._id)
       .populate('vendor')
       .populate('linkedPO')
@@ -9,8 +9,18 @@ import Quotation from '../models/Quotation.js';
 import Invoice from '../models/Invoice.js';
 import Client from '../models/Client.js';
 import Organization from '../models/Organization.js';
-import { calculateGSTBreakdown } from '../utils/gstCalculator.js';
+import { calculateGSTBreakdown, applyRateSchedule } from '../utils/gstCalculator.js';
 import { amountToWords } from '../utils/numberToWords.js';
+import { resolveDocumentPlaceOfSupply } from '../utils/placeOfSupply.js';
+import { getSupplyType } from '../utils/exportSupply.js';
+import {
+  isCompositionOrganization,
+  validateCompositionSupply,
+} from '../utils/compositionScheme.js';
+import { resolveDocumentRate, applyINRValues } from '../services/exchangeRateService.js';
+import { isForeignCurrency } from '../utils/currencies.js';
+import { computeInvoiceTCS, recordInvoiceTCS } from '../services/tcsService.js';
+import { recordInvoiceRevision } from '../services/invoiceRevisionService.js';
 
 const router = express.Router();
 
@@ -84,11 +94,34 @@ router.post('/', async (req, res) => {
     const quotationCount = await Quotation.countDocuments({ organization: organizationId });
     const quotationNumber = `QUO-${String(quotationCount + 1).padStart(4, '0')}`;
 
-    // Calculate GST breakdown
+    // Quote the rates notified for the quotation date
+    const rateSchedule = await applyRateSchedule(data.items, data.quotationDate);
+    if (rateSchedule.conflicts.length > 0) {
+      return res.status(400).json({
+        error: `GST rate does not match the rate schedule for ${rateSchedule.conflicts
+          .map((c) => `${c.description} (HSN ${c.hsnSacCode}: ${c.scheduledRates.join('/')}%)`)
+          .join(', ')}`,
+        conflicts: rateSchedule.conflicts,
+      });
+    }
+
+    // Document currency and its rate on the quotation date
+    const documentRate = await resolveDocumentRate({
+      organizationId,
+      currency: data.currency,
+      exchangeRate: data.exchangeRate,
+      date: data.quotationDate || new Date(),
+    });
+    if (documentRate.errors.length > 0) {
+      return res.status(400).json({ error: documentRate.errors.join('; '), errors: documentRate.errors });
+    }
+
+    // Calculate GST breakdown (composition dealers quote without tax)
     const gstBreakdown = calculateGSTBreakdown(
-      data.items,
+      rateSchedule.items,
       client.gstin,
-      organization.gstin
+      organization.gstin,
+      { billOfSupply: isCompositionOrganization(organization) }
     );
 
     // Calculate totals
@@ -103,11 +136,33 @@ router.post('/', async (req, res) => {
 
     const taxableAmount = subtotal - discountAmount;
     const totalAmount = taxableAmount + gstBreakdown.totalTax;
-    const roundOff = Math.round(totalAmount) - totalAmount;
-    const finalTotal = Math.round(totalAmount);
+    // Foreign-currency totals are not rounded to whole units
+    const finalTotal = isForeignCurrency(documentRate.currency)
+      ? parseFloat(totalAmount.toFixed(2))
+      : Math.round(totalAmount);
+    const roundOff = finalTotal - totalAmount;
 
     // Calculate amount in words
-    const amountInWordsText = amountToWords(finalTotal);
+    const amountInWordsText = amountToWords(finalTotal, documentRate.currency);
+
+    // INR values per line and in total
+    const inrValues = isForeignCurrency(documentRate.currency)
+      ? applyINRValues(
+          gstBreakdown.items,
+          {
+            subtotal,
+            discountAmount,
+            cgst: gstBreakdown.totalCGST,
+            sgst: gstBreakdown.totalSGST,
+            igst: gstBreakdown.totalIGST,
+            cess: gstBreakdown.totalCess,
+            totalTax: gstBreakdown.totalTax,
+            roundOff,
+            totalAmount: finalTotal,
+          },
+          documentRate.exchangeRate
+        )
+      : null;
 
     // Create quotation
     const quotation = await Quotation.create({
@@ -115,7 +170,7 @@ router.post('/', async (req, res) => {
       client: data.clientId,
       quotationDate: data.quotationDate,
       validUntil: data.validUntil,
-      items: gstBreakdown.items,
+      items: inrValues ? inrValues.items : gstBreakdown.items,
       subtotal: parseFloat(subtotal.toFixed(2)),
       discountType: data.discountType,
       discountValue: data.discountValue,
@@ -123,10 +178,14 @@ router.post('/', async (req, res) => {
       cgst: gstBreakdown.totalCGST,
       sgst: gstBreakdown.totalSGST,
       igst: gstBreakdown.totalIGST,
+      cess: gstBreakdown.totalCess,
       totalTax: gstBreakdown.totalTax,
       roundOff: parseFloat(roundOff.toFixed(2)),
       totalAmount: finalTotal,
       amountInWords: amountInWordsText,
+      currency: documentRate.currency,
+      exchangeRate: documentRate.exchangeRate,
+      inrTotals: inrValues?.inrTotals,
       status: 'DRAFT',
       notes: data.notes,
       termsConditions: data.termsConditions,
@@ -137,7 +196,11 @@ router.post('/', async (req, res) => {
     // Populate and return
     const populatedQuotation = await Quotation.findById(quotation._id).populate('client');
 
-    res.status(201).json(populatedQuotation);
+    // Rates replaced from the schedule are reported back to the user
+    res.status(201).json({
+      ...populatedQuotation.toJSON(),
+      rateAdjustments: rateSchedule.adjustments,
+    });
   } catch (error) {
     console.error('Create quotation error:', error);
     res.status(500).json({ error: error.message });
@@ -166,9 +229,14 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: 'Cannot edit quotation that has been converted to invoice' });
     }
 
+    // Currency and rate are fixed when the quotation is created
+    delete data.currency;
+    delete data.exchangeRate;
+    delete data.inrTotals;
+
     // If totalAmount is being updated, recalculate amount in words
     if (data.totalAmount) {
-      data.amountInWords = amountToWords(data.totalAmount);
+      data.amountInWords = amountToWords(data.totalAmount, existingQuotation.currency);
     }
 
     const quotation = await Quotation.findOneAndUpdate(
@@ -215,6 +283,93 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Invoice amounts for a converted quotation: quoted tax carries over, except that
+// composition dealers bill without tax, and TCS is added on the invoice value
+const invoiceAmountsFromQuotation = async ({
+  quotation,
+  organization,
+  placeOfSupply,
+  invoiceType,
+  supplyType,
+}) => {
+  const items = quotation.items.map((item) => item.toObject());
+  const gstBreakdown = isCompositionOrganization(organization)
+    ? calculateGSTBreakdown(items, quotation.client.gstin, organization.gstin, {
+        placeOfSupply,
+        billOfSupply: true,
+      })
+    : {
+        items,
+        totalCGST: quotation.cgst || 0,
+        totalSGST: quotation.sgst || 0,
+        totalIGST: quotation.igst || 0,
+        totalCess: quotation.cess || 0,
+        totalTax: quotation.totalTax || 0,
+      };
+
+  const subtotal = quotation.subtotal;
+  const discountAmount = quotation.discountAmount || 0;
+
+  // Income-tax TCS (206C) on the invoice value including GST
+  const tcs = await computeInvoiceTCS({
+    organization,
+    client: quotation.client,
+    invoice: {
+      invoiceType,
+      invoiceDate: new Date(),
+      items: gstBreakdown.items,
+      subtotal,
+      discountAmount,
+      totalTax: gstBreakdown.totalTax,
+      supplyType,
+      exchangeRate: quotation.exchangeRate,
+    },
+  });
+  // TCS is computed in INR; the invoice carries it in its own currency
+  const tcsAmount = parseFloat((tcs.tcsAmount / (quotation.exchangeRate || 1)).toFixed(2));
+
+  const totalAmount = subtotal - discountAmount + gstBreakdown.totalTax + tcsAmount;
+  // Foreign-currency totals are not rounded to whole units
+  const finalTotal = isForeignCurrency(quotation.currency)
+    ? parseFloat(totalAmount.toFixed(2))
+    : Math.round(totalAmount);
+  const roundOff = finalTotal - totalAmount;
+
+  const inrValues = isForeignCurrency(quotation.currency)
+    ? applyINRValues(
+        gstBreakdown.items,
+        {
+          subtotal,
+          discountAmount,
+          cgst: gstBreakdown.totalCGST,
+          sgst: gstBreakdown.totalSGST,
+          igst: gstBreakdown.totalIGST,
+          cess: gstBreakdown.totalCess,
+          totalTax: gstBreakdown.totalTax,
+          tcsAmount,
+          roundOff,
+          totalAmount: finalTotal,
+        },
+        quotation.exchangeRate
+      )
+    : null;
+
+  return {
+    items: inrValues ? inrValues.items : gstBreakdown.items,
+    cgst: gstBreakdown.totalCGST,
+    sgst: gstBreakdown.totalSGST,
+    igst: gstBreakdown.totalIGST,
+    cess: gstBreakdown.totalCess,
+    totalTax: gstBreakdown.totalTax,
+    tcs,
+    tcsAmount,
+    roundOff: parseFloat(roundOff.toFixed(2)),
+    totalAmount: finalTotal,
+    amountInWords: amountToWords(finalTotal, quotation.currency),
+    inrTotals: inrValues?.inrTotals,
+  };
+};
+
 // Convert quotation to invoice
 router.post('/:id/convert-to-invoice', async (req, res) => {
   try {
@@ -239,6 +394,31 @@ router.post('/:id/convert-to-invoice', async (req, res) => {
     // Get organization
     const organization = await Organization.findById(organizationId);
 
+    const placeOfSupply = resolveDocumentPlaceOfSupply({
+      organization,
+      client: quotation.client,
+      items: quotation.items,
+    });
+    const invoiceType = isCompositionOrganization(organization) ? 'BILL_OF_SUPPLY' : 'TAX_INVOICE';
+    // Tax is carried over from the quotation, so classify by what it charged
+    const supplyType = getSupplyType({ igst: quotation.igst }, quotation.client);
+    const compositionErrors = validateCompositionSupply({
+      organization,
+      invoiceType,
+      placeOfSupply,
+      supplyType,
+    });
+    if (compositionErrors.length > 0) {
+      return res.status(400).json({ error: compositionErrors.join('; '), errors: compositionErrors });
+    }
+    const amounts = await invoiceAmountsFromQuotation({
+      quotation,
+      organization,
+      placeOfSupply,
+      invoiceType,
+      supplyType,
+    });
+
     // Generate invoice number
     const invoiceNumber = `${organization.invoicePrefix}-${String(
       organization.nextInvoiceNumber
@@ -247,25 +427,36 @@ router.post('/:id/convert-to-invoice', async (req, res) => {
     // Create invoice from quotation
     const invoice = await Invoice.create({
       invoiceNumber,
-      invoiceType: 'TAX_INVOICE',
+      invoiceType,
       client: quotation.client._id,
       invoiceDate: new Date(),
       dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
       quotationNumber: quotation.quotationNumber,
-      items: quotation.items,
+      items: amounts.items,
       subtotal: quotation.subtotal,
       discountType: quotation.discountType,
       discountValue: quotation.discountValue,
       discountAmount: quotation.discountAmount,
-      cgst: quotation.cgst,
-      sgst: quotation.sgst,
-      igst: quotation.igst,
-      totalTax: quotation.totalTax,
-      roundOff: quotation.roundOff,
-      totalAmount: quotation.totalAmount,
-      amountInWords: quotation.amountInWords,
+      cgst: amounts.cgst,
+      sgst: amounts.sgst,
+      igst: amounts.igst,
+      cess: amounts.cess,
+      totalTax: amounts.totalTax,
+      placeOfSupply,
+      supplyType,
+      tcsApplicable: amounts.tcsAmount > 0,
+      tcsSection: amounts.tcs.section,
+      tcsRate: amounts.tcs.rate,
+      tcsBaseAmount: amounts.tcs.baseAmount,
+      tcsAmount: amounts.tcsAmount,
+      roundOff: amounts.roundOff,
+      totalAmount: amounts.totalAmount,
+      amountInWords: amounts.amountInWords,
+      currency: quotation.currency,
+      exchangeRate: quotation.exchangeRate,
+      inrTotals: amounts.inrTotals,
       paidAmount: 0,
-      balanceAmount: quotation.totalAmount,
+      balanceAmount: amounts.totalAmount,
       status: 'PENDING',
       notes: quotation.notes,
       termsConditions: quotation.termsConditions,
@@ -273,6 +464,15 @@ router.post('/:id/convert-to-invoice', async (req, res) => {
       organization: organizationId,
     });
 
+    // TCS payable register
+    await recordInvoiceTCS({
+      organizationId,
+      invoice,
+      client: quotation.client,
+      computation: amounts.tcs,
+      userId: req.user.id,
+    });
+
     // Update quotation
     quotation.convertedToInvoice = true;
     quotation.invoiceId = invoice._id;
@@ -288,6 +488,12 @@ router.post('/:id/convert-to-invoice', async (req, res) => {
     // Populate and return invoice
     const populatedInvoice = await Invoice.findById(invoice._id).populate('client');
 
+    await recordInvoiceRevision({
+      invoice: populatedInvoice,
+      user: req.user,
+      source: 'CREATE',
+    });
+
     res.json({
       message: 'Quotation converted to invoice successfully',
       invoice: populatedInvoice,
@@ -0,0 +1,190 @@
+// ============================================
+// FILE: server/routes/rcm.js
+// Reverse charge: self-invoices, RCM tax payments and register
+// ============================================
+
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import SelfInvoice from '../models/SelfInvoice.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import { RCM_CATEGORIES } from '../utils/reverseCharge.js';
+import {
+  createSelfInvoice,
+  recordRCMTaxPayment,
+  buildRCMRegister,
+} from '../services/rcmService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// RCM categories for the purchase form
+router.get('/categories', (req, res) => {
+  res.json(
+    Object.entries(RCM_CATEGORIES).map(([key, config]) => ({
+      key,
+      label: config.label,
+      sac: config.sac || null,
+      unregisteredOnly: !!config.unregisteredOnly,
+    }))
+  );
+});
+
+// RCM register: liability, cash paid and balance per self-invoice
+router.get('/register', async (req, res) => {
+  try {
+    const { from, to, gstin, status } = req.query;
+
+    const register = await buildRCMRegister({
+      organizationId: req.user.organizationId,
+      from,
+      to,
+      gstin,
+      status,
+    });
+
+    res.json(register);
+  } catch (error) {
+    console.error('Error building RCM register:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single self-invoice
+router.get('/self-invoices/:id', async (req, res) => {
+  try {
+    const selfInvoice = await SelfInvoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    })
+      .populate('vendor')
+      .populate('purchaseInvoice')
+      .populate('createdBy', 'name email')
+      .populate('taxPayments.recordedBy', 'name email');
+
+    if (!selfInvoice) {
+      return res.status(404).json({ error: 'Self-invoice not found' });
+    }
+
+    res.json(selfInvoice);
+  } catch (error) {
+    console.error('Error fetching self-invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Raise a self-invoice for an approved reverse-charge purchase
+// (purchases approved before self-invoicing, or after a cancellation)
+router.post('/self-invoices', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { purchaseInvoiceId, selfInvoiceDate } = req.body;
+
+    const pi = await PurchaseInvoice.findOne({
+      _id: purchaseInvoiceId,
+      organization: organizationId,
+    });
+
+    if (!pi) {
+      return res.status(404).json({ error: 'Purchase Invoice not found' });
+    }
+
+    let selfInvoice;
+    try {
+      selfInvoice = await createSelfInvoice({
+        organizationId,
+        purchaseInvoice: pi,
+        selfInvoiceDate,
+        userId: req.user.id,
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(selfInvoice);
+  } catch (error) {
+    console.error('Error creating self-invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record cash paid towards the RCM tax
+router.post('/self-invoices/:id/tax-payments', async (req, res) => {
+  try {
+    const selfInvoice = await SelfInvoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!selfInvoice) {
+      return res.status(404).json({ error: 'Self-invoice not found' });
+    }
+
+    const { amount, paidOn, challanNumber, returnPeriod, notes } = req.body;
+    if (returnPeriod && !/^(0[1-9]|1[0-2])\d{4}$/.test(returnPeriod)) {
+      return res.status(400).json({ error: 'Return period must be MMYYYY' });
+    }
+
+    try {
+      await recordRCMTaxPayment(
+        selfInvoice,
+        { amount, paidOn, challanNumber, returnPeriod, notes },
+        req.user.id
+      );
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(selfInvoice);
+  } catch (error) {
+    console.error('Error recording RCM tax payment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a self-invoice raised in error
+router.patch('/self-invoices/:id/cancel', async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const selfInvoice = await SelfInvoice.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+
+    if (!selfInvoice) {
+      return res.status(404).json({ error: 'Self-invoice not found' });
+    }
+
+    if (selfInvoice.status === 'CANCELLED') {
+      return res.status(400).json({ error: 'Self-invoice is already cancelled' });
+    }
+
+    if (selfInvoice.taxPayments.length > 0) {
+      return res.status(400).json({ error: 'Cannot cancel a self-invoice on which tax has been paid' });
+    }
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Cancellation reason is required' });
+    }
+
+    selfInvoice.status = 'CANCELLED';
+    selfInvoice.cancellationReason = reason;
+    selfInvoice.cancelledAt = new Date();
+    selfInvoice.cancelledBy = req.user.id;
+    await selfInvoice.save();
+
+    // The purchase falls back to its own RCM figures until a new self-invoice is raised
+    await PurchaseInvoice.updateOne(
+      { _id: selfInvoice.purchaseInvoice, selfInvoice: selfInvoice._id },
+      { $unset: { selfInvoice: 1 } }
+    );
+
+    res.json(selfInvoice);
+  } catch (error) {
+    console.error('Error cancelling self-invoice:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -9,10 +9,17 @@ import Receipt from "../models/Receipt.js";
 import Invoice from "../models/Invoice.js";
 import Client from "../models/Client.js";
 import BankAccount from "../models/BankAccount.js";
+import {
+  resolveDocumentRate,
+  computeRealisedForex,
+} from "../services/exchangeRateService.js";
 
 const router = express.Router();
 router.use(protect);
 
+// Bank accounts are kept in INR; receipts before multi-currency have no INR total
+const bankAmount = (receipt) => receipt.inrTotalReceipt ?? receipt.totalReceipt;
+
 const calculateProRataAllocation = (receipt, invoice) => {
   if (!invoice || !receipt.items) return null;
 
@@ -70,6 +77,51 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Realised forex gain/loss on foreign-currency receipts
+router.get("/forex/realised", async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { startDate, endDate, currency } = req.query;
+
+    const filter = {
+      organization: organizationId,
+      status: { $ne: "CANCELLED" },
+      "forex.gainLoss": { $exists: true },
+    };
+    if (currency) filter.currency = currency;
+    if (startDate || endDate) {
+      filter.receiptDate = {};
+      if (startDate) filter.receiptDate.$gte = new Date(startDate);
+      if (endDate) filter.receiptDate.$lte = new Date(endDate);
+    }
+
+    const receipts = await Receipt.find(filter)
+      .populate("client", "companyName")
+      .populate("invoice", "invoiceNumber invoiceDate currency exchangeRate")
+      .select("receiptNumber receiptDate client invoice currency exchangeRate totalReceipt inrTotalReceipt forex")
+      .sort({ receiptDate: 1 });
+
+    const gain = receipts
+      .filter((r) => r.forex.gainLoss > 0)
+      .reduce((sum, r) => sum + r.forex.gainLoss, 0);
+    const loss = receipts
+      .filter((r) => r.forex.gainLoss < 0)
+      .reduce((sum, r) => sum + Math.abs(r.forex.gainLoss), 0);
+
+    res.json({
+      receipts,
+      totals: {
+        gain: parseFloat(gain.toFixed(2)),
+        loss: parseFloat(loss.toFixed(2)),
+        net: parseFloat((gain - loss).toFixed(2)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching realised forex:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get single receipt
 router.get("/:id", async (req, res) => {
   try {
@@ -172,6 +224,24 @@ router.post("/", async (req, res) => {
       if (!invoice) {
         return res.status(404).json({ error: "Invoice not found" });
       }
+      if (invoice.status === "CANCELLED") {
+        return res
+          .status(400)
+          .json({ error: `Invoice ${invoice.invoiceNumber} is cancelled` });
+      }
+    }
+
+    // Foreign-currency invoices are settled in their currency at the receipt-date rate
+    const rate = await resolveDocumentRate({
+      organizationId,
+      currency: invoice ? invoice.currency : req.body.currency,
+      exchangeRate: req.body.exchangeRate,
+      date: receiptDate || new Date(),
+    });
+    if (rate.errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: rate.errors.join("; "), errors: rate.errors });
     }
 
     // Generate receipt number
@@ -191,6 +261,8 @@ router.post("/", async (req, res) => {
       bank: bankId, // ✅ FEATURE #51: Set bank
       receiptDate: receiptDate || new Date(),
       items: sanitizedItems,
+      currency: rate.currency,
+      exchangeRate: rate.exchangeRate,
       paymentMode,
       referenceNumber,
       bankName,
@@ -212,10 +284,19 @@ router.post("/", async (req, res) => {
         allocationPercentage: allocation.allocationPercentage,
       };
       invoice.paidAmount = (invoice.paidAmount || 0) + receipt.totalReceipt;
-      invoice.balanceAmount = invoice.totalAmount - invoice.paidAmount;
+      invoice.balanceAmount =
+        invoice.totalAmount - invoice.paidAmount - (invoice.creditedAmount || 0);
 
       receipt.itemAllocations = allocation.itemAllocations;
 
+      // Realised gain/loss when the receipt rate differs from the invoice rate
+      const forex = computeRealisedForex({
+        invoice,
+        foreignAmount: receipt.totalReceipt,
+        receiptRate: receipt.exchangeRate,
+      });
+      if (forex) receipt.forex = forex;
+
       await receipt.save();
 
       // Update status
@@ -229,7 +310,7 @@ router.post("/", async (req, res) => {
     }
 
     // ✅ FEATURE #51: Update bank balance
-    bank.currentBalance = (bank.currentBalance || 0) + receipt.totalReceipt;
+    bank.currentBalance = (bank.currentBalance || 0) + bankAmount(receipt);
     await bank.save();
 
     const populatedReceipt = await Receipt.findById(receipt._id)
@@ -240,6 +321,7 @@ router.post("/", async (req, res) => {
     res.status(201).json({
       success: true,
       receipt: populatedReceipt,
+      warnings: rate.warnings,
       invoice: invoice
         ? {
             _id: invoice._id,
@@ -291,11 +373,11 @@ router.put("/:id", async (req, res) => {
       // Reverse old bank, add to new bank
       const oldBank = await BankAccount.findById(receipt.bank);
       if (oldBank) {
-        oldBank.currentBalance = (oldBank.currentBalance || 0) - receipt.totalReceipt;
+        oldBank.currentBalance = (oldBank.currentBalance || 0) - bankAmount(receipt);
         await oldBank.save();
       }
 
-      newBank.currentBalance = (newBank.currentBalance || 0) + receipt.totalReceipt;
+      newBank.currentBalance = (newBank.currentBalance || 0) + bankAmount(receipt);
       await newBank.save();
 
       receipt.bank = req.body.bankId;
@@ -303,33 +385,67 @@ router.put("/:id", async (req, res) => {
 
     // Store old total for invoice adjustment
     const oldTotal = receipt.totalReceipt;
+    const oldBankAmount = bankAmount(receipt);
 
     // Sanitize items if provided
     if (req.body.items) {
       req.body.items = sanitizeReceiptItems(req.body.items);
     }
 
+    // The currency follows the invoice; only the rate can be corrected
+    delete req.body.currency;
+    if (req.body.exchangeRate !== undefined) {
+      const rate = await resolveDocumentRate({
+        organizationId,
+        currency: receipt.currency,
+        exchangeRate: req.body.exchangeRate,
+      });
+      if (rate.errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: rate.errors.join("; "), errors: rate.errors });
+      }
+      req.body.exchangeRate = rate.exchangeRate;
+    }
+
     // Update receipt
     Object.assign(receipt, req.body);
     await receipt.save();
 
     // ✅ FEATURE #51: Update bank balance if total changed
-    if (receipt.totalReceipt !== oldTotal) {
+    if (bankAmount(receipt) !== oldBankAmount) {
       const bank = await BankAccount.findById(receipt.bank);
       if (bank) {
-        const difference = receipt.totalReceipt - oldTotal;
+        const difference = bankAmount(receipt) - oldBankAmount;
         bank.currentBalance = (bank.currentBalance || 0) + difference;
         await bank.save();
       }
     }
 
+    // Realised forex follows the amount and rate
+    if (receipt.invoice && receipt.currency !== "INR") {
+      const invoice = await Invoice.findById(receipt.invoice);
+      const forex =
+        invoice &&
+        computeRealisedForex({
+          invoice,
+          foreignAmount: receipt.totalReceipt,
+          receiptRate: receipt.exchangeRate,
+        });
+      if (forex) {
+        receipt.forex = forex;
+        await receipt.save();
+      }
+    }
+
     // Adjust invoice if total changed
     if (receipt.invoice && receipt.totalReceipt !== oldTotal) {
       const invoice = await Invoice.findById(receipt.invoice);
       if (invoice) {
         const difference = receipt.totalReceipt - oldTotal;
         invoice.paidAmount = (invoice.paidAmount || 0) + difference;
-        invoice.balanceAmount = invoice.totalAmount - invoice.paidAmount;
+        invoice.balanceAmount =
+          invoice.totalAmount - invoice.paidAmount - (invoice.creditedAmount || 0);
 
         if (invoice.balanceAmount <= 0) {
           invoice.status = "PAID";
@@ -385,7 +501,7 @@ router.post("/:id/cancel", async (req, res) => {
     // ✅ FEATURE #51: Reverse bank balance
     const bank = await BankAccount.findById(receipt.bank);
     if (bank) {
-      bank.currentBalance = (bank.currentBalance || 0) - receipt.totalReceipt;
+      bank.currentBalance = (bank.currentBalance || 0) - bankAmount(receipt);
       await bank.save();
     }
 
@@ -397,7 +513,8 @@ router.post("/:id/cancel", async (req, res) => {
           0,
           (invoice.paidAmount || 0) - receipt.totalReceipt
         );
-        invoice.balanceAmount = invoice.totalAmount - invoice.paidAmount;
+        invoice.balanceAmount =
+          invoice.totalAmount - invoice.paidAmount - (invoice.creditedAmount || 0);
 
         if (invoice.balanceAmount <= 0) {
           invoice.status = "PAID";
@@ -441,7 +558,7 @@ router.delete("/:id", async (req, res) => {
     if (receipt.status !== "CANCELLED") {
       const bank = await BankAccount.findById(receipt.bank);
       if (bank) {
-        bank.currentBalance = (bank.currentBalance || 0) - receipt.totalReceipt;
+        bank.currentBalance = (bank.currentBalance || 0) - bankAmount(receipt);
         await bank.save();
       }
     }
@@ -454,7 +571,8 @@ router.delete("/:id", async (req, res) => {
           0,
           (invoice.paidAmount || 0) - receipt.totalReceipt
         );
-        invoice.balanceAmount = invoice.totalAmount - invoice.paidAmount;
+        invoice.balanceAmount =
+          invoice.totalAmount - invoice.paidAmount - (invoice.creditedAmount || 0);
 
         if (invoice.paidAmount > 0) {
           invoice.status = "PARTIALLY_PAID";
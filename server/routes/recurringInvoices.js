@@ -10,8 +10,16 @@ import RecurringInvoice from '../models/RecurringInvoice.js';
 import Invoice from '../models/Invoice.js';
 import Organization from '../models/Organization.js';
 import Client from '../models/Client.js';
-import { calculateGSTBreakdown } from '../utils/gstCalculator.js';
+import { calculateGSTBreakdown, applyRateSchedule } from '../utils/gstCalculator.js';
+import { resolveDocumentPlaceOfSupply } from '../utils/placeOfSupply.js';
+import { resolveExportSupply } from '../utils/exportSupply.js';
+import {
+  isCompositionOrganization,
+  validateCompositionSupply,
+} from '../utils/compositionScheme.js';
 import { amountToWords } from '../utils/numberToWords.js';
+import { computeInvoiceTCS, recordInvoiceTCS } from '../services/tcsService.js';
+import { recordInvoiceRevision } from '../services/invoiceRevisionService.js';
 
 const router = express.Router();
 
@@ -191,6 +199,8 @@ router.post('/:id/generate', async (req, res) => {
         unit: item.unit || 'UNIT',
         rate: rate,
         gstRate: parseFloat(item.gstRate) || 0,
+        cessRate: parseFloat(item.cessRate) || 0,
+        cessPerUnit: parseFloat(item.cessPerUnit) || 0,
         itemType: item.itemType || 'SERVICE',
         amount: amount,
       };
@@ -199,11 +209,52 @@ router.post('/:id/generate', async (req, res) => {
     console.log('✅ Prepared items:', preparedItems.length, 'items');
     console.log('📊 Item amounts:', preparedItems.map(i => i.amount));
 
+    // Templates may predate a rate change; bill at the rate in force today
+    const rateSchedule = await applyRateSchedule(preparedItems, new Date());
+    rateSchedule.adjustments.forEach(a =>
+      console.log(`📋 ${a.description}: GST ${a.enteredRate}% → ${a.appliedRate}% (HSN ${a.matchedCode} schedule)`)
+    );
+
+    // Templates carry no ship-to, so the client's address decides the place of supply
+    const placeOfSupply = resolveDocumentPlaceOfSupply({
+      organization,
+      client,
+      items: rateSchedule.items,
+    });
+    placeOfSupply.warnings.forEach(w => console.warn('⚠️ Place of supply:', w));
+
+    // Export/SEZ clients go out under the LUT in force today, else with IGST
+    const exportSupply = resolveExportSupply({
+      organization,
+      client,
+      invoiceDate: new Date(),
+    });
+    if (exportSupply.errors.length > 0) {
+      throw new Error(exportSupply.errors.join('; '));
+    }
+
+    // Templates set up before a switch to composition bill as bills of supply
+    const isComposition = isCompositionOrganization(organization);
+    const invoiceType =
+      isComposition && (!recurring.invoiceType || recurring.invoiceType === 'TAX_INVOICE')
+        ? 'BILL_OF_SUPPLY'
+        : recurring.invoiceType || 'TAX_INVOICE';
+    const compositionErrors = validateCompositionSupply({
+      organization,
+      invoiceType,
+      placeOfSupply,
+      supplyType: exportSupply.supplyType,
+    });
+    if (compositionErrors.length > 0) {
+      throw new Error(compositionErrors.join('; '));
+    }
+
     // Call GST calculator
     const gstBreakdown = calculateGSTBreakdown(
-      preparedItems,
+      rateSchedule.items,
       client.gstin || '',
-      organization.gstin || ''
+      organization.gstin || '',
+      { placeOfSupply, supplyType: exportSupply.supplyType, billOfSupply: isComposition }
     );
 
     console.log('✅ GST breakdown calculated');
@@ -246,17 +297,35 @@ router.post('/:id/generate', async (req, res) => {
     const totalCGST = parseFloat(gstBreakdown.totalCGST) || 0;
     const totalSGST = parseFloat(gstBreakdown.totalSGST) || 0;
     const totalIGST = parseFloat(gstBreakdown.totalIGST) || 0;
+    const totalCess = parseFloat(gstBreakdown.totalCess) || 0;
 
-    console.log('📊 Tax breakdown:', { totalCGST, totalSGST, totalIGST, totalTax });
+    console.log('📊 Tax breakdown:', { totalCGST, totalSGST, totalIGST, totalCess, totalTax });
 
     // Calculate TDS
     const tdsRate = parseFloat(recurring.tdsRate) || 0;
     const tdsAmount = tdsRate > 0 ? (taxableAmount * tdsRate) / 100 : 0;
     console.log('📊 TDS:', tdsAmount);
 
+    // Income-tax TCS (206C) on the invoice value including GST
+    const tcs = await computeInvoiceTCS({
+      organization,
+      client,
+      invoice: {
+        invoiceType,
+        invoiceDate: new Date(),
+        items: gstBreakdown.items,
+        subtotal,
+        discountAmount,
+        totalTax,
+        supplyType: exportSupply.supplyType,
+      },
+    });
+    const tcsAmount = tcs.tcsAmount;
+    console.log('📊 TCS:', tcsAmount);
+
     // Calculate final totals
     const totalWithTax = taxableAmount + totalTax;
-    const totalAmount = totalWithTax - tdsAmount;
+    const totalAmount = totalWithTax + tcsAmount - tdsAmount;
     const roundOff = Math.round(totalAmount) - totalAmount;
     const finalTotal = Math.round(totalAmount);
 
@@ -303,8 +372,9 @@ router.post('/:id/generate', async (req, res) => {
       // Taxable amount is same as base amount (before tax)
       const itemTaxableAmount = baseAmount;
       
-      // Calculate GST on this item
-      const itemTax = (itemTaxableAmount * gstRate) / 100;
+      // Calculate GST and cess on this item
+      const itemCess = parseFloat(item.cess) || 0;
+      const itemTax = (itemTaxableAmount * gstRate) / 100 + itemCess;
       
       // Total amount including tax
       const itemTotalAmount = itemTaxableAmount + itemTax;
@@ -319,6 +389,9 @@ router.post('/:id/generate', async (req, res) => {
         cgst: parseFloat(item.cgst) || 0,
         sgst: parseFloat(item.sgst) || 0,
         igst: parseFloat(item.igst) || 0,
+        cessRate: item.cessRate || 0,
+        cessPerUnit: item.cessPerUnit || 0,
+        cess: itemCess,
         // ✅ Required fields for Invoice model:
         amount: itemTotalAmount,              // Total including tax
         taxableAmount: itemTaxableAmount,     // Amount before tax
@@ -340,7 +413,7 @@ router.post('/:id/generate', async (req, res) => {
     // Create invoice data
     const invoiceData = {
       invoiceNumber,
-      invoiceType: recurring.invoiceType || 'TAX_INVOICE',
+      invoiceType,
       client: client._id,
       invoiceDate: new Date(),
       dueDate: dueDate,
@@ -352,11 +425,20 @@ router.post('/:id/generate', async (req, res) => {
       cgst: parseFloat(totalCGST.toFixed(2)),
       sgst: parseFloat(totalSGST.toFixed(2)),
       igst: parseFloat(totalIGST.toFixed(2)),
+      cess: parseFloat(totalCess.toFixed(2)),
       totalTax: parseFloat(totalTax.toFixed(2)),
+      placeOfSupply,
+      supplyType: exportSupply.supplyType,
+      exportDetails: exportSupply.exportDetails,
       tdsApplicable: tdsRate > 0,
       tdsSection: recurring.tdsSection || null,
       tdsRate: tdsRate,
       tdsAmount: parseFloat(tdsAmount.toFixed(2)),
+      tcsApplicable: tcsAmount > 0,
+      tcsSection: tcs.section,
+      tcsRate: tcs.rate,
+      tcsBaseAmount: tcs.baseAmount,
+      tcsAmount,
       roundOff: parseFloat(roundOff.toFixed(2)),
       totalAmount: finalTotal,
       amountInWords: amountInWordsText,
@@ -376,6 +458,15 @@ router.post('/:id/generate', async (req, res) => {
 
     console.log('✅ Invoice created:', invoice.invoiceNumber);
 
+    // TCS payable register
+    await recordInvoiceTCS({
+      organizationId,
+      invoice,
+      client,
+      computation: tcs,
+      userId: req.user.id,
+    });
+
     // Update recurring template
     recurring.invoicesGenerated = (recurring.invoicesGenerated || 0) + 1;
     recurring.lastGeneratedDate = new Date();
@@ -417,12 +508,19 @@ router.post('/:id/generate', async (req, res) => {
     // Populate the invoice
     const populatedInvoice = await Invoice.findById(invoice._id).populate('client');
 
+    await recordInvoiceRevision({
+      invoice: populatedInvoice,
+      user: req.user,
+      source: 'CREATE',
+    });
+
     console.log('🎉 Invoice generation complete!');
 
     res.json({ 
       success: true,
       invoice: populatedInvoice, 
       recurring: recurring,
+      rateAdjustments: rateSchedule.adjustments,
       message: 'Invoice generated successfully'
     });
   } catch (error) {
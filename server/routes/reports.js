@@ -8,8 +8,11 @@ import { protect } from '../middleware/auth.js';
 import Invoice from '../models/Invoice.js';
 import RecurringInvoice from '../models/RecurringInvoice.js';
 import creditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
+import Receipt from '../models/Receipt.js';
 import PurchaseInvoice from '../models/PurchaseInvoice.js';
 import Client from '../models/Client.js';
+import { toINRDocument } from '../utils/currencies.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
@@ -683,4 +686,185 @@ router.get('/vendor-outstanding-branches/:vendorId', async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// ============================================
+// Party Ledger: invoices, TCS, receipts and notes of a client
+// ============================================
+const LEDGER_INVOICE_TYPES = ['TAX_INVOICE', 'BILL_OF_SUPPLY', 'CREDIT_NOTE', 'DEBIT_NOTE'];
+
+// Ledger entries of a client before (opening) or within a period
+const getLedgerEntries = async (organizationId, clientId, dateRange) => {
+  const [invoices, receipts, creditNotes, debitNotes] = await Promise.all([
+    Invoice.find({
+      organization: organizationId,
+      client: clientId,
+      invoiceType: { $in: LEDGER_INVOICE_TYPES },
+      status: { $nin: ['DRAFT', 'CANCELLED'] },
+      invoiceDate: dateRange,
+    }).select('invoiceNumber invoiceType invoiceDate totalAmount tcsAmount tcsSection tcsRate tdsAmount currency exchangeRate inrTotals'),
+    Receipt.find({
+      organization: organizationId,
+      client: clientId,
+      status: { $ne: 'CANCELLED' },
+      receiptDate: dateRange,
+    }).select('receiptNumber receiptType receiptDate totalCashReceived totalTDSReceivable totalAdvanceAdjusted totalReceipt currency exchangeRate forex'),
+    creditNote.find({
+      organization: organizationId,
+      client: clientId,
+      status: { $ne: 'DRAFT' },
+      creditNoteDate: dateRange,
+    }).select('creditNoteNumber creditNoteDate subtotal totalTax totalAmount currency exchangeRate'),
+    DebitNote.find({
+      organization: organizationId,
+      client: clientId,
+      status: { $ne: 'DRAFT' },
+      debitNoteDate: dateRange,
+    }).select('debitNoteNumber debitNoteDate totalAmount'),
+  ]);
+
+  const entries = [];
+
+  // The ledger is kept in INR; foreign-currency invoices post at their invoice rate
+  invoices.map(toINRDocument).forEach((invoice) => {
+    const isCredit = invoice.invoiceType === 'CREDIT_NOTE';
+    entries.push({
+      date: invoice.invoiceDate,
+      type: invoice.invoiceType,
+      reference: invoice.invoiceNumber,
+      documentId: invoice._id,
+      // TCS is part of the amount receivable; shown separately for the buyer's 26AS credit
+      tcsAmount: isCredit ? 0 : invoice.tcsAmount || 0,
+      tcsSection: invoice.tcsSection,
+      narration:
+        invoice.tcsAmount > 0
+          ? `Includes TCS u/s ${invoice.tcsSection || '206C'} @ ${invoice.tcsRate}%`
+          : '',
+      debit: isCredit ? 0 : invoice.totalAmount,
+      credit: isCredit ? invoice.totalAmount : 0,
+    });
+  });
+
+  receipts.forEach((receipt) => {
+    const isRefund = receipt.receiptType === 'REFUND';
+    const rate = receipt.exchangeRate || 1;
+    // Advances adjusted were credited when the advance was received
+    const amount =
+      (isRefund
+        ? Math.abs(receipt.totalReceipt) // refunds are stored as negative receipts
+        : receipt.totalReceipt - (receipt.totalAdvanceAdjusted || 0)) * rate;
+    entries.push({
+      date: receipt.receiptDate,
+      type: isRefund ? 'REFUND' : 'RECEIPT',
+      reference: receipt.receiptNumber,
+      documentId: receipt._id,
+      tcsAmount: 0,
+      cashAmount: (receipt.totalCashReceived || 0) * rate,
+      tdsAmount: (receipt.totalTDSReceivable || 0) * rate,
+      narration: receipt.totalTDSReceivable > 0 ? `TDS receivable ${receipt.totalTDSReceivable}` : '',
+      debit: isRefund ? amount : 0,
+      credit: isRefund ? 0 : amount,
+    });
+
+    // Realised exchange difference clears what the receipt rate left open
+    if (receipt.forex?.gainLoss) {
+      entries.push({
+        date: receipt.receiptDate,
+        type: receipt.forex.gainLoss > 0 ? 'FOREX_GAIN' : 'FOREX_LOSS',
+        reference: receipt.receiptNumber,
+        documentId: receipt._id,
+        tcsAmount: 0,
+        narration: `${receipt.currency} @ ${receipt.forex.invoiceRate} invoiced, @ ${receipt.exchangeRate} received`,
+        debit: receipt.forex.gainLoss > 0 ? receipt.forex.gainLoss : 0,
+        credit: receipt.forex.gainLoss < 0 ? -receipt.forex.gainLoss : 0,
+      });
+    }
+  });
+
+  creditNotes.map(toINRDocument).forEach((note) => {
+    entries.push({
+      date: note.creditNoteDate,
+      type: 'CREDIT_NOTE',
+      reference: note.creditNoteNumber,
+      documentId: note._id,
+      tcsAmount: 0,
+      narration: '',
+      debit: 0,
+      credit: note.totalAmount,
+    });
+  });
+
+  debitNotes.forEach((note) => {
+    entries.push({
+      date: note.debitNoteDate,
+      type: 'DEBIT_NOTE',
+      reference: note.debitNoteNumber,
+      documentId: note._id,
+      tcsAmount: 0,
+      narration: '',
+      debit: note.totalAmount,
+      credit: 0,
+    });
+  });
+
+  return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+router.get('/party-ledger/:clientId', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { startDate, endDate } = req.query;
+
+    const client = await Client.findOne({
+      _id: req.params.clientId,
+      organization: organizationId,
+    }).select('companyName clientCode gstin pan email');
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const from = startDate ? new Date(startDate) : null;
+    const to = endDate ? new Date(endDate) : new Date();
+    to.setHours(23, 59, 59, 999);
+
+    const [openingEntries, periodEntries] = await Promise.all([
+      from ? getLedgerEntries(organizationId, client._id, { $lt: from }) : [],
+      getLedgerEntries(organizationId, client._id, from ? { $gte: from, $lte: to } : { $lte: to }),
+    ]);
+
+    const openingBalance = openingEntries.reduce((total, e) => total + e.debit - e.credit, 0);
+
+    let balance = openingBalance;
+    const entries = periodEntries.map((entry) => {
+      balance += entry.debit - entry.credit;
+      return { ...entry, balance: parseFloat(balance.toFixed(2)) };
+    });
+
+    const totals = entries.reduce(
+      (acc, e) => ({
+        debit: acc.debit + e.debit,
+        credit: acc.credit + e.credit,
+        tcsAmount: acc.tcsAmount + e.tcsAmount,
+        tdsAmount: acc.tdsAmount + (e.tdsAmount || 0),
+      }),
+      { debit: 0, credit: 0, tcsAmount: 0, tdsAmount: 0 }
+    );
+
+    res.json({
+      client,
+      period: { startDate: from, endDate: to },
+      openingBalance: parseFloat(openingBalance.toFixed(2)),
+      entries,
+      totals: {
+        debit: parseFloat(totals.debit.toFixed(2)),
+        credit: parseFloat(totals.credit.toFixed(2)),
+        tcsAmount: parseFloat(totals.tcsAmount.toFixed(2)),
+        tdsAmount: parseFloat(totals.tdsAmount.toFixed(2)),
+      },
+      closingBalance: parseFloat(balance.toFixed(2)),
+    });
+  } catch (error) {
+    console.error('Party Ledger error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,450 @@
+// ============================================
+// FILE: server/routes/tcs.js
+// TCS collected from buyers: register, buyer thresholds, challans, Form 27EQ
+// ============================================
+
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import Client from '../models/Client.js';
+import Invoice from '../models/Invoice.js';
+import Organization from '../models/Organization.js';
+import TCSCollection from '../models/TCSCollection.js';
+import TDSChallan from '../models/TDSChallan.js';
+import { TCS_SECTIONS, getTCSRule, computeTCSLateInterest } from '../utils/tcsSections.js';
+import { getFinancialYearOf, getTDSQuarterRange } from '../utils/tdsSections.js';
+import {
+  computeInvoiceTCS,
+  getSellerTurnover,
+  getBuyerTCSSummary,
+  buildForm27EQ,
+} from '../services/tcsService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Sections with the rule in force
+router.get('/sections', async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    res.json(
+      Object.entries(TCS_SECTIONS).map(([section, config]) => ({
+        section,
+        label: config.label,
+        code: config.code,
+        rule: getTCSRule(section, date),
+      }))
+    );
+  } catch (error) {
+    console.error('Error fetching TCS sections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview the TCS an invoice would carry (saved invoice or unsaved values)
+router.post('/preview', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const { invoiceId, clientId, section } = req.body;
+
+    let invoice = req.body;
+    if (invoiceId) {
+      invoice = await Invoice.findOne({ _id: invoiceId, organization: organizationId });
+      if (!invoice) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+    }
+
+    const client = await Client.findOne({
+      _id: invoiceId ? invoice.client : clientId,
+      organization: organizationId,
+    });
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const organization = await Organization.findById(organizationId);
+    const computation = await computeInvoiceTCS({
+      organization,
+      client,
+      invoice: { invoiceType: 'TAX_INVOICE', ...(invoice.toObject ? invoice.toObject() : invoice) },
+      section: section || (invoiceId ? invoice.tcsSection : null),
+      excludeInvoiceId: invoiceId,
+    });
+
+    res.json(computation);
+  } catch (error) {
+    console.error('Error previewing TCS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// TCS PAYABLE REGISTER
+// ============================================
+
+router.get('/collections', async (req, res) => {
+  try {
+    const { financialYear, quarter, clientId, section, deposited } = req.query;
+
+    const filter = { organization: req.user.organizationId };
+    if (financialYear) filter.financialYear = financialYear;
+    if (quarter) filter.quarter = quarter.toUpperCase();
+    if (clientId) filter.client = clientId;
+    if (section) filter.section = section;
+    if (deposited === 'true') filter.challan = { $ne: null };
+    if (deposited === 'false') filter.challan = null;
+
+    const collections = await TCSCollection.find(filter)
+      .populate('client', 'companyName pan clientCode')
+      .populate('invoice', 'invoiceNumber invoiceDate totalAmount status')
+      .populate('challan', 'bsrCode challanSerialNumber depositDate')
+      .sort({ collectionDate: 1 });
+
+    const now = new Date();
+    res.json({
+      collections,
+      totals: {
+        count: collections.length,
+        amount: collections.reduce((total, row) => total + row.amount, 0),
+        tcsCollected: collections.reduce((total, row) => total + row.tcsAmount, 0),
+        undeposited: collections
+          .filter((row) => !row.challan)
+          .reduce((total, row) => total + row.tcsAmount, 0),
+        overdue: collections
+          .filter((row) => !row.challan && row.depositDueDate < now)
+          .reduce((total, row) => total + row.tcsAmount, 0),
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching TCS collections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// BUYER SETTINGS
+// ============================================
+
+// FY purchases of a buyer against the threshold and TCS collected
+router.get('/buyers/:clientId/summary', async (req, res) => {
+  try {
+    const client = await Client.findOne({
+      _id: req.params.clientId,
+      organization: req.user.organizationId,
+    });
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    const summary = await getBuyerTCSSummary({
+      organization,
+      client,
+      financialYear: req.query.financialYear,
+    });
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching buyer TCS summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Default section of a buyer and whether it deducts TDS u/s 194Q on purchases
+router.patch('/buyers/:clientId', async (req, res) => {
+  try {
+    const { tcsSection, tdsOnPurchases194Q } = req.body;
+
+    if (tcsSection && !TCS_SECTIONS[tcsSection]) {
+      return res.status(400).json({ error: `Unknown TCS section ${tcsSection}` });
+    }
+
+    const client = await Client.findOneAndUpdate(
+      { _id: req.params.clientId, organization: req.user.organizationId },
+      {
+        $set: {
+          tcsSection: tcsSection || null,
+          tdsOnPurchases194Q: !!tdsOnPurchases194Q,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json(client);
+  } catch (error) {
+    console.error('Error updating buyer TCS settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SELLER TURNOVER
+// ============================================
+
+// Preceding-year turnover the 206C(1H) condition is tested against
+router.get('/seller-turnover', async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organizationId);
+    const financialYear = req.query.financialYear || getFinancialYearOf(new Date());
+
+    res.json({
+      ...(await getSellerTurnover(organization, financialYear)),
+      declared: organization.turnoverHistory || [],
+    });
+  } catch (error) {
+    console.error('Error fetching seller turnover:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Declare the turnover of a year not (fully) recorded in the books
+router.put('/seller-turnover', async (req, res) => {
+  try {
+    const { financialYear, turnover } = req.body;
+    if (!/^\d{4}-\d{2}$/.test(financialYear || '')) {
+      return res.status(400).json({ error: 'Financial year (e.g. 2024-25) is required' });
+    }
+
+    const organization = await Organization.findById(req.user.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const entries = (organization.turnoverHistory || []).filter((entry) => entry.financialYear !== financialYear);
+    if (turnover !== null && turnover !== undefined && turnover !== '') {
+      const value = parseFloat(turnover);
+      if (isNaN(value) || value < 0) {
+        return res.status(400).json({ error: 'Turnover must be a positive amount' });
+      }
+      entries.push({ financialYear, turnover: value });
+    }
+    organization.turnoverHistory = entries.sort((a, b) => a.financialYear.localeCompare(b.financialYear));
+    await organization.save();
+
+    res.json(organization.turnoverHistory);
+  } catch (error) {
+    console.error('Error updating seller turnover:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// CHALLANS (ITNS 281, minor head 200)
+// ============================================
+
+router.get('/challans', async (req, res) => {
+  try {
+    const { financialYear, quarter } = req.query;
+
+    const filter = { organization: req.user.organizationId, statementType: '27EQ' };
+    if (financialYear) filter.financialYear = financialYear;
+    if (quarter) filter.quarter = quarter.toUpperCase();
+
+    const challans = await TDSChallan.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ depositDate: 1 });
+
+    const collections = await TCSCollection.find({
+      organization: req.user.organizationId,
+      challan: { $in: challans.map((c) => c._id) },
+    }).select('challan tcsAmount');
+
+    res.json(
+      challans.map((challan) => {
+        const linked = collections.filter((c) => c.challan.toString() === challan._id.toString());
+        return {
+          ...challan.toObject(),
+          collectionCount: linked.length,
+          collecteeTax: linked.reduce((total, c) => total + c.tcsAmount, 0),
+        };
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching TCS challans:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a deposit and link the collections it pays
+router.post('/challans', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const {
+      bsrCode,
+      challanSerialNumber,
+      depositDate,
+      collectionIds,
+      surcharge,
+      educationCess,
+      interest,
+      fee,
+      others,
+      minorHead,
+      paymentMode,
+      remarks,
+    } = req.body;
+
+    if (!bsrCode || !challanSerialNumber || !depositDate) {
+      return res.status(400).json({ error: 'BSR code, challan serial number and deposit date are required' });
+    }
+    if (!Array.isArray(collectionIds) || collectionIds.length === 0) {
+      return res.status(400).json({ error: 'Select the collections paid with this challan' });
+    }
+
+    const organization = await Organization.findById(organizationId).select('tan');
+    if (!organization?.tan) {
+      return res.status(400).json({ error: 'Set the organization TAN before recording challans' });
+    }
+
+    const collections = await TCSCollection.find({
+      _id: { $in: collectionIds },
+      organization: organizationId,
+    });
+
+    const errors = [];
+    if (collections.length !== collectionIds.length) {
+      errors.push('Some collections were not found');
+    }
+    if (collections.some((c) => c.challan)) {
+      errors.push('Some collections are already linked to a challan');
+    }
+    const sections = [...new Set(collections.map((c) => c.section))];
+    if (sections.length > 1) {
+      errors.push(`A challan pays one collection code; selected collections span ${sections.join(', ')}`);
+    }
+    const codes = [...new Set(collections.map((c) => c.collecteeCode))];
+    if (codes.length > 1) {
+      errors.push('Company (0020) and non-company (0021) collectees need separate challans');
+    }
+    const quarters = [...new Set(collections.map((c) => `${c.financialYear} ${c.quarter}`))];
+    if (quarters.length > 1) {
+      errors.push(`Selected collections span quarters ${quarters.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const tax = collections.reduce((total, c) => total + c.tcsAmount, 0);
+    const interestDue = collections.reduce(
+      (total, c) => total + computeTCSLateInterest(c.tcsAmount, c.collectionDate, depositDate),
+      0
+    );
+    const { financialYear, quarter } = collections[0];
+    const startYear = parseInt(financialYear, 10);
+
+    const challan = await TDSChallan.create({
+      statementType: '27EQ',
+      tan: organization.tan,
+      section: sections[0],
+      majorHead: codes[0] === '01' ? '0020' : '0021',
+      minorHead: minorHead || '200',
+      assessmentYear: `${startYear + 1}-${String(startYear + 2).slice(-2)}`,
+      financialYear,
+      quarter,
+      bsrCode,
+      challanSerialNumber,
+      depositDate,
+      tax,
+      surcharge: surcharge || 0,
+      educationCess: educationCess || 0,
+      interest: interest !== undefined ? interest : interestDue,
+      fee: fee || 0,
+      others: others || 0,
+      paymentMode,
+      remarks,
+      createdBy: req.user.id,
+      organization: organizationId,
+    });
+
+    await TCSCollection.updateMany(
+      { _id: { $in: collections.map((c) => c._id) } },
+      { $set: { challan: challan._id } }
+    );
+
+    const warnings = [];
+    if (interestDue > 0 && (challan.interest || 0) < interestDue) {
+      warnings.push(`Interest u/s 206C(7) of Rs ${interestDue} is due for late deposit`);
+    }
+
+    res.status(201).json({ challan, interestDue, warnings });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A challan with this BSR code, date and serial number already exists' });
+    }
+    console.error('Error recording TCS challan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/challans/:id', async (req, res) => {
+  try {
+    const challan = await TDSChallan.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+      statementType: '27EQ',
+    });
+    if (!challan) {
+      return res.status(404).json({ error: 'Challan not found' });
+    }
+
+    await TCSCollection.updateMany(
+      { organization: req.user.organizationId, challan: challan._id },
+      { $set: { challan: null } }
+    );
+    await challan.deleteOne();
+
+    res.json({ message: 'Challan deleted; its collections are undeposited again' });
+  } catch (error) {
+    console.error('Error deleting TCS challan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// FORM 27EQ
+// ============================================
+
+// Quarterly statement in the NSDL e-TCS text format (?format=json for the summary)
+router.get('/27eq', async (req, res) => {
+  try {
+    const { financialYear, quarter, format } = req.query;
+
+    try {
+      getTDSQuarterRange(financialYear, quarter);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const statement = await buildForm27EQ({
+      organizationId: req.user.organizationId,
+      financialYear,
+      quarter,
+    });
+
+    if (format === 'json') {
+      const { content, ...rest } = statement;
+      return res.json({ ...rest, lines: content.split('\n').filter(Boolean).length });
+    }
+
+    if (statement.errors.length > 0) {
+      return res.status(400).json({
+        error: statement.errors.join('; '),
+        errors: statement.errors,
+        warnings: statement.warnings,
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Disposition', `attachment; filename="${statement.fileName}"`);
+    res.send(statement.content);
+  } catch (error) {
+    console.error('Error generating Form 27EQ:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
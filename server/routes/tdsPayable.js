@@ -0,0 +1,649 @@
+// ============================================
+// FILE: server/routes/tdsPayable.js
+// TDS deducted from vendors: deductions, certificates, challans, Form 26Q
+// ============================================
+
+import express from 'express';
+import archiver from 'archiver';
+import { protect } from '../middleware/auth.js';
+import Client from '../models/Client.js';
+import Organization from '../models/Organization.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import TDSDeduction from '../models/TDSDeduction.js';
+import TDSChallan from '../models/TDSChallan.js';
+import {
+  TDS_PAYABLE_SECTIONS,
+  getTDSThreshold,
+  getTDSQuarterRange,
+  computeLateDepositInterest,
+} from '../utils/tdsSections.js';
+import {
+  computeBillTDS,
+  getVendorTDSSummary,
+  buildForm26Q,
+  buildForm16ACertificates,
+} from '../services/tdsPayableService.js';
+import { generateHTMLPDFBuffers } from '../utils/puppeteerPDF.js';
+import { generateForm16AHTML } from '../utils/form16APdfGenerator.js';
+import { sendForm16A } from '../services/emailService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Sections with the rates and thresholds in force
+router.get('/sections', async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    res.json(
+      Object.entries(TDS_PAYABLE_SECTIONS).map(([section, config]) => ({
+        section,
+        label: config.label,
+        code: config.code,
+        rates: config.rates,
+        threshold: getTDSThreshold(section, date),
+      }))
+    );
+  } catch (error) {
+    console.error('Error fetching TDS sections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// DEDUCTIONS
+// ============================================
+
+router.get('/deductions', async (req, res) => {
+  try {
+    const { financialYear, quarter, vendorId, section, deposited } = req.query;
+
+    const filter = { organization: req.user.organizationId };
+    if (financialYear) filter.financialYear = financialYear;
+    if (quarter) filter.quarter = quarter.toUpperCase();
+    if (vendorId) filter.vendor = vendorId;
+    if (section) filter.section = section;
+    if (deposited === 'true') filter.challan = { $ne: null };
+    if (deposited === 'false') {
+      filter.challan = null;
+      filter.tdsAmount = { $gt: 0 };
+    }
+
+    const deductions = await TDSDeduction.find(filter)
+      .populate('vendor', 'companyName pan clientCode')
+      .populate('purchaseInvoice', 'piNumber piDate vendorReferenceNumber totalAmount')
+      .populate('challan', 'bsrCode challanSerialNumber depositDate')
+      .sort({ deductionDate: 1 });
+
+    res.json(deductions);
+  } catch (error) {
+    console.error('Error fetching TDS deductions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview the TDS a payment against a purchase invoice would carry
+router.post('/preview', async (req, res) => {
+  try {
+    const { purchaseInvoiceId, section, date } = req.body;
+    const organizationId = req.user.organizationId;
+
+    const pi = await PurchaseInvoice.findOne({ _id: purchaseInvoiceId, organization: organizationId });
+    if (!pi) {
+      return res.status(404).json({ error: 'Purchase Invoice not found' });
+    }
+
+    const vendor = await Client.findById(pi.vendor);
+    const tdsSection = section || pi.tdsSection || vendor?.tdsSection;
+    if (!tdsSection || tdsSection === 'NONE') {
+      return res.json({ section: null, tdsAmount: 0, rows: [] });
+    }
+    if (!TDS_PAYABLE_SECTIONS[tdsSection]) {
+      return res.status(400).json({ error: `Unknown TDS section ${tdsSection}` });
+    }
+
+    const computation = await computeBillTDS({
+      organizationId,
+      pi,
+      vendor,
+      section: tdsSection,
+      date: date || new Date(),
+    });
+
+    res.json(computation);
+  } catch (error) {
+    console.error('Error previewing TDS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// VENDOR SETTINGS
+// ============================================
+
+// FY position of a vendor per section
+router.get('/vendors/:vendorId/summary', async (req, res) => {
+  try {
+    const vendor = await Client.findOne({
+      _id: req.params.vendorId,
+      organization: req.user.organizationId,
+    });
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    const summary = await getVendorTDSSummary({
+      organizationId: req.user.organizationId,
+      vendor,
+      financialYear: req.query.financialYear,
+    });
+
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching vendor TDS summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Default section and transporter declaration of a vendor
+router.patch('/vendors/:vendorId', async (req, res) => {
+  try {
+    const { tdsSection, tdsTransporterDeclaration } = req.body;
+
+    if (tdsSection && !TDS_PAYABLE_SECTIONS[tdsSection]) {
+      return res.status(400).json({ error: `Unknown TDS section ${tdsSection}` });
+    }
+
+    const vendor = await Client.findOneAndUpdate(
+      { _id: req.params.vendorId, organization: req.user.organizationId },
+      {
+        $set: {
+          tdsSection: tdsSection || null,
+          tdsTransporterDeclaration: !!tdsTransporterDeclaration,
+        },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    res.json(vendor);
+  } catch (error) {
+    console.error('Error updating vendor TDS settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a lower/nil deduction certificate (section 197)
+router.post('/vendors/:vendorId/certificates', async (req, res) => {
+  try {
+    const { section, certificateNumber, rate, validFrom, validTo, amountLimit } = req.body;
+
+    if (!TDS_PAYABLE_SECTIONS[section]) {
+      return res.status(400).json({ error: `Unknown TDS section ${section}` });
+    }
+    if (!certificateNumber || rate === undefined || !validFrom || !validTo || !amountLimit) {
+      return res.status(400).json({
+        error: 'Certificate number, rate, validity and amount limit are required',
+      });
+    }
+    if (new Date(validTo) < new Date(validFrom)) {
+      return res.status(400).json({ error: 'Certificate validity end must be on or after its start' });
+    }
+
+    const vendor = await Client.findOne({
+      _id: req.params.vendorId,
+      organization: req.user.organizationId,
+    });
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+    if (!vendor.pan) {
+      return res.status(400).json({ error: 'Vendor PAN is required for a lower deduction certificate' });
+    }
+
+    const overlapping = vendor.tdsCertificates.some(
+      (c) =>
+        c.section === section &&
+        new Date(c.validFrom) <= new Date(validTo) &&
+        new Date(c.validTo) >= new Date(validFrom)
+    );
+    if (overlapping) {
+      return res.status(400).json({
+        error: `Vendor already has a ${section} certificate for an overlapping period`,
+      });
+    }
+
+    vendor.tdsCertificates.push({ section, certificateNumber, rate, validFrom, validTo, amountLimit });
+    await vendor.save();
+
+    res.status(201).json(vendor.tdsCertificates[vendor.tdsCertificates.length - 1]);
+  } catch (error) {
+    console.error('Error adding TDS certificate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/vendors/:vendorId/certificates/:certificateId', async (req, res) => {
+  try {
+    const vendor = await Client.findOne({
+      _id: req.params.vendorId,
+      organization: req.user.organizationId,
+    });
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+
+    const certificate = vendor.tdsCertificates.id(req.params.certificateId);
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const used = await TDSDeduction.exists({
+      organization: req.user.organizationId,
+      vendor: vendor._id,
+      lowerDeductionCertificate: certificate.certificateNumber,
+    });
+    if (used) {
+      return res.status(400).json({ error: 'Certificate has been applied to deductions and cannot be removed' });
+    }
+
+    certificate.deleteOne();
+    await vendor.save();
+
+    res.json({ message: 'Certificate removed' });
+  } catch (error) {
+    console.error('Error removing TDS certificate:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// CHALLANS (ITNS 281)
+// ============================================
+
+router.get('/challans', async (req, res) => {
+  try {
+    const { financialYear, quarter } = req.query;
+
+    const filter = { organization: req.user.organizationId, statementType: { $ne: '27EQ' } };
+    if (financialYear) filter.financialYear = financialYear;
+    if (quarter) filter.quarter = quarter.toUpperCase();
+
+    const challans = await TDSChallan.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ depositDate: 1 });
+
+    const deductions = await TDSDeduction.find({
+      organization: req.user.organizationId,
+      challan: { $in: challans.map((c) => c._id) },
+    }).select('challan tdsAmount');
+
+    res.json(
+      challans.map((challan) => {
+        const linked = deductions.filter((d) => d.challan.toString() === challan._id.toString());
+        return {
+          ...challan.toObject(),
+          deductionCount: linked.length,
+          deducteeTax: linked.reduce((total, d) => total + d.tdsAmount, 0),
+        };
+      })
+    );
+  } catch (error) {
+    console.error('Error fetching TDS challans:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a deposit and link the deductions it pays
+router.post('/challans', async (req, res) => {
+  try {
+    const organizationId = req.user.organizationId;
+    const {
+      bsrCode,
+      challanSerialNumber,
+      depositDate,
+      deductionIds,
+      surcharge,
+      educationCess,
+      interest,
+      fee,
+      others,
+      minorHead,
+      paymentMode,
+      remarks,
+    } = req.body;
+
+    if (!bsrCode || !challanSerialNumber || !depositDate) {
+      return res.status(400).json({ error: 'BSR code, challan serial number and deposit date are required' });
+    }
+    if (!Array.isArray(deductionIds) || deductionIds.length === 0) {
+      return res.status(400).json({ error: 'Select the deductions paid with this challan' });
+    }
+
+    const organization = await Organization.findById(organizationId).select('tan');
+    if (!organization?.tan) {
+      return res.status(400).json({ error: 'Set the organization TAN before recording challans' });
+    }
+
+    const deductions = await TDSDeduction.find({
+      _id: { $in: deductionIds },
+      organization: organizationId,
+    });
+
+    const errors = [];
+    if (deductions.length !== deductionIds.length) {
+      errors.push('Some deductions were not found');
+    }
+    if (deductions.some((d) => d.challan)) {
+      errors.push('Some deductions are already linked to a challan');
+    }
+    if (deductions.some((d) => !d.tdsAmount)) {
+      errors.push('Deductions without tax (remark T/Y) do not need a challan');
+    }
+    const sections = [...new Set(deductions.map((d) => d.section))];
+    if (sections.length > 1) {
+      errors.push(`A challan pays one nature of payment; selected deductions span ${sections.join(', ')}`);
+    }
+    const codes = [...new Set(deductions.map((d) => d.deducteeCode))];
+    if (codes.length > 1) {
+      errors.push('Company (0020) and non-company (0021) deductees need separate challans');
+    }
+    const quarters = [...new Set(deductions.map((d) => `${d.financialYear} ${d.quarter}`))];
+    if (quarters.length > 1) {
+      errors.push(`Selected deductions span quarters ${quarters.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    const tax = deductions.reduce((total, d) => total + d.tdsAmount, 0);
+    const interestDue = deductions.reduce(
+      (total, d) => total + computeLateDepositInterest(d.tdsAmount, d.deductionDate, depositDate),
+      0
+    );
+    const { financialYear, quarter } = deductions[0];
+    const startYear = parseInt(financialYear, 10);
+
+    const challan = await TDSChallan.create({
+      tan: organization.tan,
+      section: sections[0],
+      majorHead: codes[0] === '01' ? '0020' : '0021',
+      minorHead: minorHead || '200',
+      assessmentYear: `${startYear + 1}-${String(startYear + 2).slice(-2)}`,
+      financialYear,
+      quarter,
+      bsrCode,
+      challanSerialNumber,
+      depositDate,
+      tax,
+      surcharge: surcharge || 0,
+      educationCess: educationCess || 0,
+      interest: interest !== undefined ? interest : interestDue,
+      fee: fee || 0,
+      others: others || 0,
+      paymentMode,
+      remarks,
+      createdBy: req.user.id,
+      organization: organizationId,
+    });
+
+    await TDSDeduction.updateMany(
+      { _id: { $in: deductions.map((d) => d._id) } },
+      { $set: { challan: challan._id } }
+    );
+
+    const warnings = [];
+    if (interestDue > 0 && (challan.interest || 0) < interestDue) {
+      warnings.push(`Interest u/s 201(1A) of Rs ${interestDue} is due for late deposit`);
+    }
+
+    res.status(201).json({ challan, interestDue, warnings });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A challan with this BSR code, date and serial number already exists' });
+    }
+    console.error('Error recording TDS challan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/challans/:id', async (req, res) => {
+  try {
+    const challan = await TDSChallan.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+      statementType: { $ne: '27EQ' },
+    });
+    if (!challan) {
+      return res.status(404).json({ error: 'Challan not found' });
+    }
+
+    await TDSDeduction.updateMany(
+      { organization: req.user.organizationId, challan: challan._id },
+      { $set: { challan: null } }
+    );
+    await challan.deleteOne();
+
+    res.json({ message: 'Challan deleted; its deductions are undeposited again' });
+  } catch (error) {
+    console.error('Error deleting TDS challan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// FORM 26Q
+// ============================================
+
+// Quarterly statement in the NSDL e-TDS text format (?format=json for the summary)
+router.get('/26q', async (req, res) => {
+  try {
+    const { financialYear, quarter, format } = req.query;
+
+    try {
+      getTDSQuarterRange(financialYear, quarter);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const statement = await buildForm26Q({
+      organizationId: req.user.organizationId,
+      financialYear,
+      quarter,
+    });
+
+    if (format === 'json') {
+      const { content, ...rest } = statement;
+      return res.json({ ...rest, lines: content.split('\n').filter(Boolean).length });
+    }
+
+    if (statement.errors.length > 0) {
+      return res.status(400).json({
+        error: statement.errors.join('; '),
+        errors: statement.errors,
+        warnings: statement.warnings,
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Disposition', `attachment; filename="${statement.fileName}"`);
+    res.send(statement.content);
+  } catch (error) {
+    console.error('Error generating Form 26Q:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// FORM 16A
+// ============================================
+
+const form16AFileName = (certificate) =>
+  `Form16A_${certificate.quarter}_${certificate.financialYear}_${certificate.deductee.pan || certificate.deductee._id}.pdf`;
+
+const parseVendorIds = (value) => {
+  if (!value) return null;
+  return (Array.isArray(value) ? value : String(value).split(',')).map((id) => String(id).trim()).filter(Boolean);
+};
+
+// Certificates of a quarter, or a 400 response when they cannot be issued
+const loadForm16A = async (req, res, { financialYear, quarter, vendorIds }) => {
+  try {
+    getTDSQuarterRange(financialYear, quarter);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return null;
+  }
+
+  const result = await buildForm16ACertificates({
+    organizationId: req.user.organizationId,
+    financialYear,
+    quarter,
+    vendorIds,
+  });
+
+  if (result.errors.length > 0) {
+    res.status(400).json({ error: result.errors.join('; '), errors: result.errors });
+    return null;
+  }
+  if (result.certificates.length === 0) {
+    res.status(404).json({ error: `No TDS deducted in ${quarter} ${financialYear}` });
+    return null;
+  }
+  return result;
+};
+
+// Vendors with TDS in the quarter and what their certificate covers
+router.get('/form16a', async (req, res) => {
+  try {
+    const { financialYear, quarter } = req.query;
+
+    try {
+      getTDSQuarterRange(financialYear, quarter);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const result = await buildForm16ACertificates({
+      organizationId: req.user.organizationId,
+      financialYear,
+      quarter,
+    });
+
+    res.json({
+      financialYear: result.financialYear,
+      quarter: result.quarter,
+      errors: result.errors,
+      certificates: result.certificates.map((certificate) => ({
+        certificateNumber: certificate.certificateNumber,
+        vendor: certificate.deductee,
+        payments: certificate.payments.length,
+        challans: certificate.challans.length,
+        totals: certificate.totals,
+        pending: certificate.pending,
+      })),
+    });
+  } catch (error) {
+    console.error('Error listing Form 16A certificates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// All certificates of the quarter as a ZIP of PDFs
+router.get('/form16a/zip', async (req, res) => {
+  try {
+    const { financialYear, quarter } = req.query;
+    const result = await loadForm16A(req, res, {
+      financialYear,
+      quarter,
+      vendorIds: parseVendorIds(req.query.vendorIds),
+    });
+    if (!result) return;
+
+    const buffers = await generateHTMLPDFBuffers(result.certificates.map((c) => generateForm16AHTML(c)));
+
+    const zipFilename = `Form16A_${result.quarter}_${result.financialYear}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipFilename}"`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Error building Form 16A ZIP:', error);
+      res.end();
+    });
+    archive.pipe(res);
+    result.certificates.forEach((certificate, index) => {
+      archive.append(buffers[index], { name: form16AFileName(certificate) });
+    });
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error generating Form 16A ZIP:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+});
+
+// One vendor's certificate as PDF
+router.get('/form16a/:vendorId/pdf', async (req, res) => {
+  try {
+    const { financialYear, quarter } = req.query;
+    const result = await loadForm16A(req, res, {
+      financialYear,
+      quarter,
+      vendorIds: [req.params.vendorId],
+    });
+    if (!result) return;
+
+    const certificate = result.certificates[0];
+    const [pdfBuffer] = await generateHTMLPDFBuffers([generateForm16AHTML(certificate)]);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${form16AFileName(certificate)}"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Error generating Form 16A:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Email certificates to vendors (all of the quarter, or vendorIds)
+router.post('/form16a/email', async (req, res) => {
+  try {
+    const { financialYear, quarter, cc } = req.body;
+    const result = await loadForm16A(req, res, {
+      financialYear,
+      quarter,
+      vendorIds: parseVendorIds(req.body.vendorIds),
+    });
+    if (!result) return;
+
+    const buffers = await generateHTMLPDFBuffers(result.certificates.map((c) => generateForm16AHTML(c)));
+
+    const sent = [];
+    const failed = [];
+    for (let index = 0; index < result.certificates.length; index++) {
+      const certificate = result.certificates[index];
+      try {
+        const delivery = await sendForm16A(certificate, result.organization, buffers[index], { cc });
+        sent.push({ vendor: certificate.deductee.name, ...delivery });
+      } catch (error) {
+        failed.push({ vendor: certificate.deductee.name, error: error.message });
+      }
+    }
+
+    res.json({
+      financialYear: result.financialYear,
+      quarter: result.quarter,
+      sent,
+      failed,
+    });
+  } catch (error) {
+    console.error('Error emailing Form 16A:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,365 @@
+// ============================================
+// FILE: server/routes/tdsReceivable.js
+// Form 26AS / AIS import, TDS receivable reconciliation and Form 16A follow-ups
+// ============================================
+
+import express from 'express';
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import { protect } from '../middleware/auth.js';
+import Organization from '../models/Organization.js';
+import TDSCreditReconciliation from '../models/TDSCreditReconciliation.js';
+import { getFinancialYearOf } from '../utils/tdsSections.js';
+import {
+  parse26ASText,
+  parseStatementRows,
+  parseAIS,
+  reconcileTDSCredits,
+  recordForm16A,
+  summarizeByClient,
+} from '../services/tdsReceivableService.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Configure multer for 26AS text/CSV and AIS JSON uploads
+const upload = multer({
+  dest: 'uploads/temp/',
+  fileFilter: (req, file, cb) => {
+    if (['.txt', '.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only 26AS text/CSV or AIS JSON files are allowed'));
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB max
+  },
+});
+
+const FOLLOW_UP_MODES = ['EMAIL', 'PHONE', 'LETTER', 'MEETING', 'OTHER'];
+
+const readCSVRows = (filePath) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+      .on('data', (row) => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+
+// Parse the uploaded statement by file type (or JSON body entries)
+const parseUpload = async (req) => {
+  if (req.file) {
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    if (extension === '.json') {
+      return { source: 'AIS', ...parseAIS(JSON.parse(fs.readFileSync(req.file.path, 'utf8'))) };
+    }
+    if (extension === '.csv') {
+      return { source: '26AS', ...parseStatementRows(await readCSVRows(req.file.path)) };
+    }
+    return { source: '26AS', ...parse26ASText(fs.readFileSync(req.file.path, 'utf8')) };
+  }
+  if (Array.isArray(req.body.entries) && req.body.entries.length) {
+    return { source: 'MANUAL', ...parseStatementRows(req.body.entries) };
+  }
+  return null;
+};
+
+const getOrganizationPAN = (organization) => {
+  if (organization.pan) return organization.pan.toUpperCase();
+  const gstin = organization.gstin || organization.gstinEntries?.[0]?.gstin;
+  return gstin ? gstin.toUpperCase().substring(2, 12) : null;
+};
+
+const findReconciliation = (req) =>
+  TDSCreditReconciliation.findOne({
+    _id: req.params.id,
+    organization: req.user.organizationId,
+  });
+
+// Import Form 26AS (text/CSV) or AIS (JSON) and reconcile against receipts
+router.post('/import', upload.single('file'), async (req, res) => {
+  let parsed;
+  try {
+    parsed = await parseUpload(req);
+    if (!parsed) {
+      return res.status(400).json({ error: 'No Form 26AS / AIS file uploaded' });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  } finally {
+    if (req.file) fs.unlink(req.file.path, () => {});
+  }
+
+  try {
+    const organization = await Organization.findById(req.user.organizationId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const orgPan = getOrganizationPAN(organization);
+    if (parsed.pan && orgPan && parsed.pan !== orgPan) {
+      return res.status(400).json({
+        error: `Statement is for PAN ${parsed.pan}, not this organization (${orgPan})`,
+      });
+    }
+
+    // Financial year comes from the file unless overridden
+    const financialYear =
+      parsed.financialYear ||
+      req.body.financialYear ||
+      getFinancialYearOf(parsed.entries[0].transactionDate);
+    if (!/^\d{4}-\d{2}$/.test(financialYear)) {
+      return res.status(400).json({ error: 'Financial year (e.g. 2025-26) could not be determined' });
+    }
+
+    const tolerance =
+      req.body.toleranceAmount !== undefined ? { amount: parseFloat(req.body.toleranceAmount) } : null;
+
+    const { reconciliation, skipped } = await reconcileTDSCredits({
+      organizationId: organization._id,
+      financialYear,
+      pan: parsed.pan,
+      source: parsed.source,
+      entries: parsed.entries,
+      sourceFileName: req.file?.originalname,
+      tolerance,
+      userId: req.user.id,
+    });
+
+    console.log(
+      `✅ ${parsed.source} ${financialYear} imported: ${parsed.entries.length} entries, ${skipped} outside the year`
+    );
+
+    res.status(201).json({ reconciliation, skipped });
+  } catch (error) {
+    console.error('Error importing Form 26AS / AIS:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List reconciliations
+router.get('/', async (req, res) => {
+  try {
+    const reconciliations = await TDSCreditReconciliation.find({
+      organization: req.user.organizationId,
+    })
+      .select('-lines')
+      .populate('importedBy', 'name email')
+      .sort({ financialYear: -1 });
+
+    res.json(reconciliations);
+  } catch (error) {
+    console.error('Error fetching TDS credit reconciliations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open follow-ups due on or before a date, across financial years
+router.get('/follow-ups/due', async (req, res) => {
+  try {
+    const asOf = req.query.date ? new Date(req.query.date) : new Date();
+
+    const reconciliations = await TDSCreditReconciliation.find({
+      organization: req.user.organizationId,
+      lines: { $elemMatch: { followUpStatus: 'OPEN', nextFollowUpDate: { $lte: asOf } } },
+    }).populate('lines.client', 'companyName email phone contactPerson');
+
+    const due = [];
+    reconciliations.forEach((reconciliation) => {
+      reconciliation.lines
+        .filter((line) => line.followUpStatus === 'OPEN' && line.nextFollowUpDate <= asOf)
+        .forEach((line) => {
+          due.push({
+            reconciliationId: reconciliation._id,
+            financialYear: reconciliation.financialYear,
+            lineId: line._id,
+            quarter: line.quarter,
+            status: line.status,
+            client: line.client,
+            deductorTan: line.deductorTan,
+            booksTDS: line.books.tdsAmount,
+            depositedTDS: line.statement.tdsDeposited,
+            difference: line.difference,
+            reason: line.reason,
+            nextFollowUpDate: line.nextFollowUpDate,
+            followUpCount: line.followUps.length,
+          });
+        });
+    });
+
+    due.sort((a, b) => a.nextFollowUpDate - b.nextFollowUpDate);
+    res.json(due);
+  } catch (error) {
+    console.error('Error fetching due TDS follow-ups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a reconciliation with its lines
+router.get('/:id', async (req, res) => {
+  try {
+    const reconciliation = await TDSCreditReconciliation.findOne({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    })
+      .populate('lines.client', 'companyName clientCode tan pan')
+      .populate('lines.followUps.by', 'name email');
+
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const { status, quarter, clientId, followUpStatus } = req.query;
+    const result = reconciliation.toObject();
+    if (status) result.lines = result.lines.filter((line) => line.status === status);
+    if (quarter) result.lines = result.lines.filter((line) => line.quarter === quarter.toUpperCase());
+    if (clientId) result.lines = result.lines.filter((line) => line.client?._id?.toString() === clientId);
+    if (followUpStatus) result.lines = result.lines.filter((line) => line.followUpStatus === followUpStatus);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching TDS credit reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-client totals with short-deposited / missing flags
+router.get('/:id/clients', async (req, res) => {
+  try {
+    const reconciliation = await findReconciliation(req);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    res.json({
+      financialYear: reconciliation.financialYear,
+      summary: reconciliation.summary,
+      clients: summarizeByClient(reconciliation),
+    });
+  } catch (error) {
+    console.error('Error summarising TDS credits by client:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log a follow-up with the deductor
+router.post('/:id/lines/:lineId/follow-ups', async (req, res) => {
+  try {
+    const { mode = 'EMAIL', notes, date, nextFollowUpDate } = req.body;
+    if (!FOLLOW_UP_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Mode must be one of ${FOLLOW_UP_MODES.join(', ')}` });
+    }
+
+    const reconciliation = await findReconciliation(req);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const line = reconciliation.lines.id(req.params.lineId);
+    if (!line) {
+      return res.status(404).json({ error: 'Line not found' });
+    }
+    if (line.followUpStatus !== 'OPEN') {
+      return res.status(400).json({ error: `No follow-up pending (${line.followUpStatus})` });
+    }
+
+    line.followUps.push({
+      date: date ? new Date(date) : new Date(),
+      mode,
+      notes,
+      by: req.user.id,
+    });
+    if (nextFollowUpDate) line.nextFollowUpDate = new Date(nextFollowUpDate);
+    await reconciliation.save();
+
+    res.status(201).json(line);
+  } catch (error) {
+    console.error('Error logging TDS follow-up:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record Form 16A received from the deductor; closes the follow-up
+router.patch('/:id/lines/:lineId/form16a', async (req, res) => {
+  try {
+    const { certificateNumber, receivedAt, tdsAmount } = req.body;
+    if (!certificateNumber || !String(certificateNumber).trim()) {
+      return res.status(400).json({ error: 'Form 16A certificate number is required' });
+    }
+
+    const reconciliation = await findReconciliation(req);
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const line = reconciliation.lines.id(req.params.lineId);
+    if (!line) {
+      return res.status(404).json({ error: 'Line not found' });
+    }
+    if (line.followUpStatus === 'NOT_REQUIRED') {
+      return res.status(400).json({ error: 'No TDS receivable is booked for this line' });
+    }
+
+    await recordForm16A(reconciliation, line, {
+      certificateNumber: String(certificateNumber).trim().toUpperCase(),
+      receivedAt,
+      tdsAmount,
+      userId: req.user.id,
+    });
+
+    res.json(line);
+  } catch (error) {
+    console.error('Error recording Form 16A:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-run matching after receipts or client TANs were corrected
+router.post('/:id/rematch', async (req, res) => {
+  try {
+    const existing = await findReconciliation(req);
+    if (!existing) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    const tolerance =
+      req.body.toleranceAmount !== undefined ? { amount: parseFloat(req.body.toleranceAmount) } : null;
+
+    const { reconciliation } = await reconcileTDSCredits({
+      organizationId: req.user.organizationId,
+      financialYear: existing.financialYear,
+      tolerance,
+    });
+
+    res.json(reconciliation);
+  } catch (error) {
+    console.error('Error re-matching TDS credits:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a reconciliation
+router.delete('/:id', async (req, res) => {
+  try {
+    const reconciliation = await TDSCreditReconciliation.findOneAndDelete({
+      _id: req.params.id,
+      organization: req.user.organizationId,
+    });
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    res.json({ message: 'Reconciliation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting TDS credit reconciliation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -27,6 +27,7 @@ import { initSchedulers } from './services/scheduler.js';
 import paymentRoutes from './routes/payments.js';
 import purchaseOrderRoutes from './routes/purchaseOrders.js';
 import gstReportRoutes from './routes/gstReports.js';
+import gstr2bRoutes from './routes/gstr2b.js';
 import creditDebitNoteRoutes from './routes/creditDebitNotes.js';
 import reportRoutes from './routes/reports.js';
 import auditLogRoutes from './routes/auditLogs.js';
@@ -40,6 +41,13 @@ import receiptRoutes from './routes/receipts.js';
 import bankRoutes from './routes/banks.js';
 import csrRoutes from './routes/csrs.js';
 import roleRoutes from './routes/roles.js';
+import rcmRoutes from './routes/rcm.js';
+import itcLedgerRoutes from './routes/itcLedger.js';
+import periodLockRoutes from './routes/periodLocks.js';
+import tdsPayableRoutes from './routes/tdsPayable.js';
+import tdsReceivableRoutes from './routes/tdsReceivable.js';
+import tcsRoutes from './routes/tcs.js';
+import exchangeRateRoutes from './routes/exchangeRates.js';
 
 
 import path from 'path';
@@ -96,6 +104,7 @@ app.use('/api/recurring-invoices', recurringInvoiceRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/gst-reports', gstReportRoutes);
+app.use('/api/gstr2b', gstr2bRoutes);
 app.use('/api/credit-debit-notes', creditDebitNoteRoutes);
 app.use('/api/banks', bankRoutes);
 // Phase 2 Routes - Analytics
@@ -114,6 +123,13 @@ app.use('/api/purchase-invoices', purchaseInvoiceRoutes);
 app.use('/api/receipts', receiptRoutes);
 app.use('/api/csrs', csrRoutes);
 app.use('/api/roles', roleRoutes);
+app.use('/api/rcm', rcmRoutes);
+app.use('/api/itc-ledger', itcLedgerRoutes);
+app.use('/api/period-locks', periodLockRoutes);
+app.use('/api/tds-payable', tdsPayableRoutes);
+app.use('/api/tds-receivable', tdsReceivableRoutes);
+app.use('/api/tcs', tcsRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 
 // 404 handler
 app.use((req, res) => {
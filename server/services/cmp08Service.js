@@ -0,0 +1,223 @@
+// ============================================
+// FILE: server/services/cmp08Service.js
+// CMP-08 quarterly statement for composition taxpayers
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import Organization from '../models/Organization.js';
+import { resolveReturnGSTIN, belongsToGSTIN } from './gstr1Service.js';
+import { getPurchaseTaxSplit } from './gstr3bService.js';
+import { getRCMForPeriod } from './rcmService.js';
+import {
+  COMPOSITION_CATEGORIES,
+  isCompositionOrganization,
+  getCompositionQuarter,
+} from '../utils/compositionScheme.js';
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const emptyRow = (description) => ({ description, value: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+const roundRow = (row) => ({
+  ...row,
+  value: round2(row.value),
+  igst: round2(row.igst),
+  cgst: round2(row.cgst),
+  sgst: round2(row.sgst),
+  cess: round2(row.cess),
+});
+
+// Purchase bills that never became a liability
+const EXCLUDED_PI_STATUSES = ['DRAFT', 'REJECTED', 'CANCELLED'];
+
+/**
+ * Turnover of a document after its document-level discount
+ * Traders exclude nil-rated and exempt lines (rate 0) from turnover.
+ */
+const documentTurnover = (doc, taxableSuppliesOnly) => {
+  const lines = doc.items || [];
+  const linesTotal = lines.reduce((sum, item) => sum + (item.taxableAmount ?? item.amount ?? 0), 0);
+  const net = (doc.subtotal ?? linesTotal) - (doc.discountAmount || 0);
+  if (!taxableSuppliesOnly || !linesTotal) return { turnover: net, excluded: 0 };
+
+  const exemptLines = lines
+    .filter((item) => !item.gstRate)
+    .reduce((sum, item) => sum + (item.taxableAmount ?? item.amount ?? 0), 0);
+  const excluded = net * (exemptLines / linesTotal);
+  return { turnover: net - excluded, excluded };
+};
+
+/**
+ * Build the CMP-08 statement for a quarter
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {string} params.financialYear - "2025-26"
+ * @param {number} params.quarter - 1 (Apr-Jun) to 4 (Jan-Mar)
+ * @param {string} params.gstin - Registration (defaults to the organization GSTIN)
+ * @param {Object} params.interest - Interest payable { cgst, sgst, igst, cess }
+ * @returns {Promise<Object>} CMP-08 tables with the tax payable
+ */
+export const buildCMP08 = async ({ organizationId, financialYear, quarter, gstin, interest = {} }) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+  if (!isCompositionOrganization(organization)) {
+    throw new Error('CMP-08 is filed by composition taxpayers only');
+  }
+
+  const category = COMPOSITION_CATEGORIES[organization.compositionCategory];
+  if (!category) {
+    throw new Error('Set the composition category (manufacturer, trader, restaurant or service provider) first');
+  }
+
+  const returnGSTIN = resolveReturnGSTIN(organization, gstin);
+  const { startDate, endDate, label } = getCompositionQuarter(financialYear, quarter);
+
+  const [invoices, creditNotes, debitNotes, purchaseInvoices, rcm] = await Promise.all([
+    Invoice.find({
+      organization: organizationId,
+      invoiceDate: { $gte: startDate, $lte: endDate },
+      invoiceType: { $in: ['BILL_OF_SUPPLY', 'CREDIT_NOTE', 'DEBIT_NOTE'] },
+      status: { $nin: ['DRAFT', 'CANCELLED'] },
+    }),
+    CreditNote.find({
+      organization: organizationId,
+      creditNoteDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    }).populate('originalInvoice'),
+    DebitNote.find({
+      organization: organizationId,
+      debitNoteDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    }).populate('originalInvoice'),
+    PurchaseInvoice.find({
+      organization: organizationId,
+      piDate: { $gte: startDate, $lte: endDate },
+      reverseCharge: true,
+      status: { $nin: EXCLUDED_PI_STATUSES },
+    }).populate('vendor'),
+    getRCMForPeriod({ organizationId, organization, returnGSTIN, startDate, endDate }),
+  ]);
+
+  // ---------- 1: outward supplies (including exempt supplies) ----------
+  const outward = emptyRow('Outward supplies (including exempt supplies)');
+  let excludedTurnover = 0;
+  const counts = { billsOfSupply: 0, creditNotes: 0, debitNotes: 0, reverseChargeBills: 0 };
+
+  const addOutward = (doc, sign) => {
+    const { turnover, excluded } = documentTurnover(doc, category.taxableSuppliesOnly);
+    outward.value += sign * turnover;
+    excludedTurnover += sign * excluded;
+  };
+
+  invoices
+    .filter((inv) => belongsToGSTIN(inv.gstinUsed, returnGSTIN, organization))
+    .forEach((inv) => {
+      if (inv.invoiceType === 'CREDIT_NOTE') {
+        counts.creditNotes++;
+        addOutward(inv, -1);
+      } else {
+        if (inv.invoiceType === 'DEBIT_NOTE') counts.debitNotes++;
+        else counts.billsOfSupply++;
+        addOutward(inv, 1);
+      }
+    });
+
+  creditNotes
+    .filter((n) => belongsToGSTIN(n.originalInvoice?.gstinUsed, returnGSTIN, organization))
+    .forEach((n) => {
+      counts.creditNotes++;
+      addOutward(n, -1);
+    });
+  debitNotes
+    .filter((n) => belongsToGSTIN(n.originalInvoice?.gstinUsed, returnGSTIN, organization))
+    .forEach((n) => {
+      counts.debitNotes++;
+      addOutward(n, 1);
+    });
+
+  // Composition tax is paid from our own pocket, split equally between CGST and SGST
+  const compositionTax = (outward.value * category.rate) / 100;
+  outward.cgst = compositionTax / 2;
+  outward.sgst = compositionTax / 2;
+
+  // ---------- 2: inward supplies attracting reverse charge ----------
+  const reverseCharge = emptyRow('Inward supplies attracting reverse charge including import of services');
+  purchaseInvoices
+    .filter((pi) => !pi.selfInvoice)
+    .filter((pi) => belongsToGSTIN({ gstin: pi.ourBranchGSTIN }, returnGSTIN, organization))
+    .forEach((pi) => {
+      const split = getPurchaseTaxSplit(pi, returnGSTIN);
+      counts.reverseChargeBills++;
+      reverseCharge.value += pi.items.reduce((sum, item) => sum + (item.amount || 0), 0);
+      reverseCharge.igst += split.igst;
+      reverseCharge.cgst += split.cgst;
+      reverseCharge.sgst += split.sgst;
+      reverseCharge.cess += split.cess;
+    });
+  rcm.liabilities.forEach((si) => {
+    counts.reverseChargeBills++;
+    reverseCharge.value += si.taxableValue;
+    reverseCharge.igst += si.igst;
+    reverseCharge.cgst += si.cgst;
+    reverseCharge.sgst += si.sgst;
+    reverseCharge.cess += si.cess;
+  });
+
+  // ---------- 3 / 4: tax and interest payable ----------
+  const taxPayable = emptyRow('Tax payable (1 + 2)');
+  ['igst', 'cgst', 'sgst', 'cess'].forEach((head) => {
+    taxPayable[head] = outward[head] + reverseCharge[head];
+  });
+  taxPayable.value = outward.value + reverseCharge.value;
+
+  const interestRow = {
+    description: 'Interest payable, if any',
+    igst: round2(interest.igst),
+    cgst: round2(interest.cgst),
+    sgst: round2(interest.sgst),
+    cess: round2(interest.cess),
+  };
+
+  const totalPayable = ['igst', 'cgst', 'sgst', 'cess'].reduce(
+    (sum, head) => sum + taxPayable[head] + interestRow[head],
+    0
+  );
+
+  return {
+    gstin: returnGSTIN,
+    legalName: organization.name,
+    period: {
+      financialYear,
+      quarter: parseInt(quarter, 10),
+      label,
+      from: startDate,
+      to: endDate,
+    },
+    category: {
+      key: organization.compositionCategory,
+      label: category.label,
+      rate: category.rate,
+    },
+    3: {
+      1: roundRow(outward),
+      2: roundRow(reverseCharge),
+      3: roundRow(taxPayable),
+      4: interestRow,
+    },
+    totalPayable: round2(totalPayable),
+    summary: {
+      ...counts,
+      // Nil-rated/exempt turnover left out for traders
+      excludedExemptTurnover: round2(excludedTurnover),
+    },
+  };
+};
+
+export default {
+  buildCMP08,
+};
@@ -0,0 +1,352 @@
+// ============================================
+// FILE: server/services/creditNoteService.js
+// Credit notes against invoice lines: caps on what is still creditable,
+// restocking returned goods and applying credit to open invoices
+// ============================================
+
+import CreditNote from '../models/CreditNote.js';
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+
+// Invoices a credit note can be raised against or applied to
+const CREDITABLE_INVOICE_TYPES = ['TAX_INVOICE', 'BILL_OF_SUPPLY'];
+const CLOSED_STATUSES = ['DRAFT', 'CANCELLED'];
+
+// Rounding slack when comparing against original amounts
+const TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Quantity and taxable value already credited per invoice line, and in total
+ * @returns {Promise<Object>} { byLine: Map<lineId, { quantity, taxableAmount }>, totalAmount }
+ */
+export const getCreditedAmounts = async (invoiceId, excludeCreditNoteId = null) => {
+  const filter = { originalInvoice: invoiceId, status: { $ne: 'DRAFT' } };
+  if (excludeCreditNoteId) filter._id = { $ne: excludeCreditNoteId };
+  const notes = await CreditNote.find(filter).select('items totalAmount');
+
+  const byLine = new Map();
+  notes.forEach((note) => {
+    note.items.forEach((item) => {
+      if (!item.invoiceItem) return;
+      const key = item.invoiceItem.toString();
+      const credited = byLine.get(key) || { quantity: 0, taxableAmount: 0 };
+      credited.quantity += item.quantity || 0;
+      credited.taxableAmount += item.taxableAmount ?? item.amount ?? 0;
+      byLine.set(key, credited);
+    });
+  });
+
+  return { byLine, totalAmount: notes.reduce((sum, n) => sum + (n.totalAmount || 0), 0) };
+};
+
+/**
+ * Reasons an invoice cannot take a credit note
+ */
+export const getCreditableInvoiceError = (invoice) => {
+  if (CLOSED_STATUSES.includes(invoice.status)) {
+    return `Credit notes cannot be raised against a ${invoice.status.toLowerCase()} invoice`;
+  }
+  if (!CREDITABLE_INVOICE_TYPES.includes(invoice.invoiceType)) {
+    return `Credit notes are raised against tax invoices and bills of supply, not ${invoice.invoiceType}`;
+  }
+  return null;
+};
+
+/**
+ * Credit note lines from selected invoice lines
+ * Each selection credits a quantity (returned goods, valued pro rata) and/or a
+ * taxable value (price adjustments). Tax follows the original line, so LUT and
+ * bill-of-supply lines credit no tax and the IGST / CGST+SGST split is kept.
+ * @param {Object} params
+ * @param {Object} params.invoice - Original invoice
+ * @param {Array} params.lines - [{ invoiceItemId, quantity?, taxableAmount? }]
+ * @param {Map} params.credited - byLine from getCreditedAmounts
+ * @returns {Object} { items, errors }
+ */
+export const buildCreditNoteLines = ({ invoice, lines = [], credited }) => {
+  const items = [];
+  const errors = [];
+
+  if (lines.length === 0) {
+    errors.push('Select at least one invoice line to credit');
+  }
+
+  lines.forEach((selection, index) => {
+    const ref = `Line ${index + 1}`;
+    const original = invoice.items.find((item) => item._id.toString() === String(selection.invoiceItemId));
+    if (!original) {
+      errors.push(`${ref}: not a line of invoice ${invoice.invoiceNumber}`);
+      return;
+    }
+
+    const already = credited.get(original._id.toString()) || { quantity: 0, taxableAmount: 0 };
+    const openQuantity = round2(original.quantity - already.quantity);
+    const openValue = round2(original.taxableAmount - already.taxableAmount);
+
+    const quantity = parseFloat(selection.quantity) || 0;
+    const hasValue = selection.taxableAmount !== undefined && selection.taxableAmount !== null && selection.taxableAmount !== '';
+    const taxableAmount = hasValue
+      ? round2(parseFloat(selection.taxableAmount))
+      : round2((original.taxableAmount * quantity) / (original.quantity || 1));
+
+    if (quantity < 0 || isNaN(taxableAmount) || taxableAmount < 0) {
+      errors.push(`${ref}: quantity and value cannot be negative`);
+      return;
+    }
+    if (quantity === 0 && taxableAmount === 0) {
+      errors.push(`${ref}: enter a quantity or a value to credit`);
+      return;
+    }
+    if (quantity > openQuantity + TOLERANCE) {
+      errors.push(`${ref} (${original.description}): only ${openQuantity} ${original.unit} left to credit of ${original.quantity}`);
+      return;
+    }
+    if (taxableAmount > openValue + TOLERANCE) {
+      errors.push(`${ref} (${original.description}): only ${openValue} left to credit of ${original.taxableAmount}`);
+      return;
+    }
+
+    const share = original.taxableAmount > 0 ? taxableAmount / original.taxableAmount : 0;
+    const cgst = round2(original.cgst * share);
+    const sgst = round2(original.sgst * share);
+    const igst = round2(original.igst * share);
+    const cess = round2((original.cess || 0) * share);
+
+    items.push({
+      invoiceItem: original._id,
+      product: original.product,
+      description: original.description,
+      hsnSacCode: original.hsnSacCode,
+      itemType: original.itemType,
+      quantity,
+      unit: original.unit,
+      rate: quantity > 0 ? round2(taxableAmount / quantity) : 0,
+      gstRate: original.gstRate,
+      cessRate: original.cessRate || 0,
+      cessPerUnit: original.cessPerUnit || 0,
+      amount: taxableAmount,
+      taxableAmount,
+      cgst,
+      sgst,
+      igst,
+      cess,
+      totalAmount: round2(taxableAmount + cgst + sgst + igst + cess),
+    });
+  });
+
+  return { items, errors };
+};
+
+/**
+ * Document totals of credit note lines
+ */
+export const getCreditNoteTotals = (items) => {
+  const sum = (field) => round2(items.reduce((total, item) => total + (item[field] || 0), 0));
+  const totals = {
+    subtotal: sum('taxableAmount'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    cess: sum('cess'),
+  };
+  totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst + totals.cess);
+  totals.totalAmount = round2(totals.subtotal + totals.totalTax);
+  return totals;
+};
+
+/**
+ * Last date to issue a credit note that reduces output tax: 30 November after
+ * the end of the invoice's financial year (CGST Act s.34(2))
+ */
+export const getCreditNoteDeadline = (invoiceDate) => {
+  const date = new Date(invoiceDate);
+  const fyEndYear = date.getMonth() >= 3 ? date.getFullYear() + 1 : date.getFullYear();
+  return new Date(fyEndYear, 10, 30, 23, 59, 59);
+};
+
+/**
+ * Returned goods back into stock (RETURN movements)
+ */
+export const restockCreditNote = async ({ creditNote, userId }) => {
+  const restocked = [];
+  for (const item of creditNote.items) {
+    if (!item.product || !item.quantity) continue;
+    try {
+      const product = await Product.findById(item.product);
+      if (!product || !product.trackInventory) continue;
+      await product.increaseStock(
+        item.quantity,
+        `Credit Note ${creditNote.creditNoteNumber}`,
+        creditNote._id,
+        userId,
+        'Main Warehouse'
+      );
+      restocked.push({ product: product._id, name: product.name, quantity: item.quantity });
+    } catch (stockError) {
+      console.error('Credit note restock error:', stockError);
+    }
+  }
+  return restocked;
+};
+
+/**
+ * Take restocked goods out again when the credit note is deleted
+ */
+export const reverseRestock = async ({ creditNote, userId }) => {
+  for (const item of creditNote.items) {
+    if (!item.product || !item.quantity) continue;
+    try {
+      const product = await Product.findById(item.product);
+      if (!product || !product.trackInventory) continue;
+      await product.reduceStock(
+        item.quantity,
+        `Credit Note ${creditNote.creditNoteNumber} deleted`,
+        creditNote._id,
+        userId,
+        'Main Warehouse'
+      );
+    } catch (stockError) {
+      console.error('Credit note restock reversal error:', stockError);
+    }
+  }
+};
+
+// Same order as the Invoice pre-save hook: a credit note is not a payment, so an
+// unpaid invoice past its due date stays OVERDUE while a balance is owed
+const setInvoiceBalance = (invoice) => {
+  invoice.balanceAmount = round2(invoice.totalAmount - (invoice.paidAmount || 0) - (invoice.creditedAmount || 0));
+  if (invoice.balanceAmount <= 0) {
+    invoice.status = 'PAID';
+  } else if ((invoice.paidAmount || 0) > 0) {
+    invoice.status = 'PARTIALLY_PAID';
+  } else if (invoice.dueDate && new Date(invoice.dueDate) < new Date()) {
+    invoice.status = 'OVERDUE';
+  } else if ((invoice.creditedAmount || 0) > 0) {
+    invoice.status = 'PARTIALLY_PAID';
+  } else {
+    invoice.status = 'PENDING';
+  }
+};
+
+const setApplicationStatus = (creditNote) => {
+  creditNote.appliedAmount = round2(creditNote.applications.reduce((sum, a) => sum + a.amount, 0));
+  if (creditNote.appliedAmount <= 0) {
+    creditNote.status = 'ISSUED';
+    creditNote.appliedDate = undefined;
+  } else {
+    creditNote.status = creditNote.appliedAmount >= creditNote.totalAmount - TOLERANCE ? 'APPLIED' : 'PARTIALLY_APPLIED';
+    creditNote.appliedDate = new Date();
+  }
+};
+
+/**
+ * Apply a credit note against open invoices of the same client
+ * Reduces each invoice's balance; the note's unapplied amount goes down.
+ * @param {Object} params
+ * @param {Object} params.creditNote - CreditNote document
+ * @param {Array} params.allocations - [{ invoiceId, amount }]
+ * @param {Object} params.user - req.user
+ * @returns {Promise<Object>} { errors, invoices }
+ */
+export const applyCreditNote = async ({ creditNote, allocations = [], user }) => {
+  const errors = [];
+  if (creditNote.status === 'DRAFT') {
+    return { errors: ['Issue the credit note before applying it'], invoices: [] };
+  }
+  if (allocations.length === 0) {
+    return { errors: ['Select at least one invoice to apply the credit to'], invoices: [] };
+  }
+
+  const invoices = await Invoice.find({
+    _id: { $in: allocations.map((a) => a.invoiceId) },
+    organization: creditNote.organization,
+  });
+
+  let remaining = round2(creditNote.totalAmount - (creditNote.appliedAmount || 0));
+  const planned = [];
+
+  allocations.forEach((allocation, index) => {
+    const ref = `Allocation ${index + 1}`;
+    const invoice = invoices.find((inv) => inv._id.toString() === String(allocation.invoiceId));
+    const amount = round2(parseFloat(allocation.amount));
+
+    if (!invoice) {
+      errors.push(`${ref}: invoice not found`);
+    } else if (invoice.client.toString() !== creditNote.client.toString()) {
+      errors.push(`${ref}: invoice ${invoice.invoiceNumber} belongs to another client`);
+    } else if (getCreditableInvoiceError(invoice)) {
+      errors.push(`${ref}: ${getCreditableInvoiceError(invoice)}`);
+    } else if ((invoice.currency || 'INR') !== (creditNote.currency || 'INR')) {
+      errors.push(`${ref}: invoice ${invoice.invoiceNumber} is in ${invoice.currency || 'INR'}, the credit note in ${creditNote.currency || 'INR'}`);
+    } else if (!(amount > 0)) {
+      errors.push(`${ref}: amount must be positive`);
+    } else if (amount > round2(invoice.balanceAmount) + TOLERANCE) {
+      errors.push(`${ref}: invoice ${invoice.invoiceNumber} has only ${round2(invoice.balanceAmount)} outstanding`);
+    } else if (amount > remaining + TOLERANCE) {
+      errors.push(`${ref}: only ${remaining} of the credit note is left to apply`);
+    } else {
+      remaining = round2(remaining - amount);
+      planned.push({ invoice, amount });
+    }
+  });
+
+  if (errors.length > 0) return { errors, invoices: [] };
+
+  for (const { invoice, amount } of planned) {
+    invoice.creditedAmount = round2((invoice.creditedAmount || 0) + amount);
+    setInvoiceBalance(invoice);
+    await invoice.save();
+
+    creditNote.applications.push({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount,
+      appliedAt: new Date(),
+      appliedBy: user.id,
+    });
+  }
+
+  setApplicationStatus(creditNote);
+  await creditNote.save();
+
+  return {
+    errors: [],
+    invoices: planned.map(({ invoice }) => ({
+      _id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      creditedAmount: invoice.creditedAmount,
+      balanceAmount: invoice.balanceAmount,
+      status: invoice.status,
+    })),
+  };
+};
+
+/**
+ * Remove every application of a credit note, restoring invoice balances
+ */
+export const unapplyCreditNote = async ({ creditNote }) => {
+  for (const application of creditNote.applications) {
+    const invoice = await Invoice.findById(application.invoice);
+    if (!invoice) continue;
+    invoice.creditedAmount = Math.max(0, round2((invoice.creditedAmount || 0) - application.amount));
+    setInvoiceBalance(invoice);
+    await invoice.save();
+  }
+
+  creditNote.applications = [];
+  setApplicationStatus(creditNote);
+};
+
+export default {
+  getCreditedAmounts,
+  getCreditableInvoiceError,
+  buildCreditNoteLines,
+  getCreditNoteTotals,
+  getCreditNoteDeadline,
+  restockCreditNote,
+  reverseRestock,
+  applyCreditNote,
+  unapplyCreditNote,
+};
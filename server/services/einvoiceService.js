@@ -0,0 +1,446 @@
+// ============================================
+// FILE: server/services/einvoiceService.js
+// E-invoice (IRN) payload, validation, generation and cancellation
+// ============================================
+
+import { getStateCodeFromGSTIN } from '../utils/gstCalculator.js';
+import { resolvePlaceOfSupply, UQC_MAP } from './gstr1Service.js';
+import { resolveLocationStateCode } from '../utils/placeOfSupply.js';
+import { getSupplyType } from '../utils/exportSupply.js';
+import { getIRPProvider } from './irpProviders.js';
+import { toINRDocument } from '../utils/currencies.js';
+
+export const EINVOICE_SCHEMA_VERSION = '1.1';
+
+// The IRP only accepts cancellation within 24 hours of generation
+export const IRN_CANCEL_WINDOW_HOURS = 24;
+
+// NIC cancellation reason codes
+export const IRN_CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Data entry mistake',
+  3: 'Order cancelled',
+  4: 'Others',
+};
+
+const DOC_TYPES = {
+  TAX_INVOICE: 'INV',
+  CREDIT_NOTE: 'CRN',
+  DEBIT_NOTE: 'DBN',
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+const DOC_NO_PATTERN = /^[a-zA-Z1-9][a-zA-Z0-9/-]{0,15}$/;
+const DOC_DATE_PATTERN = /^\d{2}\/\d{2}\/\d{4}$/;
+const HSN_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+
+// Rounding differences the IRP tolerates on computed values
+const VALUE_TOLERANCE = 1;
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const formatDocDate = (date) => {
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${d.getFullYear()}`;
+};
+
+const parseNicDateTime = (value) => {
+  if (!value) return new Date();
+  const [datePart, timePart = '00:00:00'] = value.split(' ');
+  const [year, month, day] = datePart.split('-').map((p) => parseInt(p));
+  const [hours, minutes, seconds] = timePart.split(':').map((p) => parseInt(p));
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+const truncate = (value, max) => (value ? String(value).slice(0, max) : undefined);
+
+const pincodeNumber = (value) => {
+  const pin = parseInt(String(value || '').replace(/\D/g, ''));
+  return isNaN(pin) ? undefined : pin;
+};
+
+/**
+ * Supplier details for the registration the invoice was issued under
+ */
+const resolveSeller = (invoice, organization) => {
+  const gstin = invoice.gstinUsed?.gstin || organization.gstin;
+  const entry = (organization.gstinEntries || []).find((g) => g.gstin === gstin);
+
+  return {
+    Gstin: gstin,
+    LglNm: truncate(organization.name, 100),
+    TrdNm: truncate(entry?.tradeName || invoice.gstinUsed?.tradeName || organization.name, 100),
+    Addr1: truncate(entry?.address || invoice.gstinUsed?.address || organization.address, 100),
+    Loc: truncate(entry?.city || organization.city, 50),
+    Pin: pincodeNumber(entry?.pincode || organization.pincode),
+    Stcd: getStateCodeFromGSTIN(gstin),
+    Ph: organization.phone ? String(organization.phone).replace(/\D/g, '').slice(-12) : undefined,
+    Em: truncate(organization.email, 100),
+  };
+};
+
+/**
+ * Supply type for TranDtls.SupTyp
+ */
+const resolveSupplyType = (invoice, client) => {
+  const supplyType = getSupplyType(invoice, client);
+  return supplyType === 'DOMESTIC' ? 'B2B' : supplyType;
+};
+
+/**
+ * Build the NIC e-invoice (INV-01) JSON for an invoice
+ * @param {Object} invoice - Invoice with client populated
+ * @param {Object} organization - Organization document
+ * @returns {Object} IRP request payload
+ */
+export const buildEInvoicePayload = (document, organization) => {
+  // The IRP takes INR values; the document currency goes in ExpDtls.ForCur
+  const invoice = toINRDocument(document);
+  const client = invoice.client || {};
+  const seller = resolveSeller(invoice, organization);
+  const supplyType = resolveSupplyType(invoice, client);
+  const isExport = supplyType.startsWith('EXP');
+  const pos = resolvePlaceOfSupply(client, seller.Stcd, invoice.placeOfSupply);
+
+  const ItemList = invoice.items.map((item, index) => {
+    const isService = item.itemType === 'SERVICE' || String(item.hsnSacCode || '').startsWith('99');
+    const totAmt = item.baseAmount ?? (item.quantity || 0) * (item.rate || 0);
+    const assAmt = item.taxableAmount ?? item.amount ?? 0;
+    const cess = item.cess || 0;
+    // Specific (per-unit) cess is reported separately from ad valorem cess
+    const cessNonAdvol = (item.quantity || 0) * (item.cessPerUnit || 0) * (invoice.exchangeRate || 1);
+
+    return {
+      SlNo: String(index + 1),
+      PrdDesc: truncate(item.description, 300),
+      IsServc: isService ? 'Y' : 'N',
+      HsnCd: String(item.hsnSacCode || ''),
+      Qty: round2(item.quantity),
+      Unit: isService ? undefined : UQC_MAP[item.unit] || 'OTH',
+      UnitPrice: round2(item.rate),
+      TotAmt: round2(totAmt),
+      Discount: round2(item.discountAmount),
+      AssAmt: round2(assAmt),
+      GstRt: item.gstRate || 0,
+      IgstAmt: round2(item.igst),
+      CgstAmt: round2(item.cgst),
+      SgstAmt: round2(item.sgst),
+      CesRt: item.cessRate || 0,
+      CesAmt: round2(cess - cessNonAdvol),
+      CesNonAdvlAmt: round2(cessNonAdvol),
+      StateCesRt: 0,
+      StateCesAmt: 0,
+      StateCesNonAdvlAmt: 0,
+      OthChrg: 0,
+      TotItemVal: round2(assAmt + (item.igst || 0) + (item.cgst || 0) + (item.sgst || 0) + cess),
+    };
+  });
+
+  const sum = (key) => round2(ItemList.reduce((total, item) => total + (item[key] || 0), 0));
+
+  const payload = {
+    Version: EINVOICE_SCHEMA_VERSION,
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: supplyType,
+      RegRev: invoice.reverseCharge ? 'Y' : 'N',
+      IgstOnIntra: 'N',
+    },
+    DocDtls: {
+      Typ: DOC_TYPES[invoice.invoiceType],
+      No: invoice.invoiceNumber,
+      Dt: formatDocDate(invoice.invoiceDate),
+    },
+    SellerDtls: seller,
+    BuyerDtls: {
+      Gstin: isExport ? 'URP' : client.gstin,
+      LglNm: truncate(client.companyName, 100),
+      TrdNm: truncate(client.displayName || client.companyName, 100),
+      Pos: pos,
+      Addr1: truncate(client.billingAddress, 100),
+      Loc: truncate(client.billingCity, 50),
+      Pin: isExport ? 999999 : pincodeNumber(client.billingPincode),
+      Stcd: isExport ? '96' : getStateCodeFromGSTIN(client.gstin) || pos,
+      Ph: client.phone ? String(client.phone).replace(/\D/g, '').slice(-12) : undefined,
+      Em: truncate(client.email, 100),
+    },
+    ItemList,
+    ValDtls: {
+      AssVal: sum('AssAmt'),
+      CgstVal: sum('CgstAmt'),
+      SgstVal: sum('SgstAmt'),
+      IgstVal: sum('IgstAmt'),
+      CesVal: round2(sum('CesAmt') + sum('CesNonAdvlAmt')),
+      StCesVal: 0,
+      Discount: round2(invoice.discountAmount),
+      // TCS collected is reported as other charges; TDS is not part of the invoice value
+      OthChrg: round2(invoice.tcsAmount),
+      RndOffAmt: round2(invoice.roundOff),
+      TotInvVal: round2(invoice.totalAmount + (invoice.tdsAmount || 0)),
+    },
+  };
+
+  if (invoice.poNumber) {
+    payload.RefDtls = {
+      ContrDtls: [
+        {
+          PORefr: truncate(invoice.poNumber, 16),
+          PORefDt: invoice.poDate ? formatDocDate(invoice.poDate) : undefined,
+        },
+      ],
+    };
+  }
+
+  if (isExport) {
+    const details = invoice.exportDetails || {};
+    payload.ExpDtls = {
+      ShipBNo: details.shippingBillNumber ? String(details.shippingBillNumber) : undefined,
+      ShipBDt: details.shippingBillDate ? formatDocDate(details.shippingBillDate) : undefined,
+      Port: details.portCode || undefined,
+      RefClm: supplyType === 'EXPWP' ? 'Y' : 'N',
+      CntCode: details.destinationCountry || undefined,
+      ForCur: invoice.foreignCurrency || undefined,
+    };
+  }
+
+  if (invoice.shipTo?.address) {
+    payload.ShipDtls = {
+      Gstin: isExport ? undefined : invoice.shipTo.gstin || (invoice.shipTo.isThirdParty ? undefined : client.gstin),
+      LglNm: truncate(invoice.shipTo.name || client.companyName, 100),
+      Addr1: truncate(invoice.shipTo.address, 100),
+      Loc: truncate(invoice.shipTo.city, 50),
+      Pin: isExport ? 999999 : pincodeNumber(invoice.shipTo.pincode),
+      Stcd: isExport ? '96' : resolveLocationStateCode(invoice.shipTo) || pos,
+    };
+  } else if (client.shippingAddress && !client.sameAsBilling) {
+    payload.ShipDtls = {
+      Gstin: isExport ? undefined : client.gstin,
+      LglNm: truncate(client.companyName, 100),
+      Addr1: truncate(client.shippingAddress, 100),
+      Loc: truncate(client.shippingCity, 50),
+      Pin: isExport ? 999999 : pincodeNumber(client.shippingPincode),
+      Stcd: isExport ? '96' : pos,
+    };
+  }
+
+  return payload;
+};
+
+/**
+ * Validate an e-invoice payload against the INV-01 schema rules
+ * @param {Object} payload - Output of buildEInvoicePayload
+ * @returns {Array} List of { field, message }
+ */
+export const validateEInvoicePayload = (payload) => {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  const { TranDtls, DocDtls, SellerDtls, BuyerDtls, ItemList = [], ValDtls } = payload;
+
+  if (!DocDtls.Typ) add('DocDtls.Typ', 'Only tax invoices, credit notes and debit notes can be e-invoiced');
+  if (!DocDtls.No || !DOC_NO_PATTERN.test(DocDtls.No)) {
+    add('DocDtls.No', 'Document number must be 1-16 characters (letters, digits, / and -) and cannot start with 0, / or -');
+  }
+  if (!DOC_DATE_PATTERN.test(DocDtls.Dt || '')) add('DocDtls.Dt', 'Document date must be dd/mm/yyyy');
+  const [day, month, year] = (DocDtls.Dt || '').split('/').map((p) => parseInt(p));
+  if (new Date(year, month - 1, day) > new Date()) add('DocDtls.Dt', 'Document date cannot be in the future');
+
+  if (!GSTIN_PATTERN.test(SellerDtls.Gstin || '')) add('SellerDtls.Gstin', 'Invalid supplier GSTIN');
+  if (!SellerDtls.LglNm) add('SellerDtls.LglNm', 'Supplier legal name is required');
+  if (!SellerDtls.Addr1 || SellerDtls.Addr1.length < 1) add('SellerDtls.Addr1', 'Supplier address is required');
+  if (!SellerDtls.Loc || SellerDtls.Loc.length < 3) add('SellerDtls.Loc', 'Supplier location must be at least 3 characters');
+  if (!SellerDtls.Pin || SellerDtls.Pin < 100000 || SellerDtls.Pin > 999999) add('SellerDtls.Pin', 'Supplier pincode must be 6 digits');
+
+  const isExport = TranDtls.SupTyp.startsWith('EXP');
+  if (!isExport) {
+    if (!GSTIN_PATTERN.test(BuyerDtls.Gstin || '')) {
+      add('BuyerDtls.Gstin', 'Recipient GSTIN is required for B2B/SEZ e-invoices');
+    } else if (BuyerDtls.Gstin === SellerDtls.Gstin) {
+      add('BuyerDtls.Gstin', 'Recipient GSTIN cannot be the same as supplier GSTIN');
+    }
+    if (!BuyerDtls.Pin || BuyerDtls.Pin < 100000 || BuyerDtls.Pin > 999999) {
+      add('BuyerDtls.Pin', 'Recipient pincode must be 6 digits');
+    }
+  }
+  if (!BuyerDtls.LglNm) add('BuyerDtls.LglNm', 'Recipient legal name is required');
+  if (!BuyerDtls.Addr1) add('BuyerDtls.Addr1', 'Recipient address is required');
+  if (!BuyerDtls.Loc || BuyerDtls.Loc.length < 3) add('BuyerDtls.Loc', 'Recipient location must be at least 3 characters');
+  if (!BuyerDtls.Pos) add('BuyerDtls.Pos', 'Place of supply is required');
+
+  if (ItemList.length === 0) add('ItemList', 'At least one item is required');
+  if (ItemList.length > 1000) add('ItemList', 'An e-invoice can have at most 1000 items');
+
+  const interState = BuyerDtls.Pos !== SellerDtls.Stcd;
+  ItemList.forEach((item) => {
+    const field = `ItemList[${item.SlNo}]`;
+    if (!HSN_PATTERN.test(item.HsnCd)) add(`${field}.HsnCd`, 'HSN/SAC must be 4, 6 or 8 digits');
+    if (item.IsServc === 'N' && String(item.HsnCd).startsWith('99')) {
+      add(`${field}.IsServc`, 'SAC codes (99xx) must be marked as services');
+    }
+    if (item.UnitPrice < 0 || item.Qty < 0) add(field, 'Quantity and unit price cannot be negative');
+    if (Math.abs(item.TotAmt - item.Discount - item.AssAmt) > VALUE_TOLERANCE) {
+      add(`${field}.AssAmt`, 'Assessable value must equal total amount less discount');
+    }
+    const taxes = item.IgstAmt + item.CgstAmt + item.SgstAmt + item.CesAmt + item.CesNonAdvlAmt;
+    if (Math.abs(item.AssAmt + taxes + item.OthChrg - item.TotItemVal) > VALUE_TOLERANCE) {
+      add(`${field}.TotItemVal`, 'Item total does not match assessable value plus taxes');
+    }
+    // Zero-rated under LUT: the rate is reported but no tax is charged
+    const expectedTax = TranDtls.SupTyp.endsWith('WOP') ? 0 : (item.AssAmt * item.GstRt) / 100;
+    if (Math.abs(item.IgstAmt + item.CgstAmt + item.SgstAmt - expectedTax) > VALUE_TOLERANCE) {
+      add(`${field}.GstRt`, `Tax amount does not match ${item.GstRt}% of assessable value`);
+    }
+    if (TranDtls.IgstOnIntra === 'N' && !isExport && !TranDtls.SupTyp.startsWith('SEZ')) {
+      if (interState && (item.CgstAmt || item.SgstAmt)) {
+        add(field, 'Inter-state supply cannot carry CGST/SGST');
+      }
+      if (!interState && item.IgstAmt) {
+        add(field, 'Intra-state supply cannot carry IGST');
+      }
+    }
+  });
+
+  const sum = (key) => ItemList.reduce((total, item) => total + (item[key] || 0), 0);
+  [
+    ['AssVal', 'AssAmt'],
+    ['IgstVal', 'IgstAmt'],
+    ['CgstVal', 'CgstAmt'],
+    ['SgstVal', 'SgstAmt'],
+    ['CesVal', 'CesAmt', 'CesNonAdvlAmt'],
+  ].forEach(([total, itemKey, extraKey]) => {
+    const itemsTotal = sum(itemKey) + (extraKey ? sum(extraKey) : 0);
+    if (Math.abs(ValDtls[total] - itemsTotal) > VALUE_TOLERANCE) {
+      add(`ValDtls.${total}`, `${total} does not match the sum of items`);
+    }
+  });
+
+  const expectedTotal =
+    sum('TotItemVal') - ValDtls.Discount + ValDtls.OthChrg + ValDtls.RndOffAmt;
+  if (Math.abs(expectedTotal - ValDtls.TotInvVal) > VALUE_TOLERANCE) {
+    add('ValDtls.TotInvVal', 'Invoice total does not match item totals, discount and round-off');
+  }
+
+  return errors;
+};
+
+/**
+ * Can the IRN on this invoice still be cancelled?
+ */
+export const isIRNCancellable = (invoice, now = new Date()) => {
+  if (invoice.eInvoice?.status !== 'GENERATED' || !invoice.eInvoice?.ackDate) return false;
+  const hours = (now - new Date(invoice.eInvoice.ackDate)) / (1000 * 60 * 60);
+  return hours <= IRN_CANCEL_WINDOW_HOURS;
+};
+
+/**
+ * Build, validate and register an invoice with the IRP
+ * Stores the IRN, acknowledgement and signed QR on the invoice.
+ * @param {Object} invoice - Invoice document with client populated
+ * @param {Object} organization - Organization document
+ * @returns {Promise<Object>} { success, errors?, eInvoice? }
+ */
+export const generateEInvoice = async (invoice, organization) => {
+  if (invoice.eInvoice?.status === 'GENERATED') {
+    return {
+      success: false,
+      errors: [{ field: 'eInvoice', message: `IRN already generated: ${invoice.eInvoice.irn}` }],
+    };
+  }
+  if (invoice.eInvoice?.status === 'CANCELLED') {
+    return {
+      success: false,
+      errors: [{ field: 'eInvoice', message: 'IRN for this invoice number was cancelled and cannot be registered again' }],
+    };
+  }
+  if (invoice.status === 'DRAFT' || !invoice.invoiceNumber) {
+    return {
+      success: false,
+      errors: [{ field: 'status', message: 'Finalise the draft before generating an IRN' }],
+    };
+  }
+
+  const payload = buildEInvoicePayload(invoice, organization);
+  const errors = validateEInvoicePayload(payload);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const provider = getIRPProvider();
+  const result = await provider.generateIRN(payload);
+
+  invoice.eInvoice = {
+    ...(invoice.eInvoice?.toObject ? invoice.eInvoice.toObject() : invoice.eInvoice),
+    enabled: true,
+    irn: result.Irn,
+    ackNo: String(result.AckNo),
+    ackDate: parseNicDateTime(result.AckDt),
+    qrCode: result.SignedQRCode,
+    signedInvoice: result.SignedInvoice,
+    status: 'GENERATED',
+    cancelDate: undefined,
+    cancelReason: undefined,
+  };
+  await invoice.save();
+
+  console.log(`✅ IRN generated via ${provider.name} for ${invoice.invoiceNumber}: ${result.Irn}`);
+
+  return { success: true, eInvoice: invoice.eInvoice };
+};
+
+/**
+ * Cancel an IRN within the 24-hour window
+ * @param {Object} invoice - Invoice document
+ * @param {Object} organization - Organization document
+ * @param {number|string} reasonCode - NIC reason code (1-4)
+ * @param {string} remarks - Cancellation remarks
+ * @returns {Promise<Object>} { success, errors?, eInvoice? }
+ */
+export const cancelEInvoice = async (invoice, organization, reasonCode, remarks) => {
+  if (invoice.eInvoice?.status !== 'GENERATED') {
+    return { success: false, errors: [{ field: 'eInvoice', message: 'No active IRN on this invoice' }] };
+  }
+  if (!IRN_CANCEL_REASONS[reasonCode]) {
+    return {
+      success: false,
+      errors: [{ field: 'reasonCode', message: 'Reason code must be 1 (Duplicate), 2 (Data entry mistake), 3 (Order cancelled) or 4 (Others)' }],
+    };
+  }
+  if (!isIRNCancellable(invoice)) {
+    return {
+      success: false,
+      errors: [{
+        field: 'eInvoice.ackDate',
+        message: `IRN can only be cancelled within ${IRN_CANCEL_WINDOW_HOURS} hours of generation. Issue a credit note instead.`,
+      }],
+    };
+  }
+
+  const provider = getIRPProvider();
+  const result = await provider.cancelIRN({
+    Irn: invoice.eInvoice.irn,
+    CnlRsn: String(reasonCode),
+    CnlRem: truncate(remarks || IRN_CANCEL_REASONS[reasonCode], 100),
+    gstin: invoice.gstinUsed?.gstin || organization.gstin,
+  });
+
+  invoice.eInvoice.status = 'CANCELLED';
+  invoice.eInvoice.cancelDate = parseNicDateTime(result.CancelDate);
+  invoice.eInvoice.cancelReason = `${IRN_CANCEL_REASONS[reasonCode]}${remarks ? `: ${remarks}` : ''}`;
+  await invoice.save();
+
+  console.log(`✅ IRN cancelled for ${invoice.invoiceNumber}: ${invoice.eInvoice.irn}`);
+
+  return { success: true, eInvoice: invoice.eInvoice };
+};
+
+export default {
+  EINVOICE_SCHEMA_VERSION,
+  IRN_CANCEL_WINDOW_HOURS,
+  IRN_CANCEL_REASONS,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  isIRNCancellable,
+  generateEInvoice,
+  cancelEInvoice,
+};
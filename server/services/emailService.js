@@ -8,6 +8,8 @@ const { createTransport } = pkg;
 import {
   generateInvoiceReminderEmail,
   generateDailyReportEmail,
+  generateEWayBillExpiryEmail,
+  generateForm16AEmail,
 } from "../utils/emailTemplate.js";
 
 // ✅ Create transporter with explicit SMTP settings
@@ -132,6 +134,86 @@ export const sendDailyReport = async (
   }
 };
 
+// Alert before e-way bills lapse
+export const sendEWayBillExpiryAlert = async (
+  invoices,
+  organization,
+  recipientEmail
+) => {
+  try {
+    const transporter = createTransporter();
+    const emailHTML = generateEWayBillExpiryEmail(invoices, organization);
+
+    const mailOptions = {
+      from: `"${organization.name}" <${process.env.SMTP_USER}>`,
+      to: recipientEmail,
+      subject: `🚚 ${invoices.length} e-way bill(s) expiring soon`,
+      html: emailHTML,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+
+    console.log(`✅ E-way bill expiry alert sent to ${recipientEmail}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      sentTo: recipientEmail,
+      sentAt: new Date(),
+    };
+  } catch (error) {
+    console.error("❌ E-way bill alert sending failed:", error.message);
+    throw error;
+  }
+};
+
+// Send Form 16A to a vendor with the certificate attached
+export const sendForm16A = async (
+  certificate,
+  organization,
+  pdfBuffer,
+  { to, cc } = {}
+) => {
+  try {
+    const recipient = to || certificate.deductee.email;
+    if (!recipient) {
+      throw new Error(`No email address for ${certificate.deductee.name}`);
+    }
+
+    const transporter = createTransporter();
+    const emailHTML = generateForm16AEmail(certificate, organization);
+
+    const mailOptions = {
+      from: `"${organization.name}" <${process.env.SMTP_USER}>`,
+      to: recipient,
+      cc: cc || organization.email || undefined,
+      subject: `Form 16A - ${certificate.quarter} FY ${certificate.financialYear} - ${organization.name}`,
+      html: emailHTML,
+      attachments: [
+        {
+          filename: `${certificate.certificateNumber.replace(/\//g, "_")}.pdf`,
+          content: pdfBuffer,
+          contentType: "application/pdf",
+        },
+      ],
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+
+    console.log(`✅ Form 16A ${certificate.certificateNumber} sent to ${recipient}`);
+
+    return {
+      success: true,
+      messageId: info.messageId,
+      sentTo: recipient,
+      sentAt: new Date(),
+    };
+  } catch (error) {
+    console.error("❌ Form 16A email failed:", error.message);
+    throw error;
+  }
+};
+
 // Test email configuration
 export const testEmailConfig = async () => {
   try {
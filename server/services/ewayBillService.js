@@ -0,0 +1,617 @@
+// ============================================
+// FILE: server/services/ewayBillService.js
+// E-way bill payload, validity, Part-B updates, extension and expiry
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import { getStateCodeFromGSTIN } from '../utils/gstCalculator.js';
+import { resolvePlaceOfSupply, UQC_MAP } from './gstr1Service.js';
+import { resolveLocationStateCode } from '../utils/placeOfSupply.js';
+import { getEWBProvider } from './ewbProviders.js';
+import { toINRDocument } from '../utils/currencies.js';
+
+// Consignment value above which an e-way bill is required (Rule 138)
+export const EWB_THRESHOLD = 50000;
+
+// Distance covered per day of validity; over dimensional cargo moves slower
+export const KM_PER_DAY = {
+  REGULAR: 200,
+  ODC: 20,
+};
+
+export const MAX_DISTANCE_KM = 4000;
+
+// Extension is allowed from 8 hours before until 8 hours after expiry
+export const EXTENSION_WINDOW_HOURS = 8;
+
+export const EWB_CANCEL_WINDOW_HOURS = 24;
+
+const TRANSPORT_MODES = { ROAD: '1', RAIL: '2', AIR: '3', SHIP: '4' };
+
+export const PART_B_REASONS = {
+  1: 'Due to break down',
+  2: 'Due to transhipment',
+  3: 'Others',
+  4: 'First time',
+};
+
+export const EXTENSION_REASONS = {
+  1: 'Natural calamity',
+  2: 'Law and order situation',
+  4: 'Transhipment',
+  5: 'Accident',
+  99: 'Others',
+};
+
+export const EWB_CANCEL_REASONS = {
+  1: 'Duplicate',
+  2: 'Order cancelled',
+  3: 'Data entry mistake',
+  4: 'Others',
+};
+
+const DOC_TYPES = {
+  TAX_INVOICE: 'INV',
+  BILL_OF_SUPPLY: 'BIL',
+  DELIVERY_CHALLAN: 'CHL',
+  CREDIT_NOTE: 'CNT',
+  DEBIT_NOTE: 'OTH',
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+// Regular registration (MH12AB1234), defence (CBxx) and temporary (TRxx) numbers
+const VEHICLE_PATTERN = /^([A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}|TR[A-Z0-9]{6,13}|[0-9]{2}[A-Z][0-9]{6}[A-Z])$/;
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatDocDate = (date) => {
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${d.getFullYear()}`;
+};
+
+// "dd/MM/yyyy hh:mm:ss AM" → Date
+const parseNicDateTime = (value) => {
+  if (!value) return null;
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})(?: (\d{1,2}):(\d{2}):(\d{2})(?: (AM|PM))?)?$/.exec(value.trim());
+  if (!match) return new Date(value);
+  let hours = parseInt(match[4] || '0');
+  if (match[7] === 'PM' && hours < 12) hours += 12;
+  if (match[7] === 'AM' && hours === 12) hours = 0;
+  return new Date(
+    parseInt(match[3]),
+    parseInt(match[2]) - 1,
+    parseInt(match[1]),
+    hours,
+    parseInt(match[5] || '0'),
+    parseInt(match[6] || '0')
+  );
+};
+
+const normalizeVehicleNumber = (value) =>
+  String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Validity end for an e-way bill
+ * One day per 200 km (20 km for ODC) or part thereof. A day ends at
+ * midnight of the day following the start date.
+ * @param {Date} startDate - Generation or first Part-B time
+ * @param {number} distance - Approximate distance in km
+ * @param {string} [vehicleType] - REGULAR or ODC
+ * @returns {Date} Valid-upto timestamp
+ */
+export const computeEWBValidity = (startDate, distance, vehicleType = 'REGULAR') => {
+  const perDay = KM_PER_DAY[vehicleType] || KM_PER_DAY.REGULAR;
+  const days = Math.max(1, Math.ceil((distance || 0) / perDay));
+  const validUpto = new Date(startDate);
+  validUpto.setDate(validUpto.getDate() + days);
+  validUpto.setHours(23, 59, 59, 0);
+  return validUpto;
+};
+
+/**
+ * Value of goods in the consignment (services do not move)
+ */
+export const getConsignmentValue = (invoice) =>
+  round2(
+    invoice.items
+      .filter((item) => item.itemType !== 'SERVICE' && !String(item.hsnSacCode || '').startsWith('99'))
+      .reduce((sum, item) => sum + (item.totalAmount || 0), 0)
+  );
+
+/**
+ * Does this invoice need an e-way bill?
+ */
+export const isEWayBillRequired = (invoice) =>
+  ['TAX_INVOICE', 'BILL_OF_SUPPLY', 'DELIVERY_CHALLAN'].includes(invoice.invoiceType) &&
+  getConsignmentValue(invoice) > EWB_THRESHOLD;
+
+/**
+ * Build the e-way bill (GENEWAYBILL) JSON for an invoice
+ * @param {Object} invoice - Invoice with client populated
+ * @param {Object} organization - Organization document
+ * @param {Object} transport - { transportMode, distance, vehicleNumber, vehicleType, transporterId, transporterName, transportDocNumber, transportDocDate, fromPincode, toPincode }
+ * @returns {Object} EWB request payload
+ */
+export const buildEWayBillPayload = (document, organization, transport = {}) => {
+  // E-way bill values are in INR
+  const invoice = toINRDocument(document);
+  const client = invoice.client || {};
+  const fromGstin = invoice.gstinUsed?.gstin || organization.gstin;
+  const entry = (organization.gstinEntries || []).find((g) => g.gstin === fromGstin);
+  const fromStateCode = getStateCodeFromGSTIN(fromGstin);
+  const isExport = client.gstTreatment === 'EXPORT';
+  const toStateCode = isExport ? '99' : getStateCodeFromGSTIN(client.gstin) || resolvePlaceOfSupply(client, fromStateCode);
+  // A ship-to address entered on the invoice overrides the client's shipping address
+  const shipTo = invoice.shipTo?.address ? invoice.shipTo : null;
+  const shipToStateCode =
+    (shipTo && resolveLocationStateCode(shipTo)) ||
+    resolvePlaceOfSupply({ ...client, gstin: null, gstTreatment: null }, toStateCode);
+
+  const goods = invoice.items.filter(
+    (item) => item.itemType !== 'SERVICE' && !String(item.hsnSacCode || '').startsWith('99')
+  );
+  const sum = (key) => round2(goods.reduce((total, item) => total + (item[key] || 0), 0));
+  const nonAdvolCess = goods.reduce(
+    (total, item) => total + (item.quantity || 0) * (item.cessPerUnit || 0) * (invoice.exchangeRate || 1),
+    0
+  );
+  const mode = transport.transportMode || 'ROAD';
+  const vehicleNumber = normalizeVehicleNumber(transport.vehicleNumber);
+
+  return {
+    supplyType: 'O',
+    subSupplyType: isExport ? '3' : '1',
+    docType: DOC_TYPES[invoice.invoiceType] || 'OTH',
+    docNo: invoice.invoiceNumber,
+    docDate: formatDocDate(invoice.invoiceDate),
+    fromGstin,
+    fromTrdName: entry?.tradeName || organization.name,
+    fromAddr1: entry?.address || organization.address,
+    fromPlace: entry?.city || organization.city,
+    fromPincode: parseInt(transport.fromPincode || entry?.pincode || organization.pincode) || undefined,
+    fromStateCode: parseInt(fromStateCode),
+    actFromStateCode: parseInt(fromStateCode),
+    toGstin: isExport || !client.gstin ? 'URP' : client.gstin,
+    toTrdName: client.companyName,
+    toAddr1: shipTo?.address || client.shippingAddress || client.billingAddress,
+    toPlace: shipTo?.city || client.shippingCity || client.billingCity,
+    toPincode:
+      parseInt(
+        transport.toPincode || shipTo?.pincode || client.shippingPincode || client.billingPincode
+      ) || undefined,
+    toStateCode: parseInt(toStateCode),
+    actToStateCode: parseInt(shipToStateCode),
+    // 1 = regular, 2 = bill-to/ship-to differ
+    transactionType: shipTo || (client.shippingAddress && !client.sameAsBilling) ? 2 : 1,
+    totalValue: sum('taxableAmount'),
+    cgstValue: sum('cgst'),
+    sgstValue: sum('sgst'),
+    igstValue: sum('igst'),
+    cessValue: round2(sum('cess') - nonAdvolCess),
+    cessNonAdvolValue: round2(nonAdvolCess),
+    otherValue: 0,
+    totInvValue: getConsignmentValue(invoice),
+    transporterId: transport.transporterId || '',
+    transporterName: transport.transporterName || '',
+    transDocNo: transport.transportDocNumber || '',
+    transDocDate: transport.transportDocDate ? formatDocDate(transport.transportDocDate) : '',
+    transMode: TRANSPORT_MODES[mode],
+    transDistance: String(Math.round(transport.distance || 0)),
+    vehicleNo: vehicleNumber,
+    vehicleType: transport.vehicleType === 'ODC' ? 'O' : 'R',
+    itemList: goods.map((item, index) => ({
+      itemNo: index + 1,
+      productName: item.description,
+      productDesc: item.subDescription || item.description,
+      hsnCode: parseInt(item.hsnSacCode),
+      quantity: item.quantity,
+      qtyUnit: UQC_MAP[item.unit] || 'OTH',
+      taxableAmount: round2(item.taxableAmount),
+      cgstRate: item.cgst ? item.gstRate / 2 : 0,
+      sgstRate: item.sgst ? item.gstRate / 2 : 0,
+      igstRate: item.igst ? item.gstRate : 0,
+      cessRate: item.cessRate || 0,
+    })),
+  };
+};
+
+/**
+ * Validate an e-way bill payload
+ * @returns {Array} List of { field, message }
+ */
+export const validateEWayBillPayload = (payload) => {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!payload.docNo || payload.docNo.length > 16) add('docNo', 'Document number is required (max 16 characters)');
+  if (!GSTIN_PATTERN.test(payload.fromGstin || '')) add('fromGstin', 'Invalid supplier GSTIN');
+  if (payload.toGstin !== 'URP' && !GSTIN_PATTERN.test(payload.toGstin || '')) add('toGstin', 'Invalid recipient GSTIN');
+  if (!payload.fromPincode || payload.fromPincode < 100000 || payload.fromPincode > 999999) {
+    add('fromPincode', 'Dispatch pincode must be 6 digits');
+  }
+  if (payload.subSupplyType !== '3' && (!payload.toPincode || payload.toPincode < 100000 || payload.toPincode > 999999)) {
+    add('toPincode', 'Delivery pincode must be 6 digits');
+  }
+  if (!payload.toPlace) add('toPlace', 'Delivery place is required');
+  if (payload.itemList.length === 0) add('itemList', 'E-way bill needs at least one goods item');
+  payload.itemList.forEach((item) => {
+    if (!item.hsnCode || String(item.hsnCode).startsWith('99')) {
+      add(`itemList[${item.itemNo}].hsnCode`, 'A goods HSN code is required');
+    }
+  });
+
+  const distance = parseInt(payload.transDistance);
+  if (isNaN(distance) || distance <= 0) add('transDistance', 'Approximate distance (km) is required');
+  if (distance > MAX_DISTANCE_KM) add('transDistance', `Distance cannot exceed ${MAX_DISTANCE_KM} km`);
+
+  if (!payload.transMode) add('transMode', 'Transport mode must be ROAD, RAIL, AIR or SHIP');
+  if (payload.transMode === '1') {
+    if (payload.vehicleNo && !VEHICLE_PATTERN.test(payload.vehicleNo)) {
+      add('vehicleNo', 'Invalid vehicle number format');
+    }
+    if (!payload.vehicleNo && !payload.transporterId) {
+      add('vehicleNo', 'Vehicle number or transporter ID is required for road transport');
+    }
+  } else if (payload.transMode && (!payload.transDocNo || !payload.transDocDate)) {
+    add('transDocNo', 'Transport document number and date are required for rail, air and ship');
+  }
+  if (payload.transporterId && !GSTIN_PATTERN.test(payload.transporterId) && !/^88[A-Z0-9]{13}$/.test(payload.transporterId)) {
+    add('transporterId', 'Transporter ID must be a GSTIN or TRANSIN');
+  }
+
+  const itemTotal =
+    payload.totalValue +
+    payload.cgstValue +
+    payload.sgstValue +
+    payload.igstValue +
+    payload.cessValue +
+    payload.cessNonAdvolValue;
+  if (Math.abs(itemTotal + payload.otherValue - payload.totInvValue) > 1) {
+    add('totInvValue', 'Total invoice value does not match taxable value plus taxes');
+  }
+
+  return errors;
+};
+
+const hasPartB = (payload) => Boolean(payload.vehicleNo || payload.transDocNo);
+
+/**
+ * Generate an e-way bill for an invoice
+ * @param {Object} invoice - Invoice document with client populated
+ * @param {Object} organization - Organization document
+ * @param {Object} transport - Transport details (see buildEWayBillPayload)
+ * @returns {Promise<Object>} { success, errors?, eWayBill? }
+ */
+export const generateEWayBill = async (invoice, organization, transport = {}) => {
+  if (invoice.eWayBill?.status === 'GENERATED') {
+    return {
+      success: false,
+      errors: [{ field: 'eWayBill', message: `E-way bill already generated: ${invoice.eWayBill.ewbNumber}` }],
+    };
+  }
+  if (invoice.status === 'DRAFT' || !invoice.invoiceNumber) {
+    return { success: false, errors: [{ field: 'status', message: 'Finalise the draft before generating an e-way bill' }] };
+  }
+  if (!isEWayBillRequired(invoice) && !transport.force) {
+    return {
+      success: false,
+      errors: [{
+        field: 'totInvValue',
+        message: `Goods value ₹${getConsignmentValue(invoice)} does not exceed ₹${EWB_THRESHOLD}; pass force to generate anyway`,
+      }],
+    };
+  }
+
+  const payload = buildEWayBillPayload(invoice, organization, transport);
+  const errors = validateEWayBillPayload(payload);
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const provider = getEWBProvider();
+  const result = await provider.generateEWB(payload);
+
+  const ewbDate = parseNicDateTime(result.ewayBillDate) || new Date();
+  const vehicleType = transport.vehicleType === 'ODC' ? 'ODC' : 'REGULAR';
+  const distance = parseInt(payload.transDistance);
+
+  // Validity starts only once Part-B (vehicle/transport document) is filled
+  let validUpto = null;
+  if (hasPartB(payload)) {
+    validUpto = result.validUpto
+      ? parseNicDateTime(result.validUpto)
+      : computeEWBValidity(ewbDate, distance, vehicleType);
+  }
+
+  invoice.eWayBill = {
+    enabled: true,
+    ewbNumber: String(result.ewayBillNo),
+    ewbDate,
+    validUpto,
+    transportMode: transport.transportMode || 'ROAD',
+    vehicleNumber: payload.vehicleNo || undefined,
+    vehicleType,
+    transporterName: payload.transporterName || undefined,
+    transporterId: payload.transporterId || undefined,
+    transportDocNumber: payload.transDocNo || undefined,
+    transportDocDate: transport.transportDocDate || undefined,
+    distance,
+    fromPincode: String(payload.fromPincode),
+    toPincode: payload.toPincode ? String(payload.toPincode) : undefined,
+    status: 'GENERATED',
+    partBUpdates: [],
+    extensions: [],
+  };
+  await invoice.save();
+
+  console.log(`✅ E-way bill ${result.ewayBillNo} generated via ${provider.name} for ${invoice.invoiceNumber}`);
+
+  return { success: true, eWayBill: invoice.eWayBill };
+};
+
+/**
+ * Update Part-B (vehicle or transport document) of an e-way bill
+ * The first Part-B entry starts the validity period.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} organization - Organization document
+ * @param {Object} details - { vehicleNumber, transportMode, transportDocNumber, transportDocDate, fromPlace, fromStateCode, reasonCode, reasonRemarks }
+ * @param {string} userId - User making the update
+ */
+export const updateEWayBillPartB = async (invoice, organization, details, userId) => {
+  const ewb = invoice.eWayBill;
+  if (ewb?.status !== 'GENERATED') {
+    return { success: false, errors: [{ field: 'eWayBill', message: 'No active e-way bill on this invoice' }] };
+  }
+  if (ewb.validUpto && new Date() > ewb.validUpto) {
+    return { success: false, errors: [{ field: 'eWayBill.validUpto', message: 'E-way bill has expired; extend its validity first' }] };
+  }
+
+  const mode = details.transportMode || ewb.transportMode || 'ROAD';
+  const vehicleNumber = normalizeVehicleNumber(details.vehicleNumber);
+  const reasonCode = String(details.reasonCode || (ewb.vehicleNumber || ewb.transportDocNumber ? '' : '4'));
+  const errors = [];
+
+  if (!TRANSPORT_MODES[mode]) errors.push({ field: 'transportMode', message: 'Transport mode must be ROAD, RAIL, AIR or SHIP' });
+  if (mode === 'ROAD' && !VEHICLE_PATTERN.test(vehicleNumber)) {
+    errors.push({ field: 'vehicleNumber', message: 'A valid vehicle number is required for road transport' });
+  }
+  if (mode !== 'ROAD' && (!details.transportDocNumber || !details.transportDocDate)) {
+    errors.push({ field: 'transportDocNumber', message: 'Transport document number and date are required' });
+  }
+  if (!PART_B_REASONS[reasonCode]) {
+    errors.push({ field: 'reasonCode', message: 'Reason code must be 1 (Break down), 2 (Transhipment), 3 (Others) or 4 (First time)' });
+  }
+  if (reasonCode === '3' && !details.reasonRemarks) {
+    errors.push({ field: 'reasonRemarks', message: 'Remarks are required when the reason is Others' });
+  }
+  if (!details.fromPlace) errors.push({ field: 'fromPlace', message: 'Place of change is required' });
+  if (errors.length > 0) return { success: false, errors };
+
+  const fromGstin = invoice.gstinUsed?.gstin || organization.gstin;
+  const fromStateCode = details.fromStateCode || getStateCodeFromGSTIN(fromGstin);
+
+  const provider = getEWBProvider();
+  const result = await provider.updatePartB({
+    gstin: fromGstin,
+    ewbNo: Number(ewb.ewbNumber),
+    vehicleNo: vehicleNumber || '',
+    fromPlace: details.fromPlace,
+    fromState: parseInt(fromStateCode),
+    reasonCode,
+    reasonRem: details.reasonRemarks || PART_B_REASONS[reasonCode],
+    transDocNo: details.transportDocNumber || '',
+    transDocDate: details.transportDocDate ? formatDocDate(details.transportDocDate) : '',
+    transMode: TRANSPORT_MODES[mode],
+  });
+
+  const updatedAt = parseNicDateTime(result.vehUpdDate) || new Date();
+  if (!ewb.validUpto) {
+    ewb.validUpto = result.validUpto
+      ? parseNicDateTime(result.validUpto)
+      : computeEWBValidity(updatedAt, ewb.distance, ewb.vehicleType);
+  } else if (result.validUpto) {
+    ewb.validUpto = parseNicDateTime(result.validUpto);
+  }
+
+  ewb.transportMode = mode;
+  ewb.vehicleNumber = vehicleNumber || ewb.vehicleNumber;
+  if (details.transportDocNumber) {
+    ewb.transportDocNumber = details.transportDocNumber;
+    ewb.transportDocDate = details.transportDocDate;
+  }
+  ewb.partBUpdates.push({
+    vehicleNumber: vehicleNumber || undefined,
+    transportMode: mode,
+    transportDocNumber: details.transportDocNumber,
+    transportDocDate: details.transportDocDate,
+    fromPlace: details.fromPlace,
+    fromStateCode,
+    reasonCode,
+    reasonRemarks: details.reasonRemarks,
+    validUpto: ewb.validUpto,
+    updatedAt,
+    updatedBy: userId,
+  });
+  await invoice.save();
+
+  return { success: true, eWayBill: invoice.eWayBill };
+};
+
+/**
+ * Extend e-way bill validity for the remaining distance
+ * Allowed from 8 hours before until 8 hours after expiry.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} organization - Organization document
+ * @param {Object} details - { remainingDistance, fromPlace, fromStateCode, fromPincode, consignmentStatus, reasonCode, reasonRemarks, vehicleNumber, transportDocNumber, transportDocDate }
+ * @param {string} userId - User making the update
+ */
+export const extendEWayBill = async (invoice, organization, details, userId, now = new Date()) => {
+  const ewb = invoice.eWayBill;
+  if (!['GENERATED', 'EXPIRED'].includes(ewb?.status) || !ewb.validUpto) {
+    return { success: false, errors: [{ field: 'eWayBill', message: 'No active e-way bill with Part-B on this invoice' }] };
+  }
+
+  const windowOpens = new Date(ewb.validUpto.getTime() - EXTENSION_WINDOW_HOURS * HOUR_MS);
+  const windowCloses = new Date(ewb.validUpto.getTime() + EXTENSION_WINDOW_HOURS * HOUR_MS);
+  if (now < windowOpens || now > windowCloses) {
+    return {
+      success: false,
+      errors: [{
+        field: 'eWayBill.validUpto',
+        message: `Validity can only be extended between ${EXTENSION_WINDOW_HOURS} hours before and after expiry`,
+      }],
+    };
+  }
+
+  const remainingDistance = parseInt(details.remainingDistance);
+  const reasonCode = String(details.reasonCode || '');
+  const consignmentStatus = details.consignmentStatus === 'IN_TRANSIT' ? 'IN_TRANSIT' : 'IN_MOVEMENT';
+  const errors = [];
+
+  if (isNaN(remainingDistance) || remainingDistance <= 0) {
+    errors.push({ field: 'remainingDistance', message: 'Remaining distance (km) is required' });
+  } else if (remainingDistance > ewb.distance) {
+    errors.push({ field: 'remainingDistance', message: 'Remaining distance cannot exceed the original distance' });
+  }
+  if (!EXTENSION_REASONS[reasonCode]) {
+    errors.push({ field: 'reasonCode', message: 'Reason code must be 1, 2, 4, 5 or 99' });
+  }
+  if (!details.fromPlace || !details.fromPincode) {
+    errors.push({ field: 'fromPlace', message: 'Current place and pincode are required' });
+  }
+  // Goods in movement need the conveyance; goods in transit (warehouse) do not
+  if (consignmentStatus === 'IN_MOVEMENT' && !details.vehicleNumber && !ewb.vehicleNumber && !details.transportDocNumber) {
+    errors.push({ field: 'vehicleNumber', message: 'Vehicle number or transport document is required for goods in movement' });
+  }
+  if (errors.length > 0) return { success: false, errors };
+
+  const fromGstin = invoice.gstinUsed?.gstin || organization.gstin;
+  const fromStateCode = details.fromStateCode || getStateCodeFromGSTIN(fromGstin);
+  const vehicleNumber = normalizeVehicleNumber(details.vehicleNumber || ewb.vehicleNumber);
+
+  const provider = getEWBProvider();
+  const result = await provider.extendValidity({
+    gstin: fromGstin,
+    ewbNo: Number(ewb.ewbNumber),
+    vehicleNo: consignmentStatus === 'IN_MOVEMENT' ? vehicleNumber : '',
+    fromPlace: details.fromPlace,
+    fromState: parseInt(fromStateCode),
+    fromPincode: parseInt(details.fromPincode),
+    remainingDistance,
+    transDocNo: details.transportDocNumber || '',
+    transDocDate: details.transportDocDate ? formatDocDate(details.transportDocDate) : '',
+    transMode: consignmentStatus === 'IN_MOVEMENT' ? TRANSPORT_MODES[ewb.transportMode || 'ROAD'] : '5',
+    extnRsnCode: Number(reasonCode),
+    extnRemarks: details.reasonRemarks || EXTENSION_REASONS[reasonCode],
+    consignmentStatus: consignmentStatus === 'IN_MOVEMENT' ? 'M' : 'T',
+    transitType: consignmentStatus === 'IN_TRANSIT' ? details.transitType || 'W' : '',
+  });
+
+  const extendedAt = parseNicDateTime(result.updatedDate) || now;
+  const previousValidUpto = ewb.validUpto;
+  ewb.validUpto = result.validUpto
+    ? parseNicDateTime(result.validUpto)
+    : computeEWBValidity(extendedAt, remainingDistance, ewb.vehicleType);
+  ewb.status = 'GENERATED';
+  ewb.expiryAlertSentAt = undefined;
+  if (details.vehicleNumber) ewb.vehicleNumber = vehicleNumber;
+  ewb.extensions.push({
+    remainingDistance,
+    fromPlace: details.fromPlace,
+    fromStateCode,
+    fromPincode: String(details.fromPincode),
+    consignmentStatus,
+    reasonCode,
+    reasonRemarks: details.reasonRemarks,
+    previousValidUpto,
+    validUpto: ewb.validUpto,
+    extendedAt,
+    extendedBy: userId,
+  });
+  await invoice.save();
+
+  return { success: true, eWayBill: invoice.eWayBill };
+};
+
+/**
+ * Cancel an e-way bill within 24 hours of generation
+ */
+export const cancelEWayBill = async (invoice, organization, reasonCode, remarks) => {
+  const ewb = invoice.eWayBill;
+  if (!['GENERATED', 'EXPIRED'].includes(ewb?.status)) {
+    return { success: false, errors: [{ field: 'eWayBill', message: 'No active e-way bill on this invoice' }] };
+  }
+  if (!EWB_CANCEL_REASONS[reasonCode]) {
+    return { success: false, errors: [{ field: 'reasonCode', message: 'Reason code must be 1 (Duplicate), 2 (Order cancelled), 3 (Data entry mistake) or 4 (Others)' }] };
+  }
+  if (Date.now() - new Date(ewb.ewbDate).getTime() > EWB_CANCEL_WINDOW_HOURS * HOUR_MS) {
+    return {
+      success: false,
+      errors: [{ field: 'eWayBill.ewbDate', message: `E-way bill can only be cancelled within ${EWB_CANCEL_WINDOW_HOURS} hours of generation` }],
+    };
+  }
+
+  const provider = getEWBProvider();
+  const result = await provider.cancelEWB({
+    gstin: invoice.gstinUsed?.gstin || organization.gstin,
+    ewbNo: Number(ewb.ewbNumber),
+    cancelRsnCode: Number(reasonCode),
+    cancelRmrk: remarks || EWB_CANCEL_REASONS[reasonCode],
+  });
+
+  ewb.status = 'CANCELLED';
+  ewb.cancelDate = parseNicDateTime(result.cancelDate) || new Date();
+  ewb.cancelReason = `${EWB_CANCEL_REASONS[reasonCode]}${remarks ? `: ${remarks}` : ''}`;
+  await invoice.save();
+
+  console.log(`✅ E-way bill ${ewb.ewbNumber} cancelled for ${invoice.invoiceNumber}`);
+
+  return { success: true, eWayBill: invoice.eWayBill };
+};
+
+/**
+ * Mark lapsed e-way bills as EXPIRED
+ * @returns {Promise<number>} Number of e-way bills expired
+ */
+export const expireLapsedEWayBills = async (now = new Date()) => {
+  const result = await Invoice.updateMany(
+    { 'eWayBill.status': 'GENERATED', 'eWayBill.validUpto': { $lt: now } },
+    { $set: { 'eWayBill.status': 'EXPIRED' } }
+  );
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Active e-way bills expiring within the next few hours that have not been alerted
+ * @param {number} withinHours - Look-ahead window
+ * @returns {Promise<Array>} Invoices with client populated
+ */
+export const findExpiringEWayBills = async (withinHours = EXTENSION_WINDOW_HOURS, now = new Date()) => {
+  return Invoice.find({
+    'eWayBill.status': 'GENERATED',
+    'eWayBill.validUpto': { $gte: now, $lte: new Date(now.getTime() + withinHours * HOUR_MS) },
+    'eWayBill.expiryAlertSentAt': { $exists: false },
+  })
+    .populate('client', 'companyName')
+    .sort({ 'eWayBill.validUpto': 1 });
+};
+
+export default {
+  EWB_THRESHOLD,
+  KM_PER_DAY,
+  computeEWBValidity,
+  getConsignmentValue,
+  isEWayBillRequired,
+  buildEWayBillPayload,
+  validateEWayBillPayload,
+  generateEWayBill,
+  updateEWayBillPartB,
+  extendEWayBill,
+  cancelEWayBill,
+  expireLapsedEWayBills,
+  findExpiringEWayBills,
+};
@@ -0,0 +1,238 @@
+// ============================================
+// FILE: server/services/ewbProviders.js
+// E-way bill system (EWB) adapters
+// ============================================
+
+// Every provider implements:
+//   generateEWB(payload)  → { ewayBillNo, ewayBillDate, validUpto? }
+//   updatePartB(request)  → { vehUpdDate, validUpto? }
+//   extendValidity(request) → { updatedDate, validUpto? }
+//   cancelEWB(request)    → { ewayBillNo, cancelDate }
+// Dates are returned in the NIC format "dd/MM/yyyy hh:mm:ss AM".
+// When a provider does not return validUpto, the caller computes it.
+
+const formatNicDateTime = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = date.getHours() % 12 || 12;
+  const meridiem = date.getHours() < 12 ? 'AM' : 'PM';
+  return (
+    `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ` +
+    `${pad(hours)}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${meridiem}`
+  );
+};
+
+// ============================================
+// STUB: local e-way bill system, no network
+// ============================================
+
+const stubRegistry = new Map();
+let stubSequence = 0;
+
+const stubProvider = {
+  name: 'STUB',
+
+  async generateEWB(payload) {
+    const duplicate = [...stubRegistry.values()].find(
+      (ewb) =>
+        ewb.status === 'ACT' &&
+        ewb.fromGstin === payload.fromGstin &&
+        ewb.docType === payload.docType &&
+        ewb.docNo === payload.docNo
+    );
+    if (duplicate) {
+      const error = new Error(`604: E-way bill ${duplicate.ewayBillNo} already exists for this document`);
+      error.code = '604';
+      throw error;
+    }
+
+    // 12-digit number, first digit identifies the generating state bench
+    stubSequence = (stubSequence + 1) % 100000;
+    const ewayBillNo = `1${String(Date.now()).slice(-6)}${String(stubSequence).padStart(5, '0')}`;
+    const now = new Date();
+
+    stubRegistry.set(ewayBillNo, {
+      ewayBillNo,
+      fromGstin: payload.fromGstin,
+      docType: payload.docType,
+      docNo: payload.docNo,
+      status: 'ACT',
+    });
+
+    return { ewayBillNo, ewayBillDate: formatNicDateTime(now) };
+  },
+
+  async updatePartB({ ewbNo }) {
+    const ewb = stubRegistry.get(String(ewbNo));
+    if (ewb?.status === 'CNL') {
+      const error = new Error('312: E-way bill is cancelled');
+      error.code = '312';
+      throw error;
+    }
+    return { ewayBillNo: ewbNo, vehUpdDate: formatNicDateTime(new Date()) };
+  },
+
+  async extendValidity({ ewbNo }) {
+    const ewb = stubRegistry.get(String(ewbNo));
+    if (ewb?.status === 'CNL') {
+      const error = new Error('312: E-way bill is cancelled');
+      error.code = '312';
+      throw error;
+    }
+    return { ewayBillNo: ewbNo, updatedDate: formatNicDateTime(new Date()) };
+  },
+
+  async cancelEWB({ ewbNo }) {
+    const ewb = stubRegistry.get(String(ewbNo));
+    if (ewb?.status === 'CNL') {
+      const error = new Error('312: E-way bill is already cancelled');
+      error.code = '312';
+      throw error;
+    }
+    if (ewb) ewb.status = 'CNL';
+    return { ewayBillNo: ewbNo, cancelDate: formatNicDateTime(new Date()) };
+  },
+};
+
+// ============================================
+// GSP: plain-JSON e-way bill APIs exposed by GST Suvidha Providers
+// ============================================
+
+const gspConfig = () => ({
+  baseUrl: process.env.EWB_GSP_URL,
+  clientId: process.env.EWB_CLIENT_ID,
+  clientSecret: process.env.EWB_CLIENT_SECRET,
+  username: process.env.EWB_USERNAME,
+  password: process.env.EWB_PASSWORD,
+});
+
+const gspTokens = new Map();
+
+const safeParse = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return { message: value };
+  }
+};
+
+const gspRequest = async (path, { method = 'POST', gstin, body, token } = {}) => {
+  const config = gspConfig();
+  if (!config.baseUrl || !config.clientId || !config.clientSecret) {
+    throw new Error(
+      'E-way bill GSP is not configured. Set EWB_GSP_URL, EWB_CLIENT_ID and EWB_CLIENT_SECRET'
+    );
+  }
+
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      gstin,
+      ...(token ? { authtoken: token } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || String(result.status) === '0') {
+    let message = result.message || `EWB request failed with status ${response.status}`;
+    let code;
+    if (result.error) {
+      const parsed = typeof result.error === 'string' ? safeParse(result.error) : result.error;
+      code = parsed?.errorCodes;
+      message = parsed?.message || `EWB error ${code || ''}`.trim();
+    }
+    const error = new Error(message);
+    error.code = code;
+    throw error;
+  }
+
+  return result.data ? (typeof result.data === 'string' ? safeParse(result.data) : result.data) : result;
+};
+
+const getGspToken = async (gstin) => {
+  const cached = gspTokens.get(gstin);
+  if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+  const config = gspConfig();
+  const data = await gspRequest('/ewaybillapi/v1.03/auth', {
+    gstin,
+    body: { action: 'ACCESSTOKEN', username: config.username, password: config.password },
+  });
+
+  gspTokens.set(gstin, {
+    token: data.authtoken,
+    expiresAt: Date.now() + 5.5 * 60 * 60 * 1000,
+  });
+  return data.authtoken;
+};
+
+const gspAction = (action) => async (request) => {
+  const gstin = request.fromGstin || request.gstin;
+  const token = await getGspToken(gstin);
+  const { gstin: _ignored, ...data } = request;
+  return gspRequest('/ewaybillapi/v1.03/ewayapi', {
+    gstin,
+    token,
+    body: { action, data },
+  });
+};
+
+const gspProvider = {
+  name: 'GSP',
+  generateEWB: gspAction('GENEWAYBILL'),
+  updatePartB: gspAction('VEHEWB'),
+  extendValidity: gspAction('EXTENDVALIDITY'),
+  cancelEWB: gspAction('CANEWB'),
+};
+
+// ============================================
+// Registry
+// ============================================
+
+const providers = {
+  STUB: stubProvider,
+  GSP: gspProvider,
+};
+
+const REQUIRED_METHODS = ['generateEWB', 'updatePartB', 'extendValidity', 'cancelEWB'];
+
+/**
+ * Register an additional EWB adapter
+ * @param {string} name - Provider key, matched against EWB_PROVIDER
+ * @param {Object} provider - Object implementing the EWB operations
+ */
+export const registerEWBProvider = (name, provider) => {
+  const missing = REQUIRED_METHODS.filter((method) => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`EWB provider must implement ${missing.join(', ')}`);
+  }
+  providers[name.toUpperCase()] = { name: name.toUpperCase(), ...provider };
+};
+
+/**
+ * Active EWB adapter, chosen by EWB_PROVIDER
+ * There is no default: the stub issues numbers locally, so it has to be asked
+ * for and is refused in production.
+ */
+export const getEWBProvider = (name = process.env.EWB_PROVIDER) => {
+  if (!name) {
+    throw new Error('E-way bills are not configured: set EWB_PROVIDER');
+  }
+  if (name.toUpperCase() === 'STUB' && process.env.NODE_ENV === 'production') {
+    throw new Error('The STUB e-way bill provider cannot be used in production');
+  }
+  const provider = providers[name.toUpperCase()];
+  if (!provider) {
+    throw new Error(`Unknown e-way bill provider: ${name}`);
+  }
+  return provider;
+};
+
+export default {
+  registerEWBProvider,
+  getEWBProvider,
+};
@@ -0,0 +1,231 @@
+// ============================================
+// FILE: server/services/exchangeRateService.js
+// Daily exchange rates: lookup, CSV import, document conversion and
+// realised forex gain/loss on receipts
+// ============================================
+
+import ExchangeRate from '../models/ExchangeRate.js';
+import {
+  BASE_CURRENCY,
+  CURRENCIES,
+  isForeignCurrency,
+  toINRLine,
+  toINRTotals,
+} from '../utils/currencies.js';
+
+// A rate older than this on the document date is flagged
+const STALE_RATE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Rate dates as banks and spreadsheets write them: 2025-06-30, 30-06-2025, 30/06/2025
+ */
+const parseRateDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (match) return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+  if (match) return new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : startOfDay(date);
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Latest rate on or before a date
+ * @returns {Promise<Object|null>} { currency, rate, rateDate, source, ageDays }
+ */
+export const getExchangeRate = async ({ organizationId, currency, date }) => {
+  const day = startOfDay(date || new Date());
+  const entry = await ExchangeRate.findOne({
+    organization: organizationId,
+    currency,
+    date: { $lte: day },
+  }).sort({ date: -1 });
+
+  if (!entry) return null;
+  return {
+    currency,
+    rate: entry.rate,
+    rateDate: entry.date,
+    source: entry.source,
+    ageDays: Math.round((day - startOfDay(entry.date)) / DAY_MS),
+  };
+};
+
+/**
+ * Currency and exchange rate of a document
+ * An explicit rate on the document wins; otherwise the rate table on the document date.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} [params.currency] - Defaults to INR
+ * @param {number} [params.exchangeRate] - Rate entered on the document
+ * @param {Date} [params.date] - Document date
+ * @returns {Promise<Object>} { currency, exchangeRate, rateDate, errors, warnings }
+ */
+export const resolveDocumentRate = async ({ organizationId, currency, exchangeRate, date }) => {
+  const code = currency || BASE_CURRENCY;
+  const result = { currency: code, exchangeRate: 1, rateDate: null, errors: [], warnings: [] };
+
+  if (!CURRENCIES[code]) {
+    result.errors.push(`Unsupported currency ${code}`);
+    return result;
+  }
+  if (!isForeignCurrency(code)) return result;
+
+  if (exchangeRate !== undefined && exchangeRate !== null && exchangeRate !== '') {
+    const rate = parseFloat(exchangeRate);
+    if (isNaN(rate) || rate <= 0) {
+      result.errors.push('Exchange rate must be a positive number');
+    } else {
+      result.exchangeRate = rate;
+    }
+    return result;
+  }
+
+  const found = await getExchangeRate({ organizationId, currency: code, date });
+  if (!found) {
+    result.errors.push(`No ${code} exchange rate on or before ${startOfDay(date || new Date()).toDateString()}`);
+    return result;
+  }
+
+  result.exchangeRate = found.rate;
+  result.rateDate = found.rateDate;
+  if (found.ageDays > STALE_RATE_DAYS) {
+    result.warnings.push(`${code} rate is ${found.ageDays} days old (${found.rateDate.toDateString()})`);
+  }
+  return result;
+};
+
+/**
+ * Parse rate rows from a CSV
+ * Long format: date, currency, rate. Wide format: date, USD, EUR, AED.
+ * @returns {Object} { rates: [{ date, currency, rate }], errors: [{ row, message }] }
+ */
+export const parseRateRows = (rows = []) => {
+  const rates = [];
+  const errors = [];
+  const foreignCodes = Object.keys(CURRENCIES).filter(isForeignCurrency);
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const keys = Object.keys(row);
+    const dateKey = keys.find((k) => ['date', 'ratedate', 'effectivedate'].includes(normalizeKey(k)));
+    const date = parseRateDate(dateKey ? row[dateKey] : null);
+    if (!date) {
+      errors.push({ row: rowNumber, message: 'Missing or invalid date' });
+      return;
+    }
+
+    const currencyKey = keys.find((k) => normalizeKey(k) === 'currency');
+    const pairs = currencyKey
+      ? [
+          [
+            String(row[currencyKey] || '').trim().toUpperCase(),
+            row[keys.find((k) => ['rate', 'inrrate', 'exchangerate'].includes(normalizeKey(k)))],
+          ],
+        ]
+      : keys
+          .filter((k) => foreignCodes.includes(k.trim().toUpperCase()))
+          .map((k) => [k.trim().toUpperCase(), row[k]]);
+
+    if (pairs.length === 0) {
+      errors.push({ row: rowNumber, message: 'No currency column (currency/rate or USD, EUR, AED)' });
+      return;
+    }
+
+    pairs.forEach(([currency, value]) => {
+      if (value === undefined || value === null || String(value).trim() === '') return;
+      const rate = parseFloat(String(value).replace(/[,\s]/g, ''));
+      if (!foreignCodes.includes(currency)) {
+        errors.push({ row: rowNumber, message: `Unsupported currency ${currency || '(blank)'}` });
+      } else if (isNaN(rate) || rate <= 0) {
+        errors.push({ row: rowNumber, message: `${currency}: invalid rate ${value}` });
+      } else {
+        rates.push({ date, currency, rate });
+      }
+    });
+  });
+
+  return { rates, errors };
+};
+
+/**
+ * Upsert daily rates (one per currency per day; later rows win)
+ * @returns {Promise<Object>} { inserted, updated }
+ */
+export const saveRates = async ({ organizationId, rates, source = 'MANUAL', userId }) => {
+  if (rates.length === 0) return { inserted: 0, updated: 0 };
+
+  const result = await ExchangeRate.bulkWrite(
+    rates.map(({ date, currency, rate, notes }) => ({
+      updateOne: {
+        filter: { organization: organizationId, currency, date: startOfDay(date) },
+        update: { $set: { rate, source, notes, createdBy: userId } },
+        upsert: true,
+      },
+    }))
+  );
+
+  return { inserted: result.upsertedCount || 0, updated: result.modifiedCount || 0 };
+};
+
+/**
+ * INR values of a computed document: per line and totals
+ * @param {Array} items - Lines with GST computed in the document currency
+ * @param {Object} totals - subtotal, discountAmount, cgst, sgst, igst, cess, totalTax, tdsAmount, tcsAmount, roundOff, totalAmount
+ * @param {number} exchangeRate
+ * @returns {Object} { items (with `inr`), inrTotals }
+ */
+export const applyINRValues = (items, totals, exchangeRate) => ({
+  items: items.map((item) => ({ ...item, inr: toINRLine(item, exchangeRate) })),
+  inrTotals: toINRTotals(totals, exchangeRate),
+});
+
+/**
+ * Realised forex gain/loss on settling part of a foreign-currency invoice
+ * Gain when the receipt rate is above the invoice rate.
+ * @param {Object} params
+ * @param {Object} params.invoice - currency, exchangeRate
+ * @param {number} params.foreignAmount - Invoice amount settled, in the invoice currency
+ * @param {number} params.receiptRate - Rate the receipt is booked at
+ * @returns {Object|null} null for INR invoices
+ */
+export const computeRealisedForex = ({ invoice, foreignAmount, receiptRate }) => {
+  if (!isForeignCurrency(invoice.currency)) return null;
+
+  const invoiceRate = invoice.exchangeRate || 1;
+  const inrAtInvoiceRate = round2(foreignAmount * invoiceRate);
+  const inrAtReceiptRate = round2(foreignAmount * receiptRate);
+  const gainLoss = round2(inrAtReceiptRate - inrAtInvoiceRate);
+
+  return {
+    currency: invoice.currency,
+    foreignAmount: round2(foreignAmount),
+    invoiceRate,
+    receiptRate,
+    inrAtInvoiceRate,
+    inrAtReceiptRate,
+    gainLoss,
+    result: gainLoss > 0 ? 'GAIN' : gainLoss < 0 ? 'LOSS' : 'NONE',
+  };
+};
+
+export default {
+  getExchangeRate,
+  resolveDocumentRate,
+  parseRateRows,
+  saveRates,
+  applyINRValues,
+  computeRealisedForex,
+};
@@ -0,0 +1,197 @@
+// ============================================
+// FILE: server/services/gstRateService.js
+// GST rate master: rate schedule imports and outdated-rate migration report
+// ============================================
+
+import HSNCode, { GST_RATE_SLABS } from '../models/HSNCode.js';
+import Product from '../models/Product.js';
+import RecurringInvoice from '../models/RecurringInvoice.js';
+import Quotation from '../models/Quotation.js';
+
+const cleanCode = (code) => (code ? String(code).replace(/\s/g, '').toUpperCase() : '');
+
+// Compare one rate against the schedule; null when in line or unscheduled
+const checkRate = (schedule, code, rate) => {
+  const entry = schedule.get(cleanCode(code));
+  if (!entry) return null;
+  const currentRate = Number(rate || 0);
+  if (entry.rates.includes(currentRate)) return null;
+  return {
+    hsnSacCode: cleanCode(code),
+    matchedCode: entry.matchedCode,
+    currentRate,
+    scheduledRates: entry.rates,
+    suggestedRate: entry.rates.length === 1 ? entry.rates[0] : null,
+  };
+};
+
+/**
+ * Products, active recurring templates and open quotations whose GST rates
+ * differ from the HSN rate master on a given date
+ * @param {string} organizationId - Organization ID
+ * @param {Date} asOf - Date the schedule is evaluated for (defaults to today)
+ * @returns {Promise<Object>} { asOf, products, recurringInvoices, quotations, summary }
+ */
+export const buildRateMigrationReport = async (organizationId, asOf = new Date()) => {
+  const date = new Date(asOf);
+
+  const [products, templates, quotations] = await Promise.all([
+    Product.find({ organization: organizationId, isActive: true })
+      .select('name type hsnSacCode gstRate')
+      .lean(),
+    RecurringInvoice.find({
+      organization: organizationId,
+      isActive: true,
+      $or: [{ endDate: null }, { endDate: { $gte: date } }],
+    })
+      .select('templateName client items nextInvoiceDate')
+      .populate('client', 'companyName')
+      .lean(),
+    Quotation.find({
+      organization: organizationId,
+      status: { $in: ['DRAFT', 'SENT'] },
+      validUntil: { $gte: date },
+    })
+      .select('quotationNumber client quotationDate validUntil status items')
+      .populate('client', 'companyName')
+      .lean(),
+  ]);
+
+  const codes = [
+    ...products.map((p) => p.hsnSacCode),
+    ...templates.flatMap((t) => (t.items || []).map((item) => item.hsnSacCode)),
+    ...quotations.flatMap((q) => (q.items || []).map((item) => item.hsnSacCode)),
+  ];
+  const schedule = await HSNCode.resolveRatesOn(codes, date);
+
+  const outdatedProducts = products
+    .map((product) => {
+      const mismatch = checkRate(schedule, product.hsnSacCode, product.gstRate);
+      return mismatch && { productId: product._id, name: product.name, type: product.type, ...mismatch };
+    })
+    .filter(Boolean);
+
+  const lineMismatches = (items) =>
+    (items || [])
+      .map((item, index) => {
+        const mismatch = checkRate(schedule, item.hsnSacCode, item.gstRate);
+        return mismatch && { index, description: item.description, ...mismatch };
+      })
+      .filter(Boolean);
+
+  const outdatedTemplates = templates
+    .map((template) => {
+      const items = lineMismatches(template.items);
+      return items.length > 0 && {
+        recurringInvoiceId: template._id,
+        templateName: template.templateName,
+        client: template.client?.companyName,
+        nextInvoiceDate: template.nextInvoiceDate,
+        items,
+      };
+    })
+    .filter(Boolean);
+
+  const outdatedQuotations = quotations
+    .map((quotation) => {
+      const items = lineMismatches(quotation.items);
+      return items.length > 0 && {
+        quotationId: quotation._id,
+        quotationNumber: quotation.quotationNumber,
+        client: quotation.client?.companyName,
+        quotationDate: quotation.quotationDate,
+        validUntil: quotation.validUntil,
+        status: quotation.status,
+        items,
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    asOf: date,
+    products: outdatedProducts,
+    recurringInvoices: outdatedTemplates,
+    quotations: outdatedQuotations,
+    summary: {
+      productsChecked: products.length,
+      productsOutdated: outdatedProducts.length,
+      recurringChecked: templates.length,
+      recurringOutdated: outdatedTemplates.length,
+      quotationsChecked: quotations.length,
+      quotationsOutdated: outdatedQuotations.length,
+      unscheduledCodes: [...new Set(codes.map(cleanCode).filter((c) => c && !schedule.has(c)))].length,
+    },
+  };
+};
+
+/**
+ * Add rate schedule entries in bulk (e.g. a rate notification)
+ * @param {Array} entries - [{ code, rate, effectiveFrom, effectiveTo?, notification?, condition?, description? }]
+ * @returns {Promise<Object>} { updated, created, errors }
+ */
+export const importRateSchedule = async (entries) => {
+  const errors = [];
+  let updated = 0;
+  let created = 0;
+
+  const byCode = new Map();
+  entries.forEach((entry, index) => {
+    const code = cleanCode(entry.code);
+    const rate = Number(entry.rate);
+    const effectiveFrom = entry.effectiveFrom ? new Date(entry.effectiveFrom) : null;
+
+    if (!code) {
+      errors.push({ row: index + 1, message: 'HSN/SAC code is required' });
+      return;
+    }
+    if (!GST_RATE_SLABS.includes(rate)) {
+      errors.push({ row: index + 1, code, message: `Rate ${entry.rate} is not a notified GST slab` });
+      return;
+    }
+    if (!effectiveFrom || Number.isNaN(effectiveFrom.getTime())) {
+      errors.push({ row: index + 1, code, message: 'Effective-from date is invalid' });
+      return;
+    }
+    if (!byCode.has(code)) byCode.set(code, []);
+    byCode.get(code).push({ ...entry, rate, effectiveFrom, row: index + 1 });
+  });
+
+  for (const [code, codeEntries] of byCode) {
+    let hsn = await HSNCode.findOne({ code });
+    if (!hsn) {
+      const description = codeEntries.find((e) => e.description)?.description;
+      if (!description) {
+        codeEntries.forEach((e) =>
+          errors.push({ row: e.row, code, message: 'Unknown HSN/SAC code; add a description to create it' })
+        );
+        continue;
+      }
+      hsn = new HSNCode({
+        code,
+        description,
+        type: code.startsWith('99') ? 'SERVICES' : 'GOODS',
+        gstRates: [],
+      });
+      created++;
+    } else {
+      updated++;
+    }
+
+    codeEntries
+      .sort((a, b) => a.effectiveFrom - b.effectiveFrom)
+      .forEach((e) => hsn.addScheduledRate(e));
+
+    try {
+      await hsn.save();
+    } catch (error) {
+      codeEntries.forEach((e) => errors.push({ row: e.row, code, message: error.message }));
+    }
+  }
+
+  return { updated, created, errors };
+};
+
+export default {
+  buildRateMigrationReport,
+  importRateSchedule,
+};
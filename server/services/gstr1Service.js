@@ -0,0 +1,756 @@
+// ============================================
+// FILE: server/services/gstr1Service.js
+// GSTR-1 JSON builder in the GSTN offline-tool schema
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
+import Organization from '../models/Organization.js';
+import {
+  getStateCodeFromGSTIN,
+  getStateCodeFromName,
+  validateAndExtractGSTIN,
+  validateGSTCalculation,
+} from '../utils/gstCalculator.js';
+import { getSupplyType, isExportSupply } from '../utils/exportSupply.js';
+import { toINRDocument } from '../utils/currencies.js';
+
+// Schema version understood by the GST offline tool
+export const GSTR1_SCHEMA_VERSION = 'GST3.1.6';
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL).
+// The limit was lowered from ₹2.5 lakh to ₹1 lakh for invoices from 1 Aug 2024.
+const B2CL_REVISED_FROM = new Date(2024, 7, 1);
+
+export const getB2CLThreshold = (invoiceDate) => {
+  return new Date(invoiceDate) >= B2CL_REVISED_FROM ? 100000 : 250000;
+};
+
+// Supply types → GSTN b2b/cdnr inv_typ (SEZ supplies are reported in b2b)
+const GSTN_INVOICE_TYPES = {
+  SEZWP: 'SEWP',
+  SEZWOP: 'SEWOP',
+  DEXP: 'DE',
+};
+
+// Our units → GSTN Unit Quantity Codes
+export const UQC_MAP = {
+  PCS: 'PCS',
+  KG: 'KGS',
+  LITER: 'LTR',
+  METER: 'MTR',
+  BOX: 'BOX',
+  SET: 'SET',
+  UNIT: 'UNT',
+};
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const formatGstnDate = (date) => {
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  return `${day}-${month}-${d.getFullYear()}`;
+};
+
+const isServiceCode = (hsn) => String(hsn || '').startsWith('99');
+
+/**
+ * Month boundaries for a return period
+ * @param {number|string} month - 1-12
+ * @param {number|string} year - Four-digit year
+ * @returns {Object} { startDate, endDate, fp }
+ */
+export const getReturnPeriod = (month, year) => {
+  const m = parseInt(month);
+  const y = parseInt(year);
+  return {
+    startDate: new Date(y, m - 1, 1),
+    endDate: new Date(y, m, 0, 23, 59, 59, 999),
+    fp: `${String(m).padStart(2, '0')}${y}`,
+  };
+};
+
+/**
+ * Why a requested return period is unusable
+ * @param {number|string} month - 1-12
+ * @param {number|string} year - Four-digit year
+ * @returns {string|null} Error message, or null when the period is valid
+ */
+export const getReturnPeriodError = (month, year) => {
+  if (!month || !year) return 'Month and year are required';
+  const m = Number(month);
+  const y = Number(year);
+  if (!Number.isInteger(m) || m < 1 || m > 12) return 'Month must be a number from 1 to 12';
+  if (!Number.isInteger(y) || y < 2017 || y > 9999) return 'Year must be a four-digit year from 2017';
+  return null;
+};
+
+/**
+ * Resolve the GSTIN a return is being prepared for
+ * Falls back to the organization's default registration.
+ */
+export const resolveReturnGSTIN = (organization, gstin) => {
+  if (gstin) return gstin.toUpperCase().trim();
+  const defaultEntry = organization.gstinEntries?.find((g) => g.isDefault);
+  return organization.gstin || defaultEntry?.gstin || null;
+};
+
+/**
+ * Does a document issued under `gstinUsed` belong to the return GSTIN?
+ * Documents without a stamped GSTIN were issued under the legacy
+ * organization GSTIN.
+ */
+export const belongsToGSTIN = (gstinUsed, gstin, organization) => {
+  const used = gstinUsed?.gstin;
+  if (used) return used === gstin;
+  return resolveReturnGSTIN(organization) === gstin;
+};
+
+/**
+ * Registration a document was issued under
+ */
+export const getDocumentGSTIN = (gstinUsed, organization) =>
+  gstinUsed?.gstin || resolveReturnGSTIN(organization);
+
+/**
+ * Every registration of the organization: the legacy GSTIN and all GSTIN entries
+ * @returns {Array<Object>} [{ gstin, stateCode, tradeName, isDefault, isActive }]
+ */
+export const getOrganizationGSTINs = (organization) => {
+  const registrations = [];
+  const seen = new Set();
+  const add = (entry) => {
+    const gstin = entry.gstin?.toUpperCase().trim();
+    if (!gstin || seen.has(gstin)) return;
+    seen.add(gstin);
+    registrations.push({
+      gstin,
+      stateCode: entry.stateCode || gstin.substring(0, 2),
+      tradeName: entry.tradeName || organization.name,
+      isDefault: !!entry.isDefault,
+      isActive: entry.isActive !== false,
+    });
+  };
+
+  if (organization?.gstin) {
+    add({
+      gstin: organization.gstin,
+      isDefault: !organization.gstinEntries?.some((entry) => entry.isDefault),
+    });
+  }
+  (organization?.gstinEntries || []).forEach((entry) => add(entry));
+  return registrations;
+};
+
+/**
+ * Place of supply (state code) for an outward document. The place of supply
+ * determined when the document was issued wins; older documents fall back to
+ * the client's registration and address.
+ */
+export const resolvePlaceOfSupply = (client, fallbackStateCode, placeOfSupply) => {
+  if (placeOfSupply?.stateCode) return placeOfSupply.stateCode;
+  if (client?.gstTreatment === 'EXPORT') return '96';
+  return (
+    getStateCodeFromGSTIN(client?.gstin) ||
+    getStateCodeFromName(client?.shippingState) ||
+    getStateCodeFromName(client?.billingState) ||
+    fallbackStateCode
+  );
+};
+
+// Group line items by GST rate into GSTN `itms` entries
+const buildRateItems = (lines, { withSplit = true } = {}) => {
+  const byRate = {};
+  lines.forEach((line) => {
+    const rt = line.rate || 0;
+    if (!byRate[rt]) {
+      byRate[rt] = { txval: 0, rt, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+    }
+    byRate[rt].txval += line.txval;
+    byRate[rt].iamt += line.iamt;
+    byRate[rt].camt += line.camt;
+    byRate[rt].samt += line.samt;
+    byRate[rt].csamt += line.csamt || 0;
+  });
+
+  return Object.values(byRate).map((det, index) => {
+    const itm_det = {
+      txval: round2(det.txval),
+      rt: det.rt,
+      iamt: round2(det.iamt),
+    };
+    if (withSplit) {
+      itm_det.camt = round2(det.camt);
+      itm_det.samt = round2(det.samt);
+    }
+    itm_det.csamt = round2(det.csamt);
+    return { num: index + 1, itm_det };
+  });
+};
+
+// Normalised tax lines for an Invoice document
+export const invoiceLines = (invoice) =>
+  invoice.items.map((item) => ({
+    hsn: item.hsnSacCode,
+    description: item.description,
+    unit: item.unit,
+    quantity: item.quantity || 0,
+    rate: item.gstRate || 0,
+    txval: item.taxableAmount ?? item.amount ?? 0,
+    iamt: item.igst || 0,
+    camt: item.cgst || 0,
+    samt: item.sgst || 0,
+    csamt: item.cess || 0,
+  }));
+
+// Notes raised from invoice lines store the split of the original line;
+// older CreditNote/DebitNote items carry none, so derive it
+export const noteLines = (note) => {
+  const isInterstate = (note.igst || 0) > 0;
+  return note.items.map((item) => {
+    const line = {
+      hsn: item.hsnSacCode,
+      description: item.description,
+      unit: item.unit,
+      quantity: item.quantity || 0,
+      rate: item.gstRate || 0,
+      csamt: item.cess || 0,
+    };
+    if (item.taxableAmount !== undefined && item.taxableAmount !== null) {
+      return {
+        ...line,
+        txval: item.taxableAmount,
+        iamt: item.igst || 0,
+        camt: item.cgst || 0,
+        samt: item.sgst || 0,
+      };
+    }
+
+    const tax = ((item.amount || 0) * (item.gstRate || 0)) / 100;
+    return {
+      ...line,
+      txval: item.amount || 0,
+      iamt: isInterstate ? tax : 0,
+      camt: isInterstate ? 0 : tax / 2,
+      samt: isInterstate ? 0 : tax / 2,
+    };
+  });
+};
+
+/**
+ * Build the GSTR-1 JSON for a GSTIN and return period
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {number} params.month - Return month (1-12)
+ * @param {number} params.year - Return year
+ * @param {string} [params.gstin] - Registration to file for (defaults to the primary GSTIN)
+ * @returns {Promise<Object>} { json, errors, warnings, references, summary }
+ */
+export const buildGSTR1 = async ({ organizationId, month, year, gstin }) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+
+  const errors = [];
+  const warnings = [];
+  const returnGSTIN = resolveReturnGSTIN(organization, gstin);
+  const { startDate, endDate, fp } = getReturnPeriod(month, year);
+
+  if (!validateAndExtractGSTIN(returnGSTIN)) {
+    errors.push({
+      section: 'header',
+      message: `Invalid or missing GSTIN for return: ${returnGSTIN || 'N/A'}`,
+    });
+  }
+
+  const supplierStateCode = getStateCodeFromGSTIN(returnGSTIN);
+
+  const [allInvoices, creditNotes, debitNotes] = await Promise.all([
+    Invoice.find({
+      organization: organizationId,
+      invoiceDate: { $gte: startDate, $lte: endDate },
+      invoiceType: { $in: ['TAX_INVOICE', 'CREDIT_NOTE', 'DEBIT_NOTE'] },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .sort({ invoiceDate: 1, createdAt: 1 })
+      .then((docs) => docs.map(toINRDocument)),
+    CreditNote.find({
+      organization: organizationId,
+      creditNoteDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .populate('originalInvoice')
+      .then((docs) => docs.map(toINRDocument)),
+    DebitNote.find({
+      organization: organizationId,
+      debitNoteDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .populate('originalInvoice'),
+  ]);
+
+  const scopedInvoices = allInvoices.filter((inv) =>
+    belongsToGSTIN(inv.gstinUsed, returnGSTIN, organization)
+  );
+  const activeInvoices = scopedInvoices.filter((inv) => inv.status !== 'CANCELLED');
+
+  const b2bByCtin = {};
+  const b2clByPos = {};
+  const b2csByKey = {};
+  const cdnrByCtin = {};
+  const cdnur = [];
+  const expByType = {};
+  const hsnByKey = {};
+
+  const addToHSN = (lines, sign, ref) => {
+    lines.forEach((line) => {
+      if (!line.hsn) {
+        errors.push({
+          section: 'hsn',
+          document: ref,
+          message: `Line "${line.description}" is missing HSN/SAC code`,
+        });
+        return;
+      }
+      const key = `${line.hsn}_${line.rate}`;
+      if (!hsnByKey[key]) {
+        hsnByKey[key] = {
+          hsn_sc: line.hsn,
+          desc: (line.description || '').substring(0, 30),
+          uqc: isServiceCode(line.hsn) ? 'NA' : UQC_MAP[line.unit] || 'OTH',
+          qty: 0,
+          rt: line.rate,
+          txval: 0,
+          iamt: 0,
+          camt: 0,
+          samt: 0,
+          csamt: 0,
+        };
+      }
+      const entry = hsnByKey[key];
+      if (entry.uqc !== 'NA') entry.qty += sign * line.quantity;
+      entry.txval += sign * line.txval;
+      entry.iamt += sign * line.iamt;
+      entry.camt += sign * line.camt;
+      entry.samt += sign * line.samt;
+      entry.csamt += sign * line.csamt;
+    });
+  };
+
+  const addToB2CS = (lines, pos, isInterstate, sign) => {
+    lines.forEach((line) => {
+      const splyTy = isInterstate ? 'INTER' : 'INTRA';
+      const key = `${splyTy}_${pos}_${line.rate}`;
+      if (!b2csByKey[key]) {
+        b2csByKey[key] = {
+          sply_ty: splyTy,
+          pos,
+          typ: 'OE',
+          txval: 0,
+          rt: line.rate,
+          iamt: 0,
+          camt: 0,
+          samt: 0,
+          csamt: 0,
+        };
+      }
+      const entry = b2csByKey[key];
+      entry.txval += sign * line.txval;
+      entry.iamt += sign * line.iamt;
+      entry.camt += sign * line.camt;
+      entry.samt += sign * line.samt;
+      entry.csamt += sign * line.csamt;
+    });
+  };
+
+  const checkDocumentNumber = (number, ref) => {
+    if (!number) {
+      errors.push({ section: 'document', document: ref, message: 'Document number is missing' });
+    } else if (number.length > 16) {
+      errors.push({
+        section: 'document',
+        document: ref,
+        message: `Document number "${number}" exceeds 16 characters`,
+      });
+    }
+  };
+
+  // Outward tax invoices (Invoice documents typed CREDIT_NOTE/DEBIT_NOTE are notes)
+  const taxInvoices = activeInvoices.filter((inv) => inv.invoiceType === 'TAX_INVOICE');
+  const invoiceNotes = activeInvoices.filter((inv) => inv.invoiceType !== 'TAX_INVOICE');
+
+  taxInvoices.forEach((invoice) => {
+    const ref = invoice.invoiceNumber || invoice.draftNumber || String(invoice._id);
+    const client = invoice.client;
+    const lines = invoiceLines(invoice);
+    const supplyType = getSupplyType(invoice, client);
+    const isInterstate =
+      (invoice.igst || 0) > 0 ||
+      !!invoice.gstCalculationMeta?.isInterstate ||
+      !!invoice.placeOfSupply?.isInterstate;
+    const pos = resolvePlaceOfSupply(client, supplierStateCode, invoice.placeOfSupply);
+
+    checkDocumentNumber(invoice.invoiceNumber, ref);
+
+    const calcCheck = validateGSTCalculation({
+      items: invoice.items,
+      cgst: invoice.cgst,
+      sgst: invoice.sgst,
+      igst: invoice.igst,
+      cess: invoice.cess,
+      supplyType,
+      isInterstate,
+    });
+    calcCheck.errors.forEach((message) =>
+      errors.push({ section: 'tax', document: ref, message })
+    );
+
+    if (!pos) {
+      errors.push({ section: 'pos', document: ref, message: 'Place of supply could not be determined' });
+    }
+
+    addToHSN(lines, 1, ref);
+
+    const inum = invoice.invoiceNumber;
+    const idt = formatGstnDate(invoice.invoiceDate);
+    const val = round2(invoice.totalAmount);
+
+    if (isExportSupply(supplyType)) {
+      const expTyp = supplyType === 'EXPWP' ? 'WPAY' : 'WOPAY';
+      const shipping = invoice.exportDetails || {};
+      if (!shipping.shippingBillNumber && lines.some((line) => !String(line.hsn).startsWith('99'))) {
+        warnings.push({
+          section: 'exp',
+          document: ref,
+          message: 'Shipping bill number, date and port code are not recorded for this export of goods',
+        });
+      }
+      if (!expByType[expTyp]) expByType[expTyp] = [];
+      expByType[expTyp].push({
+        inum,
+        idt,
+        val,
+        ...(shipping.portCode ? { sbpcode: shipping.portCode } : {}),
+        ...(shipping.shippingBillNumber ? { sbnum: String(shipping.shippingBillNumber) } : {}),
+        ...(shipping.shippingBillDate ? { sbdt: formatGstnDate(shipping.shippingBillDate) } : {}),
+        itms: buildRateItems(lines, { withSplit: false }).map((i) => ({
+          txval: i.itm_det.txval,
+          rt: i.itm_det.rt,
+          iamt: i.itm_det.iamt,
+          csamt: i.itm_det.csamt,
+        })),
+      });
+      return;
+    }
+
+    if (client?.gstin) {
+      if (!validateAndExtractGSTIN(client.gstin)) {
+        errors.push({
+          section: 'b2b',
+          document: ref,
+          message: `Recipient GSTIN ${client.gstin} is invalid`,
+        });
+      }
+      if (client.gstin === returnGSTIN) {
+        errors.push({
+          section: 'b2b',
+          document: ref,
+          message: 'Recipient GSTIN is the same as the supplier GSTIN',
+        });
+      }
+
+      const invTyp = GSTN_INVOICE_TYPES[supplyType] || 'R';
+
+      if (!b2bByCtin[client.gstin]) b2bByCtin[client.gstin] = [];
+      b2bByCtin[client.gstin].push({
+        inum,
+        idt,
+        val,
+        pos,
+        rchrg: invoice.reverseCharge ? 'Y' : 'N',
+        inv_typ: invTyp,
+        itms: buildRateItems(lines),
+      });
+      return;
+    }
+
+    if (isInterstate && invoice.totalAmount > getB2CLThreshold(invoice.invoiceDate)) {
+      if (!b2clByPos[pos]) b2clByPos[pos] = [];
+      b2clByPos[pos].push({
+        inum,
+        idt,
+        val,
+        itms: buildRateItems(lines, { withSplit: false }),
+      });
+      return;
+    }
+
+    if (pos === supplierStateCode && !getStateCodeFromGSTIN(client?.gstin) && !client?.billingState) {
+      warnings.push({
+        section: 'b2cs',
+        document: ref,
+        message: 'Client has no state on record; place of supply defaulted to supplier state',
+      });
+    }
+    addToB2CS(lines, pos, isInterstate, 1);
+  });
+
+  // Credit/debit notes — CreditNote/DebitNote models plus Invoice-typed notes
+  const notes = [
+    ...creditNotes
+      .filter((n) => belongsToGSTIN(n.originalInvoice?.gstinUsed, returnGSTIN, organization))
+      .map((n) => ({
+        ntty: 'C',
+        number: n.creditNoteNumber,
+        date: n.creditNoteDate,
+        value: n.totalAmount,
+        client: n.client,
+        original: toINRDocument(n.originalInvoice),
+        supplyType: getSupplyType(n.originalInvoice, n.client),
+        lines: noteLines(n),
+        isInterstate: (n.igst || 0) > 0,
+      })),
+    ...debitNotes
+      .filter((n) => belongsToGSTIN(n.originalInvoice?.gstinUsed, returnGSTIN, organization))
+      .map((n) => ({
+        ntty: 'D',
+        number: n.debitNoteNumber,
+        date: n.debitNoteDate,
+        value: n.totalAmount,
+        client: n.client,
+        original: toINRDocument(n.originalInvoice),
+        supplyType: getSupplyType(n.originalInvoice, n.client),
+        lines: noteLines(n),
+        isInterstate: (n.igst || 0) > 0,
+      })),
+    ...invoiceNotes.map((inv) => ({
+      ntty: inv.invoiceType === 'CREDIT_NOTE' ? 'C' : 'D',
+      number: inv.invoiceNumber,
+      date: inv.invoiceDate,
+      value: inv.totalAmount,
+      client: inv.client,
+      original: null,
+      placeOfSupply: inv.placeOfSupply,
+      supplyType: getSupplyType(inv),
+      lines: invoiceLines(inv),
+      isInterstate: (inv.igst || 0) > 0,
+    })),
+  ];
+
+  // The GSTN note schema has no original-invoice fields; keep the link for review and reconciliation
+  const references = [];
+  const addReference = (note, section) => {
+    if (!note.original) return;
+    references.push({
+      ntty: note.ntty,
+      nt_num: note.number,
+      nt_dt: formatGstnDate(note.date),
+      section,
+      ctin: note.client?.gstin || null,
+      inv_num: note.original.invoiceNumber,
+      inv_dt: formatGstnDate(note.original.invoiceDate),
+      inv_val: round2(note.original.totalAmount),
+    });
+  };
+
+  notes.forEach((note) => {
+    const ref = note.number || 'N/A';
+    const sign = note.ntty === 'C' ? -1 : 1;
+    const pos = resolvePlaceOfSupply(
+      note.client,
+      supplierStateCode,
+      note.placeOfSupply || note.original?.placeOfSupply
+    );
+
+    checkDocumentNumber(note.number, ref);
+    addToHSN(note.lines, sign, ref);
+
+    const entry = {
+      ntty: note.ntty,
+      nt_num: note.number,
+      nt_dt: formatGstnDate(note.date),
+      val: round2(note.value),
+    };
+
+    if (note.client?.gstin) {
+      if (!validateAndExtractGSTIN(note.client.gstin)) {
+        errors.push({
+          section: 'cdnr',
+          document: ref,
+          message: `Recipient GSTIN ${note.client.gstin} is invalid`,
+        });
+      }
+      if (!cdnrByCtin[note.client.gstin]) cdnrByCtin[note.client.gstin] = [];
+      cdnrByCtin[note.client.gstin].push({
+        ...entry,
+        pos,
+        rchrg: note.original?.reverseCharge ? 'Y' : 'N',
+        inv_typ: GSTN_INVOICE_TYPES[note.supplyType] || 'R',
+        itms: buildRateItems(note.lines),
+      });
+      addReference(note, 'cdnr');
+      return;
+    }
+
+    if (isExportSupply(note.supplyType)) {
+      cdnur.push({
+        ...entry,
+        typ: note.supplyType === 'EXPWP' ? 'EXPWP' : 'EXPWOP',
+        itms: buildRateItems(note.lines, { withSplit: false }),
+      });
+      addReference(note, 'cdnur');
+      return;
+    }
+
+    const originalValue = note.original?.totalAmount || 0;
+    const originalDate = note.original?.invoiceDate || note.date;
+    if (note.isInterstate && originalValue > getB2CLThreshold(originalDate)) {
+      cdnur.push({
+        ...entry,
+        typ: 'B2CL',
+        pos,
+        itms: buildRateItems(note.lines, { withSplit: false }),
+      });
+      addReference(note, 'cdnur');
+      return;
+    }
+
+    // Notes against small B2C supplies are netted into B2CS
+    addToB2CS(note.lines, pos, note.isInterstate, sign);
+    addReference(note, 'b2cs');
+  });
+
+  // Document issue summary (includes cancelled documents), one row per number
+  // series: the prefix before the trailing digits, ordered by those digits
+  const buildDocSeries = (documents) => {
+    const bySeries = new Map();
+    documents
+      .filter((doc) => doc.number)
+      .forEach((doc) => {
+        const [, prefix, digits] = String(doc.number).match(/^(.*?)(\d*)$/);
+        if (!bySeries.has(prefix)) bySeries.set(prefix, []);
+        bySeries.get(prefix).push({ ...doc, sequence: digits ? parseInt(digits, 10) : 0 });
+      });
+
+    return [...bySeries.values()].map((docs, index) => {
+      const sorted = docs.sort(
+        (a, b) => a.sequence - b.sequence || String(a.number).localeCompare(String(b.number))
+      );
+      const cancelled = sorted.filter((doc) => doc.cancelled).length;
+      return {
+        num: index + 1,
+        from: sorted[0].number,
+        to: sorted[sorted.length - 1].number,
+        totnum: sorted.length,
+        cancel: cancelled,
+        net_issue: sorted.length - cancelled,
+      };
+    });
+  };
+
+  const docDetails = [];
+  const invoiceSeries = buildDocSeries(
+    scopedInvoices
+      .filter((inv) => inv.invoiceType === 'TAX_INVOICE')
+      .map((inv) => ({ number: inv.invoiceNumber, cancelled: inv.status === 'CANCELLED' }))
+  );
+  if (invoiceSeries.length > 0) docDetails.push({ doc_num: 1, docs: invoiceSeries });
+
+  const debitSeries = buildDocSeries(
+    notes.filter((n) => n.ntty === 'D').map((n) => ({ number: n.number }))
+  );
+  if (debitSeries.length > 0) docDetails.push({ doc_num: 4, docs: debitSeries });
+
+  const creditSeries = buildDocSeries(
+    notes.filter((n) => n.ntty === 'C').map((n) => ({ number: n.number }))
+  );
+  if (creditSeries.length > 0) docDetails.push({ doc_num: 5, docs: creditSeries });
+
+  const json = {
+    gstin: returnGSTIN,
+    fp,
+    version: GSTR1_SCHEMA_VERSION,
+    hash: 'hash',
+  };
+
+  const b2b = Object.entries(b2bByCtin).map(([ctin, inv]) => ({ ctin, inv }));
+  const b2cl = Object.entries(b2clByPos).map(([pos, inv]) => ({ pos, inv }));
+  const b2cs = Object.values(b2csByKey).map((entry) => ({
+    ...entry,
+    txval: round2(entry.txval),
+    iamt: round2(entry.iamt),
+    camt: round2(entry.camt),
+    samt: round2(entry.samt),
+    csamt: round2(entry.csamt),
+  }));
+  const cdnr = Object.entries(cdnrByCtin).map(([ctin, nt]) => ({ ctin, nt }));
+  const exp = Object.entries(expByType).map(([exp_typ, inv]) => ({ exp_typ, inv }));
+  const hsnData = Object.values(hsnByKey).map((entry, index) => ({
+    num: index + 1,
+    ...entry,
+    qty: round2(entry.qty),
+    txval: round2(entry.txval),
+    iamt: round2(entry.iamt),
+    camt: round2(entry.camt),
+    samt: round2(entry.samt),
+    csamt: round2(entry.csamt),
+  }));
+
+  if (b2b.length) json.b2b = b2b;
+  if (b2cl.length) json.b2cl = b2cl;
+  if (b2cs.length) json.b2cs = b2cs;
+  if (cdnr.length) json.cdnr = cdnr;
+  if (cdnur.length) json.cdnur = cdnur;
+  if (exp.length) json.exp = exp;
+  if (hsnData.length) json.hsn = { data: hsnData };
+  if (docDetails.length) json.doc_issue = { doc_det: docDetails };
+
+  return {
+    json,
+    errors,
+    warnings,
+    references,
+    summary: {
+      gstin: returnGSTIN,
+      fp,
+      invoices: taxInvoices.length,
+      notes: notes.length,
+      b2b: b2b.reduce((sum, r) => sum + r.inv.length, 0),
+      b2cl: b2cl.reduce((sum, r) => sum + r.inv.length, 0),
+      b2cs: b2cs.length,
+      cdnr: cdnr.reduce((sum, r) => sum + r.nt.length, 0),
+      cdnur: cdnur.length,
+      exp: exp.reduce((sum, r) => sum + r.inv.length, 0),
+      sez: b2b.reduce(
+        (sum, r) => sum + r.inv.filter((inv) => inv.inv_typ.startsWith('SE')).length,
+        0
+      ),
+      deemedExport: b2b.reduce(
+        (sum, r) => sum + r.inv.filter((inv) => inv.inv_typ === 'DE').length,
+        0
+      ),
+      hsn: hsnData.length,
+    },
+  };
+};
+
+export default {
+  GSTR1_SCHEMA_VERSION,
+  getB2CLThreshold,
+  getReturnPeriod,
+  getReturnPeriodError,
+  resolveReturnGSTIN,
+  belongsToGSTIN,
+  getDocumentGSTIN,
+  getOrganizationGSTINs,
+  resolvePlaceOfSupply,
+  invoiceLines,
+  noteLines,
+  buildGSTR1,
+};
@@ -0,0 +1,465 @@
+// ============================================
+// FILE: server/services/gstr2bService.js
+// GSTR-2B parsing and matching against the purchase register
+// ============================================
+
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import GSTR2BReconciliation from '../models/GSTR2BReconciliation.js';
+import { getReturnPeriod, belongsToGSTIN } from './gstr1Service.js';
+import { getPurchaseTaxSplit } from './gstr3bService.js';
+
+// Booked purchase invoices that can be matched
+const MATCHABLE_PI_STATUSES = ['PENDING', 'APPROVED', 'PARTIALLY_PAID', 'PAID'];
+
+// Suppliers may report an older invoice in a later 2B; look back this far
+const BOOKS_LOOKBACK_MONTHS = 12;
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const parsePortalDate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(value);
+  if (match) {
+    return new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const sumItems = (items = []) =>
+  items.reduce(
+    (acc, item) => ({
+      taxableValue: acc.taxableValue + (item.txval || 0),
+      igst: acc.igst + (item.igst || 0),
+      cgst: acc.cgst + (item.cgst || 0),
+      sgst: acc.sgst + (item.sgst || 0),
+      cess: acc.cess + (item.cess || 0),
+    }),
+    { taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0 }
+  );
+
+/**
+ * Normalise a supplier document number for comparison
+ * Drops separators, case and leading zeros of numeric runs:
+ * "INV/0012/24-25" and "inv-12-2425" both become "INV122425".
+ */
+export const normalizeDocumentNumber = (number) =>
+  String(number || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/(^|\D)0+(?=\d)/g, '$1');
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = temp;
+    }
+  }
+  return prev[b.length];
+};
+
+/**
+ * Parse a GSTR-2B JSON download from the GST portal
+ * @param {Object} payload - Parsed 2B JSON (with or without the `data` wrapper)
+ * @returns {Object} { gstin, period, generationDate, documents }
+ */
+export const parseGSTR2B = (payload) => {
+  const data = payload?.data || payload;
+  if (!data || !data.docdata) {
+    throw new Error('Invalid GSTR-2B file: docdata section not found');
+  }
+
+  const { docdata } = data;
+  const documents = [];
+
+  const pushDocument = (supplier, doc, documentType, number) => {
+    const amounts = doc.items ? sumItems(doc.items) : sumItems([doc]);
+    documents.push({
+      documentType,
+      supplierGstin: supplier.ctin || null,
+      supplierName: supplier.trdnm || '',
+      invoiceNumber: number,
+      invoiceDate: parsePortalDate(doc.dt || doc.boedt),
+      invoiceValue: doc.val || amounts.taxableValue + amounts.igst + amounts.cgst + amounts.sgst + amounts.cess,
+      ...amounts,
+      reverseCharge: doc.rev === 'Y',
+      itcAvailable: doc.itcavl !== 'N',
+      supplierFilingDate: parsePortalDate(supplier.supfildt),
+    });
+  };
+
+  [...(docdata.b2b || []), ...(docdata.b2ba || [])].forEach((supplier) => {
+    (supplier.inv || []).forEach((inv) => pushDocument(supplier, inv, 'INVOICE', inv.inum));
+  });
+
+  [...(docdata.cdnr || []), ...(docdata.cdnra || [])].forEach((supplier) => {
+    (supplier.nt || []).forEach((nt) =>
+      pushDocument(supplier, nt, nt.typ === 'D' ? 'DEBIT_NOTE' : 'CREDIT_NOTE', nt.ntnum)
+    );
+  });
+
+  // Imports of goods are keyed by bill of entry
+  (docdata.impg || []).forEach((boe) =>
+    pushDocument({ ctin: null, trdnm: 'Customs (Import of goods)' }, boe, 'INVOICE', boe.boenum)
+  );
+
+  const period = data.rtnprd || null;
+
+  return {
+    gstin: data.gstin ? data.gstin.toUpperCase() : null,
+    period,
+    generationDate: parsePortalDate(data.gendt),
+    documents,
+  };
+};
+
+/**
+ * Purchase register documents for a GSTIN that are eligible for matching
+ */
+export const loadBookDocuments = async (organization, gstin, month, year) => {
+  const { startDate, endDate } = getReturnPeriod(month, year);
+  const lookbackStart = new Date(startDate);
+  lookbackStart.setMonth(lookbackStart.getMonth() - BOOKS_LOOKBACK_MONTHS);
+
+  const purchaseInvoices = await PurchaseInvoice.find({
+    organization: organization._id,
+    piDate: { $gte: lookbackStart, $lte: endDate },
+    status: { $in: MATCHABLE_PI_STATUSES },
+  }).populate('vendor', 'companyName gstin');
+
+  // Earlier invoices already settled against another period's 2B are not candidates
+  const settled = await GSTR2BReconciliation.find(
+    {
+      organization: organization._id,
+      gstin,
+      period: { $ne: getReturnPeriod(month, year).fp },
+      'lines.books.purchaseInvoice': { $in: purchaseInvoices.map((pi) => pi._id) },
+    },
+    { lines: 1 }
+  );
+  const settledIds = new Set();
+  settled.forEach((recon) =>
+    recon.lines.forEach((line) => {
+      if (
+        line.books?.purchaseInvoice &&
+        ['MATCHED', 'AMOUNT_MISMATCH'].includes(line.status) &&
+        line.itcDecision !== 'DEFERRED'
+      ) {
+        settledIds.add(line.books.purchaseInvoice.toString());
+      }
+    })
+  );
+
+  return purchaseInvoices
+    .filter((pi) => belongsToGSTIN({ gstin: pi.ourBranchGSTIN }, gstin, organization))
+    .filter((pi) => !settledIds.has(pi._id.toString()))
+    // Imported services, ISD credit and RCM from unregistered vendors never appear in 2B
+    .filter(
+      (pi) =>
+        !['IMPORT_SERVICES', 'ISD'].includes(pi.supplyType) &&
+        !(pi.reverseCharge && !(pi.vendorBranchGSTIN || pi.vendor?.gstin))
+    )
+    .map((pi) => {
+      const split = getPurchaseTaxSplit(pi, gstin);
+      const isImport = pi.supplyType === 'IMPORT_GOODS';
+      return {
+        purchaseInvoice: pi._id,
+        piNumber: pi.piNumber,
+        supplierGstin: isImport ? null : (pi.vendorBranchGSTIN || pi.vendor?.gstin || '').toUpperCase() || null,
+        supplierName: pi.vendorBranchName || pi.vendor?.companyName || '',
+        invoiceNumber: isImport ? pi.billOfEntryNumber : pi.vendorReferenceNumber,
+        invoiceDate: isImport && pi.billOfEntryDate ? pi.billOfEntryDate : pi.piDate,
+        invoiceValue: pi.totalAmount || 0,
+        taxableValue: pi.subtotal || 0,
+        ...split,
+        inCurrentPeriod: pi.piDate >= startDate,
+      };
+    });
+};
+
+const compareAmounts = (portal, books, tolerance) => {
+  const differences = {
+    taxableValue: round2(portal.taxableValue - books.taxableValue),
+    igst: round2(portal.igst - books.igst),
+    cgst: round2(portal.cgst - books.cgst),
+    sgst: round2(portal.sgst - books.sgst),
+    cess: round2(portal.cess - books.cess),
+  };
+  const withinTolerance = Object.values(differences).every(
+    (diff) => Math.abs(diff) <= tolerance
+  );
+  return { differences, withinTolerance };
+};
+
+const daysBetween = (a, b) => {
+  if (!a || !b) return Infinity;
+  return Math.abs(new Date(a) - new Date(b)) / (1000 * 60 * 60 * 24);
+};
+
+/**
+ * Match portal documents to book documents
+ * Pass 1 matches on supplier GSTIN + normalised number. Pass 2 allows a
+ * near-identical number (edit distance ≤ 2, or one number containing the
+ * other) when the dates are within the day tolerance.
+ * @returns {Array} Reconciliation lines (without decisions)
+ */
+export const matchDocuments = (portalDocs, bookDocs, { amount = 1, days = 3 } = {}) => {
+  const lines = [];
+  const unmatchedBooks = new Set(bookDocs.map((_, index) => index));
+  const unmatchedPortal = [];
+
+  const makeLine = (portalDoc, bookDoc) => {
+    const portal = {
+      invoiceNumber: portalDoc.invoiceNumber,
+      invoiceDate: portalDoc.invoiceDate,
+      invoiceValue: round2(portalDoc.invoiceValue),
+      taxableValue: round2(portalDoc.taxableValue),
+      igst: round2(portalDoc.igst),
+      cgst: round2(portalDoc.cgst),
+      sgst: round2(portalDoc.sgst),
+      cess: round2(portalDoc.cess),
+      reverseCharge: portalDoc.reverseCharge,
+      itcAvailable: portalDoc.itcAvailable,
+      supplierFilingDate: portalDoc.supplierFilingDate,
+    };
+    const books = {
+      purchaseInvoice: bookDoc.purchaseInvoice,
+      piNumber: bookDoc.piNumber,
+      invoiceNumber: bookDoc.invoiceNumber,
+      invoiceDate: bookDoc.invoiceDate,
+      invoiceValue: round2(bookDoc.invoiceValue),
+      taxableValue: round2(bookDoc.taxableValue),
+      igst: round2(bookDoc.igst),
+      cgst: round2(bookDoc.cgst),
+      sgst: round2(bookDoc.sgst),
+      cess: round2(bookDoc.cess),
+    };
+    const { differences, withinTolerance } = compareAmounts(portal, books, amount);
+    return {
+      status: withinTolerance ? 'MATCHED' : 'AMOUNT_MISMATCH',
+      documentType: portalDoc.documentType,
+      supplierGstin: portalDoc.supplierGstin,
+      supplierName: portalDoc.supplierName || bookDoc.supplierName,
+      portal,
+      books,
+      differences,
+    };
+  };
+
+  // Pass 1: exact normalised number
+  portalDocs.forEach((portalDoc) => {
+    if (portalDoc.documentType !== 'INVOICE') {
+      unmatchedPortal.push(portalDoc);
+      return;
+    }
+    const target = normalizeDocumentNumber(portalDoc.invoiceNumber);
+    const index = [...unmatchedBooks].find(
+      (i) =>
+        bookDocs[i].supplierGstin === portalDoc.supplierGstin &&
+        normalizeDocumentNumber(bookDocs[i].invoiceNumber) === target
+    );
+    if (index === undefined) {
+      unmatchedPortal.push(portalDoc);
+      return;
+    }
+    unmatchedBooks.delete(index);
+    lines.push(makeLine(portalDoc, bookDocs[index]));
+  });
+
+  // Pass 2: fuzzy number within the date tolerance
+  const stillUnmatched = [];
+  unmatchedPortal.forEach((portalDoc) => {
+    if (portalDoc.documentType !== 'INVOICE') {
+      stillUnmatched.push(portalDoc);
+      return;
+    }
+    const target = normalizeDocumentNumber(portalDoc.invoiceNumber);
+    let best = null;
+
+    unmatchedBooks.forEach((i) => {
+      const bookDoc = bookDocs[i];
+      if (bookDoc.supplierGstin !== portalDoc.supplierGstin) return;
+      if (daysBetween(bookDoc.invoiceDate, portalDoc.invoiceDate) > days) return;
+
+      const candidate = normalizeDocumentNumber(bookDoc.invoiceNumber);
+      if (!candidate) return;
+      const contains =
+        Math.min(candidate.length, target.length) >= 3 &&
+        (candidate.includes(target) || target.includes(candidate));
+      const distance = levenshtein(candidate, target);
+      if (distance > 2 && !contains) return;
+
+      const score = (contains ? 0 : distance) + daysBetween(bookDoc.invoiceDate, portalDoc.invoiceDate) / 10;
+      if (!best || score < best.score) best = { index: i, score };
+    });
+
+    if (!best) {
+      stillUnmatched.push(portalDoc);
+      return;
+    }
+    unmatchedBooks.delete(best.index);
+    lines.push(makeLine(portalDoc, bookDocs[best.index]));
+  });
+
+  stillUnmatched.forEach((portalDoc) => {
+    lines.push({
+      status: 'MISSING_IN_BOOKS',
+      documentType: portalDoc.documentType,
+      supplierGstin: portalDoc.supplierGstin,
+      supplierName: portalDoc.supplierName,
+      portal: {
+        invoiceNumber: portalDoc.invoiceNumber,
+        invoiceDate: portalDoc.invoiceDate,
+        invoiceValue: round2(portalDoc.invoiceValue),
+        taxableValue: round2(portalDoc.taxableValue),
+        igst: round2(portalDoc.igst),
+        cgst: round2(portalDoc.cgst),
+        sgst: round2(portalDoc.sgst),
+        cess: round2(portalDoc.cess),
+        reverseCharge: portalDoc.reverseCharge,
+        itcAvailable: portalDoc.itcAvailable,
+        supplierFilingDate: portalDoc.supplierFilingDate,
+      },
+    });
+  });
+
+  // Only current-period bills are reported missing; older ones stay candidates
+  unmatchedBooks.forEach((i) => {
+    const bookDoc = bookDocs[i];
+    if (!bookDoc.inCurrentPeriod) return;
+    lines.push({
+      status: 'MISSING_IN_2B',
+      documentType: 'INVOICE',
+      supplierGstin: bookDoc.supplierGstin,
+      supplierName: bookDoc.supplierName,
+      books: {
+        purchaseInvoice: bookDoc.purchaseInvoice,
+        piNumber: bookDoc.piNumber,
+        invoiceNumber: bookDoc.invoiceNumber,
+        invoiceDate: bookDoc.invoiceDate,
+        invoiceValue: round2(bookDoc.invoiceValue),
+        taxableValue: round2(bookDoc.taxableValue),
+        igst: round2(bookDoc.igst),
+        cgst: round2(bookDoc.cgst),
+        sgst: round2(bookDoc.sgst),
+        cess: round2(bookDoc.cess),
+      },
+    });
+  });
+
+  return lines;
+};
+
+// Stable identity of a line across re-imports, used to carry decisions forward
+const lineKey = (line) =>
+  [
+    line.documentType,
+    line.supplierGstin || '',
+    normalizeDocumentNumber(line.portal?.invoiceNumber || line.books?.invoiceNumber),
+    line.books?.purchaseInvoice ? line.books.purchaseInvoice.toString() : '',
+  ].join('|');
+
+/**
+ * Match a parsed 2B against the books and save the reconciliation
+ * Existing decisions for the same lines are preserved; new exact matches
+ * are accepted automatically.
+ * @returns {Promise<Document>} Saved GSTR2BReconciliation
+ */
+export const reconcileGSTR2B = async ({
+  organization,
+  gstin,
+  month,
+  year,
+  documents,
+  generationDate,
+  sourceFileName,
+  tolerance,
+  userId,
+}) => {
+  const { fp } = getReturnPeriod(month, year);
+
+  let reconciliation = await GSTR2BReconciliation.findOne({
+    organization: organization._id,
+    gstin,
+    period: fp,
+  });
+
+  if (!reconciliation) {
+    reconciliation = new GSTR2BReconciliation({
+      organization: organization._id,
+      gstin,
+      period: fp,
+      month: parseInt(month),
+      year: parseInt(year),
+    });
+  }
+
+  if (tolerance) {
+    reconciliation.tolerance = {
+      amount: tolerance.amount ?? reconciliation.tolerance?.amount ?? 1,
+      days: tolerance.days ?? reconciliation.tolerance?.days ?? 3,
+    };
+  }
+
+  // Keep the portal side from the last import when only re-matching
+  const portalDocs =
+    documents ||
+    reconciliation.lines
+      .filter((line) => line.portal?.invoiceNumber)
+      .map((line) => ({
+        documentType: line.documentType,
+        supplierGstin: line.supplierGstin,
+        supplierName: line.supplierName,
+        ...line.portal.toObject(),
+      }));
+
+  const bookDocs = await loadBookDocuments(organization, gstin, month, year);
+  const lines = matchDocuments(portalDocs, bookDocs, reconciliation.tolerance);
+
+  const previousDecisions = new Map(
+    reconciliation.lines.map((line) => [lineKey(line), line])
+  );
+
+  reconciliation.lines = lines.map((line) => {
+    const previous = previousDecisions.get(lineKey(line));
+    if (previous && previous.itcDecision !== 'PENDING') {
+      return {
+        ...line,
+        itcDecision: previous.itcDecision,
+        decidedBy: previous.decidedBy,
+        decidedAt: previous.decidedAt,
+        remarks: previous.remarks,
+      };
+    }
+    return {
+      ...line,
+      itcDecision: line.status === 'MATCHED' ? 'ACCEPTED' : 'PENDING',
+    };
+  });
+
+  if (generationDate) reconciliation.generationDate = generationDate;
+  if (sourceFileName) reconciliation.sourceFileName = sourceFileName;
+  if (userId) reconciliation.importedBy = userId;
+  reconciliation.lastMatchedAt = new Date();
+
+  await reconciliation.save();
+  return reconciliation;
+};
+
+export default {
+  normalizeDocumentNumber,
+  parseGSTR2B,
+  loadBookDocuments,
+  matchDocuments,
+  reconcileGSTR2B,
+};
@@ -0,0 +1,642 @@
+// ============================================
+// FILE: server/services/gstr3bService.js
+// GSTR-3B builder: outward liability, ITC and tax set-off
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import Organization from '../models/Organization.js';
+import GSTR2BReconciliation from '../models/GSTR2BReconciliation.js';
+import { getStateCodeFromGSTIN } from '../utils/gstCalculator.js';
+import { getSupplyType, isZeroRatedSupply } from '../utils/exportSupply.js';
+import { toINRDocument } from '../utils/currencies.js';
+import { RCM_CATEGORIES } from '../utils/reverseCharge.js';
+import {
+  getReturnPeriod,
+  resolveReturnGSTIN,
+  belongsToGSTIN,
+  resolvePlaceOfSupply,
+} from './gstr1Service.js';
+import { getRCMForPeriod } from './rcmService.js';
+import { getITCLedgerForPeriod } from './itcLedgerService.js';
+
+// Purchase invoices in these states have been booked and count for ITC
+const ITC_PI_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'PAID'];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const emptyTax = () => ({ igst: 0, cgst: 0, sgst: 0, cess: 0 });
+const emptySupply = () => ({ txval: 0, ...emptyTax() });
+
+const addTax = (target, source, sign = 1) => {
+  target.igst += sign * (source.igst || 0);
+  target.cgst += sign * (source.cgst || 0);
+  target.sgst += sign * (source.sgst || 0);
+  target.cess += sign * (source.cess || 0);
+  if (target.txval !== undefined) target.txval += sign * (source.txval || 0);
+  return target;
+};
+
+const roundAll = (obj) =>
+  Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, round2(v)]));
+
+/**
+ * Utilise ITC against liability in the statutory order
+ * IGST credit goes first (IGST, then CGST, then SGST liability),
+ * then CGST credit (CGST, then IGST) and SGST credit (SGST, then IGST).
+ * CGST and SGST credit can never cross-utilise. Cess only against cess.
+ * @param {Object} liability - { igst, cgst, sgst, cess }
+ * @param {Object} credit - { igst, cgst, sgst, cess }
+ * @returns {Object} { paidThroughITC, cashPayable, balanceITC }
+ */
+export const computeSetOff = (liability, credit) => {
+  const due = { ...emptyTax(), ...liability };
+  const itc = { ...emptyTax(), ...credit };
+
+  // paidThroughITC[liabilityHead][creditHead]
+  const paidThroughITC = {
+    igst: emptyTax(),
+    cgst: emptyTax(),
+    sgst: emptyTax(),
+    cess: emptyTax(),
+  };
+
+  const utilise = (creditHead, liabilityHead) => {
+    const amount = Math.min(Math.max(itc[creditHead], 0), Math.max(due[liabilityHead], 0));
+    if (amount <= 0) return;
+    itc[creditHead] -= amount;
+    due[liabilityHead] -= amount;
+    paidThroughITC[liabilityHead][creditHead] += amount;
+  };
+
+  utilise('igst', 'igst');
+  utilise('igst', 'cgst');
+  utilise('igst', 'sgst');
+  utilise('cgst', 'cgst');
+  utilise('cgst', 'igst');
+  utilise('sgst', 'sgst');
+  utilise('sgst', 'igst');
+  utilise('cess', 'cess');
+
+  return {
+    paidThroughITC: Object.fromEntries(
+      Object.entries(paidThroughITC).map(([head, paid]) => [head, roundAll(paid)])
+    ),
+    cashPayable: roundAll(
+      Object.fromEntries(Object.entries(due).map(([k, v]) => [k, Math.max(v, 0)]))
+    ),
+    balanceITC: roundAll(itc),
+  };
+};
+
+/**
+ * IGST/CGST/SGST split of a purchase invoice
+ * Uses the stored split when the supply type was recorded, else derives
+ * it from the vendor and receiving GSTIN state codes.
+ */
+export const getPurchaseTaxSplit = (pi, receivingGSTIN) => {
+  const gst = pi.gstAmount || 0;
+  const cess = pi.cess || 0;
+
+  if (pi.isInterstate !== undefined && pi.isInterstate !== null) {
+    return { igst: pi.igst || 0, cgst: pi.cgst || 0, sgst: pi.sgst || 0, cess };
+  }
+
+  const vendorState = getStateCodeFromGSTIN(pi.vendorBranchGSTIN || pi.vendor?.gstin);
+  const ourState = getStateCodeFromGSTIN(pi.ourBranchGSTIN || receivingGSTIN);
+  const isInterstate =
+    pi.supplyType?.startsWith('IMPORT') || (vendorState && ourState && vendorState !== ourState);
+
+  return isInterstate
+    ? { igst: gst, cgst: 0, sgst: 0, cess }
+    : { igst: 0, cgst: gst / 2, sgst: gst / 2, cess };
+};
+
+// Scale a document-level split down to a subset of its lines
+const proportion = (split, part, whole) => {
+  if (!whole) return emptyTax();
+  const ratio = part / whole;
+  return {
+    igst: split.igst * ratio,
+    cgst: split.cgst * ratio,
+    sgst: split.sgst * ratio,
+    cess: split.cess * ratio,
+  };
+};
+
+/**
+ * Apportion a document's tax over its lines by ITC eligibility
+ * Cess follows the lines' own cess where recorded, else the GST proportion.
+ * @param {Array<Object>} lines - [{ itcEligibility, gst, cess }]
+ * @param {Object} split - Document tax { igst, cgst, sgst, cess }
+ * @returns {Function} share(...eligibilityKeys) => { igst, cgst, sgst, cess }
+ */
+const shareByEligibility = (lines, split) => {
+  const byEligibility = { ELIGIBLE: 0, INELIGIBLE_17_5: 0, INELIGIBLE_OTHERS: 0 };
+  const cessByEligibility = { ELIGIBLE: 0, INELIGIBLE_17_5: 0, INELIGIBLE_OTHERS: 0 };
+  lines.forEach((line) => {
+    const key = line.itcEligibility || 'ELIGIBLE';
+    byEligibility[key] += line.gst || 0;
+    cessByEligibility[key] += line.cess || 0;
+  });
+  const gstTotal = Object.values(byEligibility).reduce((sum, value) => sum + value, 0);
+  const cessTotal = Object.values(cessByEligibility).reduce((sum, value) => sum + value, 0);
+
+  return (...keys) => {
+    const tax = proportion(split, keys.reduce((sum, key) => sum + byEligibility[key], 0), gstTotal);
+    if (cessTotal > 0) {
+      tax.cess = split.cess * (keys.reduce((sum, key) => sum + cessByEligibility[key], 0) / cessTotal);
+    }
+    return tax;
+  };
+};
+
+const lowerOf = (a, b) => ({
+  igst: Math.min(a.igst || 0, b.igst || 0),
+  cgst: Math.min(a.cgst || 0, b.cgst || 0),
+  sgst: Math.min(a.sgst || 0, b.sgst || 0),
+  cess: Math.min(a.cess || 0, b.cess || 0),
+});
+
+/**
+ * ITC effect of the period's GSTR-2B reconciliation
+ * Bills deferred, or missing in 2B without an explicit accept, are held
+ * back. Mismatches are claimed at the lower of books and 2B. Accepted
+ * supplier documents not in this period's books (missing in books, or
+ * older bills reported late) are added.
+ * @param {Object} reconciliation - GSTR2BReconciliation document
+ * @param {Set<string>} periodPurchaseIds - Purchase invoices booked in the period
+ * @returns {Object} { held, allOther, reverseCharge }
+ */
+export const getReconciliationEffect = (reconciliation, periodPurchaseIds) => {
+  const held = new Set();
+  const allOther = emptyTax();
+  const reverseCharge = emptyTax();
+
+  (reconciliation?.lines || []).forEach((line) => {
+    const piId = line.books?.purchaseInvoice?.toString();
+    const inPeriod = piId && periodPurchaseIds.has(piId);
+
+    if (line.itcDecision === 'DEFERRED') {
+      if (inPeriod) held.add(piId);
+      return;
+    }
+
+    if (line.status === 'MISSING_IN_2B') {
+      if (line.itcDecision !== 'ACCEPTED' && inPeriod) held.add(piId);
+      return;
+    }
+
+    const portal = line.portal || {};
+    const row = portal.reverseCharge ? reverseCharge : allOther;
+
+    if (line.status === 'MISSING_IN_BOOKS') {
+      if (line.itcDecision === 'ACCEPTED' && portal.itcAvailable !== false) {
+        addTax(row, portal, line.documentType === 'CREDIT_NOTE' ? -1 : 1);
+      }
+      return;
+    }
+
+    // MATCHED / AMOUNT_MISMATCH
+    const claimable = lowerOf(portal, line.books);
+    if (inPeriod) {
+      if (line.status === 'AMOUNT_MISMATCH') {
+        addTax(row, claimable);
+        addTax(row, line.books, -1);
+      }
+    } else if (line.itcDecision === 'ACCEPTED') {
+      addTax(row, claimable);
+    }
+  });
+
+  return { held, allOther, reverseCharge };
+};
+
+/**
+ * Build all GSTR-3B tables for a GSTIN and return period
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {number} params.month - Return month (1-12)
+ * @param {number} params.year - Return year
+ * @param {string} [params.gstin] - Registration to file for
+ * @param {Object} [params.adjustments] - Extra 4B/4D figures from other ledgers
+ * @returns {Promise<Object>} GSTR-3B tables
+ */
+export const buildGSTR3B = async ({ organizationId, month, year, gstin, adjustments = {} }) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+
+  const returnGSTIN = resolveReturnGSTIN(organization, gstin);
+  const supplierStateCode = getStateCodeFromGSTIN(returnGSTIN);
+  const { startDate, endDate, fp } = getReturnPeriod(month, year);
+
+  const [invoices, creditNotes, debitNotes, purchaseInvoices, reconciliation, rcm, itcLedger] = await Promise.all([
+    Invoice.find({
+      organization: organizationId,
+      invoiceDate: { $gte: startDate, $lte: endDate },
+      invoiceType: { $in: ['TAX_INVOICE', 'CREDIT_NOTE', 'DEBIT_NOTE'] },
+      status: { $nin: ['DRAFT', 'CANCELLED'] },
+    })
+      .populate('client')
+      .then((docs) => docs.map(toINRDocument)),
+    CreditNote.find({
+      organization: organizationId,
+      creditNoteDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .populate('originalInvoice')
+      .then((docs) => docs.map(toINRDocument)),
+    DebitNote.find({
+      organization: organizationId,
+      debitNoteDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .populate('originalInvoice'),
+    PurchaseInvoice.find({
+      organization: organizationId,
+      piDate: { $gte: startDate, $lte: endDate },
+      status: { $in: ITC_PI_STATUSES },
+    }).populate('vendor'),
+    GSTR2BReconciliation.findOne({
+      organization: organizationId,
+      gstin: returnGSTIN,
+      period: fp,
+    }),
+    getRCMForPeriod({ organizationId, organization, returnGSTIN, startDate, endDate, fp }),
+    getITCLedgerForPeriod({ organizationId, returnGSTIN, month, year }),
+  ]);
+
+  // ---------- 3.1 / 3.2: outward supplies ----------
+  const table31 = {
+    a_outwardTaxable: emptySupply(),
+    b_outwardZeroRated: emptySupply(),
+    c_otherOutwardNilExempt: emptySupply(),
+    d_inwardReverseCharge: emptySupply(),
+    e_nonGST: emptySupply(),
+  };
+  const table32 = {
+    unregistered: {},
+    composition: {},
+    uinHolders: {},
+  };
+
+  const classifyOutward = (doc, sign) => {
+    const client = doc.client;
+    const supply = {
+      txval: doc.txval,
+      igst: doc.igst,
+      cgst: doc.cgst,
+      sgst: doc.sgst,
+      cess: doc.cess,
+    };
+    const hasTax = (doc.igst || 0) + (doc.cgst || 0) + (doc.sgst || 0) > 0;
+
+    if (isZeroRatedSupply(doc.supplyType)) {
+      addTax(table31.b_outwardZeroRated, supply, sign);
+    } else if (doc.reverseCharge) {
+      // Supplies taxable in the recipient's hands: value only, no tax from us
+      addTax(table31.c_otherOutwardNilExempt, { txval: doc.txval }, sign);
+    } else if (hasTax) {
+      addTax(table31.a_outwardTaxable, supply, sign);
+    } else {
+      addTax(table31.c_otherOutwardNilExempt, { txval: doc.txval }, sign);
+    }
+
+    // 3.2: inter-state supplies to unregistered/composition/UIN recipients
+    if ((doc.igst || 0) > 0) {
+      let bucket = null;
+      if (client?.gstTreatment === 'COMPOSITION') bucket = table32.composition;
+      else if (client?.gstTreatment === 'NRTP') bucket = table32.uinHolders;
+      else if (!client?.gstin && client?.gstTreatment !== 'EXPORT') bucket = table32.unregistered;
+
+      if (bucket) {
+        const pos = resolvePlaceOfSupply(client, supplierStateCode, doc.placeOfSupply);
+        if (!bucket[pos]) bucket[pos] = { pos, txval: 0, igst: 0 };
+        bucket[pos].txval += sign * (doc.txval || 0);
+        bucket[pos].igst += sign * (doc.igst || 0);
+      }
+    }
+  };
+
+  invoices
+    .filter((inv) => belongsToGSTIN(inv.gstinUsed, returnGSTIN, organization))
+    .forEach((inv) => {
+      classifyOutward(
+        {
+          client: inv.client,
+          reverseCharge: inv.reverseCharge,
+          placeOfSupply: inv.placeOfSupply,
+          supplyType: getSupplyType(inv),
+          txval: (inv.subtotal || 0) - (inv.discountAmount || 0),
+          igst: inv.igst,
+          cgst: inv.cgst,
+          sgst: inv.sgst,
+          cess: inv.cess,
+        },
+        inv.invoiceType === 'CREDIT_NOTE' ? -1 : 1
+      );
+    });
+
+  [
+    ...creditNotes.map((n) => ({ note: n, sign: -1 })),
+    ...debitNotes.map((n) => ({ note: n, sign: 1 })),
+  ]
+    .filter(({ note }) => belongsToGSTIN(note.originalInvoice?.gstinUsed, returnGSTIN, organization))
+    .forEach(({ note, sign }) => {
+      classifyOutward(
+        {
+          client: note.client,
+          reverseCharge: note.originalInvoice?.reverseCharge,
+          placeOfSupply: note.originalInvoice?.placeOfSupply,
+          supplyType: getSupplyType(note.originalInvoice, note.client),
+          txval: note.subtotal,
+          igst: note.igst,
+          cgst: note.cgst,
+          sgst: note.sgst,
+          cess: note.cess,
+        },
+        sign
+      );
+    });
+
+  // ---------- 4 / 5: inward supplies and ITC ----------
+  const table4 = {
+    A: {
+      1: { description: 'Import of goods', ...emptyTax() },
+      2: { description: 'Import of services', ...emptyTax() },
+      3: { description: 'Inward supplies liable to reverse charge', ...emptyTax() },
+      4: { description: 'Inward supplies from ISD', ...emptyTax() },
+      5: { description: 'All other ITC', ...emptyTax() },
+    },
+    B: {
+      1: { description: 'As per rules 38, 42 & 43 of CGST Rules and section 17(5)', ...emptyTax() },
+      2: { description: 'Others', ...emptyTax() },
+    },
+    D: {
+      1: { description: 'ITC reclaimed which was reversed under Table 4(B)(2) earlier', ...emptyTax() },
+      2: { description: 'Ineligible ITC under section 16(4) & ITC restricted due to PoS rules', ...emptyTax() },
+    },
+  };
+  const table5 = {
+    compositionExemptNil: { inter: 0, intra: 0 },
+    nonGST: { inter: 0, intra: 0 },
+  };
+
+  const scopedPurchases = purchaseInvoices.filter((pi) =>
+    belongsToGSTIN({ gstin: pi.ourBranchGSTIN }, returnGSTIN, organization)
+  );
+
+  const reconEffect = getReconciliationEffect(
+    reconciliation,
+    new Set(scopedPurchases.map((pi) => pi._id.toString()))
+  );
+
+  scopedPurchases.forEach((pi) => {
+    const split = getPurchaseTaxSplit(pi, returnGSTIN);
+    const taxable = pi.items.reduce((sum, item) => sum + (item.amount || 0), 0);
+    const isInterstate = split.igst > 0 || pi.supplyType?.startsWith('IMPORT');
+
+    // Table 5: nil-rated/exempt inward supplies and purchases from composition dealers
+    const exemptValue =
+      pi.vendor?.gstTreatment === 'COMPOSITION'
+        ? taxable
+        : pi.items
+            .filter((item) => !item.gstRate)
+            .reduce((sum, item) => sum + (item.amount || 0), 0);
+    if (exemptValue > 0) {
+      table5.compositionExemptNil[isInterstate ? 'inter' : 'intra'] += exemptValue;
+    }
+    if (pi.vendor?.gstTreatment === 'COMPOSITION') return;
+
+    // Self-invoiced RCM purchases are reported from the self-invoice below
+    if (pi.selfInvoice && (pi.reverseCharge || pi.supplyType === 'IMPORT_SERVICES')) return;
+
+    // RCM and imported services are a cash liability in 3.1(d)
+    if (pi.reverseCharge || pi.supplyType === 'IMPORT_SERVICES') {
+      addTax(table31.d_inwardReverseCharge, { txval: taxable, ...split });
+    }
+
+    // ITC held back after GSTR-2B reconciliation
+    if (reconEffect.held.has(pi._id.toString())) return;
+
+    let row;
+    if (pi.supplyType === 'IMPORT_GOODS') row = table4.A[1];
+    else if (pi.supplyType === 'IMPORT_SERVICES') row = table4.A[2];
+    else if (pi.reverseCharge) row = table4.A[3];
+    else if (pi.supplyType === 'ISD') row = table4.A[4];
+    else row = table4.A[5];
+
+    const share = shareByEligibility(
+      pi.items.map((item) => ({
+        itcEligibility: item.itcEligibility,
+        gst: item.gstAmount,
+        cess: item.cessAmount,
+      })),
+      split
+    );
+
+    addTax(row, share('ELIGIBLE', 'INELIGIBLE_17_5'));
+    addTax(table4.B[1], share('INELIGIBLE_17_5'));
+    addTax(table4.D[2], share('INELIGIBLE_OTHERS'));
+  });
+
+  // Self-invoices: liability in the period of the self-invoice (3.1(d)),
+  // credit only once the tax has been paid in cash (4A(2) / 4A(3))
+  rcm.liabilities.forEach((si) => {
+    addTax(table31.d_inwardReverseCharge, {
+      txval: si.taxableValue,
+      igst: si.igst,
+      cgst: si.cgst,
+      sgst: si.sgst,
+      cess: si.cess,
+    });
+  });
+
+  rcm.credits.forEach(({ selfInvoice: si, ratio }) => {
+    const paid = proportion({ igst: si.igst, cgst: si.cgst, sgst: si.sgst, cess: si.cess }, ratio, 1);
+    const share = shareByEligibility(
+      si.items.map((item) => ({
+        itcEligibility: item.itcEligibility,
+        gst: (item.igst || 0) + (item.cgst || 0) + (item.sgst || 0),
+        cess: item.cess,
+      })),
+      paid
+    );
+    const row = table4.A[RCM_CATEGORIES[si.rcmCategory]?.itcRow || 3];
+
+    addTax(row, share('ELIGIBLE', 'INELIGIBLE_17_5'));
+    addTax(table4.B[1], share('INELIGIBLE_17_5'));
+    addTax(table4.D[2], share('INELIGIBLE_OTHERS'));
+  });
+
+  addTax(table4.A[5], reconEffect.allOther);
+  addTax(table4.A[3], reconEffect.reverseCharge);
+
+  // ITC ledger: Rule 42/43 in 4B(1), 180-day reversals in 4B(2); credit
+  // re-claimed on payment goes back into 4A(5) and is disclosed in 4D(1)
+  addTax(table4.B[1], itcLedger.reversalRules);
+  addTax(table4.B[2], itcLedger.reversalOthers);
+  addTax(table4.A[5], itcLedger.reclaimed);
+  addTax(table4.D[1], itcLedger.reclaimed);
+
+  // Reversals and reclaims supplied by other ledgers
+  if (adjustments.reversalRules) addTax(table4.B[1], adjustments.reversalRules);
+  if (adjustments.reversalOthers) addTax(table4.B[2], adjustments.reversalOthers);
+  if (adjustments.reclaimed) addTax(table4.D[1], adjustments.reclaimed);
+
+  const totalITC = emptyTax();
+  Object.values(table4.A).forEach((row) => addTax(totalITC, row));
+  const totalReversed = emptyTax();
+  Object.values(table4.B).forEach((row) => addTax(totalReversed, row));
+  const netITC = addTax({ ...totalITC }, totalReversed, -1);
+
+  // ---------- 6.1: payment of tax ----------
+  const liabilityOtherThanRCM = emptyTax();
+  addTax(liabilityOtherThanRCM, table31.a_outwardTaxable);
+  addTax(liabilityOtherThanRCM, table31.b_outwardZeroRated);
+  const liabilityRCM = emptyTax();
+  addTax(liabilityRCM, table31.d_inwardReverseCharge);
+
+  const setOff = computeSetOff(liabilityOtherThanRCM, netITC);
+
+  const roundRow = ({ description, ...tax }) => ({
+    ...(description ? { description } : {}),
+    ...roundAll(tax),
+  });
+  const roundTable = (table) =>
+    Object.fromEntries(Object.entries(table).map(([key, row]) => [key, roundRow(row)]));
+  const roundPosBuckets = (bucket) =>
+    Object.values(bucket).map((row) => ({
+      pos: row.pos,
+      txval: round2(row.txval),
+      igst: round2(row.igst),
+    }));
+
+  const cashRCM = roundAll(liabilityRCM);
+
+  return {
+    gstin: returnGSTIN,
+    fp,
+    legalName: organization.name,
+    '3.1': roundTable(table31),
+    '3.2': {
+      unregistered: roundPosBuckets(table32.unregistered),
+      composition: roundPosBuckets(table32.composition),
+      uinHolders: roundPosBuckets(table32.uinHolders),
+    },
+    '4': {
+      A: roundTable(table4.A),
+      B: roundTable(table4.B),
+      C: roundAll(netITC),
+      D: roundTable(table4.D),
+    },
+    '5': {
+      compositionExemptNil: roundAll(table5.compositionExemptNil),
+      nonGST: roundAll(table5.nonGST),
+    },
+    '6.1': {
+      otherThanReverseCharge: {
+        taxPayable: roundAll(liabilityOtherThanRCM),
+        paidThroughITC: setOff.paidThroughITC,
+        paidInCash: setOff.cashPayable,
+      },
+      reverseCharge: {
+        taxPayable: cashRCM,
+        paidInCash: cashRCM,
+      },
+      balanceITC: setOff.balanceITC,
+    },
+    itcLedger: {
+      entries: itcLedger.entryCount,
+      commonCredit: itcLedger.commonCredit,
+    },
+    reconciliation: reconciliation
+      ? {
+          id: reconciliation._id,
+          heldInvoices: reconEffect.held.size,
+          pendingDecisions: reconciliation.summary?.pendingDecisions || 0,
+          adjustment: roundAll(addTax({ ...reconEffect.allOther }, reconEffect.reverseCharge)),
+        }
+      : null,
+    totals: {
+      outwardLiability: roundAll(liabilityOtherThanRCM),
+      reverseChargeLiability: cashRCM,
+      netITC: roundAll(netITC),
+      cashPayable: roundAll(addTax({ ...setOff.cashPayable }, liabilityRCM)),
+    },
+  };
+};
+
+/**
+ * Consolidated GSTR-3B across registrations
+ * Every GSTIN files its own return and credit cannot move between them, so the
+ * consolidated view is the sum of the per-GSTIN returns (set-off included).
+ * @param {Array<Object>} reports - buildGSTR3B results, one per GSTIN
+ */
+export const consolidateGSTR3B = (reports) => {
+  const sumInto = (target, source) => {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        target[key] = round2((target[key] || 0) + value);
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[key] = sumInto(target[key] || {}, value);
+      } else if (target[key] === undefined) {
+        target[key] = value;
+      }
+    });
+    return target;
+  };
+  const sumTable = (table) => reports.reduce((acc, report) => sumInto(acc, report[table]), {});
+  const mergePosBuckets = (bucket) =>
+    Object.values(
+      reports
+        .flatMap((report) => report['3.2'][bucket])
+        .reduce((acc, row) => {
+          if (!acc[row.pos]) acc[row.pos] = { pos: row.pos, txval: 0, igst: 0 };
+          const pos = acc[row.pos];
+          pos.txval = round2(pos.txval + row.txval);
+          pos.igst = round2(pos.igst + row.igst);
+          return acc;
+        }, {})
+    );
+
+  return {
+    gstin: 'ALL',
+    fp: reports[0]?.fp,
+    legalName: reports[0]?.legalName,
+    '3.1': sumTable('3.1'),
+    '3.2': {
+      unregistered: mergePosBuckets('unregistered'),
+      composition: mergePosBuckets('composition'),
+      uinHolders: mergePosBuckets('uinHolders'),
+    },
+    '4': sumTable('4'),
+    '5': sumTable('5'),
+    '6.1': sumTable('6.1'),
+    itcLedger: {
+      entries: reports.reduce((sum, report) => sum + (report.itcLedger?.entries || 0), 0),
+      commonCredit: null,
+    },
+    reconciliation: null,
+    totals: sumTable('totals'),
+    byGstin: reports.map((report) => ({
+      gstin: report.gstin,
+      ...report.totals,
+      itcLedger: report.itcLedger,
+    })),
+  };
+};
+
+export default {
+  computeSetOff,
+  getPurchaseTaxSplit,
+  getReconciliationEffect,
+  buildGSTR3B,
+  consolidateGSTR3B,
+};
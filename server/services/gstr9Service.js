@@ -0,0 +1,894 @@
+// ============================================
+// FILE: server/services/gstr9Service.js
+// GSTR-9 annual return workbook, cross-checked against the monthly returns
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import CreditNote from '../models/CreditNote.js';
+import DebitNote from '../models/DebitNote.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import SelfInvoice from '../models/SelfInvoice.js';
+import ITCLedgerEntry from '../models/ITCLedgerEntry.js';
+import GSTR2BReconciliation from '../models/GSTR2BReconciliation.js';
+import Organization from '../models/Organization.js';
+import { getSupplyType, isWithoutPayment, isZeroRatedSupply } from '../utils/exportSupply.js';
+import { toINRDocument } from '../utils/currencies.js';
+import { RCM_CATEGORIES } from '../utils/reverseCharge.js';
+import {
+  buildGSTR1,
+  getReturnPeriod,
+  resolveReturnGSTIN,
+  belongsToGSTIN,
+  invoiceLines,
+  noteLines,
+} from './gstr1Service.js';
+import { buildGSTR3B, getPurchaseTaxSplit } from './gstr3bService.js';
+import { computeCommonCreditReversal } from './itcLedgerService.js';
+
+// Purchase invoices in these states have been booked and count for ITC
+const ITC_PI_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'PAID'];
+
+// Differences up to a rupee per head are rounding
+const TOLERANCE = 1;
+
+// GSTR-9 is optional up to this aggregate turnover
+const GSTR9_OPTIONAL_TURNOVER = 20000000;
+
+// Section 47 late fee for GSTR-9 by aggregate turnover (notification 07/2023-CT):
+// per day (CGST + SGST together) and cap as a share of the turnover in the state
+const GSTR9_LATE_FEE_SLABS = [
+  { upTo: 50000000, perDay: 50, capRate: 0.0004 },
+  { upTo: 200000000, perDay: 100, capRate: 0.0004 },
+  { upTo: Infinity, perDay: 200, capRate: 0.005 },
+];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const emptyTax = () => ({ igst: 0, cgst: 0, sgst: 0, cess: 0 });
+const emptySupply = () => ({ txval: 0, ...emptyTax() });
+
+const addTax = (target, source, sign = 1) => {
+  target.igst += sign * (source.igst || 0);
+  target.cgst += sign * (source.cgst || 0);
+  target.sgst += sign * (source.sgst || 0);
+  target.cess += sign * (source.cess || 0);
+  if (target.txval !== undefined) target.txval += sign * (source.txval || 0);
+  return target;
+};
+
+const roundAll = (obj) =>
+  Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, typeof v === 'number' ? round2(v) : v]));
+
+const roundTable = (table) =>
+  Object.fromEntries(Object.entries(table).map(([key, row]) => [key, roundAll(row)]));
+
+const row = (description) => ({ description, ...emptySupply() });
+const taxRow = (description) => ({ description, ...emptyTax() });
+
+const sumRows = (table, keys, target) => {
+  keys.forEach((key) => addTax(target, table[key]));
+  return target;
+};
+
+/**
+ * Date range and return periods of a financial year
+ * @param {string} financialYear - "2025-26" or "FY2025-26"
+ * @returns {Object} { label, startDate, endDate, amendmentEndDate, dueDate, months, periods }
+ */
+export const getFinancialYearRange = (financialYear) => {
+  const startYear = parseInt(String(financialYear || '').replace(/^FY/i, ''), 10);
+  if (!startYear) {
+    throw new Error('Financial year (e.g. 2025-26) is required');
+  }
+
+  const months = Array.from({ length: 12 }, (_, index) => {
+    const date = new Date(startYear, 3 + index, 1);
+    return { month: date.getMonth() + 1, year: date.getFullYear() };
+  });
+
+  return {
+    label: `${startYear}-${String(startYear + 1).slice(-2)}`,
+    startDate: new Date(startYear, 3, 1),
+    endDate: new Date(startYear + 1, 2, 31, 23, 59, 59, 999),
+    // Corrections for the year can be made until 30 November of the next year
+    amendmentEndDate: new Date(startYear + 1, 10, 30, 23, 59, 59, 999),
+    dueDate: new Date(startYear + 1, 11, 31, 23, 59, 59, 999),
+    months,
+    periods: months.map(({ month, year }) => getReturnPeriod(month, year).fp),
+  };
+};
+
+// Next year's return periods in which last year's corrections are reported (April-November)
+const amendmentPeriods = (range) =>
+  Array.from({ length: 8 }, (_, index) => {
+    const date = new Date(range.endDate.getFullYear(), 3 + index, 1);
+    return getReturnPeriod(date.getMonth() + 1, date.getFullYear()).fp;
+  });
+
+/**
+ * Apportion a document's tax over its lines grouped by `keyOf`
+ * Lines for which `keyOf` returns null are left out but still count in the whole.
+ */
+const apportion = (items, split, keyOf) => {
+  const groups = {};
+  let gstTotal = 0;
+  let cessTotal = 0;
+
+  items.forEach((item) => {
+    const gst = item.gstAmount || 0;
+    const cess = item.cessAmount || 0;
+    gstTotal += gst;
+    cessTotal += cess;
+
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups[key]) groups[key] = { gst: 0, cess: 0 };
+    groups[key].gst += gst;
+    groups[key].cess += cess;
+  });
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, group]) => {
+      const ratio = gstTotal ? group.gst / gstTotal : 0;
+      return [
+        key,
+        {
+          igst: split.igst * ratio,
+          cgst: split.cgst * ratio,
+          sgst: split.sgst * ratio,
+          cess: cessTotal ? split.cess * (group.cess / cessTotal) : split.cess * ratio,
+        },
+      ];
+    })
+  );
+};
+
+// Credit is claimed on eligible and blocked lines (blocked credit is reversed in 7E)
+const claimable = (item) => item.itcEligibility !== 'INELIGIBLE_OTHERS';
+
+// Inputs, capital goods or input services (Table 6B)
+const inwardCategory = (item) => {
+  if (!claimable(item)) return null;
+  if (item.isCapitalGoods) return 'capitalGoods';
+  return String(item.hsnSacCode || '').startsWith('99') ? 'inputServices' : 'inputs';
+};
+
+// HSN-wise summary rows (Tables 17 and 18)
+const addToHSN = (summary, lines, sign) => {
+  lines.forEach((line) => {
+    const hsn = line.hsn || 'UNCLASSIFIED';
+    const key = `${hsn}_${line.rate}`;
+    if (!summary[key]) {
+      summary[key] = {
+        hsnCode: hsn,
+        description: line.description,
+        uqc: line.unit,
+        rate: line.rate,
+        quantity: 0,
+        ...emptySupply(),
+      };
+    }
+    summary[key].quantity += sign * (line.quantity || 0);
+    addTax(
+      summary[key],
+      { txval: line.txval, igst: line.iamt, cgst: line.camt, sgst: line.samt, cess: line.csamt },
+      sign
+    );
+  });
+};
+
+const hsnRows = (summary) =>
+  Object.values(summary)
+    .map((entry) => roundAll(entry))
+    .sort((a, b) => a.hsnCode.localeCompare(b.hsnCode));
+
+const hsnTotal = (rows) => rows.reduce((total, entry) => addTax(total, entry), emptySupply());
+
+/**
+ * Sum the monthly GSTR-1 JSON into the figures GSTR-9 is compared with
+ * @returns {Object} { withPayment, withoutPayment, reverseCharge, hsn }
+ */
+const summarizeGSTR1 = (json, totals) => {
+  const addItems = (target, itms, sign = 1) =>
+    itms.forEach(({ itm_det: det }) =>
+      addTax(
+        target,
+        { txval: det.txval, igst: det.iamt, cgst: det.camt, sgst: det.samt, cess: det.csamt },
+        sign
+      )
+    );
+
+  (json.b2b || []).forEach(({ inv }) =>
+    inv.forEach((entry) => {
+      if (entry.rchrg === 'Y') addItems(totals.reverseCharge, entry.itms);
+      else if (entry.inv_typ === 'SEWOP') addItems(totals.withoutPayment, entry.itms);
+      else addItems(totals.withPayment, entry.itms);
+    })
+  );
+  (json.b2cl || []).forEach(({ inv }) => inv.forEach((entry) => addItems(totals.withPayment, entry.itms)));
+  (json.b2cs || []).forEach((entry) =>
+    addTax(totals.withPayment, {
+      txval: entry.txval,
+      igst: entry.iamt,
+      cgst: entry.camt,
+      sgst: entry.samt,
+      cess: entry.csamt,
+    })
+  );
+  (json.exp || []).forEach(({ exp_typ: expTyp, inv }) =>
+    inv.forEach((entry) =>
+      entry.itms.forEach((det) =>
+        addTax(expTyp === 'WPAY' ? totals.withPayment : totals.withoutPayment, {
+          txval: det.txval,
+          igst: det.iamt,
+          cess: det.csamt,
+        })
+      )
+    )
+  );
+  (json.cdnr || []).forEach(({ nt }) =>
+    nt.forEach((note) => {
+      const sign = note.ntty === 'C' ? -1 : 1;
+      if (note.rchrg === 'Y') addItems(totals.reverseCharge, note.itms, sign);
+      else if (note.inv_typ === 'SEWOP') addItems(totals.withoutPayment, note.itms, sign);
+      else addItems(totals.withPayment, note.itms, sign);
+    })
+  );
+  (json.cdnur || []).forEach((note) =>
+    addItems(
+      note.typ === 'EXPWOP' ? totals.withoutPayment : totals.withPayment,
+      note.itms,
+      note.ntty === 'C' ? -1 : 1
+    )
+  );
+  (json.hsn?.data || []).forEach((entry) =>
+    addTax(totals.hsn, {
+      txval: entry.txval,
+      igst: entry.iamt,
+      cgst: entry.camt,
+      sgst: entry.samt,
+      cess: entry.csamt,
+    })
+  );
+  return totals;
+};
+
+// One cross-check line: annual figure, sum of monthly returns and the difference
+const compare = (table, description, annual, monthly, source) => {
+  const { description: _annualLabel, ...annualRounded } = roundAll(annual);
+  const { description: _monthlyLabel, ...monthlyRounded } = roundAll(monthly);
+  const difference = roundAll(
+    Object.fromEntries(
+      Object.keys(annualRounded).map((key) => [key, (annualRounded[key] || 0) - (monthlyRounded[key] || 0)])
+    )
+  );
+  const matched = Object.values(difference).every((value) => Math.abs(value) <= TOLERANCE);
+
+  return {
+    table,
+    description,
+    source,
+    annual: annualRounded,
+    monthly: monthlyRounded,
+    difference,
+    status: matched ? 'MATCHED' : 'DIFFERENCE',
+  };
+};
+
+/**
+ * Late fee for filing GSTR-9 after 31 December (section 47)
+ * @returns {Object} { dueDate, filingDate, daysLate, perDay, cap, cgst, sgst, total }
+ */
+export const computeGSTR9LateFee = ({ dueDate, filingDate, aggregateTurnover, stateTurnover }) => {
+  const filedOn = filingDate ? new Date(filingDate) : new Date();
+  const daysLate = Math.max(0, Math.ceil((filedOn - dueDate) / (24 * 60 * 60 * 1000)));
+  const slab = GSTR9_LATE_FEE_SLABS.find((s) => aggregateTurnover <= s.upTo);
+  const cap = round2(Math.max(stateTurnover, 0) * slab.capRate);
+  const total = round2(Math.min(daysLate * slab.perDay, cap));
+
+  return {
+    dueDate,
+    filingDate: filedOn,
+    daysLate,
+    perDay: slab.perDay,
+    cap,
+    cgst: round2(total / 2),
+    sgst: round2(total / 2),
+    total,
+  };
+};
+
+/**
+ * Build the GSTR-9 workbook for a GSTIN and financial year
+ * Tables are compiled from the year's documents as they stand in the books;
+ * `crossCheck` compares them with the sum of the twelve monthly GSTR-1 and
+ * GSTR-3B returns and flags every table that does not tie.
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {string} params.financialYear - "2025-26"
+ * @param {string} [params.gstin] - Registration (defaults to the primary GSTIN)
+ * @param {Date} [params.filingDate] - For the late fee (defaults to today)
+ * @returns {Promise<Object>} Workbook with tables 4-18, late fee and cross-checks
+ */
+export const buildGSTR9 = async ({ organizationId, financialYear, gstin, filingDate }) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+
+  const range = getFinancialYearRange(financialYear);
+  const returnGSTIN = resolveReturnGSTIN(organization, gstin);
+  const nextYearPeriods = amendmentPeriods(range);
+  const warnings = [];
+
+  const [
+    invoices,
+    creditNotes,
+    debitNotes,
+    purchaseInvoices,
+    selfInvoices,
+    ledgerEntries,
+    reconciliations,
+  ] = await Promise.all([
+    Invoice.find({
+      organization: organizationId,
+      invoiceDate: { $gte: range.startDate, $lte: range.endDate },
+      invoiceType: { $in: ['TAX_INVOICE', 'CREDIT_NOTE', 'DEBIT_NOTE'] },
+      status: { $nin: ['DRAFT', 'CANCELLED'] },
+    })
+      .populate('client')
+      .then((docs) => docs.map(toINRDocument)),
+    CreditNote.find({
+      organization: organizationId,
+      creditNoteDate: { $gte: range.startDate, $lte: range.amendmentEndDate },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .populate('originalInvoice')
+      .then((docs) => docs.map(toINRDocument)),
+    DebitNote.find({
+      organization: organizationId,
+      debitNoteDate: { $gte: range.startDate, $lte: range.amendmentEndDate },
+      status: { $ne: 'DRAFT' },
+    })
+      .populate('client')
+      .populate('originalInvoice'),
+    PurchaseInvoice.find({
+      organization: organizationId,
+      piDate: { $gte: range.startDate, $lte: range.endDate },
+      status: { $in: ITC_PI_STATUSES },
+    }).populate('vendor'),
+    SelfInvoice.find({
+      organization: organizationId,
+      status: { $ne: 'CANCELLED' },
+      $or: [
+        { selfInvoiceDate: { $gte: range.startDate, $lte: range.endDate } },
+        { 'taxPayments.returnPeriod': { $in: range.periods } },
+      ],
+    }),
+    ITCLedgerEntry.find({
+      organization: organizationId,
+      gstin: returnGSTIN,
+      period: { $in: [...range.periods, ...nextYearPeriods] },
+    }).populate('purchaseInvoice', 'piDate'),
+    GSTR2BReconciliation.find({
+      organization: organizationId,
+      gstin: returnGSTIN,
+      period: { $in: range.periods },
+    }),
+  ]);
+
+  const inYear = (date) => date >= range.startDate && date <= range.endDate;
+  const ours = (gstinUsed) => belongsToGSTIN(gstinUsed, returnGSTIN, organization);
+
+  // ---------- Tables 4 and 5: outward supplies ----------
+  const table4 = {
+    A: row('Supplies made to un-registered persons (B2C)'),
+    B: row('Supplies made to registered persons (B2B)'),
+    C: row('Zero rated supply (Export) on payment of tax (except supplies to SEZs)'),
+    D: row('Supply to SEZs on payment of tax'),
+    E: row('Deemed Exports'),
+    F: row('Advances on which tax has been paid but invoice has not been issued'),
+    G: row('Inward supplies on which tax is to be paid on reverse charge basis'),
+    H: row('Sub-total (A to G above)'),
+    I: row('Credit Notes issued in respect of transactions specified in (B) to (E) above (-)'),
+    J: row('Debit Notes issued in respect of transactions specified in (B) to (E) above (+)'),
+    K: row('Supplies / tax declared through Amendments (+)'),
+    L: row('Supplies / tax reduced through Amendments (-)'),
+    M: row('Sub-total (I to L above)'),
+    N: row('Supplies and advances on which tax is to be paid (H + M) above'),
+  };
+  const table5 = {
+    A: row('Zero rated supply (Export) without payment of tax'),
+    B: row('Supply to SEZs without payment of tax'),
+    C: row('Supplies on which tax is to be paid by the recipient on reverse charge basis'),
+    D: row('Exempted'),
+    E: row('Nil Rated'),
+    F: row('Non-GST supply'),
+    G: row('Sub-total (A to F above)'),
+    H: row('Credit Notes issued in respect of transactions specified in A to F above (-)'),
+    I: row('Debit Notes issued in respect of transactions specified in A to F above (+)'),
+    J: row('Supplies declared through Amendments (+)'),
+    K: row('Supplies reduced through Amendments (-)'),
+    L: row('Sub-Total (H to K above)'),
+    M: row('Turnover on which tax is not to be paid (G + L above)'),
+    N: row('Total Turnover (including advances) (4N + 5M - 4G above)'),
+  };
+  const table10 = row('Supplies / tax declared through Amendments (+) (net of debit notes)');
+  const table11 = row('Supplies / tax reduced through Amendments (-) (net of credit notes)');
+
+  // Zero-rated supplies without payment, net of their notes (for the cross-checks)
+  const zeroRatedWithoutPayment = emptySupply();
+  const outwardHSN = {};
+
+  const classifyOutward = (doc) => {
+    const supply = { txval: doc.txval, igst: doc.igst, cgst: doc.cgst, sgst: doc.sgst, cess: doc.cess };
+    const hasTax = (doc.igst || 0) + (doc.cgst || 0) + (doc.sgst || 0) > 0;
+    const withoutPayment = isWithoutPayment(doc.supplyType);
+    if (withoutPayment) addTax(zeroRatedWithoutPayment, supply, doc.ntty === 'C' ? -1 : 1);
+
+    if (doc.ntty) {
+      // Notes on B2C supplies are netted in 4A; others go to 4I/4J or 5H/5I
+      if (hasTax && !doc.client?.gstin && !isZeroRatedSupply(doc.supplyType) && doc.supplyType !== 'DEXP') {
+        addTax(table4.A, supply, doc.ntty === 'C' ? -1 : 1);
+      } else if (hasTax) {
+        addTax(doc.ntty === 'C' ? table4.I : table4.J, supply);
+      } else {
+        addTax(doc.ntty === 'C' ? table5.H : table5.I, { txval: doc.txval });
+      }
+      return;
+    }
+
+    if (doc.reverseCharge) addTax(table5.C, { txval: doc.txval });
+    else if (doc.supplyType === 'EXPWOP') addTax(table5.A, { txval: doc.txval });
+    else if (doc.supplyType === 'SEZWOP') addTax(table5.B, { txval: doc.txval });
+    else if (doc.supplyType === 'EXPWP') addTax(table4.C, supply);
+    else if (doc.supplyType === 'SEZWP') addTax(table4.D, supply);
+    else if (doc.supplyType === 'DEXP') addTax(table4.E, supply);
+    else if (hasTax) addTax(doc.client?.gstin ? table4.B : table4.A, supply);
+    else addTax(table5.E, { txval: doc.txval });
+  };
+
+  invoices
+    .filter((inv) => ours(inv.gstinUsed))
+    .forEach((inv) => {
+      const ntty = inv.invoiceType === 'CREDIT_NOTE' ? 'C' : inv.invoiceType === 'DEBIT_NOTE' ? 'D' : null;
+      classifyOutward({
+        ntty,
+        client: inv.client,
+        reverseCharge: inv.reverseCharge,
+        supplyType: getSupplyType(inv),
+        txval: (inv.subtotal || 0) - (inv.discountAmount || 0),
+        igst: inv.igst,
+        cgst: inv.cgst,
+        sgst: inv.sgst,
+        cess: inv.cess,
+      });
+      addToHSN(outwardHSN, invoiceLines(inv), ntty === 'C' ? -1 : 1);
+    });
+
+  [
+    ...creditNotes.map((note) => ({ note, ntty: 'C', date: note.creditNoteDate })),
+    ...debitNotes.map((note) => ({ note, ntty: 'D', date: note.debitNoteDate })),
+  ]
+    .filter(({ note }) => ours(note.originalInvoice?.gstinUsed))
+    .forEach(({ note, ntty, date }) => {
+      const supply = {
+        txval: note.subtotal,
+        igst: note.igst,
+        cgst: note.cgst,
+        sgst: note.sgst,
+        cess: note.cess,
+      };
+
+      // Next year's notes against this year's invoices are amendments (Tables 10/11)
+      if (!inYear(date)) {
+        const originalDate = note.originalInvoice?.invoiceDate;
+        if (originalDate && inYear(originalDate)) {
+          addTax(ntty === 'C' ? table11 : table10, supply);
+        }
+        return;
+      }
+
+      classifyOutward({
+        ntty,
+        client: note.client,
+        reverseCharge: note.originalInvoice?.reverseCharge,
+        supplyType: getSupplyType(note.originalInvoice, note.client),
+        ...supply,
+      });
+      addToHSN(outwardHSN, noteLines(note), ntty === 'C' ? -1 : 1);
+    });
+
+  // 4G: tax paid on reverse charge (self-invoices, or the purchase itself)
+  const scopedPurchases = purchaseInvoices.filter((pi) => ours({ gstin: pi.ourBranchGSTIN }));
+  const scopedSelfInvoices = selfInvoices.filter((si) => ours({ gstin: si.ourGSTIN }));
+
+  scopedSelfInvoices
+    .filter((si) => inYear(si.selfInvoiceDate))
+    .forEach((si) =>
+      addTax(table4.G, {
+        txval: si.taxableValue,
+        igst: si.igst,
+        cgst: si.cgst,
+        sgst: si.sgst,
+        cess: si.cess,
+      })
+    );
+  scopedPurchases
+    .filter((pi) => !pi.selfInvoice && (pi.reverseCharge || pi.supplyType === 'IMPORT_SERVICES'))
+    .forEach((pi) =>
+      addTax(table4.G, {
+        txval: pi.items.reduce((sum, item) => sum + (item.amount || 0), 0),
+        ...getPurchaseTaxSplit(pi, returnGSTIN),
+      })
+    );
+
+  sumRows(table4, ['A', 'B', 'C', 'D', 'E', 'F', 'G'], table4.H);
+  addTax(table4.M, table4.I, -1);
+  addTax(table4.M, table4.J);
+  addTax(table4.M, table4.K);
+  addTax(table4.M, table4.L, -1);
+  addTax(addTax(table4.N, table4.H), table4.M);
+
+  sumRows(table5, ['A', 'B', 'C', 'D', 'E', 'F'], table5.G);
+  addTax(table5.L, table5.H, -1);
+  addTax(table5.L, table5.I);
+  addTax(table5.L, table5.J);
+  addTax(table5.L, table5.K, -1);
+  addTax(addTax(table5.M, table5.G), table5.L);
+  table5.N.txval = table4.N.txval + table5.M.txval - table4.G.txval;
+
+  // ---------- Table 6: ITC availed ----------
+  const table6 = {
+    A: taxRow('Total amount of input tax credit availed through FORM GSTR-3B (sum total of Table 4A of FORM GSTR-3B)'),
+    B_inputs: taxRow('Inward supplies (other than imports and inward supplies liable to reverse charge but includes services received from SEZs) - Inputs'),
+    B_capitalGoods: taxRow('Inward supplies (other than imports and inward supplies liable to reverse charge but includes services received from SEZs) - Capital Goods'),
+    B_inputServices: taxRow('Inward supplies (other than imports and inward supplies liable to reverse charge but includes services received from SEZs) - Input Services'),
+    C: taxRow('Inward supplies received from unregistered persons liable to reverse charge (other than B above) on which tax is paid & ITC availed'),
+    D: taxRow('Inward supplies received from registered persons liable to reverse charge (other than B above) on which tax is paid and ITC availed'),
+    E: taxRow('Import of goods (including supplies from SEZs)'),
+    F: taxRow('Import of services (excluding inward supplies from SEZs)'),
+    G: taxRow('Input Tax credit received from ISD'),
+    H: taxRow('Amount of ITC reclaimed (other than B above) under the provisions of the Act'),
+    I: taxRow('Sub-total (B to H above)'),
+    J: taxRow('Difference (I - A above)'),
+    O: taxRow('Total ITC availed (I above)'),
+  };
+  const table7 = {
+    A: taxRow('As per Rule 37'),
+    B: taxRow('As per Rule 39'),
+    C: taxRow('As per Rule 42'),
+    D: taxRow('As per Rule 43'),
+    E: taxRow('As per section 17(5)'),
+    F: taxRow('Reversal of TRAN-I credit'),
+    G: taxRow('Reversal of TRAN-II credit'),
+    H: taxRow('Other reversals'),
+    I: taxRow('Total ITC Reversed (Sum of A to H above)'),
+    J: taxRow('Net Inward Tax Credit Available for utilization (6O - 7I)'),
+  };
+  const table12 = taxRow('Reversal of ITC availed during previous financial year');
+  const table13 = taxRow('ITC availed for the previous financial year');
+  const importIGSTPaid = emptyTax();
+  const inwardHSN = {};
+
+  scopedPurchases.forEach((pi) => {
+    const split = getPurchaseTaxSplit(pi, returnGSTIN);
+    const isInterstate = split.igst > 0;
+
+    addToHSN(
+      inwardHSN,
+      pi.items.map((item) => ({
+        hsn: item.hsnSacCode,
+        description: item.description,
+        unit: item.unit,
+        quantity: item.quantity,
+        rate: item.gstRate || 0,
+        txval: item.amount || 0,
+        iamt: isInterstate ? item.gstAmount || 0 : 0,
+        camt: isInterstate ? 0 : (item.gstAmount || 0) / 2,
+        samt: isInterstate ? 0 : (item.gstAmount || 0) / 2,
+        csamt: item.cessAmount || 0,
+      })),
+      1
+    );
+
+    if (pi.supplyType === 'IMPORT_GOODS') addTax(importIGSTPaid, { igst: split.igst });
+    if (pi.vendor?.gstTreatment === 'COMPOSITION') return;
+
+    const isRCM = pi.reverseCharge || pi.supplyType === 'IMPORT_SERVICES';
+    // Self-invoiced RCM purchases earn credit as the tax is paid (below)
+    if (isRCM && pi.selfInvoice) return;
+
+    // Bills booked after the year closed were claimed in next year's returns (Table 13)
+    const bookedOn = pi.approvedAt || pi.createdAt;
+    if (bookedOn && bookedOn > range.endDate) {
+      addTax(table13, apportion(pi.items, split, (item) => (claimable(item) ? 'all' : null)).all || {});
+      return;
+    }
+
+    let target;
+    if (pi.supplyType === 'IMPORT_GOODS') target = table6.E;
+    else if (pi.supplyType === 'IMPORT_SERVICES') target = table6.F;
+    else if (pi.reverseCharge) target = pi.vendor?.gstin ? table6.D : table6.C;
+    else if (pi.supplyType === 'ISD') target = table6.G;
+
+    if (target) {
+      addTax(target, apportion(pi.items, split, (item) => (claimable(item) ? 'all' : null)).all || {});
+    } else {
+      const shares = apportion(pi.items, split, inwardCategory);
+      Object.entries(shares).forEach(([category, tax]) => addTax(table6[`B_${category}`], tax));
+    }
+
+    const blocked = apportion(pi.items, split, (item) =>
+      item.itcEligibility === 'INELIGIBLE_17_5' ? 'blocked' : null
+    );
+    if (blocked.blocked) addTax(table7.E, blocked.blocked);
+  });
+
+  // Reverse-charge credit follows the tax paid in the year's return periods
+  scopedSelfInvoices.forEach((si) => {
+    const paid = si.taxPayments
+      .filter((payment) => range.periods.includes(payment.returnPeriod))
+      .reduce((sum, payment) => sum + (payment.amount || 0), 0);
+    if (!(paid > 0) || !(si.totalTax > 0)) return;
+
+    const ratio = Math.min(paid / si.totalTax, 1);
+    const items = si.items.map((item) => ({
+      itcEligibility: item.itcEligibility,
+      gstAmount: (item.igst || 0) + (item.cgst || 0) + (item.sgst || 0),
+      cessAmount: item.cess || 0,
+    }));
+    const split = {
+      igst: si.igst * ratio,
+      cgst: si.cgst * ratio,
+      sgst: si.sgst * ratio,
+      cess: si.cess * ratio,
+    };
+    const target =
+      RCM_CATEGORIES[si.rcmCategory]?.itcRow === 2 ? table6.F : si.vendorGstin ? table6.D : table6.C;
+
+    addTax(target, apportion(items, split, (item) => (claimable(item) ? 'all' : null)).all || {});
+    const blocked = apportion(items, split, (item) =>
+      item.itcEligibility === 'INELIGIBLE_17_5' ? 'blocked' : null
+    );
+    if (blocked.blocked) addTax(table7.E, blocked.blocked);
+  });
+
+  // ITC ledger: reversals (7A/7C/7D), re-claims (6H) and next year's corrections (12/13)
+  const postedCommonCredit = new Set();
+  ledgerEntries.forEach((entry) => {
+    const currentYear = range.periods.includes(entry.period);
+    const piDate = entry.purchaseInvoice?.piDate;
+
+    if (!currentYear) {
+      if (!piDate || !inYear(piDate)) return;
+      if (entry.entryType === 'REVERSAL_180_DAYS') addTax(table12, entry);
+      else if (entry.entryType === 'RECLAIM_180_DAYS') addTax(table13, entry);
+      return;
+    }
+
+    if (entry.entryType === 'REVERSAL_180_DAYS') addTax(table7.A, entry);
+    else if (entry.entryType === 'RECLAIM_180_DAYS') addTax(table6.H, entry);
+    else {
+      postedCommonCredit.add(entry.period);
+      addTax(entry.entryType === 'RULE_42' ? table7.C : table7.D, entry);
+    }
+  });
+
+  // Months whose Rule 42/43 reversal was never posted are computed as GSTR-3B does
+  for (const { month, year } of range.months) {
+    if (postedCommonCredit.has(getReturnPeriod(month, year).fp)) continue;
+    const computed = await computeCommonCreditReversal({ organizationId, month, year, gstin: returnGSTIN });
+    addTax(table7.C, computed.totals.rule42);
+    addTax(table7.D, computed.totals.rule43);
+  }
+
+  sumRows(table6, ['B_inputs', 'B_capitalGoods', 'B_inputServices', 'C', 'D', 'E', 'F', 'G', 'H'], table6.I);
+  addTax(table6.O, table6.I);
+  sumRows(table7, ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'], table7.I);
+  addTax(addTax(table7.J, table6.O), table7.I, -1);
+
+  // ---------- Monthly returns ----------
+  const gstr1Totals = {
+    withPayment: emptySupply(),
+    withoutPayment: emptySupply(),
+    reverseCharge: emptySupply(),
+    hsn: emptySupply(),
+  };
+  const gstr3bTotals = {
+    outwardTaxableAndZeroRated: emptySupply(),
+    nilExemptNonGST: emptySupply(),
+    inwardReverseCharge: emptySupply(),
+    itcAvailed: emptyTax(),
+    itcReversed: emptyTax(),
+    taxPayable: emptyTax(),
+    paidInCash: emptyTax(),
+    paidThroughITC: emptyTax(),
+  };
+  const months = [];
+
+  for (const { month, year } of range.months) {
+    const [gstr1, gstr3b] = await Promise.all([
+      buildGSTR1({ organizationId, month, year, gstin: returnGSTIN }),
+      buildGSTR3B({ organizationId, month, year, gstin: returnGSTIN }),
+    ]);
+
+    summarizeGSTR1(gstr1.json, gstr1Totals);
+
+    const t31 = gstr3b['3.1'];
+    addTax(gstr3bTotals.outwardTaxableAndZeroRated, t31.a_outwardTaxable);
+    addTax(gstr3bTotals.outwardTaxableAndZeroRated, t31.b_outwardZeroRated);
+    addTax(gstr3bTotals.nilExemptNonGST, t31.c_otherOutwardNilExempt);
+    addTax(gstr3bTotals.nilExemptNonGST, t31.e_nonGST);
+    addTax(gstr3bTotals.inwardReverseCharge, t31.d_inwardReverseCharge);
+    Object.values(gstr3b['4'].A).forEach((r) => addTax(gstr3bTotals.itcAvailed, r));
+    Object.values(gstr3b['4'].B).forEach((r) => addTax(gstr3bTotals.itcReversed, r));
+
+    const t61 = gstr3b['6.1'];
+    addTax(gstr3bTotals.taxPayable, t61.otherThanReverseCharge.taxPayable);
+    addTax(gstr3bTotals.taxPayable, t61.reverseCharge.taxPayable);
+    addTax(gstr3bTotals.paidInCash, t61.otherThanReverseCharge.paidInCash);
+    addTax(gstr3bTotals.paidInCash, t61.reverseCharge.paidInCash);
+    Object.entries(t61.otherThanReverseCharge.paidThroughITC).forEach(([head, byCredit]) => {
+      gstr3bTotals.paidThroughITC[head] += Object.values(byCredit).reduce((sum, value) => sum + value, 0);
+    });
+
+    if (gstr1.errors.length > 0) {
+      warnings.push(`GSTR-1 for ${gstr1.json.fp} has ${gstr1.errors.length} validation error(s)`);
+    }
+
+    months.push({
+      fp: gstr1.json.fp,
+      gstr1: roundAll({ ...gstr1.summary, errors: gstr1.errors.length }),
+      gstr3b: {
+        outwardLiability: gstr3b.totals.outwardLiability,
+        reverseChargeLiability: gstr3b.totals.reverseChargeLiability,
+        netITC: gstr3b.totals.netITC,
+        cashPayable: gstr3b.totals.cashPayable,
+      },
+    });
+  }
+
+  addTax(table6.A, gstr3bTotals.itcAvailed);
+  addTax(addTax(table6.J, table6.I), table6.A, -1);
+
+  // ---------- Table 8: ITC as per GSTR-2B ----------
+  const table8 = {
+    A: taxRow('ITC as per GSTR-2B'),
+    B: taxRow('ITC as per sum total of 6(B) and 6(H) above'),
+    C: taxRow('ITC on inward supplies received during the financial year but availed in the next financial year'),
+    D: taxRow('Difference [A-(B+C)]'),
+    G: taxRow('IGST paid on import of goods (including supplies from SEZ)'),
+    H: taxRow('IGST credit availed on import of goods (as per 6(E) above)'),
+  };
+  reconciliations.forEach((reconciliation) =>
+    reconciliation.lines
+      .filter((line) => line.status !== 'MISSING_IN_2B' && line.portal?.itcAvailable !== false)
+      .filter((line) => !line.portal?.reverseCharge)
+      .forEach((line) => addTax(table8.A, line.portal, line.documentType === 'CREDIT_NOTE' ? -1 : 1))
+  );
+  sumRows(table6, ['B_inputs', 'B_capitalGoods', 'B_inputServices', 'H'], table8.B);
+  addTax(table8.C, table13);
+  addTax(addTax(addTax(table8.D, table8.A), table8.B, -1), table8.C, -1);
+  addTax(table8.G, importIGSTPaid);
+  addTax(table8.H, { igst: table6.E.igst });
+
+  // ---------- Table 9: tax payable and paid ----------
+  const payable = addTax({ ...emptyTax() }, table4.N);
+  const table9 = Object.fromEntries(
+    ['igst', 'cgst', 'sgst', 'cess'].map((head) => [
+      head,
+      {
+        payable: round2(payable[head]),
+        paidThroughCash: round2(gstr3bTotals.paidInCash[head]),
+        paidThroughITC: round2(gstr3bTotals.paidThroughITC[head]),
+      },
+    ])
+  );
+
+  // ---------- Table 14: differential tax on next year's amendments ----------
+  const table14 = roundAll(addTax(addTax(emptyTax(), table10), table11, -1));
+
+  // ---------- Late fee ----------
+  // Aggregate turnover is PAN-wide: every registration's outward supplies
+  const aggregateTurnover =
+    invoices.reduce(
+      (sum, inv) =>
+        sum +
+        (inv.invoiceType === 'CREDIT_NOTE' ? -1 : 1) * ((inv.subtotal || 0) - (inv.discountAmount || 0)),
+      0
+    ) +
+    debitNotes.filter((n) => inYear(n.debitNoteDate)).reduce((sum, n) => sum + (n.subtotal || 0), 0) -
+    creditNotes.filter((n) => inYear(n.creditNoteDate)).reduce((sum, n) => sum + (n.subtotal || 0), 0);
+  const lateFee = computeGSTR9LateFee({
+    dueDate: range.dueDate,
+    filingDate,
+    aggregateTurnover,
+    stateTurnover: table5.N.txval,
+  });
+  const optional = aggregateTurnover <= GSTR9_OPTIONAL_TURNOVER;
+  if (optional) {
+    warnings.push('Aggregate turnover is within ₹2 crore; filing GSTR-9 is optional for the year');
+  }
+
+  // ---------- Cross-checks against the monthly returns ----------
+  const outwardWithPayment = addTax(addTax(emptySupply(), table4.N), table4.G, -1);
+  const hsn17 = hsnRows(outwardHSN);
+
+  const crossCheck = [
+    compare(
+      '4',
+      'Outward supplies on payment of tax (4N less 4G)',
+      outwardWithPayment,
+      gstr1Totals.withPayment,
+      'GSTR-1 B2B, B2CL, B2CS, EXP (with payment), CDNR, CDNUR'
+    ),
+    compare(
+      '4',
+      'Outward taxable and zero-rated supplies (4N less 4G, plus 5A and 5B)',
+      addTax({ ...outwardWithPayment }, zeroRatedWithoutPayment),
+      gstr3bTotals.outwardTaxableAndZeroRated,
+      'GSTR-3B 3.1(a) + 3.1(b)'
+    ),
+    compare(
+      '4G',
+      'Inward supplies liable to reverse charge',
+      table4.G,
+      gstr3bTotals.inwardReverseCharge,
+      'GSTR-3B 3.1(d)'
+    ),
+    compare(
+      '5',
+      'Zero-rated supplies without payment of tax (5A + 5B, net of notes)',
+      zeroRatedWithoutPayment,
+      gstr1Totals.withoutPayment,
+      'GSTR-1 EXP (without payment), SEZ without payment'
+    ),
+    compare(
+      '5',
+      'Reverse charge, nil-rated, exempt and non-GST supplies (5M less 5A and 5B)',
+      { txval: table5.M.txval - zeroRatedWithoutPayment.txval },
+      { txval: gstr3bTotals.nilExemptNonGST.txval },
+      'GSTR-3B 3.1(c) + 3.1(e)'
+    ),
+    compare('6', 'ITC availed (6I, per books)', table6.I, table6.A, 'GSTR-3B 4A (Table 6A)'),
+    compare('7', 'ITC reversed (7I)', table7.I, gstr3bTotals.itcReversed, 'GSTR-3B 4B'),
+    compare('9', 'Tax payable (4N)', payable, gstr3bTotals.taxPayable, 'GSTR-3B 6.1 tax payable'),
+    compare('17', 'HSN summary of outward supplies', hsnTotal(hsn17), gstr1Totals.hsn, 'GSTR-1 HSN'),
+  ];
+
+  return {
+    gstin: returnGSTIN,
+    financialYear: range.label,
+    legalName: organization.name,
+    tradeName:
+      organization.gstinEntries?.find((entry) => entry.gstin === returnGSTIN)?.tradeName || organization.name,
+    aggregateTurnover: round2(aggregateTurnover),
+    optional,
+    '4': roundTable(table4),
+    '5': roundTable(table5),
+    '6': roundTable(table6),
+    '7': roundTable(table7),
+    '8': roundTable(table8),
+    '9': table9,
+    '10': roundAll(table10),
+    '11': roundAll(table11),
+    '12': roundAll(table12),
+    '13': roundAll(table13),
+    '14': table14,
+    '17': hsn17,
+    '18': hsnRows(inwardHSN),
+    lateFee,
+    crossCheck,
+    differences: crossCheck.filter((check) => check.status === 'DIFFERENCE').length,
+    months,
+    warnings,
+  };
+};
+
+export default {
+  getFinancialYearRange,
+  computeGSTR9LateFee,
+  buildGSTR9,
+};
@@ -0,0 +1,311 @@
+// ============================================
+// FILE: server/services/invoiceCancellationService.js
+// Invoice cancellation: checks what can be unwound, then cancels the
+// IRN/EWB and, in one transaction, reverses stock, releases serials and
+// settles receipts. The invoice and its number are kept.
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+import Receipt from '../models/Receipt.js';
+import Payment from '../models/Payment.js';
+import CreditNote from '../models/CreditNote.js';
+import BankAccount from '../models/BankAccount.js';
+import TCSCollection from '../models/TCSCollection.js';
+import { cancelEInvoice, isIRNCancellable } from './einvoiceService.js';
+import { cancelEWayBill, EWB_CANCEL_WINDOW_HOURS } from './ewayBillService.js';
+import { removeInvoiceTCS } from './tcsService.js';
+import { resolveDocumentRate } from './exchangeRateService.js';
+
+const SALE_INVOICE_TYPES = ['TAX_INVOICE', 'BILL_OF_SUPPLY'];
+
+// Cancellation reasons and the matching IRP / EWB reason codes (the two portals number them differently)
+export const CANCELLATION_REASONS = {
+  DUPLICATE: { label: 'Duplicate', irnCode: 1, ewbCode: 1 },
+  DATA_ENTRY_MISTAKE: { label: 'Data entry mistake', irnCode: 2, ewbCode: 3 },
+  ORDER_CANCELLED: { label: 'Order cancelled', irnCode: 3, ewbCode: 2 },
+  OTHERS: { label: 'Others', irnCode: 4, ewbCode: 4 },
+};
+
+// What happens to money already received against the invoice
+export const RECEIPT_ACTIONS = ['UNLINK', 'REFUND'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Reasons the invoice cannot be cancelled (nothing is changed)
+ * @returns {Promise<Array<string>>}
+ */
+export const getCancellationErrors = async ({ invoice, reasonCode, receiptAction }) => {
+  const errors = [];
+
+  if (invoice.status === 'DRAFT') {
+    errors.push('Drafts have no number to reserve; delete the draft instead');
+  }
+  if (invoice.status === 'CANCELLED') {
+    errors.push('Invoice is already cancelled');
+  }
+  if (reasonCode && !CANCELLATION_REASONS[reasonCode]) {
+    errors.push(`Reason code must be one of ${Object.keys(CANCELLATION_REASONS).join(', ')}`);
+  }
+  if (receiptAction && !RECEIPT_ACTIONS.includes(receiptAction)) {
+    errors.push(`Receipt action must be one of ${RECEIPT_ACTIONS.join(', ')}`);
+  }
+  if (errors.length > 0) return errors;
+
+  // Both portals allow cancellation within 24 hours; after that only a credit note reverses the supply
+  if (invoice.eInvoice?.status === 'GENERATED' && !isIRNCancellable(invoice)) {
+    errors.push(`IRN ${invoice.eInvoice.irn} is past the cancellation window; issue a credit note instead`);
+  }
+  const ewb = invoice.eWayBill;
+  if (
+    ['GENERATED', 'EXPIRED'].includes(ewb?.status) &&
+    Date.now() - new Date(ewb.ewbDate).getTime() > EWB_CANCEL_WINDOW_HOURS * HOUR_MS
+  ) {
+    errors.push(`E-way bill ${ewb.ewbNumber} is past the ${EWB_CANCEL_WINDOW_HOURS}-hour cancellation window`);
+  }
+
+  const [creditNotes, payments, tcsRow] = await Promise.all([
+    CreditNote.countDocuments({ originalInvoice: invoice._id, status: { $ne: 'DRAFT' } }),
+    Payment.find({ invoice: invoice._id }).select('paymentNumber amount'),
+    TCSCollection.findOne({ invoice: invoice._id, challan: { $ne: null } }).select('tcsAmount'),
+  ]);
+
+  if (creditNotes > 0) {
+    errors.push(`Invoice has ${creditNotes} credit note(s) against it; cancel those first`);
+  }
+  if (payments.length > 0) {
+    errors.push(
+      `Invoice has payments recorded (${payments.map((p) => p.paymentNumber).join(', ')}); delete them before cancelling`
+    );
+  }
+  if (tcsRow) {
+    errors.push(`TCS of Rs ${tcsRow.tcsAmount} on this invoice is already deposited; reverse it with a credit note instead`);
+  }
+
+  return errors;
+};
+
+/**
+ * Put sold stock back with RETURN movements (credit-note invoices take it out again)
+ */
+const reverseStock = async ({ invoice, userId, session }) => {
+  const isCreditNote = invoice.invoiceType === 'CREDIT_NOTE';
+  if (!SALE_INVOICE_TYPES.includes(invoice.invoiceType) && !isCreditNote) return [];
+
+  const reversed = [];
+  for (const item of invoice.items) {
+    const productId = item.productId || item.product;
+    if (!productId) continue;
+
+    const product = await Product.findById(productId).session(session);
+    if (!product || !product.trackInventory) continue;
+
+    const reference = `Invoice ${invoice.invoiceNumber} cancelled`;
+    if (isCreditNote) {
+      await product.reduceStock(item.quantity, reference, invoice._id, userId, 'Main Warehouse');
+    } else {
+      await product.increaseStock(item.quantity, reference, invoice._id, userId, 'Main Warehouse');
+    }
+    reversed.push({ product: product._id, name: product.name, quantity: isCreditNote ? -item.quantity : item.quantity });
+  }
+  return reversed;
+};
+
+/**
+ * Serial numbers sold on the invoice go back in stock
+ */
+const releaseSerials = async ({ invoice, session }) => {
+  const products = await Product.find({ 'serialNumbers.invoiceId': invoice._id }).session(session);
+  const released = [];
+
+  for (const product of products) {
+    product.serialNumbers
+      .filter((serial) => serial.invoiceId?.toString() === invoice._id.toString())
+      .forEach((serial) => {
+        serial.status = 'IN_STOCK';
+        serial.invoiceId = null;
+        serial.soldTo = null;
+        serial.soldDate = null;
+        released.push({ product: product._id, serialNumber: serial.serialNumber });
+      });
+    await product.save();
+  }
+  return released;
+};
+
+/**
+ * Take receipts off the invoice
+ * UNLINK keeps the money as an on-account credit of the client; REFUND also
+ * books a refund receipt paying the cash back.
+ */
+const settleReceipts = async ({ invoice, receiptAction, refund = {}, user, session }) => {
+  const receipts = await Receipt.find({
+    organization: invoice.organization,
+    invoice: invoice._id,
+    status: { $ne: 'CANCELLED' },
+  }).session(session);
+  if (receipts.length === 0) return { unlinked: [], refund: null };
+
+  const note = `Unlinked from cancelled invoice ${invoice.invoiceNumber}`;
+  for (const receipt of receipts) {
+    receipt.receiptType = 'ON_ACCOUNT';
+    receipt.invoice = null;
+    receipt.invoiceAllocation = undefined;
+    receipt.itemAllocations = [];
+    // No settlement, so no realised exchange difference
+    receipt.forex = undefined;
+    receipt.internalNotes = receipt.internalNotes ? `${receipt.internalNotes}\n${note}` : note;
+    await receipt.save();
+  }
+
+  const unlinked = receipts.map((r) => ({ _id: r._id, receiptNumber: r.receiptNumber, amount: r.totalReceipt }));
+  if (receiptAction !== 'REFUND') return { unlinked, refund: null };
+
+  // TDS deducted by the client is not cash we hold; only cash is paid back
+  const refundAmount = round2(receipts.reduce((sum, r) => sum + (r.totalCashReceived || 0), 0));
+  if (refundAmount <= 0) return { unlinked, refund: null };
+
+  const bankId = refund.bankId || receipts[0].bank;
+  const bank = await BankAccount.findOne({ _id: bankId, organization: invoice.organization }).session(session);
+  if (!bank) {
+    throw new Error('Refund bank account not found');
+  }
+
+  const rate = await resolveDocumentRate({
+    organizationId: invoice.organization,
+    currency: invoice.currency,
+    exchangeRate: refund.exchangeRate,
+    date: refund.date || new Date(),
+  });
+  if (rate.errors.length > 0) {
+    throw new Error(rate.errors.join('; '));
+  }
+
+  const receiptCount = await Receipt.countDocuments({ organization: invoice.organization }).session(session);
+  const [refundReceipt] = await Receipt.create([{
+    receiptNumber: `REC-${String(receiptCount + 1).padStart(5, '0')}`,
+    receiptType: 'REFUND',
+    client: invoice.client?._id || invoice.client,
+    bank: bank._id,
+    receiptDate: refund.date || new Date(),
+    items: [
+      {
+        type: 'RETURN_REFUND',
+        amount: refundAmount,
+        returnReason: 'Invoice cancelled',
+        originalInvoiceNumber: invoice.invoiceNumber,
+      },
+    ],
+    currency: rate.currency,
+    exchangeRate: rate.exchangeRate,
+    paymentMode: refund.paymentMode || 'BANK_TRANSFER',
+    referenceNumber: refund.referenceNumber,
+    notes: `Refund on cancellation of ${invoice.invoiceNumber} (${unlinked.map((r) => r.receiptNumber).join(', ')})`,
+    organization: invoice.organization,
+    createdBy: user.id,
+  }], { session });
+
+  // Refund receipts carry a negative total, so this pays the money out
+  bank.currentBalance = (bank.currentBalance || 0) + (refundReceipt.inrTotalReceipt ?? refundReceipt.totalReceipt);
+  await bank.save();
+
+  return {
+    unlinked,
+    refund: { _id: refundReceipt._id, receiptNumber: refundReceipt.receiptNumber, amount: refundAmount },
+  };
+};
+
+/**
+ * Cancel an issued invoice and unwind its side effects
+ * Call getCancellationErrors first. Portal cancellations run before anything
+ * local changes and are saved on the invoice as each succeeds, so a failed
+ * attempt can be retried; the local changes then commit or roll back together.
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice document
+ * @param {Object} params.organization
+ * @param {string} params.reason - Free-text reason printed on the invoice
+ * @param {string} [params.reasonCode] - Key of CANCELLATION_REASONS (default ORDER_CANCELLED)
+ * @param {string} [params.receiptAction] - UNLINK (default) or REFUND
+ * @param {Object} [params.refund] - { bankId, paymentMode, referenceNumber, exchangeRate, date }
+ * @param {Object} params.user - req.user
+ * @returns {Promise<Object>} What was reversed
+ */
+export const cancelInvoice = async ({
+  invoice,
+  organization,
+  reason,
+  reasonCode = 'ORDER_CANCELLED',
+  receiptAction = 'UNLINK',
+  refund,
+  user,
+}) => {
+  const codes = CANCELLATION_REASONS[reasonCode];
+  const summary = { eWayBill: null, eInvoice: null };
+  const hasIRN = invoice.eInvoice?.status === 'GENERATED';
+
+  // The e-way bill has to go before the IRN, so only touch it once the IRN can follow
+  if (hasIRN && !isIRNCancellable(invoice)) {
+    return {
+      success: false,
+      errors: [`IRN ${invoice.eInvoice.irn} is past the cancellation window; issue a credit note instead`],
+    };
+  }
+  if (['GENERATED', 'EXPIRED'].includes(invoice.eWayBill?.status)) {
+    const result = await cancelEWayBill(invoice, organization, codes.ewbCode, reason);
+    if (!result.success) return { success: false, errors: result.errors.map((e) => e.message) };
+    summary.eWayBill = result.eWayBill.ewbNumber;
+  }
+  if (hasIRN) {
+    const result = await cancelEInvoice(invoice, organization, codes.irnCode, reason);
+    if (!result.success) {
+      const errors = result.errors.map((e) => e.message);
+      if (summary.eWayBill) {
+        errors.push(`E-way bill ${summary.eWayBill} is already cancelled; retry to cancel the IRN and the invoice`);
+      }
+      return { success: false, errors };
+    }
+    summary.eInvoice = result.eInvoice.irn;
+  }
+
+  const session = await Invoice.startSession();
+  session.startTransaction();
+
+  try {
+    await removeInvoiceTCS({ organizationId: invoice.organization, invoice, session });
+
+    summary.stock = await reverseStock({ invoice, userId: user.id, session });
+    summary.serials = await releaseSerials({ invoice, session });
+    summary.receipts = await settleReceipts({ invoice, receiptAction, refund, user, session });
+
+    invoice.status = 'CANCELLED';
+    invoice.cancelledAt = new Date();
+    invoice.cancelledBy = user.id;
+    invoice.cancelReason = reason;
+    invoice.cancelReasonCode = reasonCode;
+    invoice.paidAmount = 0;
+    invoice.balanceAmount = 0;
+    await invoice.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    // Nothing local is changed; the portal cancellations stay recorded on the invoice
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(`🚫 Invoice ${invoice.invoiceNumber} cancelled: ${reason}`);
+
+  return { success: true, summary };
+};
+
+export default {
+  CANCELLATION_REASONS,
+  RECEIPT_ACTIONS,
+  getCancellationErrors,
+  cancelInvoice,
+};
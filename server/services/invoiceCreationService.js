@@ -0,0 +1,257 @@
+// ============================================
+// FILE: server/services/invoiceCreationService.js
+// Pricing and saving of new invoices, shared by the invoice form and the
+// bulk import: totals with TCS, INR values and numbering, then the TCS
+// register, stock movement and the CREATE revision.
+// ============================================
+
+import Invoice from '../models/Invoice.js';
+import Product from '../models/Product.js';
+import Organization from '../models/Organization.js';
+import { isForeignCurrency } from '../utils/currencies.js';
+import { amountToWords } from '../utils/numberToWords.js';
+import { allocateInvoiceNumber } from '../utils/invoiceNumberGenerator.js';
+import { applyINRValues } from './exchangeRateService.js';
+import { computeInvoiceTCS, recordInvoiceTCS } from './tcsService.js';
+import { recordInvoiceRevision } from './invoiceRevisionService.js';
+
+// Outward sale documents that move stock (bills of supply for composition dealers)
+export const SALE_INVOICE_TYPES = ['TAX_INVOICE', 'BILL_OF_SUPPLY'];
+
+/**
+ * Totals of an invoice from its GST breakdown
+ * The discount comes off the taxable value. Income-tax TCS (206C) is computed
+ * in INR on the value including GST and carried in the invoice currency.
+ * @param {Object} params
+ * @param {Object} params.organization
+ * @param {Object} params.client
+ * @param {Object} params.invoice - invoiceType, invoiceDate, gstBreakdown, supplyType, documentRate,
+ *   discountType, discountValue, tdsAmount, tcsSection
+ * @returns {Promise<Object>} { subtotal, discountAmount, tcs, tcsAmount, totalAmount, roundOff }
+ */
+export const priceInvoice = async ({ organization, client, invoice }) => {
+  const { gstBreakdown, documentRate } = invoice;
+  const subtotal = gstBreakdown.items.reduce((sum, item) => sum + item.amount, 0);
+
+  let discountAmount = 0;
+  if (invoice.discountType === 'PERCENTAGE') {
+    discountAmount = (subtotal * invoice.discountValue) / 100;
+  } else {
+    discountAmount = invoice.discountValue || 0;
+  }
+
+  const tcs = await computeInvoiceTCS({
+    organization,
+    client,
+    invoice: {
+      invoiceType: invoice.invoiceType,
+      invoiceDate: invoice.invoiceDate || new Date(),
+      items: gstBreakdown.items,
+      subtotal,
+      discountAmount,
+      totalTax: gstBreakdown.totalTax,
+      supplyType: invoice.supplyType,
+      exchangeRate: documentRate.exchangeRate,
+    },
+    section: invoice.tcsSection,
+  });
+  // TCS is computed in INR; the invoice carries it in its own currency
+  const tcsAmount = parseFloat((tcs.tcsAmount / documentRate.exchangeRate).toFixed(2));
+
+  const totalAmount =
+    subtotal - discountAmount + gstBreakdown.totalTax + tcsAmount - (invoice.tdsAmount || 0);
+  // Foreign-currency totals are not rounded to whole units
+  const finalTotal = isForeignCurrency(documentRate.currency)
+    ? parseFloat(totalAmount.toFixed(2))
+    : Math.round(totalAmount);
+
+  return {
+    subtotal,
+    discountAmount,
+    tcs,
+    tcsAmount,
+    totalAmount: finalTotal,
+    roundOff: finalTotal - totalAmount,
+  };
+};
+
+// Sales take stock out, credit notes put it back
+const moveStock = async ({ invoice, userId, warnings }) => {
+  const isSale = SALE_INVOICE_TYPES.includes(invoice.invoiceType);
+  if (!isSale && invoice.invoiceType !== 'CREDIT_NOTE') return;
+
+  for (const item of invoice.items) {
+    const productId = item.productId || item.product;
+    if (!productId) continue;
+
+    try {
+      const product = await Product.findById(productId);
+      if (!product || !product.trackInventory) continue;
+
+      if (isSale) {
+        await product.reduceStock(item.quantity, `Invoice ${invoice.invoiceNumber}`, invoice._id, userId, 'Main Warehouse');
+      } else {
+        await product.increaseStock(item.quantity, `Credit Note ${invoice.invoiceNumber}`, invoice._id, userId, 'Main Warehouse');
+      }
+    } catch (stockError) {
+      console.error('Stock movement error:', stockError);
+      warnings.push(`Stock not updated for ${item.description}: ${stockError.message}`);
+    }
+  }
+};
+
+/**
+ * Number and save a priced invoice, then record what follows every new invoice
+ * The invoice exists once it is saved: a failure in the TCS register, stock
+ * movement or revision history after that is returned as a warning, not thrown.
+ * @param {Object} params
+ * @param {Object} params.organization
+ * @param {Object} params.client
+ * @param {Object} params.invoice - As for priceInvoice, plus items (lines with GST, in the invoice
+ *   currency), dueDate, placeOfSupply, exportDetails, stockTransfer, tdsSection, tdsRate, notes
+ * @param {Object} params.priced - From priceInvoice
+ * @param {string} [params.invoiceNumber] - Number from the caller's own series; when omitted the
+ *   next number of the invoice date's financial year comes from invoiceNumberGenerator
+ * @param {Object} [params.fields] - Further Invoice fields set by the caller
+ * @param {Object} params.user - req.user
+ * @returns {Promise<Object>} { invoice (client populated), warnings }
+ */
+export const createInvoice = async ({
+  organization,
+  client,
+  invoice: plan,
+  priced,
+  invoiceNumber: callerNumber,
+  fields = {},
+  user,
+}) => {
+  const { gstBreakdown, documentRate } = plan;
+
+  // INR values per line and in total for GST reporting
+  const inrValues = isForeignCurrency(documentRate.currency)
+    ? applyINRValues(
+        plan.items,
+        {
+          subtotal: priced.subtotal,
+          discountAmount: priced.discountAmount,
+          cgst: gstBreakdown.totalCGST,
+          sgst: gstBreakdown.totalSGST,
+          igst: gstBreakdown.totalIGST,
+          cess: gstBreakdown.totalCess,
+          totalTax: gstBreakdown.totalTax,
+          tdsAmount: plan.tdsAmount || 0,
+          tcsAmount: priced.tcsAmount,
+          roundOff: priced.roundOff,
+          totalAmount: priced.totalAmount,
+        },
+        documentRate.exchangeRate
+      )
+    : null;
+
+  // Next number in the series of the invoice date's financial year
+  const invoiceNumber =
+    callerNumber ||
+    (await allocateInvoiceNumber(organization._id, Organization, plan.invoiceDate)).invoiceNumber;
+
+  const invoice = await Invoice.create({
+    ...fields,
+    invoiceNumber,
+    invoiceType: plan.invoiceType,
+    client: client._id,
+    invoiceDate: plan.invoiceDate,
+    dueDate: plan.dueDate,
+    items: inrValues ? inrValues.items : plan.items,
+
+    subtotal: parseFloat(priced.subtotal.toFixed(2)),
+    discountType: plan.discountType,
+    discountValue: plan.discountValue,
+    discountAmount: parseFloat(priced.discountAmount.toFixed(2)),
+
+    cgst: gstBreakdown.totalCGST,
+    sgst: gstBreakdown.totalSGST,
+    igst: gstBreakdown.totalIGST,
+    cess: gstBreakdown.totalCess,
+    totalTax: gstBreakdown.totalTax,
+
+    tdsSection: plan.tdsSection || null,
+    tdsRate: plan.tdsRate || 0,
+    tdsAmount: plan.tdsAmount || 0,
+
+    tcsApplicable: priced.tcsAmount > 0,
+    tcsSection: priced.tcs.section,
+    tcsRate: priced.tcs.rate,
+    tcsBaseAmount: priced.tcs.baseAmount,
+    tcsAmount: priced.tcsAmount,
+
+    placeOfSupply: plan.placeOfSupply,
+    supplyType: plan.supplyType,
+    exportDetails: plan.exportDetails,
+
+    isStockTransfer: plan.stockTransfer.isStockTransfer,
+    stockTransfer: plan.stockTransfer.stockTransfer,
+
+    roundOff: parseFloat(priced.roundOff.toFixed(2)),
+    totalAmount: priced.totalAmount,
+    amountInWords: amountToWords(priced.totalAmount, documentRate.currency),
+
+    currency: documentRate.currency,
+    exchangeRate: documentRate.exchangeRate,
+    inrTotals: inrValues?.inrTotals,
+
+    paidAmount: 0,
+    balanceAmount: priced.totalAmount,
+    status: 'PENDING',
+    notes: plan.notes,
+
+    gstCalculationMeta: {
+      clientStateCode: gstBreakdown.transactionInfo?.clientState || 'N/A',
+      orgStateCode: gstBreakdown.transactionInfo?.orgState || 'N/A',
+      transactionType: gstBreakdown.transactionInfo?.type,
+      isInterstate: gstBreakdown.isInterstate,
+      gstSplit: gstBreakdown.transactionInfo?.gstSplit,
+      clientState: gstBreakdown.transactionInfo?.clientState,
+      orgState: gstBreakdown.transactionInfo?.orgState,
+      calculatedAt: new Date(),
+    },
+    organization: organization._id,
+  });
+
+  console.log(`📝 Invoice created: ${invoice.invoiceNumber}`);
+
+  const warnings = [];
+  const afterSave = async (step, action) => {
+    try {
+      await action();
+    } catch (error) {
+      console.error(`${step} failed for invoice ${invoice.invoiceNumber}:`, error);
+      warnings.push(`${step} failed: ${error.message}`);
+    }
+  };
+
+  // TCS payable register
+  await afterSave('TCS register', () =>
+    recordInvoiceTCS({
+      organizationId: organization._id,
+      invoice,
+      client,
+      computation: priced.tcs,
+      userId: user.id,
+    })
+  );
+
+  await moveStock({ invoice, userId: user.id, warnings });
+
+  let populatedInvoice = invoice;
+  await afterSave('Revision history', async () => {
+    populatedInvoice = await Invoice.findById(invoice._id).populate('client');
+    await recordInvoiceRevision({ invoice: populatedInvoice, user, source: 'CREATE' });
+  });
+
+  return { invoice: populatedInvoice, warnings };
+};
+
+export default {
+  SALE_INVOICE_TYPES,
+  priceInvoice,
+  createInvoice,
+};
@@ -0,0 +1,654 @@
+// ============================================
+// FILE: server/services/invoiceImportService.js
+// Bulk invoice import from CSV/XLSX: one row per line item, grouped
+// into invoices by a reference column. Every invoice is validated and
+// priced first (dry run); committing creates them in order.
+// ============================================
+
+import fs from 'fs';
+import path from 'path';
+import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
+import Invoice from '../models/Invoice.js';
+import Client from '../models/Client.js';
+import Product from '../models/Product.js';
+import { GST_RATE_SLABS } from '../models/HSNCode.js';
+import { calculateGSTBreakdown, applyRateSchedule } from '../utils/gstCalculator.js';
+import { resolveDocumentPlaceOfSupply } from '../utils/placeOfSupply.js';
+import { resolveExportSupply, resolveSupplierGstin } from '../utils/exportSupply.js';
+import { resolveStockTransfer } from '../utils/stockTransfer.js';
+import { isCompositionOrganization, validateCompositionSupply } from '../utils/compositionScheme.js';
+import { formatInvoiceNumber, getFinancialYearForDate } from '../utils/invoiceNumberGenerator.js';
+import { resolveDocumentRate } from './exchangeRateService.js';
+import { findPeriodLock } from './periodLockService.js';
+import { priceInvoice, createInvoice } from './invoiceCreationService.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const IMPORT_INVOICE_TYPES = ['TAX_INVOICE', 'BILL_OF_SUPPLY'];
+
+// Accepted headers (normalised: lower case, runs of other characters as _) per field
+export const IMPORT_COLUMNS = {
+  reference: ['reference', 'ref', 'invoice_ref', 'invoice_reference', 'order_no', 'order_number', 'order_id'],
+  clientGstin: ['client_gstin', 'customer_gstin', 'buyer_gstin', 'gstin'],
+  clientCode: ['client_code', 'customer_code'],
+  invoiceDate: ['invoice_date', 'date'],
+  dueDate: ['due_date'],
+  invoiceType: ['invoice_type'],
+  placeOfSupply: ['place_of_supply', 'pos'],
+  currency: ['currency'],
+  exchangeRate: ['exchange_rate'],
+  poNumber: ['po_number', 'po_no'],
+  notes: ['notes', 'remarks'],
+  product: ['product', 'product_name', 'item', 'item_name'],
+  hsnSacCode: ['hsn', 'hsn_code', 'hsn_sac', 'hsn_sac_code', 'sac'],
+  description: ['description', 'item_description'],
+  quantity: ['quantity', 'qty'],
+  unit: ['unit', 'uom'],
+  rate: ['rate', 'price', 'unit_price'],
+  gstRate: ['gst_rate', 'tax_rate'],
+  discountPercent: ['discount_percent', 'discount'],
+};
+
+// Fields every row of an invoice must agree on
+const HEADER_FIELDS = [
+  'clientGstin',
+  'clientCode',
+  'invoiceDate',
+  'dueDate',
+  'invoiceType',
+  'placeOfSupply',
+  'currency',
+  'exchangeRate',
+  'poNumber',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const normaliseHeader = (header) =>
+  String(header || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+/**
+ * Map a raw row (normalised headers) onto IMPORT_COLUMNS fields
+ */
+const mapRow = (raw, row) => {
+  const mapped = { row };
+  Object.entries(IMPORT_COLUMNS).forEach(([field, headers]) => {
+    const header = headers.find((h) => raw[h] !== undefined && raw[h] !== null && String(raw[h]).trim() !== '');
+    if (header) {
+      const value = raw[header];
+      mapped[field] = value instanceof Date ? value : String(value).trim();
+    }
+  });
+  return mapped;
+};
+
+// Plain value of an ExcelJS cell (formulas, rich text and hyperlinks included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return '';
+  }
+  return value;
+};
+
+const readCSV = (filePath) =>
+  new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => normaliseHeader(header) }))
+      .on('data', (raw) => rows.push(raw))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+
+const readXLSX = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normaliseHeader(cellValue(cell.value));
+  });
+
+  const rows = [];
+  for (let index = 2; index <= sheet.rowCount; index += 1) {
+    const raw = {};
+    sheet.getRow(index).eachCell((cell, column) => {
+      if (headers[column]) raw[headers[column]] = cellValue(cell.value);
+    });
+    rows.push(raw);
+  }
+  return rows;
+};
+
+/**
+ * Read an uploaded CSV or XLSX into import rows
+ * Rows are numbered as in the file (header = row 1); blank rows are skipped.
+ * @param {Object} params
+ * @param {string} params.filePath
+ * @param {string} params.originalName - Decides the format by extension
+ * @returns {Promise<Array<Object>>}
+ */
+export const readImportRows = async ({ filePath, originalName }) => {
+  const extension = path.extname(originalName || filePath).toLowerCase();
+  const rawRows = extension === '.xlsx' ? await readXLSX(filePath) : await readCSV(filePath);
+
+  return rawRows
+    .map((raw, index) => mapRow(raw, index + 2))
+    .filter((row) => Object.keys(row).length > 1);
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// ISO dates, or DD/MM/YYYY and DD-MM-YYYY as written in India
+const parseImportDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? NaN : value;
+
+  const text = String(value).trim();
+  const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  const date = dmy ? new Date(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1])) : new Date(text);
+  return Number.isNaN(date.getTime()) ? NaN : date;
+};
+
+const sameValue = (a, b) =>
+  (a instanceof Date ? a.getTime() : String(a ?? '').toUpperCase()) ===
+  (b instanceof Date ? b.getTime() : String(b ?? '').toUpperCase());
+
+/**
+ * Group rows into invoices by reference, in order of first appearance
+ */
+const groupRows = (rows, errors) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!row.reference) {
+      errors.push({ row: row.row, reference: null, message: 'Reference is required to group lines into invoices' });
+      return;
+    }
+    if (!groups.has(row.reference)) groups.set(row.reference, []);
+    groups.get(row.reference).push(row);
+  });
+  return groups;
+};
+
+/**
+ * Resolve the client of an invoice by code (exact) or GSTIN
+ */
+const resolveClient = (header, clients) => {
+  if (header.clientCode) {
+    const client = clients.find((c) => c.clientCode?.toUpperCase() === header.clientCode.toUpperCase());
+    if (!client) return { error: `Client code ${header.clientCode} not found` };
+    if (header.clientGstin && client.gstin?.toUpperCase() !== header.clientGstin.toUpperCase()) {
+      return { error: `Client ${header.clientCode} has GSTIN ${client.gstin || 'none'}, not ${header.clientGstin}` };
+    }
+    return { client };
+  }
+  if (header.clientGstin) {
+    const matches = clients.filter((c) => c.gstin?.toUpperCase() === header.clientGstin.toUpperCase());
+    if (matches.length === 0) return { error: `No client with GSTIN ${header.clientGstin}` };
+    if (matches.length > 1) {
+      return { error: `${matches.length} clients share GSTIN ${header.clientGstin}; add the client code` };
+    }
+    return { client: matches[0] };
+  }
+  return { error: 'Client GSTIN or client code is required' };
+};
+
+/**
+ * Resolve the product of a line by name, else by HSN when only one product carries it
+ * Lines with neither match are billed as free-text items if they give description, HSN, rate and GST rate.
+ */
+const resolveProduct = (row, products) => {
+  if (row.product) {
+    const name = row.product.toLowerCase();
+    const product = products.find((p) => p.name.toLowerCase() === name);
+    return product ? { product } : { error: `Product "${row.product}" not found` };
+  }
+  if (row.hsnSacCode) {
+    const matches = products.filter((p) => p.hsnSacCode === row.hsnSacCode.replace(/\s/g, ''));
+    if (matches.length === 1) return { product: matches[0] };
+    if (row.description && row.rate !== undefined && row.gstRate !== undefined) return { product: null };
+    return {
+      error:
+        matches.length > 1
+          ? `${matches.length} products have HSN ${row.hsnSacCode}; give the product name`
+          : `No product with HSN ${row.hsnSacCode}; give description, rate and GST rate for a free-text line`,
+    };
+  }
+  return { error: 'Product name or HSN/SAC code is required' };
+};
+
+/**
+ * Invoice line from an import row (before GST)
+ * @returns {Object} { item, errors }
+ */
+const buildLine = (row, products, hsnDigitsRequired) => {
+  const errors = [];
+  const resolved = resolveProduct(row, products);
+  if (resolved.error) return { errors: [resolved.error] };
+
+  const { product } = resolved;
+  const quantity = parseNumber(row.quantity);
+  const rate = row.rate !== undefined ? parseNumber(row.rate) : product?.rate;
+  const gstRate = row.gstRate !== undefined ? parseNumber(row.gstRate) : product?.gstRate;
+  const discountPercent = parseNumber(row.discountPercent);
+  const hsnSacCode = (row.hsnSacCode || product?.hsnSacCode || '').replace(/\s/g, '');
+
+  if (!(quantity > 0)) errors.push('Quantity must be a positive number');
+  if (!(rate >= 0)) errors.push('Rate must be a number of zero or more');
+  if (!GST_RATE_SLABS.includes(gstRate)) errors.push(`GST rate ${row.gstRate ?? gstRate} is not a notified slab`);
+  if (discountPercent !== null && !(discountPercent >= 0 && discountPercent <= 100)) {
+    errors.push('Discount must be a percentage between 0 and 100');
+  }
+  if (!hsnSacCode) {
+    errors.push('HSN/SAC code is required');
+  } else if (hsnDigitsRequired === 4 && hsnSacCode.length !== 4) {
+    errors.push(`HSN code must be exactly 4 digits (turnover ≤ ₹5 crore), found ${hsnSacCode}`);
+  } else if (hsnDigitsRequired === 6 && hsnSacCode.length < 6) {
+    errors.push(`HSN code must be at least 6 digits (turnover > ₹5 crore), found ${hsnSacCode}`);
+  }
+  if (errors.length > 0) return { errors };
+
+  const item = {
+    itemType: product?.type || (hsnSacCode.startsWith('99') ? 'SERVICE' : 'PRODUCT'),
+    description: row.description || product?.name,
+    hsnSacCode,
+    quantity,
+    unit: row.unit || product?.unit || 'UNIT',
+    rate,
+    amount: quantity * rate,
+    gstRate,
+    cessRate: product?.cessRate || 0,
+    cessPerUnit: product?.cessPerUnit || 0,
+    ...(discountPercent ? { discountType: 'PERCENTAGE', discountValue: discountPercent } : {}),
+    ...(product?.type === 'SERVICE' && product.posCategory ? { posCategory: product.posCategory } : {}),
+    ...(product ? { product: product._id } : {}),
+  };
+
+  return { item, errors: [] };
+};
+
+/**
+ * Header fields of an invoice, checked for agreement across its rows
+ */
+const buildHeader = (rows, errors, reference) => {
+  const header = {};
+  HEADER_FIELDS.forEach((field) => {
+    const row = rows.find((r) => r[field] !== undefined);
+    if (!row) return;
+    header[field] = row[field];
+    rows
+      .filter((r) => r[field] !== undefined && !sameValue(r[field], row[field]))
+      .forEach((r) =>
+        errors.push({ row: r.row, reference, message: `${field} "${r[field]}" differs from "${row[field]}" on row ${row.row}` })
+      );
+  });
+  header.notes = rows
+    .map((r) => r.notes)
+    .filter(Boolean)
+    .join('\n');
+  return header;
+};
+
+/**
+ * Validate and price the invoices in import rows without saving anything
+ * @param {Object} params
+ * @param {Object} params.organization - Organization document
+ * @param {Array} params.rows - From readImportRows
+ * @returns {Promise<Object>} { invoices, errors, warnings, summary }
+ *   invoices carry what commitInvoiceImport needs; errors are { row, reference, message }
+ */
+export const buildInvoiceImport = async ({ organization, rows }) => {
+  const errors = [];
+  const warnings = [];
+
+  if (rows.length === 0) {
+    errors.push({ row: null, reference: null, message: 'The file has no rows' });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push({ row: null, reference: null, message: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+  }
+  if (errors.length > 0) return { invoices: [], errors, warnings, summary: { rows: rows.length, invoices: 0 } };
+
+  const groups = groupRows(rows, errors);
+  const references = [...groups.keys()];
+
+  const [clients, products, imported] = await Promise.all([
+    Client.find({ organization: organization._id, isActive: { $ne: false }, isArchived: { $ne: true } }),
+    Product.find({ organization: organization._id, isActive: { $ne: false } }),
+    Invoice.find({ organization: organization._id, importReference: { $in: references } }).select(
+      'importReference invoiceNumber'
+    ),
+  ]);
+
+  const hsnDigitsRequired = organization.hsnDigitsRequired || 4;
+  const invoices = [];
+
+  for (const [reference, groupRowsList] of groups) {
+    const rowNumbers = groupRowsList.map((r) => r.row);
+    const invoiceErrors = [];
+    const fail = (message, row = rowNumbers[0]) => invoiceErrors.push({ row, reference, message });
+
+    const existing = imported.find((inv) => inv.importReference === reference);
+    if (existing) {
+      fail(`Reference already imported as invoice ${existing.invoiceNumber}`);
+    }
+
+    const header = buildHeader(groupRowsList, invoiceErrors, reference);
+    const { client, error: clientError } = resolveClient(header, clients);
+    if (clientError) fail(clientError);
+
+    const invoiceDate = parseImportDate(header.invoiceDate) ?? new Date();
+    const parsedDueDate = parseImportDate(header.dueDate);
+    if (Number.isNaN(invoiceDate)) fail(`Invoice date "${header.invoiceDate}" is not a date`);
+    if (Number.isNaN(parsedDueDate)) fail(`Due date "${header.dueDate}" is not a date`);
+
+    const invoiceType =
+      header.invoiceType?.toUpperCase().replace(/\s+/g, '_') ||
+      (isCompositionOrganization(organization) ? 'BILL_OF_SUPPLY' : 'TAX_INVOICE');
+    if (!IMPORT_INVOICE_TYPES.includes(invoiceType)) {
+      fail(`Invoice type must be one of ${IMPORT_INVOICE_TYPES.join(', ')}`);
+    }
+
+    const items = [];
+    groupRowsList.forEach((row) => {
+      const line = buildLine(row, products, hsnDigitsRequired);
+      line.errors.forEach((message) => fail(message, row.row));
+      if (line.item) items.push({ ...line.item, row: row.row });
+    });
+
+    if (invoiceErrors.length > 0 || !client) {
+      errors.push(...invoiceErrors);
+      invoices.push({ reference, rows: rowNumbers, valid: false });
+      continue;
+    }
+
+    // Rates notified for the invoice date take precedence over entered rates
+    const rateSchedule = await applyRateSchedule(items, invoiceDate);
+    rateSchedule.conflicts.forEach((c) =>
+      fail(`GST rate does not match the rate schedule for ${c.description} (HSN ${c.hsnSacCode}: ${c.scheduledRates.join('/')}%)`)
+    );
+    rateSchedule.adjustments.forEach((a) =>
+      warnings.push({
+        row: rowNumbers[0],
+        reference,
+        message: `${a.description}: GST ${a.enteredRate}% → ${a.appliedRate}% (HSN ${a.matchedCode} schedule)`,
+      })
+    );
+
+    // Place of supply decides the CGST/SGST vs IGST split
+    let placeOfSupply;
+    try {
+      placeOfSupply = resolveDocumentPlaceOfSupply({
+        organization,
+        override: header.placeOfSupply ? { stateCode: header.placeOfSupply } : undefined,
+        client,
+        items: rateSchedule.items,
+      });
+      placeOfSupply.warnings.forEach((message) => warnings.push({ row: rowNumbers[0], reference, message }));
+    } catch (error) {
+      fail(error.message);
+    }
+
+    const exportSupply = resolveExportSupply({ organization, client, invoiceDate });
+    exportSupply.errors.forEach((message) => fail(message));
+    exportSupply.warnings.forEach((message) => warnings.push({ row: rowNumbers[0], reference, message }));
+
+    const documentRate = await resolveDocumentRate({
+      organizationId: organization._id,
+      currency: header.currency?.toUpperCase(),
+      exchangeRate: parseNumber(header.exchangeRate) ?? undefined,
+      date: invoiceDate,
+    });
+    documentRate.errors.forEach((message) => fail(message));
+
+    if (placeOfSupply) {
+      validateCompositionSupply({
+        organization,
+        invoiceType,
+        placeOfSupply,
+        supplyType: exportSupply.supplyType,
+      }).forEach((message) => fail(message));
+    }
+
+    const stockTransfer = resolveStockTransfer({ organization, client });
+    stockTransfer.errors.forEach((message) => fail(message));
+
+    // Filed periods are closed to new invoices
+    const lock = await findPeriodLock({
+      organizationId: organization._id,
+      gstin: resolveSupplierGstin(organization),
+      dates: [invoiceDate],
+    });
+    if (lock) fail(`${lock.period.substring(0, 2)}/${lock.period.substring(2)} is locked for GSTIN ${lock.gstin}`);
+
+    if (invoiceErrors.length > 0) {
+      errors.push(...invoiceErrors);
+      invoices.push({ reference, rows: rowNumbers, valid: false });
+      continue;
+    }
+
+    let gstBreakdown;
+    try {
+      gstBreakdown = calculateGSTBreakdown(rateSchedule.items, client.gstin, organization.gstin, {
+        placeOfSupply,
+        supplyType: exportSupply.supplyType,
+        billOfSupply: isCompositionOrganization(organization),
+      });
+    } catch (error) {
+      errors.push({ row: rowNumbers[0], reference, message: error.message });
+      invoices.push({ reference, rows: rowNumbers, valid: false });
+      continue;
+    }
+    const subtotal = gstBreakdown.items.reduce((sum, item) => sum + item.amount, 0);
+
+    const invoice = {
+      reference,
+      rows: rowNumbers,
+      valid: true,
+      client,
+      invoiceType,
+      invoiceDate,
+      dueDate: parsedDueDate || new Date(invoiceDate.getTime() + (client.paymentTerms ?? 30) * DAY_MS),
+      poNumber: header.poNumber,
+      notes: header.notes || undefined,
+      placeOfSupply,
+      supplyType: exportSupply.supplyType,
+      exportDetails: exportSupply.exportDetails,
+      stockTransfer,
+      documentRate,
+      gstBreakdown,
+      subtotal,
+    };
+    Object.assign(invoice, await priceInvoice({ organization, client, invoice }));
+    invoices.push(invoice);
+  }
+
+  // Stock is checked against everything the batch sells, not line by line
+  const required = new Map();
+  invoices
+    .filter((inv) => inv.valid)
+    .forEach((inv) =>
+      inv.gstBreakdown.items
+        .filter((item) => item.product)
+        .forEach((item) => {
+          const key = item.product.toString();
+          const entry = required.get(key) || { quantity: 0, rowsByReference: new Map() };
+          entry.quantity += item.quantity;
+          if (!entry.rowsByReference.has(inv.reference)) entry.rowsByReference.set(inv.reference, item.row);
+          required.set(key, entry);
+        })
+    );
+  required.forEach((entry, productId) => {
+    const product = products.find((p) => p._id.toString() === productId);
+    if (product && product.type === 'PRODUCT' && product.trackInventory && !product.isStockAvailable(entry.quantity)) {
+      entry.rowsByReference.forEach((row, reference) => {
+        errors.push({
+          row,
+          reference,
+          message: `${product.name}: the import needs ${entry.quantity} ${product.unit}, only ${product.currentStock} available`,
+        });
+        const invoice = invoices.find((inv) => inv.reference === reference);
+        invoice.valid = false;
+      });
+    }
+  });
+
+  const valid = invoices.filter((inv) => inv.valid);
+  return {
+    invoices,
+    errors,
+    warnings,
+    summary: {
+      rows: rows.length,
+      invoices: invoices.length,
+      valid: valid.length,
+      invalid: invoices.length - valid.length,
+      subtotal: round2(valid.reduce((sum, inv) => sum + inv.subtotal, 0)),
+      totalTax: round2(valid.reduce((sum, inv) => sum + inv.gstBreakdown.totalTax, 0)),
+      totalAmount: round2(valid.reduce((sum, inv) => sum + inv.totalAmount, 0)),
+    },
+  };
+};
+
+/**
+ * Dry-run report of a built import: one entry per invoice, numbers as they would be allocated
+ * (each in the series of its invoice date's financial year)
+ */
+export const describeInvoiceImport = ({ organization, build }) => {
+  const lastByFY = new Map();
+  const nextNumber = (invoiceDate) => {
+    const financialYear = getFinancialYearForDate(invoiceDate);
+    const sequenceNum =
+      (lastByFY.get(financialYear) ?? (organization.invoiceNumbersByFY?.get(financialYear) || 0)) + 1;
+    lastByFY.set(financialYear, sequenceNum);
+    return formatInvoiceNumber(organization, { date: invoiceDate, financialYear, sequenceNum });
+  };
+
+  const invoices = build.invoices.map((inv) => {
+    if (!inv.valid) {
+      return {
+        reference: inv.reference,
+        rows: inv.rows,
+        valid: false,
+        errors: build.errors.filter((e) => e.reference === inv.reference),
+      };
+    }
+    return {
+      reference: inv.reference,
+      rows: inv.rows,
+      valid: true,
+      invoiceNumber: nextNumber(inv.invoiceDate),
+      client: { _id: inv.client._id, companyName: inv.client.companyName, gstin: inv.client.gstin },
+      invoiceType: inv.invoiceType,
+      invoiceDate: inv.invoiceDate,
+      dueDate: inv.dueDate,
+      currency: inv.documentRate.currency,
+      placeOfSupply: inv.placeOfSupply.stateCode,
+      supplyType: inv.supplyType,
+      lines: inv.gstBreakdown.items.length,
+      subtotal: round2(inv.subtotal),
+      cgst: inv.gstBreakdown.totalCGST,
+      sgst: inv.gstBreakdown.totalSGST,
+      igst: inv.gstBreakdown.totalIGST,
+      cess: inv.gstBreakdown.totalCess,
+      tcsAmount: inv.tcsAmount,
+      totalAmount: inv.totalAmount,
+    };
+  });
+
+  return {
+    ...build.summary,
+    firstNumber: invoices.find((inv) => inv.valid)?.invoiceNumber ?? null,
+    errors: build.errors,
+    warnings: build.warnings,
+    invoices,
+  };
+};
+
+/**
+ * Create the invoices of a built import, in file order
+ * Numbers are allocated one at a time in the series of each invoice date's
+ * financial year; the import stops at the first invoice that cannot be saved.
+ * An invoice counts as created once saved; later steps that fail (TCS register,
+ * stock, revision history) come back as warnings.
+ * @param {Object} params
+ * @param {Object} params.organization
+ * @param {Object} params.build - From buildInvoiceImport, with no errors
+ * @param {Object} params.user - req.user
+ * @returns {Promise<Object>} { created, failed, notCreated, warnings }
+ */
+export const commitInvoiceImport = async ({ organization, build, user }) => {
+  const created = [];
+  const warnings = [];
+  const pending = build.invoices.filter((inv) => inv.valid);
+
+  for (let index = 0; index < pending.length; index += 1) {
+    const plan = pending[index];
+    try {
+      // Earlier invoices of the batch count towards the buyer's TCS threshold
+      const priced = await priceInvoice({ organization, client: plan.client, invoice: plan });
+
+      const { invoice, warnings: saveWarnings } = await createInvoice({
+        organization,
+        client: plan.client,
+        invoice: {
+          ...plan,
+          items: plan.gstBreakdown.items.map(({ row, ...item }) => ({ ...item, subDescription: '' })),
+        },
+        priced,
+        fields: {
+          poNumber: plan.poNumber,
+          importReference: plan.reference,
+        },
+        user,
+      });
+
+      created.push({
+        _id: invoice._id,
+        reference: plan.reference,
+        invoiceNumber: invoice.invoiceNumber,
+        totalAmount: invoice.totalAmount,
+      });
+      saveWarnings.forEach((message) =>
+        warnings.push({ row: plan.rows[0], reference: plan.reference, message })
+      );
+    } catch (error) {
+      console.error(`Invoice import stopped at ${plan.reference}:`, error);
+      return {
+        created,
+        failed: { reference: plan.reference, rows: plan.rows, message: error.message },
+        notCreated: pending.slice(index + 1).map((inv) => inv.reference),
+        warnings,
+      };
+    }
+  }
+
+  return { created, failed: null, notCreated: [], warnings };
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  readImportRows,
+  buildInvoiceImport,
+  describeInvoiceImport,
+  commitInvoiceImport,
+};
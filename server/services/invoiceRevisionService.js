@@ -0,0 +1,188 @@
+// ============================================
+// FILE: server/services/invoiceRevisionService.js
+// Invoice revisions: a snapshot per save, line-by-line diffs
+// between revisions and restoring drafts
+// ============================================
+
+import InvoiceRevision from '../models/InvoiceRevision.js';
+
+// Bookkeeping fields that are not part of what the client received
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'shareViews', 'lastViewedAt'];
+
+// Fields a restore never copies back onto the draft
+const NON_RESTORABLE_FIELDS = [
+  ...IGNORED_FIELDS,
+  'organization',
+  'status',
+  'draftNumber',
+  'invoiceNumber',
+  'attachments',
+  'shareToken',
+  'shareEnabled',
+  'shareExpiresAt',
+  'eInvoice',
+  'eWayBill',
+];
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const toSnapshot = (invoice) =>
+  JSON.parse(JSON.stringify(typeof invoice.toObject === 'function' ? invoice.toObject() : invoice));
+
+/**
+ * Save a snapshot of the invoice as its next revision
+ * @param {Object} params
+ * @param {Object} params.invoice - Invoice as saved (client populated, so the revision keeps the client details)
+ * @param {Object} params.user - req.user
+ * @param {string} [params.source] - CREATE, UPDATE, RESTORE or CANCEL
+ * @param {number} [params.restoredFrom]
+ * @returns {Promise<Object>} The revision
+ */
+export const recordInvoiceRevision = async ({ invoice, user, source = 'UPDATE', restoredFrom }) => {
+  const latest = await InvoiceRevision.findOne({ invoice: invoice._id })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber');
+
+  return InvoiceRevision.create({
+    invoice: invoice._id,
+    revisionNumber: (latest?.revisionNumber || 0) + 1,
+    documentNumber: invoice.invoiceNumber || invoice.draftNumber,
+    status: invoice.status,
+    source,
+    restoredFrom,
+    snapshot: toSnapshot(invoice),
+    createdBy: user?.id,
+    createdByName: user?.name,
+    organization: invoice.organization?._id || invoice.organization,
+  });
+};
+
+const clientDetails = (client) => {
+  if (!client || typeof client !== 'object') return client;
+  const details = { ...client, id: client._id };
+  IGNORED_FIELDS.forEach((field) => delete details[field]);
+  return details;
+};
+
+/**
+ * Changed top-level fields between two snapshots (lines are compared separately)
+ */
+const diffFields = (from, to) => {
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = [];
+
+  keys.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field) || field === 'items') return;
+    // The client snapshot counts when its billing details changed, not its timestamps
+    const before = field === 'client' ? clientDetails(from.client) : from[field];
+    const after = field === 'client' ? clientDetails(to.client) : to[field];
+    if (!isSame(before, after)) {
+      changes.push({ field, from: from[field] ?? null, to: to[field] ?? null });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Key a line by product (or description and HSN) and its occurrence, so
+ * reordering or inserting lines doesn't show every later line as changed
+ */
+const keyLines = (items = []) => {
+  const seen = {};
+  return items.map((item, index) => {
+    const base = `${item.product || ''}|${String(item.description || '').trim().toLowerCase()}|${item.hsnSacCode || ''}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return { key: `${base}#${seen[base]}`, line: index + 1, item };
+  });
+};
+
+const diffLine = (before, after) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => field !== '_id' && !isSame(before[field], after[field]))
+    .map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+/**
+ * Line-by-line diff of two item lists
+ * @returns {Object} { added, removed, changed, unchanged }
+ */
+export const diffInvoiceLines = (fromItems = [], toItems = []) => {
+  const fromLines = keyLines(fromItems);
+  const toLines = keyLines(toItems);
+  const fromByKey = new Map(fromLines.map((l) => [l.key, l]));
+  const toKeys = new Set(toLines.map((l) => l.key));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  toLines.forEach(({ key, line, item }) => {
+    const previous = fromByKey.get(key);
+    if (!previous) {
+      added.push({ line, item });
+      return;
+    }
+    const changes = diffLine(previous.item, item);
+    if (changes.length > 0) {
+      changed.push({ line, previousLine: previous.line, description: item.description, changes });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  const removed = fromLines
+    .filter((l) => !toKeys.has(l.key))
+    .map(({ line, item }) => ({ line, item }));
+
+  return { added, removed, changed, unchanged };
+};
+
+/**
+ * Compare two revisions of an invoice
+ * @param {Object} from - Earlier revision
+ * @param {Object} to - Later revision
+ * @returns {Object} { from, to, fields, lines, summary }
+ */
+export const diffInvoiceRevisions = (from, to) => {
+  const fields = diffFields(from.snapshot, to.snapshot);
+  const lines = diffInvoiceLines(from.snapshot.items, to.snapshot.items);
+
+  const describe = (revision) => ({
+    revisionNumber: revision.revisionNumber,
+    status: revision.status,
+    createdAt: revision.createdAt,
+    createdByName: revision.createdByName,
+  });
+
+  return {
+    from: describe(from),
+    to: describe(to),
+    fields,
+    lines,
+    summary: {
+      fieldsChanged: fields.length,
+      linesAdded: lines.added.length,
+      linesRemoved: lines.removed.length,
+      linesChanged: lines.changed.length,
+      totalAmount: { from: from.snapshot.totalAmount, to: to.snapshot.totalAmount },
+    },
+  };
+};
+
+/**
+ * Update data that puts a draft back to a revision
+ * Numbers, status, attachments, sharing and IRP/EWB state stay as they are now.
+ */
+export const getRestoreData = (revision) => {
+  const data = { ...revision.snapshot };
+  NON_RESTORABLE_FIELDS.forEach((field) => delete data[field]);
+  data.client = revision.snapshot.client?._id ?? revision.snapshot.client;
+  return data;
+};
+
+export default {
+  recordInvoiceRevision,
+  diffInvoiceLines,
+  diffInvoiceRevisions,
+  getRestoreData,
+};
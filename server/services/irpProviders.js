@@ -0,0 +1,254 @@
+// ============================================
+// FILE: server/services/irpProviders.js
+// Invoice Registration Portal (IRP) adapters for e-invoicing
+// ============================================
+
+import crypto from 'crypto';
+import { getFinancialYearForDate } from '../utils/invoiceNumberGenerator.js';
+
+// Every provider implements:
+//   generateIRN(payload)                  → { Irn, AckNo, AckDt, SignedInvoice, SignedQRCode }
+//   cancelIRN({ Irn, CnlRsn, CnlRem, gstin }) → { Irn, CancelDate }
+// Dates are returned in the NIC format "yyyy-MM-dd HH:mm:ss".
+
+const formatNicDateTime = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+  );
+};
+
+const parseDocDate = (value) => {
+  const [day, month, year] = value.split('/').map((part) => parseInt(part));
+  return new Date(year, month - 1, day);
+};
+
+const base64url = (value) =>
+  Buffer.from(typeof value === 'string' ? value : JSON.stringify(value))
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+// ============================================
+// MOCK: local sandbox, no network
+// ============================================
+
+// IRNs issued by this process, so duplicates and cancellations behave like the IRP
+const mockRegistry = new Map();
+
+const signMock = (claims) => {
+  const secret = process.env.EINVOICE_MOCK_SECRET || 'easytax-irp-sandbox';
+  const header = base64url({ alg: 'HS256', typ: 'JWT', kid: 'MOCK-IRP' });
+  const body = base64url({ data: JSON.stringify(claims), iss: 'NIC Sandbox (mock)' });
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${header}.${body}`)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return `${header}.${body}.${signature}`;
+};
+
+const mockProvider = {
+  name: 'MOCK',
+
+  async generateIRN(payload) {
+    const { SellerDtls, BuyerDtls, DocDtls, ItemList, ValDtls } = payload;
+
+    // Same hash inputs as the IRP: supplier GSTIN, FY, document type and number
+    const fy = getFinancialYearForDate(parseDocDate(DocDtls.Dt)).replace('FY', '');
+    const irn = crypto
+      .createHash('sha256')
+      .update(`${SellerDtls.Gstin}${fy}${DocDtls.Typ}${DocDtls.No}`)
+      .digest('hex');
+
+    // A document number cannot be registered again, even after cancellation
+    if (mockRegistry.has(irn)) {
+      const error = new Error('2150: Duplicate IRN');
+      error.code = '2150';
+      throw error;
+    }
+
+    const ackDate = new Date();
+    const ackNo = String(Date.now()).padStart(15, '1').slice(-15);
+
+    const SignedQRCode = signMock({
+      SellerGstin: SellerDtls.Gstin,
+      BuyerGstin: BuyerDtls.Gstin,
+      DocNo: DocDtls.No,
+      DocTyp: DocDtls.Typ,
+      DocDt: DocDtls.Dt,
+      TotInvVal: ValDtls.TotInvVal,
+      ItemCnt: ItemList.length,
+      MainHsnCode: ItemList[0]?.HsnCd,
+      Irn: irn,
+      IrnDt: formatNicDateTime(ackDate),
+    });
+    const SignedInvoice = signMock({ ...payload, Irn: irn, AckNo: ackNo });
+
+    mockRegistry.set(irn, { status: 'ACT', ackDate });
+
+    return {
+      Irn: irn,
+      AckNo: ackNo,
+      AckDt: formatNicDateTime(ackDate),
+      SignedInvoice,
+      SignedQRCode,
+      Status: 'ACT',
+    };
+  },
+
+  async cancelIRN({ Irn }) {
+    const existing = mockRegistry.get(Irn);
+    if (existing?.status === 'CNL') {
+      const error = new Error('9999: Invoice is already cancelled');
+      error.code = '9999';
+      throw error;
+    }
+    const cancelDate = new Date();
+    mockRegistry.set(Irn, { ...(existing || {}), status: 'CNL' });
+    return { Irn, CancelDate: formatNicDateTime(cancelDate) };
+  },
+};
+
+// ============================================
+// GSP: plain-JSON e-invoice APIs exposed by GST Suvidha Providers
+// ============================================
+
+const gspConfig = () => ({
+  baseUrl: process.env.EINVOICE_GSP_URL,
+  clientId: process.env.EINVOICE_CLIENT_ID,
+  clientSecret: process.env.EINVOICE_CLIENT_SECRET,
+  username: process.env.EINVOICE_USERNAME,
+  password: process.env.EINVOICE_PASSWORD,
+});
+
+// Auth tokens are valid for six hours; cache one per GSTIN
+const gspTokens = new Map();
+
+const gspRequest = async (path, { method = 'GET', gstin, body, token } = {}) => {
+  const config = gspConfig();
+  if (!config.baseUrl || !config.clientId || !config.clientSecret) {
+    throw new Error(
+      'E-invoice GSP is not configured. Set EINVOICE_GSP_URL, EINVOICE_CLIENT_ID and EINVOICE_CLIENT_SECRET'
+    );
+  }
+
+  const response = await fetch(`${config.baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      gstin,
+      user_name: config.username,
+      ...(token ? { AuthToken: token } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok || String(result.Status) === '0') {
+    const details = Array.isArray(result.ErrorDetails) ? result.ErrorDetails : [];
+    const message = details.length
+      ? details.map((d) => `${d.ErrorCode}: ${d.ErrorMessage}`).join('; ')
+      : result.message || `IRP request failed with status ${response.status}`;
+    const error = new Error(message);
+    error.code = details[0]?.ErrorCode;
+    throw error;
+  }
+
+  return result.Data ? (typeof result.Data === 'string' ? JSON.parse(result.Data) : result.Data) : result;
+};
+
+const getGspToken = async (gstin) => {
+  const cached = gspTokens.get(gstin);
+  if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+  const config = gspConfig();
+  const data = await gspRequest('/eivital/v1.04/auth', {
+    method: 'POST',
+    gstin,
+    body: { UserName: config.username, Password: config.password },
+  });
+
+  gspTokens.set(gstin, {
+    token: data.AuthToken,
+    expiresAt: Date.now() + 5.5 * 60 * 60 * 1000,
+  });
+  return data.AuthToken;
+};
+
+const gspProvider = {
+  name: 'GSP',
+
+  async generateIRN(payload) {
+    const gstin = payload.SellerDtls.Gstin;
+    const token = await getGspToken(gstin);
+    return gspRequest('/eicore/v1.03/Invoice', {
+      method: 'POST',
+      gstin,
+      token,
+      body: payload,
+    });
+  },
+
+  async cancelIRN({ Irn, CnlRsn, CnlRem, gstin }) {
+    const token = await getGspToken(gstin);
+    return gspRequest('/eicore/v1.03/Invoice/Cancel', {
+      method: 'POST',
+      gstin,
+      token,
+      body: { Irn, CnlRsn, CnlRem },
+    });
+  },
+};
+
+// ============================================
+// Registry
+// ============================================
+
+const providers = {
+  MOCK: mockProvider,
+  GSP: gspProvider,
+};
+
+/**
+ * Register an additional IRP adapter (e.g. a specific GSP's SDK)
+ * @param {string} name - Provider key, matched against EINVOICE_PROVIDER
+ * @param {Object} provider - Object with generateIRN and cancelIRN
+ */
+export const registerIRPProvider = (name, provider) => {
+  if (typeof provider?.generateIRN !== 'function' || typeof provider?.cancelIRN !== 'function') {
+    throw new Error('IRP provider must implement generateIRN and cancelIRN');
+  }
+  providers[name.toUpperCase()] = { name: name.toUpperCase(), ...provider };
+};
+
+/**
+ * Active IRP adapter, chosen by EINVOICE_PROVIDER
+ * There is no default: the mock signs IRNs with a local key, so it has to be
+ * asked for and is refused in production.
+ */
+export const getIRPProvider = (name = process.env.EINVOICE_PROVIDER) => {
+  if (!name) {
+    throw new Error('E-invoicing is not configured: set EINVOICE_PROVIDER');
+  }
+  if (name.toUpperCase() === 'MOCK' && process.env.NODE_ENV === 'production') {
+    throw new Error('The MOCK e-invoice provider cannot be used in production');
+  }
+  const provider = providers[name.toUpperCase()];
+  if (!provider) {
+    throw new Error(`Unknown e-invoice provider: ${name}`);
+  }
+  return provider;
+};
+
+export default {
+  registerIRPProvider,
+  getIRPProvider,
+};
@@ -0,0 +1,480 @@
+// ============================================
+// FILE: server/services/itcLedgerService.js
+// ITC ledger: rule 37 (180-day payment) and Rule 42/43 reversals
+// ============================================
+
+import ITCLedgerEntry from '../models/ITCLedgerEntry.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import Invoice from '../models/Invoice.js';
+import Organization from '../models/Organization.js';
+import { getSupplyType, isZeroRatedSupply } from '../utils/exportSupply.js';
+import { getReturnPeriod, resolveReturnGSTIN, belongsToGSTIN } from './gstr1Service.js';
+import { getPurchaseTaxSplit } from './gstr3bService.js';
+
+// Rule 37: pay the supplier within 180 days of the invoice date
+export const PAYMENT_WINDOW_DAYS = 180;
+
+// Rule 43: common capital goods credit is spread over 60 months
+const CAPITAL_GOODS_LIFE_MONTHS = 60;
+
+// Purchase invoices in these states have been booked and count for ITC
+const ITC_PI_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'PAID'];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const emptyTax = () => ({ igst: 0, cgst: 0, sgst: 0, cess: 0 });
+
+const taxTotal = (tax) => (tax.igst || 0) + (tax.cgst || 0) + (tax.sgst || 0) + (tax.cess || 0);
+
+const scaleTax = (tax, ratio) => ({
+  igst: (tax.igst || 0) * ratio,
+  cgst: (tax.cgst || 0) * ratio,
+  sgst: (tax.sgst || 0) * ratio,
+  cess: (tax.cess || 0) * ratio,
+});
+
+const addInto = (target, source, sign = 1) => {
+  target.igst += sign * (source.igst || 0);
+  target.cgst += sign * (source.cgst || 0);
+  target.sgst += sign * (source.sgst || 0);
+  target.cess += sign * (source.cess || 0);
+  return target;
+};
+
+const roundTax = (tax) => ({
+  igst: round2(tax.igst),
+  cgst: round2(tax.cgst),
+  sgst: round2(tax.sgst),
+  cess: round2(tax.cess),
+});
+
+// MMYYYY of a date
+const periodOf = (date) => `${String(date.getMonth() + 1).padStart(2, '0')}${date.getFullYear()}`;
+
+const monthIndex = (date) => date.getFullYear() * 12 + date.getMonth();
+
+/**
+ * Tax of one purchase line, apportioned from the document split
+ * Cess follows the lines' own cess where recorded, else the GST proportion.
+ */
+const lineTax = (pi, split, item) => {
+  const gstTotal = pi.items.reduce((sum, line) => sum + (line.gstAmount || 0), 0);
+  const cessTotal = pi.items.reduce((sum, line) => sum + (line.cessAmount || 0), 0);
+  const gstRatio = gstTotal ? (item.gstAmount || 0) / gstTotal : 0;
+
+  return {
+    igst: split.igst * gstRatio,
+    cgst: split.cgst * gstRatio,
+    sgst: split.sgst * gstRatio,
+    cess: cessTotal ? split.cess * ((item.cessAmount || 0) / cessTotal) : split.cess * gstRatio,
+  };
+};
+
+// Credit actually claimed on a purchase (eligible lines only)
+const claimedCredit = (pi, split, filter = () => true) =>
+  pi.items
+    .filter((item) => (item.itcEligibility || 'ELIGIBLE') === 'ELIGIBLE' && filter(item))
+    .reduce((total, item) => addInto(total, lineTax(pi, split, item)), emptyTax());
+
+/**
+ * Does rule 37 apply to the purchase? Not to reverse charge, imports or ISD
+ * credit, nor to purchases from composition dealers (no credit claimed).
+ */
+const isRule37Applicable = (pi) =>
+  ITC_PI_STATUSES.includes(pi.status) &&
+  !pi.reverseCharge &&
+  (pi.supplyType || 'REGULAR') === 'REGULAR' &&
+  pi.vendor?.gstTreatment !== 'COMPOSITION';
+
+/**
+ * Bring a purchase's 180-day reversal in line with what is still unpaid
+ * Reverses credit proportionate to the unpaid amount once the window has
+ * lapsed, and re-claims it as the supplier is paid.
+ * @param {Object} pi - PurchaseInvoice document (vendor populated or not)
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Date of the check
+ * @param {string} [options.userId] - User who triggered it
+ * @returns {Promise<Object|null>} The ledger entry posted, if any
+ */
+export const syncPaymentWindowReversal = async (pi, { asOf = new Date(), userId } = {}) => {
+  if (!pi.populated('vendor')) {
+    await pi.populate('vendor', 'gstTreatment gstin');
+  }
+  const organization = await Organization.findById(pi.organization);
+  const gstin = pi.ourBranchGSTIN || resolveReturnGSTIN(organization);
+  const split = getPurchaseTaxSplit(pi, gstin);
+  const credit = isRule37Applicable(pi) ? claimedCredit(pi, split) : emptyTax();
+
+  const lapseDate = new Date(pi.piDate);
+  lapseDate.setDate(lapseDate.getDate() + PAYMENT_WINDOW_DAYS);
+  const lapsed = asOf >= lapseDate;
+
+  const unpaidFraction = pi.totalAmount > 0 ? Math.max(pi.balanceAmount || 0, 0) / pi.totalAmount : 0;
+  const required = lapsed ? scaleTax(credit, Math.min(unpaidFraction, 1)) : emptyTax();
+
+  // Net reversal already in the ledger
+  const entries = await ITCLedgerEntry.find({
+    purchaseInvoice: pi._id,
+    entryType: { $in: ['REVERSAL_180_DAYS', 'RECLAIM_180_DAYS'] },
+  });
+  const reversed = entries.reduce(
+    (total, entry) => addInto(total, entry, entry.entryType === 'REVERSAL_180_DAYS' ? 1 : -1),
+    emptyTax()
+  );
+
+  const difference = addInto({ ...required }, reversed, -1);
+  const net = taxTotal(difference);
+  if (Math.abs(net) < 0.01) return null;
+
+  // Reversal goes in the return after the window lapses; re-claims in the
+  // month of payment, but never before the period the reversal was reported in
+  const periodStart = (period) => new Date(parseInt(period.slice(2), 10), parseInt(period.slice(0, 2), 10) - 1, 1);
+  let reportDate = asOf;
+  if (net > 0) {
+    const followingPeriod = new Date(lapseDate.getFullYear(), lapseDate.getMonth() + 1, 1);
+    if (followingPeriod > reportDate) reportDate = followingPeriod;
+  } else {
+    entries
+      .filter((entry) => entry.entryType === 'REVERSAL_180_DAYS')
+      .forEach((entry) => {
+        if (periodStart(entry.period) > reportDate) reportDate = periodStart(entry.period);
+      });
+  }
+
+  return ITCLedgerEntry.create({
+    entryType: net > 0 ? 'REVERSAL_180_DAYS' : 'RECLAIM_180_DAYS',
+    gstin,
+    period: periodOf(reportDate),
+    purchaseInvoice: pi._id,
+    ...roundTax(scaleTax(difference, net > 0 ? 1 : -1)),
+    baseCredit: round2(taxTotal(credit)),
+    ratio: round2(unpaidFraction * 10000) / 10000,
+    unpaidAmount: round2(pi.balanceAmount),
+    remarks:
+      net > 0
+        ? `Supplier unpaid ${PAYMENT_WINDOW_DAYS} days after invoice dated ${new Date(pi.piDate).toLocaleDateString('en-IN')}`
+        : 'Credit re-claimed on payment to the supplier',
+    createdBy: userId,
+    organization: pi.organization,
+  });
+};
+
+/**
+ * Run the 180-day check across purchases
+ * Picks up bills that are unpaid past the window and bills already carrying
+ * a reversal (to re-claim what has since been paid).
+ * @param {Object} [params]
+ * @param {string} [params.organizationId] - Limit to one organization
+ * @param {Date} [params.asOf] - Date of the check
+ * @param {string} [params.userId] - User who triggered it
+ * @returns {Promise<Object>} { checked, reversals, reclaims }
+ */
+export const runPaymentWindowCheck = async ({ organizationId, asOf = new Date(), userId } = {}) => {
+  const cutoff = new Date(asOf);
+  cutoff.setDate(cutoff.getDate() - PAYMENT_WINDOW_DAYS);
+
+  const scope = organizationId ? { organization: organizationId } : {};
+  const reversedIds = await ITCLedgerEntry.distinct('purchaseInvoice', {
+    ...scope,
+    entryType: 'REVERSAL_180_DAYS',
+  });
+
+  const purchases = await PurchaseInvoice.find({
+    ...scope,
+    status: { $in: ITC_PI_STATUSES },
+    $or: [{ piDate: { $lte: cutoff }, balanceAmount: { $gt: 0 } }, { _id: { $in: reversedIds } }],
+  }).populate('vendor', 'gstTreatment gstin');
+
+  const result = { checked: purchases.length, reversals: 0, reclaims: 0 };
+  for (const pi of purchases) {
+    const entry = await syncPaymentWindowReversal(pi, { asOf, userId });
+    if (entry?.entryType === 'REVERSAL_180_DAYS') result.reversals++;
+    if (entry?.entryType === 'RECLAIM_180_DAYS') result.reclaims++;
+  }
+  return result;
+};
+
+/**
+ * Exempt and total turnover of a GSTIN for a month (rule 42 "E" and "F")
+ * Nil-rated and exempt lines count as exempt; exports and SEZ supplies are
+ * zero-rated and count as taxable.
+ */
+export const getTurnoverSplit = async ({ organizationId, organization, returnGSTIN, startDate, endDate }) => {
+  const invoices = await Invoice.find({
+    organization: organizationId,
+    invoiceDate: { $gte: startDate, $lte: endDate },
+    invoiceType: { $in: ['TAX_INVOICE', 'CREDIT_NOTE', 'DEBIT_NOTE'] },
+    status: { $nin: ['DRAFT', 'CANCELLED'] },
+  }).populate('client', 'gstTreatment');
+
+  let exemptTurnover = 0;
+  let totalTurnover = 0;
+
+  invoices
+    .filter((inv) => belongsToGSTIN(inv.gstinUsed, returnGSTIN, organization))
+    .forEach((inv) => {
+      const sign = inv.invoiceType === 'CREDIT_NOTE' ? -1 : 1;
+      const lines = inv.items || [];
+      const linesTotal = lines.reduce((sum, item) => sum + (item.taxableAmount ?? item.amount ?? 0), 0);
+      const net = (inv.subtotal ?? linesTotal) - (inv.discountAmount || 0);
+      totalTurnover += sign * net;
+
+      if (!linesTotal || isZeroRatedSupply(getSupplyType(inv))) return;
+      const exemptLines = lines
+        .filter((item) => !item.gstRate)
+        .reduce((sum, item) => sum + (item.taxableAmount ?? item.amount ?? 0), 0);
+      exemptTurnover += sign * net * (exemptLines / linesTotal);
+    });
+
+  return { exemptTurnover: round2(exemptTurnover), totalTurnover: round2(totalTurnover) };
+};
+
+/**
+ * Compute Rule 42 and Rule 43 reversals for a GSTIN and month
+ * Rule 42: inputs used for exempt (T2) or non-business (T1) purposes are
+ * reversed in full, common inputs (C2) by the exempt turnover ratio (D1).
+ * Rule 43: common capital goods credit is spread over 60 months and each
+ * month's share is reversed by the same ratio; capital goods used only for
+ * exempt or non-business purposes are reversed in full.
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {number} params.month - Return month (1-12)
+ * @param {number} params.year - Return year
+ * @param {string} [params.gstin] - Registration
+ * @param {number} [params.exemptTurnover] - Override E
+ * @param {number} [params.totalTurnover] - Override F
+ * @returns {Promise<Object>} { period, gstin, ratio, entries, totals, warnings }
+ */
+export const computeCommonCreditReversal = async ({
+  organizationId,
+  month,
+  year,
+  gstin,
+  exemptTurnover,
+  totalTurnover,
+}) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+
+  const returnGSTIN = resolveReturnGSTIN(organization, gstin);
+  const { startDate, endDate, fp } = getReturnPeriod(month, year);
+  const warnings = [];
+
+  const turnover =
+    exemptTurnover !== undefined && totalTurnover !== undefined
+      ? { exemptTurnover: parseFloat(exemptTurnover) || 0, totalTurnover: parseFloat(totalTurnover) || 0 }
+      : await getTurnoverSplit({ organizationId, organization, returnGSTIN, startDate, endDate });
+
+  let ratio = 0;
+  if (turnover.totalTurnover > 0) {
+    ratio = Math.min(Math.max(turnover.exemptTurnover / turnover.totalTurnover, 0), 1);
+  } else {
+    warnings.push('No outward turnover in the period; common credit is not reversed');
+  }
+
+  // Capital goods bought in the last 60 months are still being apportioned
+  const lifeStart = new Date(startDate);
+  lifeStart.setMonth(lifeStart.getMonth() - (CAPITAL_GOODS_LIFE_MONTHS - 1));
+
+  const purchases = await PurchaseInvoice.find({
+    organization: organizationId,
+    status: { $in: ITC_PI_STATUSES },
+    piDate: { $gte: lifeStart, $lte: endDate },
+    $or: [
+      { piDate: { $gte: startDate } },
+      { 'items.isCapitalGoods': true },
+    ],
+  }).populate('vendor', 'gstTreatment gstin');
+
+  const periodIndex = monthIndex(startDate);
+  const entries = [];
+  const totals = { rule42: emptyTax(), rule43: emptyTax() };
+
+  purchases
+    .filter((pi) => belongsToGSTIN({ gstin: pi.ourBranchGSTIN }, returnGSTIN, organization))
+    .filter((pi) => pi.vendor?.gstTreatment !== 'COMPOSITION')
+    .forEach((pi) => {
+      const split = getPurchaseTaxSplit(pi, returnGSTIN);
+      const inPeriod = pi.piDate >= startDate;
+      const rule42 = emptyTax();
+      const rule43 = emptyTax();
+      let base42 = 0;
+      let base43 = 0;
+
+      pi.items
+        .filter((item) => (item.itcEligibility || 'ELIGIBLE') === 'ELIGIBLE')
+        .forEach((item) => {
+          const usage = item.itcUsage || 'TAXABLE';
+          if (usage === 'TAXABLE') return;
+          const tax = lineTax(pi, split, item);
+
+          if (!item.isCapitalGoods) {
+            if (!inPeriod) return;
+            base42 += taxTotal(tax);
+            addInto(rule42, usage === 'COMMON' ? scaleTax(tax, ratio) : tax);
+            return;
+          }
+
+          if (usage === 'COMMON') {
+            const age = periodIndex - monthIndex(pi.piDate);
+            if (age < 0 || age >= CAPITAL_GOODS_LIFE_MONTHS) return;
+            const monthly = scaleTax(tax, 1 / CAPITAL_GOODS_LIFE_MONTHS);
+            base43 += taxTotal(monthly);
+            addInto(rule43, scaleTax(monthly, ratio));
+          } else if (inPeriod) {
+            base43 += taxTotal(tax);
+            addInto(rule43, tax);
+          }
+        });
+
+      [
+        ['RULE_42', rule42, base42],
+        ['RULE_43', rule43, base43],
+      ].forEach(([entryType, tax, base]) => {
+        if (taxTotal(tax) < 0.01) return;
+        addInto(entryType === 'RULE_42' ? totals.rule42 : totals.rule43, tax);
+        entries.push({
+          entryType,
+          gstin: returnGSTIN,
+          period: fp,
+          purchaseInvoice: pi._id,
+          piNumber: pi.piNumber,
+          ...roundTax(tax),
+          baseCredit: round2(base),
+          ratio: round2(ratio * 10000) / 10000,
+          exemptTurnover: turnover.exemptTurnover,
+          totalTurnover: turnover.totalTurnover,
+          organization: organizationId,
+        });
+      });
+    });
+
+  return {
+    period: fp,
+    gstin: returnGSTIN,
+    ratio: round2(ratio * 10000) / 10000,
+    exemptTurnover: turnover.exemptTurnover,
+    totalTurnover: turnover.totalTurnover,
+    entries,
+    totals: {
+      rule42: roundTax(totals.rule42),
+      rule43: roundTax(totals.rule43),
+    },
+    warnings,
+  };
+};
+
+/**
+ * Post the month's Rule 42/43 reversals, replacing any posted earlier
+ * @returns {Promise<Object>} The computation, with the saved entries
+ */
+export const postCommonCreditReversal = async (params, userId) => {
+  const computed = await computeCommonCreditReversal(params);
+
+  await ITCLedgerEntry.deleteMany({
+    organization: params.organizationId,
+    gstin: computed.gstin,
+    period: computed.period,
+    entryType: { $in: ['RULE_42', 'RULE_43'] },
+  });
+  const saved = await ITCLedgerEntry.insertMany(
+    computed.entries.map(({ piNumber, ...entry }) => ({ ...entry, createdBy: userId }))
+  );
+
+  return { ...computed, entries: saved };
+};
+
+/**
+ * ITC ledger figures for GSTR-3B Table 4B/4D
+ * Rule 42/43 reversals not yet posted for the period are computed on the fly.
+ * @returns {Promise<Object>} { reversalRules, reversalOthers, reclaimed, commonCredit }
+ */
+export const getITCLedgerForPeriod = async ({ organizationId, returnGSTIN, month, year }) => {
+  const { fp } = getReturnPeriod(month, year);
+  const entries = await ITCLedgerEntry.find({
+    organization: organizationId,
+    gstin: returnGSTIN,
+    period: fp,
+  });
+
+  const reversalRules = emptyTax();
+  const reversalOthers = emptyTax();
+  const reclaimed = emptyTax();
+
+  entries.forEach((entry) => {
+    if (entry.entryType === 'REVERSAL_180_DAYS') addInto(reversalOthers, entry);
+    else if (entry.entryType === 'RECLAIM_180_DAYS') addInto(reclaimed, entry);
+    else addInto(reversalRules, entry);
+  });
+
+  const postedEntry = entries.find((entry) => entry.entryType === 'RULE_42' || entry.entryType === 'RULE_43');
+  const posted = !!postedEntry;
+  let commonCredit = {
+    posted,
+    ratio: postedEntry?.ratio,
+    exemptTurnover: postedEntry?.exemptTurnover,
+    totalTurnover: postedEntry?.totalTurnover,
+  };
+  if (!posted) {
+    const computed = await computeCommonCreditReversal({ organizationId, month, year, gstin: returnGSTIN });
+    addInto(reversalRules, computed.totals.rule42);
+    addInto(reversalRules, computed.totals.rule43);
+    commonCredit = {
+      posted: false,
+      ratio: computed.ratio,
+      exemptTurnover: computed.exemptTurnover,
+      totalTurnover: computed.totalTurnover,
+      warnings: computed.warnings,
+    };
+  }
+
+  return {
+    reversalRules,
+    reversalOthers,
+    reclaimed,
+    commonCredit,
+    entryCount: entries.length,
+  };
+};
+
+/**
+ * ITC ledger of one purchase invoice: credit claimed, reversals, re-claims, net
+ */
+export const getPurchaseITCLedger = async (pi) => {
+  const organization = await Organization.findById(pi.organization);
+  const gstin = pi.ourBranchGSTIN || resolveReturnGSTIN(organization);
+  const split = getPurchaseTaxSplit(pi, gstin);
+  const claimed = claimedCredit(pi, split);
+
+  const entries = await ITCLedgerEntry.find({ purchaseInvoice: pi._id }).sort({ createdAt: 1 });
+  const net = entries.reduce(
+    (total, entry) => addInto(total, entry, entry.entryType === 'RECLAIM_180_DAYS' ? 1 : -1),
+    { ...claimed }
+  );
+
+  const lapseDate = new Date(pi.piDate);
+  lapseDate.setDate(lapseDate.getDate() + PAYMENT_WINDOW_DAYS);
+
+  return {
+    purchaseInvoice: pi._id,
+    piNumber: pi.piNumber,
+    gstin,
+    paymentDueForITC: lapseDate,
+    claimed: roundTax(claimed),
+    entries,
+    netCredit: roundTax(net),
+  };
+};
+
+export default {
+  PAYMENT_WINDOW_DAYS,
+  syncPaymentWindowReversal,
+  runPaymentWindowCheck,
+  getTurnoverSplit,
+  computeCommonCreditReversal,
+  postCommonCreditReversal,
+  getITCLedgerForPeriod,
+  getPurchaseITCLedger,
+};
@@ -6,6 +6,7 @@
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { validateGSTINDetails } from "../utils/gstCalculator.js";
 
 // ✅ FIX: Conditional imports - only load on platforms with system dependencies
 let Tesseract = null;
@@ -234,7 +235,7 @@ function parseIndianInvoice(text) {
     totalAmount:
       /(?:Total Amount Due|Total|Grand Total|Net Total|Final Amount)[\s:]*(?:₹|Rs\.?|INR)?[\s]*([\d,]+\.?\d*)/i,
     gstin:
-      /(?:GSTIN|GST No)[\s:]*([0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[0-9]{1}[A-Z]{1}[0-9]{1})/i,
+      /(?:GSTIN|GST No)[\s:]*([0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1})/i,
     hsn: /(?:HSN|SAC)[\s:\/]*([0-9]{4,8})/i,
     vendorName:
       /(?:Bill To|Billed To|To|Customer|From|Vendor)[\s:]*\n?\s*([A-Z][a-zA-Z\s&.,Ltd]+?)(?:\n|GSTIN|Address|Contact|$)/i,
@@ -291,6 +292,18 @@ function parseIndianInvoice(text) {
     extracted.vendorName = extracted.vendorName.replace(/\s+/g, " ").trim();
   }
 
+  // OCR misreads (0/O, 1/I, 5/S) can still fit the GSTIN pattern; the check
+  // digit catches them before the GSTIN reaches a purchase invoice
+  if (extracted.gstin) {
+    const gstinCheck = validateGSTINDetails(extracted.gstin);
+    extracted.gstin = gstinCheck.gstin;
+    extracted.gstinValid = gstinCheck.isValid;
+    extracted.gstinErrors = gstinCheck.errors;
+    if (!gstinCheck.isValid) {
+      console.warn(`⚠️ ${gstinCheck.errors.map((e) => e.message).join("; ")}`);
+    }
+  }
+
   // Extract line items
   extracted.items = extractLineItems(text);
   extracted.parsingConfidence =
@@ -401,9 +414,8 @@ function extractLineItems(text) {
 export function validateGSTIN(gstin) {
   if (!gstin || gstin.length !== 15) return false;
 
-  const gstinPattern =
-    /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[0-9]{1}[A-Z]{1}[0-9]{1}$/;
-  return gstinPattern.test(gstin);
+  // Shape, state code, PAN holder type and check digit
+  return validateGSTINDetails(gstin).isValid;
 }
 
 // ✅ Export availability status
@@ -0,0 +1,202 @@
+// ============================================
+// FILE: server/services/periodLockService.js
+// Filed return periods: locking and approver overrides
+// ============================================
+
+import GSTPeriodLock from '../models/GSTPeriodLock.js';
+import Invoice from '../models/Invoice.js';
+import { logManualAudit } from '../middleware/auditMiddleware.js';
+import { getReturnPeriod, belongsToGSTIN } from './gstr1Service.js';
+
+// Roles that may let a change through a locked period
+const OVERRIDE_ROLES = ['OWNER', 'ADMIN'];
+
+// Return period (MMYYYY) of a document date
+export const getPeriodOfDate = (date) => {
+  const d = new Date(date);
+  return getReturnPeriod(d.getMonth() + 1, d.getFullYear()).fp;
+};
+
+const formatPeriod = (period) => `${period.substring(0, 2)}/${period.substring(2)}`;
+
+/**
+ * Can the user override a period lock?
+ * Owners and admins, or any role with approve rights on GST reports.
+ */
+export const canOverridePeriodLock = (user) =>
+  OVERRIDE_ROLES.includes(user?.role) ||
+  !!user?.roleObject?.hasPermission?.('GST_REPORTS', 'approve');
+
+/**
+ * Lock in force for a GSTIN on any of the given dates
+ * @returns {Promise<Object|null>} GSTPeriodLock document
+ */
+export const findPeriodLock = async ({ organizationId, gstin, dates }) => {
+  const periods = [...new Set(dates.filter(Boolean).map(getPeriodOfDate))];
+  if (!gstin || periods.length === 0) return null;
+
+  return GSTPeriodLock.findOne({
+    organization: organizationId,
+    gstin: gstin.toUpperCase(),
+    period: { $in: periods },
+    isLocked: true,
+  });
+};
+
+/**
+ * Guard a write to a document dated in a return period
+ * Documents in a filed period are read-only: corrections go through credit/debit
+ * notes or amendments in an open period. An approver may override by sending
+ * `periodLockOverride: { reason }`; the override is recorded in the audit log.
+ * @param {Object} params
+ * @param {Object} params.req - Express request (user, body, ip)
+ * @param {string} params.gstin - Registration the document belongs to
+ * @param {Array<Date>} params.dates - Document dates before and after the change
+ * @param {string} params.entityType - Audit entity type
+ * @param {string} [params.entityId] - Document ID (absent on create)
+ * @param {string} [params.entityNumber] - Document number
+ * @param {string} params.action - Audit action (CREATE/UPDATE/DELETE/APPROVE/...)
+ * @returns {Promise<Object|null>} { status, error, lock } when blocked, null when allowed
+ */
+export const checkPeriodLock = async ({
+  req,
+  gstin,
+  dates,
+  entityType,
+  entityId,
+  entityNumber,
+  action,
+}) => {
+  const lock = await findPeriodLock({
+    organizationId: req.user.organizationId,
+    gstin,
+    dates,
+  });
+  if (!lock) return null;
+
+  const returns = lock.filedReturns.map((r) => r.returnType).join(', ') || 'return';
+  const override = req.body?.periodLockOverride;
+
+  if (!override?.reason) {
+    return {
+      status: 423,
+      error: `${formatPeriod(lock.period)} is locked for GSTIN ${lock.gstin} (${returns} filed). Issue a credit/debit note or amendment in an open period instead.`,
+      lock,
+    };
+  }
+
+  if (!canOverridePeriodLock(req.user)) {
+    return {
+      status: 403,
+      error: 'Only an approver can override a filed period lock',
+      lock,
+    };
+  }
+
+  lock.overrides.push({
+    entityType,
+    entityId,
+    entityNumber,
+    action,
+    reason: override.reason,
+    approvedBy: req.user.id,
+  });
+  await lock.save();
+
+  await logManualAudit({
+    entityType: entityId ? entityType : 'GST_PERIOD_LOCK',
+    entityId: entityId || lock._id,
+    entityNumber: entityNumber || `${lock.gstin}/${lock.period}`,
+    action: 'OVERRIDE',
+    userId: req.user.id,
+    userName: req.user.name,
+    userEmail: req.user.email,
+    userIpAddress: req.ip,
+    description: `Period lock ${lock.gstin} ${formatPeriod(lock.period)} overridden for ${action} of ${entityType} ${entityNumber || ''}: ${override.reason}`.replace(/\s+:/, ':'),
+    severity: 'CRITICAL',
+    organization: req.user.organizationId,
+  });
+
+  return null;
+};
+
+/**
+ * Mark a return filed for a GSTIN and period, locking the period
+ * Outward invoices of the period are flagged filed as well.
+ * @returns {Promise<Object>} GSTPeriodLock document
+ */
+export const markPeriodFiled = async ({
+  organization,
+  gstin,
+  month,
+  year,
+  returnType,
+  arn,
+  filedOn,
+  userId,
+}) => {
+  const { startDate, endDate, fp } = getReturnPeriod(month, year);
+
+  let lock = await GSTPeriodLock.findOne({ organization: organization._id, gstin, period: fp });
+  if (!lock) {
+    lock = new GSTPeriodLock({
+      organization: organization._id,
+      gstin,
+      period: fp,
+      month: parseInt(month, 10),
+      year: parseInt(year, 10),
+    });
+  }
+
+  const filedAt = filedOn ? new Date(filedOn) : new Date();
+  const existing = lock.filedReturns.find((r) => r.returnType === returnType);
+  if (existing) {
+    existing.arn = arn || existing.arn;
+    existing.filedOn = filedAt;
+    existing.markedBy = userId;
+    existing.markedAt = new Date();
+  } else {
+    lock.filedReturns.push({ returnType, arn, filedOn: filedAt, markedBy: userId });
+  }
+
+  lock.isLocked = true;
+  lock.lockedBy = userId;
+  lock.lockedAt = new Date();
+  await lock.save();
+
+  // Keep the per-invoice filing flags in step with the period
+  const field = { GSTR1: 'gstr1', GSTR3B: 'gstr3b' }[returnType];
+  if (field) {
+    const invoices = await Invoice.find({
+      organization: organization._id,
+      invoiceDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
+    }).select('gstinUsed');
+    const ids = invoices
+      .filter((inv) => belongsToGSTIN(inv.gstinUsed, gstin, organization))
+      .map((inv) => inv._id);
+
+    if (ids.length > 0) {
+      await Invoice.updateMany(
+        { _id: { $in: ids } },
+        {
+          $set: {
+            [`gstFilingStatus.${field}Filed`]: true,
+            [`gstFilingStatus.${field}FiledDate`]: filedAt,
+            'gstFilingStatus.filingPeriod': fp,
+          },
+        }
+      );
+    }
+  }
+
+  return lock;
+};
+
+export default {
+  getPeriodOfDate,
+  canOverridePeriodLock,
+  findPeriodLock,
+  checkPeriodLock,
+  markPeriodFiled,
+};
@@ -0,0 +1,332 @@
+// ============================================
+// FILE: server/services/rcmService.js
+// Reverse charge: self-invoices, payment vouchers, RCM tax register
+// ============================================
+
+import SelfInvoice from '../models/SelfInvoice.js';
+import PurchaseInvoice from '../models/PurchaseInvoice.js';
+import Organization from '../models/Organization.js';
+import {
+  calculateReverseChargeGST,
+  getStateCodeFromGSTIN,
+  getStateCodeFromName,
+} from '../utils/gstCalculator.js';
+import { getFinancialYearForDate } from '../utils/invoiceNumberGenerator.js';
+import { RCM_CATEGORIES, isReverseChargeInward } from '../utils/reverseCharge.js';
+import { resolveReturnGSTIN, belongsToGSTIN } from './gstr1Service.js';
+
+// Purchases that have been booked and can carry a self-invoice
+const BOOKED_PI_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'PAID'];
+
+const SERIES = {
+  SELF_INVOICE: { prefixField: 'selfInvoicePrefix', counterField: 'selfInvoiceNumbersByFY', prefix: 'RCM' },
+  PAYMENT_VOUCHER: {
+    prefixField: 'paymentVoucherPrefix',
+    counterField: 'paymentVoucherNumbersByFY',
+    prefix: 'RPV',
+  },
+};
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Next number in a financial-year series, e.g. RCM/25-26/00001
+ * The counter is incremented atomically so concurrent approvals never share a number.
+ * @param {string} organizationId - Organization ID
+ * @param {string} series - SELF_INVOICE or PAYMENT_VOUCHER
+ * @param {Date} date - Document date (decides the financial year)
+ * @returns {Promise<Object>} { number, financialYear, sequenceNum }
+ */
+export const generateRCMDocumentNumber = async (organizationId, series, date = new Date()) => {
+  const config = SERIES[series];
+  if (!config) {
+    throw new Error(`Unknown document series: ${series}`);
+  }
+
+  const financialYear = getFinancialYearForDate(new Date(date));
+  const org = await Organization.findByIdAndUpdate(
+    organizationId,
+    { $inc: { [`${config.counterField}.${financialYear}`]: 1 } },
+    { new: true }
+  );
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  const sequenceNum = org[config.counterField]?.get(financialYear) || 1;
+  const prefix = org[config.prefixField] || config.prefix;
+  const number = `${prefix}/${financialYear.replace('FY', '').slice(2)}/${String(sequenceNum).padStart(5, '0')}`;
+
+  // GSTN limit for document numbers
+  if (number.length > 16) {
+    throw new Error(`Generated number exceeds 16 characters: ${number}. Shorten the ${config.prefixField}.`);
+  }
+
+  return { number, financialYear, sequenceNum };
+};
+
+/**
+ * Is the supply inter-state? Imports always are; otherwise compare the
+ * supplier's registration (or address, when unregistered) with ours.
+ */
+const resolveRCMInterstate = (pi, ourGSTIN) => {
+  if (pi.supplyType === 'IMPORT_SERVICES') return true;
+  if (pi.isInterstate !== undefined && pi.isInterstate !== null) return pi.isInterstate;
+
+  const vendorState =
+    getStateCodeFromGSTIN(pi.vendorBranchGSTIN || pi.vendor?.gstin) ||
+    getStateCodeFromName(pi.vendor?.billingState);
+  const ourState = getStateCodeFromGSTIN(ourGSTIN);
+  return !!(vendorState && ourState && vendorState !== ourState);
+};
+
+/**
+ * Raise the self-invoice for a reverse-charge purchase
+ * Idempotent: returns the existing self-invoice when one was already raised.
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {string|Object} params.purchaseInvoice - PurchaseInvoice document or ID
+ * @param {Date} [params.selfInvoiceDate] - Defaults to the purchase date
+ * @param {string} [params.userId] - User raising it
+ * @returns {Promise<Object>} SelfInvoice document
+ */
+export const createSelfInvoice = async ({ organizationId, purchaseInvoice, selfInvoiceDate, userId }) => {
+  const pi =
+    purchaseInvoice instanceof PurchaseInvoice
+      ? purchaseInvoice
+      : await PurchaseInvoice.findOne({ _id: purchaseInvoice, organization: organizationId });
+  if (!pi) {
+    throw new Error('Purchase Invoice not found');
+  }
+  if (!pi.populated('vendor')) {
+    await pi.populate('vendor');
+  }
+
+  if (pi.selfInvoice) {
+    const existing = await SelfInvoice.findById(pi.selfInvoice);
+    if (existing && existing.status !== 'CANCELLED') return existing;
+  }
+
+  if (!isReverseChargeInward(pi)) {
+    throw new Error('Purchase Invoice is not under reverse charge');
+  }
+  if (!BOOKED_PI_STATUSES.includes(pi.status)) {
+    throw new Error('Approve the Purchase Invoice before raising its self-invoice');
+  }
+
+  const organization = await Organization.findById(organizationId);
+  const ourGSTIN = pi.ourBranchGSTIN || resolveReturnGSTIN(organization);
+  const isInterstate = resolveRCMInterstate(pi, ourGSTIN);
+  const rcmCategory =
+    pi.rcmCategory ||
+    (pi.supplyType === 'IMPORT_SERVICES'
+      ? 'IMPORT_SERVICES'
+      : pi.vendorBranchGSTIN || pi.vendor?.gstin
+        ? 'OTHER_NOTIFIED'
+        : 'UNREGISTERED_VENDOR');
+
+  const date = selfInvoiceDate ? new Date(selfInvoiceDate) : pi.piDate;
+  const { number, financialYear } = await generateRCMDocumentNumber(organizationId, 'SELF_INVOICE', date);
+
+  const vendor = pi.vendor || {};
+  const selfInvoice = new SelfInvoice({
+    selfInvoiceNumber: number,
+    selfInvoiceDate: date,
+    financialYear,
+    purchaseInvoice: pi._id,
+    vendor: vendor._id || pi.vendor,
+    vendorName: pi.vendorBranchName || vendor.companyName,
+    vendorGstin: pi.vendorBranchGSTIN || vendor.gstin,
+    vendorAddress: [vendor.billingAddress, vendor.billingCity, vendor.billingState]
+      .filter(Boolean)
+      .join(', '),
+    ourGSTIN,
+    rcmCategory,
+    placeOfSupply: getStateCodeFromGSTIN(ourGSTIN),
+    isInterstate,
+    items: pi.items.map((item) => {
+      const tax = calculateReverseChargeGST({
+        amount: item.amount || 0,
+        gstRate: item.gstRate || 0,
+        isInterstate,
+      });
+      return {
+        description: item.description,
+        hsnSacCode: item.hsnSacCode || RCM_CATEGORIES[rcmCategory]?.sac,
+        quantity: item.quantity,
+        unit: item.unit,
+        taxableValue: item.amount || 0,
+        gstRate: item.gstRate || 0,
+        igst: tax.igst,
+        cgst: tax.cgst,
+        sgst: tax.sgst,
+        cess: round2(item.cessAmount),
+        itcEligibility: item.itcEligibility || 'ELIGIBLE',
+      };
+    }),
+    createdBy: userId,
+    organization: organizationId,
+  });
+  await selfInvoice.save();
+
+  pi.selfInvoice = selfInvoice._id;
+  pi.rcmCategory = rcmCategory;
+  await pi.save();
+
+  return selfInvoice;
+};
+
+/**
+ * Record cash paid towards a self-invoice's tax
+ * @param {Object} selfInvoice - SelfInvoice document
+ * @param {Object} payment - { amount, paidOn, challanNumber, returnPeriod, notes }
+ * @param {string} userId - User recording it
+ * @returns {Promise<Object>} Updated SelfInvoice
+ */
+export const recordRCMTaxPayment = async (selfInvoice, payment, userId) => {
+  const amount = round2(parseFloat(payment.amount));
+  if (selfInvoice.status === 'CANCELLED') {
+    throw new Error('Cannot pay tax on a cancelled self-invoice');
+  }
+  if (!(amount > 0)) {
+    throw new Error('Payment amount must be greater than zero');
+  }
+  if (amount > selfInvoice.taxBalance + 0.01) {
+    throw new Error(`Payment exceeds the RCM tax balance of ₹${selfInvoice.taxBalance.toFixed(2)}`);
+  }
+
+  const paidOn = payment.paidOn ? new Date(payment.paidOn) : new Date();
+  const returnPeriod =
+    payment.returnPeriod || `${String(paidOn.getMonth() + 1).padStart(2, '0')}${paidOn.getFullYear()}`;
+
+  selfInvoice.taxPayments.push({
+    amount,
+    paidOn,
+    challanNumber: payment.challanNumber,
+    returnPeriod,
+    notes: payment.notes,
+    recordedBy: userId,
+  });
+  await selfInvoice.save();
+
+  return selfInvoice;
+};
+
+/**
+ * Self-invoice figures for one GSTR-3B period
+ * Liability arises in the period of the self-invoice; the credit follows the
+ * cash payment and is claimed in the period the tax was paid through.
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {Object} params.organization - Organization document
+ * @param {string} params.returnGSTIN - Registration the return is for
+ * @param {Date} params.startDate - Period start
+ * @param {Date} params.endDate - Period end
+ * @param {string} [params.fp] - Return period (MMYYYY); omit when only the liability is needed
+ * @returns {Promise<Object>} { liabilities, credits }
+ */
+export const getRCMForPeriod = async ({ organizationId, organization, returnGSTIN, startDate, endDate, fp }) => {
+  const inPeriod = [{ selfInvoiceDate: { $gte: startDate, $lte: endDate } }];
+  if (fp) inPeriod.push({ 'taxPayments.returnPeriod': fp });
+
+  const selfInvoices = await SelfInvoice.find({
+    organization: organizationId,
+    status: { $ne: 'CANCELLED' },
+    $or: inPeriod,
+  });
+
+  const liabilities = [];
+  const credits = [];
+
+  selfInvoices
+    .filter((si) => belongsToGSTIN({ gstin: si.ourGSTIN }, returnGSTIN, organization))
+    .forEach((si) => {
+      if (si.selfInvoiceDate >= startDate && si.selfInvoiceDate <= endDate) {
+        liabilities.push(si);
+      }
+
+      const paidInPeriod = si.taxPayments
+        .filter((p) => p.returnPeriod === fp)
+        .reduce((sum, p) => sum + (p.amount || 0), 0);
+      if (paidInPeriod > 0 && si.totalTax > 0) {
+        credits.push({ selfInvoice: si, ratio: Math.min(paidInPeriod / si.totalTax, 1) });
+      }
+    });
+
+  return { liabilities, credits };
+};
+
+/**
+ * RCM register: self-invoices with their liability, cash paid and balance
+ * @param {Object} params
+ * @param {string} params.organizationId - Organization ID
+ * @param {Date} [params.from] - Self-invoice date from
+ * @param {Date} [params.to] - Self-invoice date to
+ * @param {string} [params.gstin] - Registration filter
+ * @param {string} [params.status] - Status filter
+ * @returns {Promise<Object>} { entries, totals }
+ */
+export const buildRCMRegister = async ({ organizationId, from, to, gstin, status }) => {
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    throw new Error('Organization not found');
+  }
+
+  const filter = { organization: organizationId };
+  if (from || to) {
+    filter.selfInvoiceDate = {};
+    if (from) filter.selfInvoiceDate.$gte = new Date(from);
+    if (to) filter.selfInvoiceDate.$lte = new Date(to);
+  }
+  if (status && status !== 'ALL') {
+    filter.status = status;
+  }
+
+  const selfInvoices = await SelfInvoice.find(filter)
+    .populate('purchaseInvoice', 'piNumber piDate vendorReferenceNumber totalAmount paidAmount')
+    .sort({ selfInvoiceDate: 1, selfInvoiceNumber: 1 });
+
+  const entries = selfInvoices.filter(
+    (si) => !gstin || belongsToGSTIN({ gstin: si.ourGSTIN }, gstin.toUpperCase().trim(), organization)
+  );
+
+  const totals = { taxableValue: 0, igst: 0, cgst: 0, sgst: 0, cess: 0, totalTax: 0, taxPaid: 0, taxBalance: 0 };
+  const byCategory = {};
+  entries
+    .filter((si) => si.status !== 'CANCELLED')
+    .forEach((si) => {
+      Object.keys(totals).forEach((key) => {
+        totals[key] += si[key] || 0;
+      });
+      if (!byCategory[si.rcmCategory]) {
+        byCategory[si.rcmCategory] = {
+          category: si.rcmCategory,
+          label: RCM_CATEGORIES[si.rcmCategory]?.label,
+          count: 0,
+          taxableValue: 0,
+          totalTax: 0,
+        };
+      }
+      byCategory[si.rcmCategory].count++;
+      byCategory[si.rcmCategory].taxableValue += si.taxableValue;
+      byCategory[si.rcmCategory].totalTax += si.totalTax;
+    });
+
+  return {
+    entries,
+    totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round2(value)])),
+    byCategory: Object.values(byCategory).map((row) => ({
+      ...row,
+      taxableValue: round2(row.taxableValue),
+      totalTax: round2(row.totalTax),
+    })),
+  };
+};
+
+export default {
+  generateRCMDocumentNumber,
+  createSelfInvoice,
+  recordRCMTaxPayment,
+  getRCMForPeriod,
+  buildRCMRegister,
+};
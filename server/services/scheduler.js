@@ -7,8 +7,10 @@ import cron from 'node-cron';
 import Invoice from '../models/Invoice.js';
 import Organization from '../models/Organization.js';
 import Client from '../models/Client.js';
-import { sendInvoiceReminder, sendDailyReport } from './emailService.js';
+import { sendInvoiceReminder, sendDailyReport, sendEWayBillExpiryAlert } from './emailService.js';
 import { generateDailyReport } from './reportGenerator.js';
+import { expireLapsedEWayBills, findExpiringEWayBills } from './ewayBillService.js';
+import { runPaymentWindowCheck } from './itcLedgerService.js';
 
 // ✅ FEATURE #27: Check and send invoice reminders
 const checkAndSendReminders = async () => {
@@ -146,6 +148,68 @@ const sendDailyReports = async () => {
   }
 };
 
+// Expire lapsed e-way bills and alert on ones about to lapse
+const checkEWayBillExpiry = async () => {
+  try {
+    console.log('🚚 Checking e-way bill validity...');
+
+    const expired = await expireLapsedEWayBills();
+    if (expired > 0) {
+      console.log(`   ⌛ Marked ${expired} e-way bill(s) as EXPIRED`);
+    }
+
+    const expiring = await findExpiringEWayBills();
+    const byOrganization = {};
+    expiring.forEach((invoice) => {
+      const key = invoice.organization.toString();
+      if (!byOrganization[key]) byOrganization[key] = [];
+      byOrganization[key].push(invoice);
+    });
+
+    for (const [organizationId, invoices] of Object.entries(byOrganization)) {
+      const org = await Organization.findById(organizationId);
+      const recipientEmail = org?.email || process.env.SMTP_USER;
+
+      if (!recipientEmail) {
+        console.log(`   ⚠️ Skipping e-way bill alert for ${org?.name} - no recipient email configured`);
+        continue;
+      }
+
+      try {
+        await sendEWayBillExpiryAlert(invoices, org, recipientEmail);
+        await Invoice.updateMany(
+          { _id: { $in: invoices.map((inv) => inv._id) } },
+          { $set: { 'eWayBill.expiryAlertSentAt': new Date() } }
+        );
+        console.log(`   ✅ Alerted ${recipientEmail} about ${invoices.length} e-way bill(s)`);
+      } catch (error) {
+        console.error(`   ❌ Failed to send e-way bill alert for ${org.name}:`, error.message);
+      }
+    }
+
+    console.log('✅ E-way bill check complete');
+
+  } catch (error) {
+    console.error('❌ Error in checkEWayBillExpiry:', error);
+  }
+};
+
+// Reverse ITC on bills unpaid 180 days after the invoice date (rule 37)
+const checkITCPaymentWindow = async () => {
+  try {
+    console.log('🧾 Checking purchase bills against the 180-day payment window...');
+
+    const result = await runPaymentWindowCheck();
+
+    console.log(
+      `✅ ITC check complete: ${result.checked} bill(s) checked, ` +
+        `${result.reversals} reversal(s), ${result.reclaims} re-claim(s)`
+    );
+  } catch (error) {
+    console.error('❌ Error in checkITCPaymentWindow:', error);
+  }
+};
+
 // Initialize schedulers
 export const initSchedulers = () => {
   console.log('🚀 Initializing email schedulers...');
@@ -166,9 +230,27 @@ export const initSchedulers = () => {
     timezone: 'Asia/Kolkata'
   });
 
+  // E-way bill expiry check every hour
+  cron.schedule('0 * * * *', () => {
+    console.log('⏰ Running e-way bill expiry check');
+    checkEWayBillExpiry();
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
+  // ITC 180-day payment window check every day at 1 AM
+  cron.schedule('0 1 * * *', () => {
+    console.log('⏰ Running ITC payment window check');
+    checkITCPaymentWindow();
+  }, {
+    timezone: 'Asia/Kolkata'
+  });
+
   console.log('✅ Schedulers initialized:');
   console.log('   - Invoice reminders: Daily at 9:00 AM IST');
   console.log('   - Daily reports: Daily at 9:00 PM IST');
+  console.log('   - E-way bill expiry: Hourly');
+  console.log('   - ITC 180-day check: Daily at 1:00 AM IST');
 };
 
 // Manual trigger functions (for testing or manual execution)
@@ -180,4 +262,14 @@ export const triggerRemindersNow = async () => {
 export const triggerDailyReportNow = async () => {
   console.log('📊 Manually triggering daily report...');
   await sendDailyReports();
-};
\ No newline at end of file
+};
+
+export const triggerEWayBillCheckNow = async () => {
+  console.log('🚚 Manually triggering e-way bill expiry check...');
+  await checkEWayBillExpiry();
+};
+
+export const triggerITCPaymentWindowCheckNow = async () => {
+  console.log('🧾 Manually triggering ITC payment window check...');
+  await checkITCPaymentWindow();
+};
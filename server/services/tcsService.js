@@ -0,0 +1,523 @@
+// ============================================
+// FILE: server/services/tcsService.js
+// TCS on sales: buyer FY aggregation, seller turnover condition,
+// the TCS payable register and the quarterly Form 27EQ statement
+// ============================================
+
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Organization from '../models/Organization.js';
+import TCSCollection from '../models/TCSCollection.js';
+import TDSChallan from '../models/TDSChallan.js';
+import {
+  TCS_SECTIONS,
+  DEFAULT_TCS_SECTION,
+  TCS_REMARKS,
+  getTCSRule,
+  getTCSRate,
+  getTCSReturnDueDate,
+  getTCSDepositDueDate,
+} from '../utils/tcsSections.js';
+import {
+  getDeducteeType,
+  getFinancialYearOf,
+  getTDSQuarterOf,
+  getTDSQuarterRange,
+} from '../utils/tdsSections.js';
+import { isExportSupply } from '../utils/exportSupply.js';
+import {
+  etdsDate,
+  etdsAmount,
+  etdsText,
+  getDeductorErrors,
+  buildFileHeader,
+  buildBatchHeader,
+} from '../utils/etdsFormat.js';
+
+// Invoices that are sales of goods for TCS
+const TCS_INVOICE_TYPES = ['TAX_INVOICE', 'BILL_OF_SUPPLY'];
+const EXCLUDED_STATUSES = ['DRAFT', 'CANCELLED'];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+
+const previousFinancialYear = (financialYear) => {
+  const startYear = parseInt(financialYear, 10) - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Value of an invoice TCS is computed on: taxable value plus GST, before TCS (in INR)
+ */
+export const getInvoiceValue = (invoice) =>
+  round2(
+    ((invoice.subtotal || 0) - (invoice.discountAmount || 0) + (invoice.totalTax || 0)) *
+      (invoice.exchangeRate || 1)
+  );
+
+// Share of an invoice that is goods (206C(1H) does not cover services)
+const goodsShare = (items = []) => {
+  const total = items.reduce((acc, item) => acc + (item.totalAmount || item.amount || 0), 0);
+  if (!total) return 1;
+  const goods = items
+    .filter((item) => item.itemType !== 'SERVICE')
+    .reduce((acc, item) => acc + (item.totalAmount || item.amount || 0), 0);
+  return goods / total;
+};
+
+/**
+ * Seller turnover of the year preceding a financial year
+ * A turnover declared for that year wins, then the organization's annual
+ * turnover (as used for HSN digits and e-invoicing), then sales in the books
+ * @returns {Promise<Object>} { financialYear, turnover, source }
+ */
+export const getSellerTurnover = async (organization, financialYear) => {
+  const previous = previousFinancialYear(financialYear);
+  const declared = (organization.turnoverHistory || []).find((entry) => entry.financialYear === previous);
+  if (declared) {
+    return { financialYear: previous, turnover: declared.turnover, source: 'DECLARED' };
+  }
+  if (organization.annualTurnover > 0) {
+    return { financialYear: previous, turnover: organization.annualTurnover, source: 'ORGANIZATION' };
+  }
+
+  const { startDate } = getTDSQuarterRange(previous, 'Q1');
+  const { endDate } = getTDSQuarterRange(previous, 'Q4');
+  const [result] = await Invoice.aggregate([
+    {
+      $match: {
+        organization: new mongoose.Types.ObjectId(organization._id.toString()),
+        invoiceType: { $in: TCS_INVOICE_TYPES },
+        status: { $nin: EXCLUDED_STATUSES },
+        invoiceDate: { $gte: startDate, $lte: endDate },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        turnover: {
+          $sum: {
+            $multiply: [
+              { $subtract: [{ $ifNull: ['$subtotal', 0] }, { $ifNull: ['$discountAmount', 0] }] },
+              { $ifNull: ['$exchangeRate', 1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return { financialYear: previous, turnover: round2(result?.turnover), source: 'BOOKS' };
+};
+
+/**
+ * Goods value invoiced to a buyer in a financial year before an invoice
+ */
+export const getBuyerAggregate = async ({ organizationId, clientId, financialYear, upTo, excludeInvoiceId }) => {
+  const { startDate } = getTDSQuarterRange(financialYear, 'Q1');
+  const { endDate } = getTDSQuarterRange(financialYear, 'Q4');
+
+  const filter = {
+    organization: organizationId,
+    client: clientId,
+    invoiceType: { $in: TCS_INVOICE_TYPES },
+    status: { $nin: EXCLUDED_STATUSES },
+    invoiceDate: { $gte: startDate, $lte: upTo && upTo < endDate ? upTo : endDate },
+  };
+  if (excludeInvoiceId) filter._id = { $ne: excludeInvoiceId };
+
+  const invoices = await Invoice.find(filter).select('items subtotal discountAmount totalTax supplyType exchangeRate');
+  return round2(
+    invoices
+      .filter((invoice) => !isExportSupply(invoice.supplyType))
+      .reduce((total, invoice) => total + getInvoiceValue(invoice) * goodsShare(invoice.items), 0)
+  );
+};
+
+/**
+ * Work out TCS on a sales invoice
+ * The section comes from the invoice, then the buyer, then 206C(1H). For
+ * 206C(1H) tax is due only when the seller's preceding-year turnover exceeds
+ * the limit, and only on the buyer's FY aggregate above the threshold.
+ * @param {Object} params
+ * @param {Object} params.organization
+ * @param {Object} params.client
+ * @param {Object} params.invoice - invoiceType, invoiceDate, items, subtotal, discountAmount, totalTax, supplyType, exchangeRate
+ * @param {string} [params.section] - Explicit section for this invoice
+ * @param {string} [params.excludeInvoiceId] - Invoice being recomputed
+ * @returns {Promise<Object>} { section, rate, totalValue, baseAmount, tcsAmount, remark, aggregateBefore, threshold, reason } (INR)
+ */
+export const computeInvoiceTCS = async ({ organization, client, invoice, section, excludeInvoiceId }) => {
+  const date = new Date(invoice.invoiceDate || Date.now());
+  const totalValue = getInvoiceValue(invoice);
+  const none = (reason) => ({
+    section: null,
+    rate: 0,
+    totalValue,
+    baseAmount: 0,
+    tcsAmount: 0,
+    remark: null,
+    reason,
+  });
+
+  if (!TCS_INVOICE_TYPES.includes(invoice.invoiceType)) {
+    return none(`No TCS on ${invoice.invoiceType}`);
+  }
+  if (isExportSupply(invoice.supplyType)) {
+    return none('No TCS on goods exported out of India');
+  }
+
+  const tcsSection = section || client?.tcsSection || DEFAULT_TCS_SECTION;
+  if (!TCS_SECTIONS[tcsSection]) {
+    return none(`Unknown TCS section ${tcsSection}`);
+  }
+  const rule = getTCSRule(tcsSection, date);
+  if (!rule) {
+    return none(`Section ${tcsSection} is not in force on ${date.toISOString().split('T')[0]}`);
+  }
+
+  const financialYear = getFinancialYearOf(date);
+  let baseAmount = totalValue;
+  let aggregateBefore;
+
+  if (rule.sellerTurnover) {
+    if (client?.tdsOnPurchases194Q) {
+      return none('Buyer deducts TDS u/s 194Q on this purchase');
+    }
+    const seller = await getSellerTurnover(organization, financialYear);
+    if (seller.turnover <= rule.sellerTurnover) {
+      return none(
+        `Seller turnover of Rs ${seller.turnover} in FY ${seller.financialYear} does not exceed Rs ${rule.sellerTurnover}`
+      );
+    }
+
+    aggregateBefore = await getBuyerAggregate({
+      organizationId: organization._id,
+      clientId: client._id,
+      financialYear,
+      upTo: date,
+      excludeInvoiceId,
+    });
+    const goodsValue = round2(totalValue * goodsShare(invoice.items));
+    baseAmount = round2(
+      Math.max(aggregateBefore + goodsValue - rule.aggregate, 0) - Math.max(aggregateBefore - rule.aggregate, 0)
+    );
+  } else if (rule.single && totalValue <= rule.single) {
+    baseAmount = 0;
+  }
+
+  if (baseAmount <= 0) {
+    return {
+      ...none(
+        rule.aggregate
+          ? `Buyer's FY ${financialYear} purchases are within Rs ${rule.aggregate}`
+          : `Sale value is within Rs ${rule.single}`
+      ),
+      aggregateBefore,
+      threshold: rule.aggregate || rule.single,
+    };
+  }
+
+  const rate = getTCSRate(tcsSection, client?.pan, date);
+  return {
+    section: tcsSection,
+    rate,
+    totalValue,
+    baseAmount,
+    // Section 288B: tax is rounded to the nearest rupee
+    tcsAmount: Math.round((baseAmount * rate) / 100),
+    remark: client?.pan ? null : TCS_REMARKS.NO_PAN,
+    aggregateBefore,
+    threshold: rule.aggregate || rule.single || 0,
+    reason: null,
+  };
+};
+
+/**
+ * Save (or clear) the register row of an invoice's TCS
+ * Rows already deposited with a challan are never rewritten.
+ */
+export const recordInvoiceTCS = async ({ organizationId, invoice, client, computation, userId }) => {
+  const existing = await TCSCollection.findOne({ organization: organizationId, invoice: invoice._id });
+  if (existing?.challan) {
+    if (existing.tcsAmount !== computation.tcsAmount) {
+      throw new Error(`TCS on ${invoice.invoiceNumber} is already deposited and cannot change`);
+    }
+    return existing;
+  }
+
+  if (!computation.tcsAmount) {
+    if (existing) await existing.deleteOne();
+    return null;
+  }
+
+  const { quarter } = getTDSQuarterOf(invoice.invoiceDate);
+  const row = existing || new TCSCollection({ organization: organizationId, invoice: invoice._id });
+  row.set({
+    client: client._id,
+    invoiceNumber: invoice.invoiceNumber,
+    section: computation.section,
+    financialYear: getFinancialYearOf(invoice.invoiceDate),
+    quarter,
+    collecteePAN: client.pan || null,
+    collecteeName: client.companyName || client.displayName,
+    collecteeCode: getDeducteeType(client.pan).deducteeCode,
+    totalValue: computation.totalValue,
+    amount: computation.baseAmount,
+    collectionDate: invoice.invoiceDate,
+    rate: computation.rate,
+    tcsAmount: computation.tcsAmount,
+    remark: computation.remark,
+    depositDueDate: getTCSDepositDueDate(invoice.invoiceDate),
+    createdBy: userId,
+  });
+  await row.save();
+  return row;
+};
+
+/**
+ * Remove the register row of an invoice being deleted
+ * @returns {Promise<string|null>} Error when the TCS is already deposited
+ */
+export const removeInvoiceTCS = async ({ organizationId, invoice, session = null }) => {
+  const row = await TCSCollection.findOne({ organization: organizationId, invoice: invoice._id }).session(session);
+  if (!row) return null;
+  if (row.challan) {
+    return `TCS of Rs ${row.tcsAmount} on ${invoice.invoiceNumber} is already deposited; reverse it with a credit note instead`;
+  }
+  await row.deleteOne();
+  return null;
+};
+
+/**
+ * FY position of a buyer: goods purchased, threshold and TCS collected
+ */
+export const getBuyerTCSSummary = async ({ organization, client, financialYear }) => {
+  const fy = financialYear || getFinancialYearOf(new Date());
+  const { endDate } = getTDSQuarterRange(fy, 'Q4');
+  const section = client.tcsSection || DEFAULT_TCS_SECTION;
+  const rule = getTCSRule(section, endDate) || getTCSRule(section, getTDSQuarterRange(fy, 'Q1').startDate);
+
+  const [aggregate, rows, seller] = await Promise.all([
+    getBuyerAggregate({ organizationId: organization._id, clientId: client._id, financialYear: fy }),
+    TCSCollection.find({ organization: organization._id, client: client._id, financialYear: fy }).sort({
+      collectionDate: 1,
+    }),
+    getSellerTurnover(organization, fy),
+  ]);
+
+  return {
+    client: { _id: client._id, companyName: client.companyName, pan: client.pan },
+    financialYear: fy,
+    section,
+    tdsOnPurchases194Q: client.tdsOnPurchases194Q,
+    rule,
+    sellerTurnover: seller,
+    aggregate,
+    thresholdCrossed: !!rule?.aggregate && aggregate > rule.aggregate,
+    tcsCollected: sum(rows, 'tcsAmount'),
+    undeposited: sum(rows.filter((row) => !row.challan), 'tcsAmount'),
+    collections: rows,
+  };
+};
+
+// ============================================
+// FORM 27EQ (NSDL e-TCS statement, caret-delimited)
+// ============================================
+
+/**
+ * Build the quarterly Form 27EQ statement
+ * Challans of the quarter carry the collectee rows deposited with them.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.financialYear - e.g. 2025-26
+ * @param {string} params.quarter - Q1..Q4
+ * @returns {Promise<Object>} { fileName, content, summary, errors, warnings }
+ */
+export const buildForm27EQ = async ({ organizationId, financialYear, quarter }) => {
+  const range = getTDSQuarterRange(financialYear, quarter);
+  const organization = await Organization.findById(organizationId);
+  const errors = getDeductorErrors(organization, 'Form 27EQ');
+  const warnings = [];
+
+  const [challans, collections] = await Promise.all([
+    TDSChallan.find({
+      organization: organizationId,
+      statementType: '27EQ',
+      financialYear: range.financialYear,
+      quarter: range.quarter,
+    }).sort({ depositDate: 1 }),
+    TCSCollection.find({
+      organization: organizationId,
+      financialYear: range.financialYear,
+      quarter: range.quarter,
+    }).sort({ collectionDate: 1 }),
+  ]);
+
+  const undeposited = collections.filter((row) => !row.challan);
+  if (undeposited.length > 0) {
+    errors.push(
+      `${undeposited.length} collection(s) totalling Rs ${sum(undeposited, 'tcsAmount')} are not linked to a challan`
+    );
+  }
+  if (collections.length === 0) {
+    warnings.push(`No TCS collected in ${range.quarter} ${range.financialYear}`);
+  }
+
+  const groups = challans.map((challan) => ({
+    challan,
+    rows: collections.filter((row) => row.challan?.toString() === challan._id.toString()),
+  }));
+
+  groups.forEach(({ challan, rows }) => {
+    const collected = sum(rows, 'tcsAmount');
+    if (collected > challan.tax + 0.5) {
+      errors.push(
+        `Challan ${challan.bsrCode}/${challan.challanSerialNumber}: collectee tax Rs ${collected} exceeds challan tax Rs ${challan.tax}`
+      );
+    }
+    rows
+      .filter((row) => new Date(challan.depositDate) > new Date(row.depositDueDate))
+      .forEach((row) => {
+        warnings.push(`${row.collecteeName} (${row.section}): deposited after the due date; interest u/s 206C(7) applies`);
+      });
+  });
+
+  const startYear = parseInt(range.financialYear, 10);
+  const fyCode = `${startYear}${startYear + 1}`;
+
+  const lines = [];
+  const push = (fields) => lines.push([lines.length + 1, ...fields].join('^'));
+
+  push(buildFileHeader(organization, '27EQ'));
+  push(
+    buildBatchHeader({
+      organization,
+      form: '27EQ',
+      range,
+      challanCount: groups.length,
+      challanTotal: challans.reduce((total, c) => total + c.totalAmount, 0),
+    })
+  );
+
+  groups.forEach(({ challan, rows }, index) => {
+    const rowTax = sum(rows, 'tcsAmount');
+    push([
+      'CD',
+      1,
+      index + 1,
+      rows.length,
+      'N', // nil challan
+      '', '', '', '', // updation indicator and fillers
+      '',
+      challan.challanSerialNumber,
+      '', '', '',
+      challan.bsrCode,
+      '',
+      etdsDate(challan.depositDate),
+      '', '',
+      TCS_SECTIONS[challan.section]?.code || '',
+      etdsAmount(challan.tax),
+      etdsAmount(challan.surcharge),
+      etdsAmount(challan.educationCess),
+      etdsAmount(challan.interest),
+      etdsAmount(challan.others),
+      etdsAmount(challan.totalAmount),
+      '',
+      etdsAmount(rowTax), // total deposited as per collectee annexure
+      etdsAmount(rowTax), // income tax
+      etdsAmount(0), // surcharge
+      etdsAmount(0), // cess
+      etdsAmount(rowTax),
+      etdsAmount(challan.interest),
+      etdsAmount(challan.others),
+      '', // cheque / DD number
+      'N', // book entry
+      '',
+      etdsAmount(challan.fee), // late filing fee u/s 234E
+      challan.minorHead,
+      '',
+      '', // record hash
+    ]);
+
+    rows.forEach((row, rowIndex) => {
+      push([
+        'DD',
+        1,
+        index + 1,
+        rowIndex + 1,
+        'O', // original
+        '',
+        row.collecteeCode || '02',
+        '',
+        row.collecteePAN ? etdsText(row.collecteePAN, 10) : 'PANNOTAVBL',
+        '',
+        '',
+        etdsText(row.collecteeName),
+        etdsAmount(row.tcsAmount),
+        etdsAmount(0),
+        etdsAmount(0),
+        etdsAmount(row.tcsAmount),
+        '',
+        etdsAmount(row.tcsAmount),
+        '',
+        etdsAmount(row.totalValue), // total value of purchase
+        etdsAmount(row.amount), // amount received / debited
+        etdsDate(row.collectionDate),
+        etdsDate(row.collectionDate),
+        '',
+        (row.rate || 0).toFixed(4),
+        '', // grossing up
+        'N', // book entry
+        '', // certificate date
+        row.remark || '',
+        '', '',
+        TCS_SECTIONS[row.section].code,
+        '', // lower collection certificate u/s 206C(9)
+        '', '', '', '', '', '', // non-resident fields
+        '', // record hash
+      ]);
+    });
+  });
+
+  return {
+    fileName: `${organization.tan || 'TAN'}_27EQ_${range.quarter}_${fyCode}.txt`,
+    content: `${lines.join('\n')}\n`,
+    summary: {
+      financialYear: range.financialYear,
+      quarter: range.quarter,
+      returnDueDate: getTCSReturnDueDate(range.financialYear, range.quarter),
+      challans: challans.length,
+      collectees: collections.length,
+      totalValue: round2(sum(collections, 'totalValue')),
+      amount: round2(sum(collections, 'amount')),
+      tcsCollected: sum(collections, 'tcsAmount'),
+      tcsDeposited: round2(challans.reduce((total, c) => total + c.tax, 0)),
+      bySection: Object.keys(TCS_SECTIONS)
+        .map((section) => {
+          const rows = collections.filter((row) => row.section === section);
+          return {
+            section,
+            collectees: rows.length,
+            amount: round2(sum(rows, 'amount')),
+            tcsCollected: sum(rows, 'tcsAmount'),
+          };
+        })
+        .filter((s) => s.collectees > 0),
+    },
+    errors,
+    warnings,
+  };
+};
+
+export default {
+  getInvoiceValue,
+  getSellerTurnover,
+  getBuyerAggregate,
+  computeInvoiceTCS,
+  recordInvoiceTCS,
+  removeInvoiceTCS,
+  getBuyerTCSSummary,
+  buildForm27EQ,
+};
@@ -0,0 +1,640 @@
+// ============================================
+// FILE: server/services/tdsPayableService.js
+// TDS on vendor payments: thresholds, lower-deduction certificates,
+// challans and the quarterly Form 26Q statement
+// ============================================
+
+import TDSDeduction from '../models/TDSDeduction.js';
+import TDSChallan from '../models/TDSChallan.js';
+import Organization from '../models/Organization.js';
+import {
+  TDS_PAYABLE_SECTIONS,
+  TDS_REMARKS,
+  getTDSThreshold,
+  getDeducteeType,
+  getTDSRate,
+  getFinancialYearOf,
+  getTDSQuarterOf,
+  getTDSQuarterRange,
+  getTDSDepositDueDate,
+} from '../utils/tdsSections.js';
+import {
+  etdsDate,
+  etdsAmount,
+  etdsText,
+  getDeductorErrors,
+  buildFileHeader,
+  buildBatchHeader,
+} from '../utils/etdsFormat.js';
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+// Section 288B: tax is rounded to the nearest rupee
+const roundTax = (value) => Math.round(value || 0);
+
+const sum = (rows, key) => rows.reduce((total, row) => total + (row[key] || 0), 0);
+
+// Amount of the bills themselves (rows also carry amounts caught up from earlier bills)
+const billAmount = (rows) => sum(rows, 'amountPaid') - sum(rows, 'catchUpAmount');
+
+/**
+ * Lower-deduction certificate of a vendor in force for a section on a date
+ * @returns {Promise<Object|null>} { certificate, remaining }
+ */
+export const findLowerDeductionCertificate = async ({ organizationId, vendor, section, date }) => {
+  const when = new Date(date);
+  const certificate = (vendor?.tdsCertificates || []).find(
+    (c) => c.section === section && new Date(c.validFrom) <= when && new Date(c.validTo) >= when
+  );
+  if (!certificate) return null;
+
+  const used = await TDSDeduction.find({
+    organization: organizationId,
+    vendor: vendor._id,
+    lowerDeductionCertificate: certificate.certificateNumber,
+  }).select('amountPaid');
+
+  return {
+    certificate,
+    remaining: Math.max(certificate.amountLimit - sum(used, 'amountPaid'), 0),
+  };
+};
+
+/**
+ * Work out the TDS on a vendor bill at its first payment
+ * TDS is on the value excluding GST shown separately. Bills below the
+ * threshold are recorded with remark Y; once the aggregate crosses it, those
+ * earlier bills are taxed along with the current one.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.pi - PurchaseInvoice document
+ * @param {Object} params.vendor - Client document (pan, tdsCertificates, tdsTransporterDeclaration)
+ * @param {string} params.section - Section key (194C, 194J(b), ...)
+ * @param {Date} params.date - Payment date
+ * @returns {Promise<Object>} { section, rows, tdsAmount, thresholdCrossed, ... }
+ */
+export const computeBillTDS = async ({ organizationId, pi, vendor, section, date }) => {
+  const config = TDS_PAYABLE_SECTIONS[section];
+  if (!config) {
+    throw new Error(`Unknown TDS section ${section}`);
+  }
+
+  const paymentDate = new Date(date || Date.now());
+  const { financialYear, quarter } = getTDSQuarterOf(paymentDate);
+  const pan = vendor?.pan || (vendor?.gstin ? vendor.gstin.substring(2, 12) : null);
+  const deductee = getDeducteeType(pan);
+
+  const result = {
+    section,
+    sectionLabel: config.label,
+    financialYear,
+    quarter,
+    deducteePAN: pan,
+    deducteeCode: deductee.deducteeCode,
+    base: round2(pi.subtotal),
+    catchUpAmount: 0,
+    catchUpRows: [],
+    threshold: getTDSThreshold(section, paymentDate),
+    priorAggregate: 0,
+    thresholdCrossed: false,
+    rows: [],
+    tdsAmount: 0,
+    alreadyDeducted: false,
+  };
+
+  // Deducted once per bill, at the first payment (or credit) against it
+  if (pi._id && (await TDSDeduction.exists({ organization: organizationId, purchaseInvoice: pi._id }))) {
+    result.alreadyDeducted = true;
+    return result;
+  }
+
+  const scopeFilter = {
+    organization: organizationId,
+    vendor: vendor._id,
+    section,
+    financialYear,
+  };
+  if (result.threshold.scope === 'MONTH') {
+    scopeFilter.paymentDate = {
+      $gte: new Date(paymentDate.getFullYear(), paymentDate.getMonth(), 1),
+      $lte: new Date(paymentDate.getFullYear(), paymentDate.getMonth() + 1, 0, 23, 59, 59, 999),
+    };
+  }
+  const priorRows = await TDSDeduction.find(scopeFilter);
+
+  result.priorAggregate = round2(billAmount(priorRows));
+  const aggregateCrossed = result.priorAggregate + result.base > result.threshold.aggregate;
+  const singleCrossed = !!result.threshold.single && result.base > result.threshold.single;
+  result.thresholdCrossed = aggregateCrossed || singleCrossed;
+
+  // Transporters under 194C(6) are paid in full but still reported
+  if (section === '194C' && vendor.tdsTransporterDeclaration && pan) {
+    result.rows.push({ amount: result.base, rate: 0, tdsAmount: 0, remark: TDS_REMARKS.TRANSPORTER });
+    return result;
+  }
+
+  if (!result.thresholdCrossed) {
+    result.rows.push({ amount: result.base, rate: 0, tdsAmount: 0, remark: TDS_REMARKS.BELOW_THRESHOLD });
+    return result;
+  }
+
+  if (aggregateCrossed) {
+    const pending = priorRows.filter((row) => row.remark === TDS_REMARKS.BELOW_THRESHOLD && !row.caughtUpBy);
+    result.catchUpRows = pending.map((row) => row._id);
+    result.catchUpAmount = round2(sum(pending, 'amountPaid'));
+  }
+
+  let taxable = round2(result.base + result.catchUpAmount);
+  const normalRate = getTDSRate(section, pan);
+
+  const lower = pan
+    ? await findLowerDeductionCertificate({ organizationId, vendor, section, date: paymentDate })
+    : null;
+  if (lower && lower.remaining > 0) {
+    const covered = Math.min(lower.remaining, taxable);
+    result.rows.push({
+      amount: round2(covered),
+      rate: lower.certificate.rate,
+      tdsAmount: roundTax((covered * lower.certificate.rate) / 100),
+      remark: TDS_REMARKS.LOWER_DEDUCTION,
+      lowerDeductionCertificate: lower.certificate.certificateNumber,
+    });
+    taxable = round2(taxable - covered);
+  }
+
+  if (taxable > 0) {
+    result.rows.push({
+      amount: taxable,
+      rate: normalRate,
+      tdsAmount: roundTax((taxable * normalRate) / 100),
+      remark: pan ? null : TDS_REMARKS.NO_PAN,
+    });
+  }
+
+  result.tdsAmount = sum(result.rows, 'tdsAmount');
+  return result;
+};
+
+/**
+ * Record the deductee rows of a computed deduction
+ * @returns {Promise<Array>} TDSDeduction documents
+ */
+export const recordBillTDS = async ({
+  organizationId,
+  pi,
+  vendor,
+  computation,
+  paymentId,
+  paymentDate,
+  userId,
+}) => {
+  if (!computation || computation.alreadyDeducted || computation.rows.length === 0) return [];
+
+  const date = new Date(paymentDate || Date.now());
+  const deductions = [];
+  for (const [index, row] of computation.rows.entries()) {
+    const deduction = await TDSDeduction.create({
+      vendor: vendor._id,
+      purchaseInvoice: pi._id,
+      paymentId,
+      section: computation.section,
+      financialYear: computation.financialYear,
+      quarter: computation.quarter,
+      deducteePAN: computation.deducteePAN,
+      deducteeName: vendor.companyName,
+      deducteeCode: computation.deducteeCode,
+      amountPaid: row.amount,
+      catchUpAmount: index === 0 ? computation.catchUpAmount : 0,
+      paymentDate: date,
+      deductionDate: date,
+      rate: row.rate,
+      tdsAmount: row.tdsAmount,
+      remark: row.remark || null,
+      lowerDeductionCertificate: row.lowerDeductionCertificate,
+      depositDueDate: row.tdsAmount > 0 ? getTDSDepositDueDate(date) : null,
+      createdBy: userId,
+      organization: organizationId,
+    });
+    deductions.push(deduction);
+  }
+
+  if (computation.catchUpRows.length > 0) {
+    await TDSDeduction.updateMany(
+      { _id: { $in: computation.catchUpRows } },
+      { $set: { caughtUpBy: deductions[0]._id } }
+    );
+  }
+
+  return deductions;
+};
+
+/**
+ * FY position of a vendor per section: aggregate, threshold and tax deducted
+ */
+export const getVendorTDSSummary = async ({ organizationId, vendor, financialYear }) => {
+  const fy = financialYear || getFinancialYearOf(new Date());
+  const rows = await TDSDeduction.find({
+    organization: organizationId,
+    vendor: vendor._id,
+    financialYear: fy,
+  }).sort({ paymentDate: 1 });
+
+  const sections = Object.keys(TDS_PAYABLE_SECTIONS)
+    .map((section) => {
+      const sectionRows = rows.filter((row) => row.section === section);
+      if (sectionRows.length === 0 && vendor.tdsSection !== section) return null;
+
+      const threshold = getTDSThreshold(section, new Date());
+      const aggregate = round2(billAmount(sectionRows));
+      return {
+        section,
+        label: TDS_PAYABLE_SECTIONS[section].label,
+        aggregate,
+        threshold,
+        thresholdCrossed: sectionRows.some((row) => row.tdsAmount > 0),
+        tdsDeducted: sum(sectionRows, 'tdsAmount'),
+        undeposited: sum(sectionRows.filter((row) => row.tdsAmount > 0 && !row.challan), 'tdsAmount'),
+        deductions: sectionRows.length,
+      };
+    })
+    .filter(Boolean);
+
+  const certificates = await Promise.all(
+    (vendor.tdsCertificates || []).map(async (certificate) => {
+      const used = await TDSDeduction.find({
+        organization: organizationId,
+        vendor: vendor._id,
+        lowerDeductionCertificate: certificate.certificateNumber,
+      }).select('amountPaid');
+      return {
+        ...certificate.toObject(),
+        used: round2(sum(used, 'amountPaid')),
+        remaining: round2(Math.max(certificate.amountLimit - sum(used, 'amountPaid'), 0)),
+      };
+    })
+  );
+
+  return {
+    vendor: { _id: vendor._id, companyName: vendor.companyName, pan: vendor.pan },
+    financialYear: fy,
+    defaultSection: vendor.tdsSection,
+    transporterDeclaration: vendor.tdsTransporterDeclaration,
+    sections,
+    certificates,
+  };
+};
+
+// ============================================
+// FORM 26Q (NSDL e-TDS regular statement, caret-delimited)
+// ============================================
+
+/**
+ * Build the quarterly Form 26Q statement
+ * Challans of the quarter carry the deductee rows deposited with them;
+ * rows without tax (remarks T/Y) are reported under a challan of their
+ * section, or a nil challan when there is none.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.financialYear - e.g. 2025-26
+ * @param {string} params.quarter - Q1..Q4
+ * @returns {Promise<Object>} { fileName, content, summary, errors, warnings }
+ */
+export const buildForm26Q = async ({ organizationId, financialYear, quarter }) => {
+  const range = getTDSQuarterRange(financialYear, quarter);
+  const organization = await Organization.findById(organizationId);
+  const errors = getDeductorErrors(organization, 'Form 26Q');
+  const warnings = [];
+
+  const [challans, deductions] = await Promise.all([
+    TDSChallan.find({
+      organization: organizationId,
+      statementType: { $ne: '27EQ' },
+      financialYear: range.financialYear,
+      quarter: range.quarter,
+    }).sort({ depositDate: 1 }),
+    TDSDeduction.find({
+      organization: organizationId,
+      financialYear: range.financialYear,
+      quarter: range.quarter,
+    }).sort({ deductionDate: 1 }),
+  ]);
+
+  const undeposited = deductions.filter((row) => row.tdsAmount > 0 && !row.challan);
+  if (undeposited.length > 0) {
+    errors.push(
+      `${undeposited.length} deduction(s) totalling Rs ${sum(undeposited, 'tdsAmount')} are not linked to a challan`
+    );
+  }
+
+  // Group deductee rows under their challans
+  const groups = challans.map((challan) => ({
+    challan,
+    rows: deductions.filter((row) => row.challan?.toString() === challan._id.toString()),
+  }));
+  const nilRows = [];
+  deductions
+    .filter((row) => !row.tdsAmount && !row.challan)
+    .forEach((row) => {
+      const group = groups.find((g) => g.challan.section === row.section);
+      if (group) group.rows.push(row);
+      else nilRows.push(row);
+    });
+  if (nilRows.length > 0) {
+    groups.push({ challan: null, rows: nilRows });
+  }
+
+  groups.forEach(({ challan, rows }) => {
+    if (!challan) return;
+    const deducted = sum(rows, 'tdsAmount');
+    if (deducted > challan.tax + 0.5) {
+      errors.push(
+        `Challan ${challan.bsrCode}/${challan.challanSerialNumber}: deductee tax Rs ${deducted} exceeds challan tax Rs ${challan.tax}`
+      );
+    }
+    rows
+      .filter((row) => row.tdsAmount > 0 && new Date(challan.depositDate) > new Date(row.depositDueDate))
+      .forEach((row) => {
+        warnings.push(
+          `${row.deducteeName} (${row.section}): deposited after the due date; interest u/s 201(1A) applies`
+        );
+      });
+  });
+
+  if (deductions.length === 0) {
+    warnings.push(`No deductions recorded for ${range.quarter} ${range.financialYear}`);
+  }
+
+  const startYear = parseInt(range.financialYear, 10);
+  const fyCode = `${startYear}${startYear + 1}`;
+
+  const lines = [];
+  const push = (fields) => lines.push([lines.length + 1, ...fields].join('^'));
+
+  push(buildFileHeader(organization, '26Q'));
+  push(
+    buildBatchHeader({
+      organization,
+      form: '26Q',
+      range,
+      challanCount: groups.length,
+      challanTotal: challans.reduce((total, c) => total + c.totalAmount, 0),
+    })
+  );
+
+  groups.forEach(({ challan, rows }, index) => {
+    const rowTax = sum(rows, 'tdsAmount');
+    push([
+      'CD',
+      1,
+      index + 1,
+      rows.length,
+      challan ? 'N' : 'Y', // nil challan
+      '', '', '', '', // updation indicator and fillers
+      '',
+      challan ? challan.challanSerialNumber : '',
+      '', '', '',
+      challan ? challan.bsrCode : '',
+      '',
+      challan ? etdsDate(challan.depositDate) : '',
+      '', '',
+      '', // section (reported per deductee in 26Q)
+      etdsAmount(challan?.tax),
+      etdsAmount(challan?.surcharge),
+      etdsAmount(challan?.educationCess),
+      etdsAmount(challan?.interest),
+      etdsAmount(challan?.others),
+      etdsAmount(challan?.totalAmount),
+      '',
+      etdsAmount(rowTax), // total deposited as per deductee annexure
+      etdsAmount(rowTax), // income tax
+      etdsAmount(0), // surcharge
+      etdsAmount(0), // cess
+      etdsAmount(rowTax),
+      etdsAmount(challan?.interest),
+      etdsAmount(challan?.others),
+      '', // cheque / DD number
+      'N', // book entry
+      '',
+      etdsAmount(challan?.fee), // late filing fee u/s 234E
+      challan ? challan.minorHead : '',
+      '',
+      '', // record hash
+    ]);
+
+    rows.forEach((row, rowIndex) => {
+      push([
+        'DD',
+        1,
+        index + 1,
+        rowIndex + 1,
+        'O', // original
+        '',
+        row.deducteeCode || '02',
+        '',
+        row.deducteePAN ? etdsText(row.deducteePAN, 10) : 'PANNOTAVBL',
+        '',
+        '',
+        etdsText(row.deducteeName),
+        etdsAmount(row.tdsAmount),
+        etdsAmount(0),
+        etdsAmount(0),
+        etdsAmount(row.tdsAmount),
+        '',
+        etdsAmount(row.tdsAmount),
+        '',
+        '', // total value of purchase (194Q only)
+        etdsAmount(row.amountPaid),
+        etdsDate(row.paymentDate),
+        row.tdsAmount > 0 ? etdsDate(row.deductionDate) : '',
+        '',
+        (row.rate || 0).toFixed(4),
+        '', // grossing up
+        'N', // book entry
+        '', // certificate date
+        row.remark || '',
+        '', '',
+        TDS_PAYABLE_SECTIONS[row.section].code,
+        row.lowerDeductionCertificate || '',
+        '', '', '', '', '', '', // 194N / non-resident fields
+        '', // record hash
+      ]);
+    });
+  });
+
+  return {
+    fileName: `${organization.tan || 'TAN'}_26Q_${range.quarter}_${fyCode}.txt`,
+    content: `${lines.join('\n')}\n`,
+    summary: {
+      financialYear: range.financialYear,
+      quarter: range.quarter,
+      returnDueDate: range.returnDueDate,
+      challans: challans.length,
+      deductees: deductions.length,
+      amountPaid: round2(sum(deductions, 'amountPaid')),
+      tdsDeducted: sum(deductions, 'tdsAmount'),
+      tdsDeposited: round2(challans.reduce((total, c) => total + c.tax, 0)),
+      bySection: Object.keys(TDS_PAYABLE_SECTIONS)
+        .map((section) => {
+          const rows = deductions.filter((row) => row.section === section);
+          return {
+            section,
+            deductees: rows.length,
+            amountPaid: round2(sum(rows, 'amountPaid')),
+            tdsDeducted: sum(rows, 'tdsAmount'),
+          };
+        })
+        .filter((s) => s.deductees > 0),
+    },
+    errors,
+    warnings,
+  };
+};
+
+// ============================================
+// FORM 16A (quarterly TDS certificate to each vendor)
+// ============================================
+
+// Our reference for a vendor's certificate of a quarter
+const form16ANumber = (range, vendor) =>
+  `16A/${range.financialYear}/${range.quarter}/${vendor.pan || vendor._id.toString().slice(-6).toUpperCase()}`;
+
+/**
+ * Build the Form 16A certificates of a quarter, one per vendor
+ * Only tax already deposited is certified; deductions not yet linked to a
+ * challan are reported as pending and left out of the certificate.
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {string} params.financialYear - e.g. 2025-26
+ * @param {string} params.quarter - Q1..Q4
+ * @param {string[]} [params.vendorIds] - Limit to these vendors
+ * @returns {Promise<Object>} { organization, financialYear, quarter, certificates, errors }
+ */
+export const buildForm16ACertificates = async ({ organizationId, financialYear, quarter, vendorIds }) => {
+  const range = getTDSQuarterRange(financialYear, quarter);
+  const organization = await Organization.findById(organizationId);
+
+  const errors = [];
+  if (!organization.tan) errors.push('Organization TAN is required for Form 16A');
+  if (!organization.pan) errors.push('Organization PAN is required for Form 16A');
+
+  const filter = {
+    organization: organizationId,
+    financialYear: range.financialYear,
+    quarter: range.quarter,
+    tdsAmount: { $gt: 0 },
+  };
+  if (vendorIds && vendorIds.length) filter.vendor = { $in: vendorIds };
+
+  const deductions = await TDSDeduction.find(filter)
+    .populate('vendor', 'companyName displayName pan email billingAddress billingCity billingState billingPincode')
+    .populate('challan')
+    .sort({ paymentDate: 1 });
+
+  const startYear = parseInt(range.financialYear, 10);
+  const responsible = organization.tdsDeductor?.responsiblePerson || {};
+
+  const byVendor = new Map();
+  deductions
+    .filter((row) => row.vendor)
+    .forEach((row) => {
+      const key = row.vendor._id.toString();
+      if (!byVendor.has(key)) byVendor.set(key, { vendor: row.vendor, rows: [] });
+      byVendor.get(key).rows.push(row);
+    });
+
+  const certificates = [...byVendor.values()].map(({ vendor, rows }) => {
+    const deposited = rows.filter((row) => row.challan);
+    const pending = rows.filter((row) => !row.challan);
+
+    // Tax of this deductee deposited under each challan
+    const challans = [];
+    deposited.forEach((row) => {
+      let entry = challans.find((c) => c.challanId.toString() === row.challan._id.toString());
+      if (!entry) {
+        entry = {
+          challanId: row.challan._id,
+          bsrCode: row.challan.bsrCode,
+          depositDate: row.challan.depositDate,
+          challanSerialNumber: row.challan.challanSerialNumber,
+          tax: 0,
+        };
+        challans.push(entry);
+      }
+      entry.tax += row.tdsAmount;
+    });
+
+    const tdsDeposited = sum(deposited, 'tdsAmount');
+
+    return {
+      certificateNumber: form16ANumber(range, vendor),
+      financialYear: range.financialYear,
+      assessmentYear: `${startYear + 1}-${String(startYear + 2).slice(-2)}`,
+      quarter: range.quarter,
+      periodFrom: range.startDate,
+      periodTo: range.endDate,
+      deductor: {
+        name: organization.name,
+        address: [organization.address, organization.city, organization.state, organization.pincode]
+          .filter(Boolean)
+          .join(', '),
+        tan: organization.tan,
+        pan: organization.pan,
+        responsiblePerson: {
+          name: responsible.name || organization.authorizedSignatory?.name,
+          designation: responsible.designation || organization.authorizedSignatory?.designation,
+        },
+      },
+      deductee: {
+        _id: vendor._id,
+        name: vendor.companyName || vendor.displayName,
+        pan: vendor.pan,
+        email: vendor.email,
+        address: [vendor.billingAddress, vendor.billingCity, vendor.billingState, vendor.billingPincode]
+          .filter(Boolean)
+          .join(', '),
+      },
+      payments: deposited.map((row) => ({
+        paymentDate: row.paymentDate,
+        deductionDate: row.deductionDate,
+        section: row.section,
+        sectionLabel: TDS_PAYABLE_SECTIONS[row.section]?.label,
+        amountPaid: round2(row.amountPaid),
+        rate: row.rate,
+        tdsAmount: row.tdsAmount,
+        remark: row.remark,
+        bsrCode: row.challan.bsrCode,
+        challanSerialNumber: row.challan.challanSerialNumber,
+        depositDate: row.challan.depositDate,
+      })),
+      challans,
+      totals: {
+        amountPaid: round2(sum(deposited, 'amountPaid')),
+        tdsDeducted: tdsDeposited,
+        tdsDeposited,
+      },
+      pending: {
+        deductions: pending.length,
+        tdsAmount: sum(pending, 'tdsAmount'),
+      },
+    };
+  });
+
+  certificates.sort((a, b) => String(a.deductee.name).localeCompare(String(b.deductee.name)));
+
+  return {
+    organization,
+    financialYear: range.financialYear,
+    quarter: range.quarter,
+    certificates,
+    errors,
+  };
+};
+
+export default {
+  findLowerDeductionCertificate,
+  computeBillTDS,
+  recordBillTDS,
+  getVendorTDSSummary,
+  buildForm26Q,
+  buildForm16ACertificates,
+};
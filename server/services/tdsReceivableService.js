@@ -0,0 +1,674 @@
+// ============================================
+// FILE: server/services/tdsReceivableService.js
+// Form 26AS / AIS parsing and matching against TDS receivable on receipts
+// ============================================
+
+import Client from '../models/Client.js';
+import Receipt from '../models/Receipt.js';
+import TDSCreditReconciliation from '../models/TDSCreditReconciliation.js';
+import { getFinancialYearOf, getTDSQuarterOf, getTDSQuarterRange } from '../utils/tdsSections.js';
+
+const TAN_REGEX = /^[A-Z]{4}[0-9]{5}[A-Z]$/;
+const PAN_REGEX = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+// Receipts whose TDS is still claimed
+const MATCHABLE_RECEIPT_STATUSES = ['ACTIVE', 'RECONCILED'];
+
+// Booking status U: the deductor's challan did not match, no credit yet
+const UNMATCHED_BOOKING_STATUS = 'U';
+
+// Deductors issue Form 16A within 15 days of the quarterly statement due date
+const FORM16A_ISSUE_DAYS = 15;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const round2 = (value) => parseFloat((value || 0).toFixed(2));
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null || value === '') return 0;
+  const amount = parseFloat(String(value).replace(/[,\s₹]/g, ''));
+  return isNaN(amount) ? 0 : amount;
+};
+
+/**
+ * Dates as TRACES and the AIS print them: 30-Jun-2024, 30-06-2024, 30/06/2024
+ */
+const parseStatementDate = (value) => {
+  if (!value || value === '-') return null;
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+
+  let match = /^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ](\d{4})$/.exec(text);
+  if (match) {
+    const month = MONTHS.indexOf(match[2].toUpperCase());
+    if (month !== -1) return new Date(parseInt(match[3]), month, parseInt(match[1]));
+  }
+  match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+  if (match) {
+    return new Date(parseInt(match[3]), parseInt(match[2]) - 1, parseInt(match[1]));
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// "TDS-194JB", "194J(b)" and "194J" all come back as the section number
+const normalizeSection = (value) => {
+  const match = /19[0-9][A-Z0-9()]*/i.exec(String(value || ''));
+  return match ? match[0].toUpperCase().replace(/[()]/g, '') : null;
+};
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// First non-empty value of a row under any of the candidate column names
+const pickField = (row, candidates) => {
+  const keys = Object.keys(row || {});
+  for (const candidate of candidates) {
+    const key = keys.find((k) => normalizeKey(k) === candidate);
+    if (key !== undefined && row[key] !== undefined && row[key] !== null && row[key] !== '') {
+      return row[key];
+    }
+  }
+  return undefined;
+};
+
+const FIELD_NAMES = {
+  tan: ['tan', 'tanofdeductor', 'deductortan'],
+  pan: ['deductorpan', 'panofdeductor'],
+  name: ['nameofdeductor', 'deductorname', 'deductor', 'name'],
+  source: ['informationsource', 'source'],
+  section: ['section', 'sectioncode', 'informationcode', 'infocode'],
+  transactionDate: [
+    'transactiondate',
+    'dateofpaymentcredit',
+    'dateofpaymentorcredit',
+    'dateofcredit',
+    'dateofpayment',
+    'paymentdate',
+    'date',
+  ],
+  bookingStatus: ['statusofbooking', 'bookingstatus'],
+  bookingDate: ['dateofbooking', 'bookingdate'],
+  amountPaid: [
+    'amountpaidcredited',
+    'amountpaidcreditedrs',
+    'amountpaid',
+    'amountcredited',
+    'amount',
+  ],
+  taxDeducted: ['taxdeducted', 'taxdeductedrs', 'tdsdeducted', 'amountoftds', 'tds'],
+  tdsDeposited: ['tdsdeposited', 'tdsdepositedrs', 'taxdeposited', 'amountdeposited'],
+};
+
+/**
+ * Normalise one statement row (CSV row, AIS record or manual entry)
+ * @returns {Object|null} Entry or null when the row carries no TDS
+ */
+export const normalizeStatementEntry = (row, context = {}) => {
+  const source = pickField(row, FIELD_NAMES.source) || context.source;
+  // AIS names the source as "ABC LIMITED (MUMA12345B)"
+  const sourceTan = source ? /\(([A-Z]{4}[0-9]{5}[A-Z])\)/.exec(String(source).toUpperCase()) : null;
+
+  const tan = String(pickField(row, FIELD_NAMES.tan) || sourceTan?.[1] || context.tan || '')
+    .toUpperCase()
+    .trim();
+  const pan = String(pickField(row, FIELD_NAMES.pan) || context.pan || '')
+    .toUpperCase()
+    .trim();
+
+  const transactionDate = parseStatementDate(pickField(row, FIELD_NAMES.transactionDate));
+  const taxDeducted = parseAmount(pickField(row, FIELD_NAMES.taxDeducted));
+  const depositedValue = pickField(row, FIELD_NAMES.tdsDeposited);
+  // The AIS only shows tax reported in a filed statement, i.e. deposited
+  const tdsDeposited = depositedValue !== undefined ? parseAmount(depositedValue) : taxDeducted;
+
+  if (!transactionDate || (!taxDeducted && !tdsDeposited)) return null;
+
+  const name =
+    pickField(row, FIELD_NAMES.name) ||
+    (source ? String(source).replace(/\s*\([^)]*\)\s*$/, '') : null) ||
+    context.name;
+
+  return {
+    deductorTan: TAN_REGEX.test(tan) ? tan : null,
+    deductorPan: PAN_REGEX.test(pan) ? pan : null,
+    deductorName: String(name || '').trim(),
+    section: normalizeSection(pickField(row, FIELD_NAMES.section) || context.section),
+    transactionDate,
+    bookingStatus: String(pickField(row, FIELD_NAMES.bookingStatus) || '').trim().toUpperCase().slice(0, 1) || null,
+    bookingDate: parseStatementDate(pickField(row, FIELD_NAMES.bookingDate)),
+    amountPaid: parseAmount(pickField(row, FIELD_NAMES.amountPaid)),
+    taxDeducted,
+    tdsDeposited,
+  };
+};
+
+/**
+ * Parse the Form 26AS text download from TRACES
+ * Caret-delimited; Part A lists each deductor (Sr. No.^Name^TAN^...) followed by
+ * its transactions (^Sr. No.^Section^Transaction Date^Status^Date of Booking^
+ * Remarks^Amount Paid^Tax Deducted^TDS Deposited). Other parts are skipped.
+ * @param {string} text - File contents
+ * @returns {Object} { pan, financialYear, entries }
+ */
+export const parse26ASText = (text) => {
+  const lines = String(text || '').split(/\r?\n/);
+  const entries = [];
+  let pan = null;
+  let financialYear = null;
+  let inPartA = false;
+  let deductor = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    const fields = line.split('^').map((field) => field.trim());
+
+    // Assessee header: a row of column names followed by a row of values
+    if (!financialYear && fields.some((f) => /^financial year$/i.test(f))) {
+      const values = (lines[i + 1] || '').split('^').map((field) => field.trim());
+      const panIndex = fields.findIndex((f) => /permanent account number/i.test(f));
+      const fyIndex = fields.findIndex((f) => /^financial year$/i.test(f));
+      if (panIndex !== -1 && PAN_REGEX.test(values[panIndex] || '')) pan = values[panIndex];
+      if (/^\d{4}-\d{2}$/.test(values[fyIndex] || '')) financialYear = values[fyIndex];
+      i++;
+      continue;
+    }
+
+    const part = /^PART[\s-]+([A-Z][0-9]?)\b/i.exec(line);
+    if (part) {
+      inPartA = part[1].toUpperCase() === 'A';
+      deductor = null;
+      continue;
+    }
+    if (!inPartA) continue;
+
+    // Deductor summary row
+    if (/^\d+$/.test(fields[0]) && TAN_REGEX.test((fields[2] || '').toUpperCase())) {
+      deductor = { name: fields[1], tan: fields[2].toUpperCase() };
+      continue;
+    }
+
+    // Transaction row of the current deductor
+    if (deductor && fields[0] === '' && /^\d+$/.test(fields[1] || '')) {
+      const entry = normalizeStatementEntry(
+        {
+          section: fields[2],
+          transactionDate: fields[3],
+          bookingStatus: fields[4],
+          bookingDate: fields[5],
+          amountPaid: fields[7],
+          taxDeducted: fields[8],
+          tdsDeposited: fields[9],
+        },
+        deductor
+      );
+      if (entry) entries.push(entry);
+    }
+  }
+
+  if (entries.length === 0) {
+    throw new Error('No Part A TDS entries found in the Form 26AS file');
+  }
+
+  return { pan, financialYear, entries };
+};
+
+/**
+ * Parse tabular rows (CSV export of 26AS, or entries posted as JSON)
+ */
+export const parseStatementRows = (rows = []) => {
+  const entries = rows.map((row) => normalizeStatementEntry(row)).filter(Boolean);
+  if (entries.length === 0) {
+    throw new Error('No TDS entries found: rows need a deductor TAN, transaction date and TDS amount');
+  }
+  return { pan: null, financialYear: null, entries };
+};
+
+/**
+ * Parse the AIS JSON (decrypted utility download)
+ * TDS records sit under information codes such as TDS-194J; each record
+ * inherits the deductor and section of the block it is nested in. TCS and
+ * other SFT information are skipped.
+ * @returns {Object} { pan, financialYear, entries }
+ */
+export const parseAIS = (payload) => {
+  const entries = [];
+
+  const walk = (node, context) => {
+    if (Array.isArray(node)) {
+      node.forEach((child) => walk(child, context));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const code = pickField(node, FIELD_NAMES.section);
+    if (code && /^(TCS|SFT)/i.test(String(code))) return;
+
+    const next = {
+      ...context,
+      name: pickField(node, FIELD_NAMES.name) || context.name,
+      source: pickField(node, FIELD_NAMES.source) || context.source,
+      tan: pickField(node, FIELD_NAMES.tan) || context.tan,
+      pan: pickField(node, FIELD_NAMES.pan) || context.pan,
+      section: code || context.section,
+    };
+
+    const entry = normalizeStatementEntry(node, next);
+    if (entry) {
+      entries.push(entry);
+      return;
+    }
+
+    Object.values(node).forEach((child) => {
+      if (child && typeof child === 'object') walk(child, next);
+    });
+  };
+
+  const data = payload?.data || payload;
+  walk(data, {});
+
+  if (entries.length === 0) {
+    throw new Error('No TDS information found in the AIS file');
+  }
+
+  const pan = String(pickField(data, ['pan', 'panofassessee']) || '').toUpperCase();
+  const fy = String(pickField(data, ['financialyear', 'fy']) || '');
+  const fyMatch = /^(\d{4})-?(\d{2})$/.exec(fy);
+
+  return {
+    pan: PAN_REGEX.test(pan) ? pan : null,
+    financialYear: fyMatch ? `${fyMatch[1]}-${fyMatch[2]}` : null,
+    entries,
+  };
+};
+
+/**
+ * TDS_RECEIVABLE items on receipts of a financial year
+ * @returns {Promise<Array>} One row per receipt item with its client and quarter
+ */
+export const loadReceivableBooks = async (organizationId, financialYear) => {
+  const { startDate } = getTDSQuarterRange(financialYear, 'Q1');
+  const { endDate } = getTDSQuarterRange(financialYear, 'Q4');
+
+  const receipts = await Receipt.find({
+    organization: organizationId,
+    status: { $in: MATCHABLE_RECEIPT_STATUSES },
+    receiptDate: { $gte: startDate, $lte: endDate },
+    'items.type': 'TDS_RECEIVABLE',
+  }).populate('client', 'companyName displayName tan pan');
+
+  const rows = [];
+  receipts.forEach((receipt) => {
+    receipt.items
+      .filter((item) => item.type === 'TDS_RECEIVABLE' && item.amount > 0)
+      .forEach((item) => {
+        rows.push({
+          client: receipt.client?._id || receipt.client,
+          clientName: receipt.client?.companyName || receipt.client?.displayName,
+          clientTan: receipt.client?.tan || null,
+          clientPan: receipt.client?.pan || null,
+          deductedBy: String(item.tdsDeductedBy || '').toUpperCase().trim(),
+          quarter: getTDSQuarterOf(receipt.receiptDate).quarter,
+          receipt: receipt._id,
+          itemId: item._id,
+          receiptNumber: receipt.receiptNumber,
+          receiptDate: receipt.receiptDate,
+          tdsSection: item.tdsSection,
+          amount: item.amount,
+          certificateNumber: item.tdsCertificateNumber,
+        });
+      });
+  });
+
+  return rows;
+};
+
+/**
+ * Map deductor TANs/PANs in a statement to clients
+ * Uses the client master first, then TANs typed into tdsDeductedBy on receipts.
+ */
+export const resolveDeductors = async (organizationId, entries, bookRows = []) => {
+  const tans = [...new Set(entries.map((e) => e.deductorTan).filter(Boolean))];
+  const pans = [...new Set(entries.map((e) => e.deductorPan).filter(Boolean))];
+
+  const byTan = new Map();
+  const byPan = new Map();
+
+  if (tans.length || pans.length) {
+    const clients = await Client.find({
+      organization: organizationId,
+      $or: [{ tan: { $in: tans } }, { pan: { $in: pans } }],
+    }).select('companyName displayName tan pan');
+
+    clients.forEach((client) => {
+      const ref = { client: client._id, clientName: client.companyName || client.displayName };
+      if (client.tan) byTan.set(client.tan, ref);
+      if (client.pan) byPan.set(client.pan, ref);
+    });
+  }
+
+  bookRows.forEach((row) => {
+    if (row.client && TAN_REGEX.test(row.deductedBy) && !byTan.has(row.deductedBy)) {
+      byTan.set(row.deductedBy, { client: row.client, clientName: row.clientName });
+    }
+  });
+
+  return (entry) =>
+    (entry.deductorTan && byTan.get(entry.deductorTan)) ||
+    (entry.deductorPan && byPan.get(entry.deductorPan)) ||
+    null;
+};
+
+// Deductor-quarter a line is reconciled on
+const groupKey = ({ client, deductorTan, deductorPan, quarter }) =>
+  [client ? client.toString() : deductorTan || deductorPan || '', quarter].join('|');
+
+const getForm16ADueDate = (financialYear, quarter) => {
+  const { returnDueDate } = getTDSQuarterRange(financialYear, quarter);
+  const due = new Date(returnDueDate);
+  due.setDate(due.getDate() + FORM16A_ISSUE_DAYS);
+  return due;
+};
+
+const describeLine = (line) => {
+  const tan = line.deductorTan ? `TAN ${line.deductorTan}` : 'the deductor';
+  switch (line.status) {
+    case 'MISSING_IN_26AS':
+      return line.deductorTan || line.deductorPan
+        ? `No credit from ${tan} in ${line.quarter}`
+        : 'Client TAN not recorded; 26AS credits cannot be attributed';
+    case 'SHORT_DEPOSITED':
+      return line.statement.unmatchedAmount > 0
+        ? `Short by ${round2(-line.difference)}; ${line.statement.unmatchedAmount} awaits challan matching (status U)`
+        : `Short by ${round2(-line.difference)}; deductor to revise its TDS statement`;
+    case 'EXCESS_IN_26AS':
+      return `Credit exceeds TDS booked on receipts by ${round2(line.difference)}`;
+    case 'NOT_IN_BOOKS':
+      return line.client
+        ? `No TDS receivable booked on receipts in ${line.quarter}`
+        : `${tan} is not linked to any client`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Match statement entries with TDS receivable per deductor and quarter
+ * @param {Array} entries - Statement entries with client, clientName and quarter
+ * @param {Array} bookRows - Rows from loadReceivableBooks
+ * @returns {Array} Reconciliation lines
+ */
+export const matchTDSCredits = (entries, bookRows, financialYear, { amount = 1 } = {}) => {
+  const groups = new Map();
+  const getGroup = (key, seed) => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        quarter: seed.quarter,
+        client: seed.client || null,
+        clientName: seed.clientName,
+        deductorTan: seed.deductorTan || null,
+        deductorPan: seed.deductorPan || null,
+        deductorName: seed.deductorName,
+        statement: { sections: [], amountPaid: 0, taxDeducted: 0, tdsDeposited: 0, unmatchedAmount: 0, entries: [] },
+        books: { tdsAmount: 0, receipts: [] },
+      });
+    }
+    return groups.get(key);
+  };
+
+  entries.forEach((entry) => {
+    const group = getGroup(groupKey(entry), entry);
+    group.deductorTan = group.deductorTan || entry.deductorTan;
+    group.deductorPan = group.deductorPan || entry.deductorPan;
+    group.deductorName = group.deductorName || entry.deductorName;
+
+    const statement = group.statement;
+    if (entry.section && !statement.sections.includes(entry.section)) statement.sections.push(entry.section);
+    statement.amountPaid += entry.amountPaid;
+    statement.taxDeducted += entry.taxDeducted;
+    if (entry.bookingStatus === UNMATCHED_BOOKING_STATUS) {
+      statement.unmatchedAmount += entry.tdsDeposited || entry.taxDeducted;
+    } else {
+      statement.tdsDeposited += entry.tdsDeposited;
+    }
+    statement.entries.push({
+      section: entry.section,
+      transactionDate: entry.transactionDate,
+      bookingStatus: entry.bookingStatus,
+      bookingDate: entry.bookingDate,
+      amountPaid: entry.amountPaid,
+      taxDeducted: entry.taxDeducted,
+      tdsDeposited: entry.tdsDeposited,
+    });
+  });
+
+  bookRows.forEach((row) => {
+    const group = getGroup(groupKey(row), {
+      ...row,
+      deductorTan: row.clientTan || (TAN_REGEX.test(row.deductedBy) ? row.deductedBy : null),
+      deductorPan: row.clientPan,
+    });
+    group.books.tdsAmount += row.amount;
+    group.books.receipts.push({
+      receipt: row.receipt,
+      itemId: row.itemId,
+      receiptNumber: row.receiptNumber,
+      receiptDate: row.receiptDate,
+      tdsSection: row.tdsSection,
+      amount: row.amount,
+      certificateNumber: row.certificateNumber,
+    });
+  });
+
+  return [...groups.values()].map((line) => {
+    line.statement.amountPaid = round2(line.statement.amountPaid);
+    line.statement.taxDeducted = round2(line.statement.taxDeducted);
+    line.statement.tdsDeposited = round2(line.statement.tdsDeposited);
+    line.statement.unmatchedAmount = round2(line.statement.unmatchedAmount);
+    line.books.tdsAmount = round2(line.books.tdsAmount);
+    line.difference = round2(line.statement.tdsDeposited - line.books.tdsAmount);
+
+    const hasStatement = line.statement.entries.length > 0;
+    if (line.books.receipts.length === 0) {
+      line.status = 'NOT_IN_BOOKS';
+    } else if (!hasStatement) {
+      line.status = 'MISSING_IN_26AS';
+    } else if (Math.abs(line.difference) <= amount) {
+      line.status = 'MATCHED';
+    } else {
+      line.status = line.difference < 0 ? 'SHORT_DEPOSITED' : 'EXCESS_IN_26AS';
+    }
+    line.reason = describeLine(line);
+
+    // Certificate numbers on every receipt item mean Form 16A is already in hand
+    const certificates = [...new Set(line.books.receipts.map((r) => r.certificateNumber).filter(Boolean))];
+    if (line.status === 'NOT_IN_BOOKS') {
+      line.followUpStatus = 'NOT_REQUIRED';
+    } else if (line.status === 'MATCHED' && line.books.receipts.every((r) => r.certificateNumber)) {
+      line.followUpStatus = 'FORM16A_RECEIVED';
+      line.form16A = { certificateNumber: certificates.join(', '), tdsAmount: line.books.tdsAmount };
+    } else {
+      line.followUpStatus = 'OPEN';
+      line.nextFollowUpDate = getForm16ADueDate(financialYear, line.quarter);
+    }
+
+    return line;
+  });
+};
+
+/**
+ * Match an imported statement against the books and save the reconciliation
+ * Follow-up history and recorded Form 16A details carry over across re-imports.
+ * @returns {Promise<Object>} { reconciliation, skipped }
+ */
+export const reconcileTDSCredits = async ({
+  organizationId,
+  financialYear,
+  pan,
+  source,
+  entries,
+  sourceFileName,
+  tolerance,
+  userId,
+}) => {
+  let reconciliation = await TDSCreditReconciliation.findOne({
+    organization: organizationId,
+    financialYear,
+  });
+
+  if (!reconciliation) {
+    reconciliation = new TDSCreditReconciliation({
+      organization: organizationId,
+      financialYear,
+    });
+  }
+
+  if (tolerance) {
+    reconciliation.tolerance = {
+      amount: tolerance.amount ?? reconciliation.tolerance?.amount ?? 1,
+    };
+  }
+
+  // Keep the statement side from the last import when only re-matching
+  const statementEntries =
+    entries ||
+    reconciliation.lines.flatMap((line) =>
+      line.statement.entries.map((entry) => ({
+        deductorTan: line.deductorTan,
+        deductorPan: line.deductorPan,
+        deductorName: line.deductorName,
+        ...entry.toObject(),
+      }))
+    );
+
+  // Only entries of this financial year are reconciled
+  let skipped = 0;
+  const inYear = statementEntries.filter((entry) => {
+    const belongs = getFinancialYearOf(entry.transactionDate) === financialYear;
+    if (!belongs) skipped++;
+    return belongs;
+  });
+
+  const bookRows = await loadReceivableBooks(organizationId, financialYear);
+  const resolve = await resolveDeductors(organizationId, inYear, bookRows);
+  const resolved = inYear.map((entry) => ({
+    ...entry,
+    ...(resolve(entry) || {}),
+    quarter: getTDSQuarterOf(entry.transactionDate).quarter,
+  }));
+
+  const lines = matchTDSCredits(resolved, bookRows, financialYear, reconciliation.tolerance);
+
+  const previousLines = new Map(reconciliation.lines.map((line) => [groupKey(line), line]));
+
+  reconciliation.lines = lines.map((line) => {
+    const previous = previousLines.get(groupKey(line));
+    if (!previous) return line;
+
+    const carried = { ...line, followUps: previous.followUps };
+    if (previous.followUpStatus === 'FORM16A_RECEIVED' && previous.form16A?.receivedAt) {
+      carried.followUpStatus = 'FORM16A_RECEIVED';
+      carried.form16A = previous.form16A;
+      carried.nextFollowUpDate = null;
+    } else if (carried.followUpStatus === 'OPEN' && previous.nextFollowUpDate) {
+      carried.nextFollowUpDate = previous.nextFollowUpDate;
+    }
+    return carried;
+  });
+
+  if (pan) reconciliation.pan = pan;
+  if (source) reconciliation.source = source;
+  if (sourceFileName) reconciliation.sourceFileName = sourceFileName;
+  if (userId) reconciliation.importedBy = userId;
+  reconciliation.lastMatchedAt = new Date();
+
+  await reconciliation.save();
+  return { reconciliation, skipped };
+};
+
+/**
+ * Record receipt of Form 16A for a line and stamp the certificate number on
+ * its receipt items that do not carry one yet
+ */
+export const recordForm16A = async (reconciliation, line, { certificateNumber, receivedAt, tdsAmount, userId }) => {
+  line.form16A = {
+    certificateNumber,
+    receivedAt: receivedAt ? new Date(receivedAt) : new Date(),
+    tdsAmount: tdsAmount !== undefined ? parseFloat(tdsAmount) : line.statement.tdsDeposited,
+    recordedBy: userId,
+  };
+  line.followUpStatus = 'FORM16A_RECEIVED';
+  line.nextFollowUpDate = null;
+
+  const pending = line.books.receipts.filter((r) => !r.certificateNumber);
+  for (const row of pending) {
+    await Receipt.updateOne(
+      { _id: row.receipt, organization: reconciliation.organization, 'items._id': row.itemId },
+      { $set: { 'items.$.tdsCertificateNumber': certificateNumber } }
+    );
+    row.certificateNumber = certificateNumber;
+  }
+
+  await reconciliation.save();
+  return line;
+};
+
+/**
+ * Per-client view of a reconciliation: totals across quarters and what is
+ * still outstanding
+ */
+export const summarizeByClient = (reconciliation) => {
+  const clients = new Map();
+
+  reconciliation.lines.forEach((line) => {
+    const key = line.client ? line.client.toString() : line.deductorTan || line.deductorPan || 'UNKNOWN';
+    if (!clients.has(key)) {
+      clients.set(key, {
+        client: line.client || null,
+        clientName: line.clientName || line.deductorName,
+        deductorTan: line.deductorTan,
+        booksTDS: 0,
+        depositedTDS: 0,
+        difference: 0,
+        flags: [],
+        quarters: [],
+        openFollowUps: 0,
+        nextFollowUpDate: null,
+      });
+    }
+    const summary = clients.get(key);
+    summary.deductorTan = summary.deductorTan || line.deductorTan;
+    summary.booksTDS = round2(summary.booksTDS + line.books.tdsAmount);
+    summary.depositedTDS = round2(summary.depositedTDS + line.statement.tdsDeposited);
+    summary.difference = round2(summary.depositedTDS - summary.booksTDS);
+    summary.quarters.push({
+      quarter: line.quarter,
+      status: line.status,
+      difference: line.difference,
+      followUpStatus: line.followUpStatus,
+      lineId: line._id,
+    });
+    if (line.status !== 'MATCHED' && !summary.flags.includes(line.status)) summary.flags.push(line.status);
+    if (line.followUpStatus === 'OPEN') {
+      summary.openFollowUps++;
+      if (line.nextFollowUpDate && (!summary.nextFollowUpDate || line.nextFollowUpDate < summary.nextFollowUpDate)) {
+        summary.nextFollowUpDate = line.nextFollowUpDate;
+      }
+    }
+  });
+
+  return [...clients.values()].sort((a, b) => a.difference - b.difference);
+};
+
+export default {
+  normalizeStatementEntry,
+  parse26ASText,
+  parseStatementRows,
+  parseAIS,
+  loadReceivableBooks,
+  resolveDeductors,
+  matchTDSCredits,
+  reconcileTDSCredits,
+  recordForm16A,
+  summarizeByClient,
+};
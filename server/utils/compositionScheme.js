@@ -0,0 +1,108 @@
+/**
+ * ============================================
+ * FILE: server/utils/compositionScheme.js
+ * Composition scheme (CGST Act section 10)
+ * Rates by category, bill-of-supply rules, CMP-08 quarters
+ * ============================================
+ */
+
+/**
+ * Composition categories with the combined CGST+SGST rate on turnover
+ * Traders pay only on taxable supplies; everyone else on total turnover in the state.
+ */
+export const COMPOSITION_CATEGORIES = {
+  MANUFACTURER: {
+    label: 'Manufacturer',
+    rate: 1,
+    taxableSuppliesOnly: false,
+  },
+  TRADER: {
+    label: 'Trader',
+    rate: 1,
+    taxableSuppliesOnly: true,
+  },
+  RESTAURANT: {
+    label: 'Restaurant (not serving alcohol)',
+    rate: 5,
+    taxableSuppliesOnly: false,
+  },
+  SERVICE_PROVIDER: {
+    label: 'Service provider (section 10(2A))',
+    rate: 6,
+    taxableSuppliesOnly: false,
+  },
+};
+
+export const COMPOSITION_CATEGORY_KEYS = Object.keys(COMPOSITION_CATEGORIES);
+
+// Mandatory wording on every bill of supply (rule 5(1)(g))
+export const COMPOSITION_DECLARATION =
+  'Composition taxable person, not eligible to collect tax on supplies';
+
+export const isCompositionOrganization = (organization) =>
+  organization?.registrationType === 'COMPOSITION';
+
+/**
+ * Check an outward document against the composition rules
+ * @param {Object} params
+ * @param {Object} params.organization - Organization (registrationType)
+ * @param {string} params.invoiceType - Requested invoice type
+ * @param {Object} params.placeOfSupply - Result of resolveDocumentPlaceOfSupply
+ * @param {string} params.supplyType - Export/SEZ supply type, if any
+ * @returns {Array<string>} Errors; empty when the document is allowed
+ */
+export const validateCompositionSupply = ({ organization, invoiceType, placeOfSupply, supplyType }) => {
+  const errors = [];
+
+  if (!isCompositionOrganization(organization)) {
+    if (invoiceType === 'BILL_OF_SUPPLY') {
+      errors.push('Bills of supply are issued by composition taxpayers only');
+    }
+    return errors;
+  }
+
+  if (invoiceType === 'TAX_INVOICE') {
+    errors.push('Composition taxpayers cannot issue tax invoices; issue a bill of supply');
+  }
+  if (supplyType && supplyType !== 'DOMESTIC') {
+    errors.push('Composition taxpayers cannot make export, SEZ or deemed-export supplies');
+  }
+  if (placeOfSupply?.isInterstate && placeOfSupply.supplyKind === 'GOODS') {
+    errors.push('Composition taxpayers cannot make inter-state supplies of goods (section 10(2)(c))');
+  }
+
+  return errors;
+};
+
+/**
+ * Date range of a CMP-08 quarter
+ * @param {string} financialYear - "2025-26" or "FY2025-26"
+ * @param {number|string} quarter - 1 (Apr-Jun) to 4 (Jan-Mar)
+ * @returns {Object} { startDate, endDate, label }
+ */
+export const getCompositionQuarter = (financialYear, quarter) => {
+  const startYear = parseInt(String(financialYear).replace(/^FY/i, ''), 10);
+  const q = parseInt(quarter, 10);
+  if (!startYear || !(q >= 1 && q <= 4)) {
+    throw new Error('Financial year (e.g. 2025-26) and quarter (1-4) are required');
+  }
+
+  const startMonth = 3 + (q - 1) * 3; // April = 3
+  const startDate = new Date(startYear, startMonth, 1);
+  const endDate = new Date(startYear, startMonth + 3, 0, 23, 59, 59, 999);
+
+  return {
+    startDate,
+    endDate,
+    label: `Q${q} FY${startYear}-${String(startYear + 1).slice(-2)}`,
+  };
+};
+
+export default {
+  COMPOSITION_CATEGORIES,
+  COMPOSITION_CATEGORY_KEYS,
+  COMPOSITION_DECLARATION,
+  isCompositionOrganization,
+  validateCompositionSupply,
+  getCompositionQuarter,
+};
@@ -0,0 +1,159 @@
+/**
+ * ============================================
+ * FILE: server/utils/currencies.js
+ * Document currencies and INR equivalents
+ * Foreign-currency documents keep INR values per line for GST reporting
+ * ============================================
+ */
+
+export const BASE_CURRENCY = 'INR';
+
+/**
+ * Supported document currencies
+ * `unit`/`subunit` are used for amounts in words; `system` picks
+ * lakh/crore (INDIAN) or million/billion (INTERNATIONAL) grouping.
+ */
+export const CURRENCIES = {
+  INR: {
+    name: 'Indian Rupee',
+    symbol: '₹',
+    unit: 'Rupees',
+    subunit: 'Paise',
+    locale: 'en-IN',
+    system: 'INDIAN',
+  },
+  USD: {
+    name: 'US Dollar',
+    symbol: '$',
+    unit: 'US Dollars',
+    subunit: 'Cents',
+    locale: 'en-US',
+    system: 'INTERNATIONAL',
+  },
+  EUR: {
+    name: 'Euro',
+    symbol: '€',
+    unit: 'Euros',
+    subunit: 'Cents',
+    locale: 'en-IE',
+    system: 'INTERNATIONAL',
+  },
+  AED: {
+    name: 'UAE Dirham',
+    symbol: 'AED ',
+    unit: 'UAE Dirhams',
+    subunit: 'Fils',
+    locale: 'en-AE',
+    system: 'INTERNATIONAL',
+  },
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+export const getCurrency = (code) => CURRENCIES[code || BASE_CURRENCY] || CURRENCIES[BASE_CURRENCY];
+
+export const isForeignCurrency = (code) => !!code && code !== BASE_CURRENCY;
+
+/**
+ * Format an amount with the symbol and digit grouping of its currency
+ */
+export const formatMoney = (amount, code = BASE_CURRENCY) => {
+  const currency = getCurrency(code);
+  return `${currency.symbol}${(amount || 0).toLocaleString(currency.locale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+};
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const LINE_AMOUNT_FIELDS = [
+  'rate',
+  'baseAmount',
+  'discountAmount',
+  'taxableAmount',
+  'amount',
+  'cgst',
+  'sgst',
+  'igst',
+  'cess',
+  'totalAmount',
+];
+
+const DOCUMENT_AMOUNT_FIELDS = [
+  'subtotal',
+  'discountAmount',
+  'cgst',
+  'sgst',
+  'igst',
+  'cess',
+  'totalTax',
+  'tdsAmount',
+  'tcsAmount',
+  'roundOff',
+  'totalAmount',
+];
+
+/**
+ * INR values of a line at an exchange rate
+ */
+export const toINRLine = (item, exchangeRate) =>
+  LINE_AMOUNT_FIELDS.reduce((inr, field) => {
+    inr[field] = round2((item[field] || 0) * exchangeRate);
+    return inr;
+  }, {});
+
+/**
+ * INR totals of a document at an exchange rate
+ * The INR total is the sum of the converted parts, so line values add up in GST returns.
+ */
+export const toINRTotals = (document, exchangeRate) => {
+  const totals = DOCUMENT_AMOUNT_FIELDS.reduce((inr, field) => {
+    inr[field] = round2((document[field] || 0) * exchangeRate);
+    return inr;
+  }, {});
+  totals.totalAmount = round2(
+    totals.subtotal - totals.discountAmount + totals.totalTax + totals.tcsAmount - totals.tdsAmount + totals.roundOff
+  );
+  return totals;
+};
+
+/**
+ * A foreign-currency invoice or quotation with every amount in INR
+ * Used wherever values are reported to GSTN (returns, e-invoice, e-way bill).
+ * INR documents are returned unchanged.
+ * @param {Object} document - Mongoose document or plain object
+ * @returns {Object}
+ */
+export const toINRDocument = (document) => {
+  if (!document || !isForeignCurrency(document.currency)) return document;
+
+  const source = typeof document.toObject === 'function' ? document.toObject() : { ...document };
+  const rate = source.exchangeRate || 1;
+  const totals = source.inrTotals?.totalAmount !== undefined ? source.inrTotals : toINRTotals(source, rate);
+
+  return {
+    ...source,
+    ...totals,
+    items: (source.items || []).map((item) => ({
+      ...item,
+      ...(item.inr?.totalAmount !== undefined ? item.inr : toINRLine(item, rate)),
+    })),
+    paidAmount: round2((source.paidAmount || 0) * rate),
+    balanceAmount: round2((source.balanceAmount || 0) * rate),
+    foreignCurrency: source.currency,
+    foreignTotalAmount: source.totalAmount,
+  };
+};
+
+export default {
+  BASE_CURRENCY,
+  CURRENCIES,
+  CURRENCY_CODES,
+  getCurrency,
+  isForeignCurrency,
+  formatMoney,
+  toINRLine,
+  toINRTotals,
+  toINRDocument,
+};
@@ -531,4 +531,222 @@ export const generateDailyReportEmail = (reportData, organization) => {
 </body>
 </html>
   `;
-};
\ No newline at end of file
+};
+// E-way bills about to lapse
+export const generateEWayBillExpiryEmail = (invoices, organization) => {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>E-Way Bills Expiring Soon</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 0;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      background-color: #f5f5f5;
+    }
+    .email-container {
+      max-width: 700px;
+      margin: 40px auto;
+      background: white;
+      border-radius: 12px;
+      overflow: hidden;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+    .header {
+      background: linear-gradient(135deg, #c2410c 0%, #ea580c 100%);
+      padding: 30px;
+      text-align: center;
+      color: white;
+    }
+    .header-title {
+      font-size: 24px;
+      font-weight: 600;
+      margin: 10px 0;
+    }
+    .content {
+      padding: 30px;
+    }
+    .table {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 15px 0;
+    }
+    .table th {
+      background: #f8f9fa;
+      padding: 12px;
+      text-align: left;
+      font-size: 12px;
+      color: #666;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    .table td {
+      padding: 12px;
+      border-bottom: 1px solid #dee2e6;
+      font-size: 14px;
+      color: #333;
+    }
+    .footer {
+      background: #f8f9fa;
+      padding: 20px;
+      text-align: center;
+      font-size: 12px;
+      color: #666;
+      border-top: 1px solid #dee2e6;
+    }
+  </style>
+</head>
+<body>
+  <div class="email-container">
+    <div class="header">
+      <div>🚚</div>
+      <div class="header-title">${invoices.length} E-Way Bill(s) Expiring Soon</div>
+    </div>
+
+    <div class="content">
+      <h2 style="color: #333; margin-top: 0;">Hi ${organization.name},</h2>
+      <p style="color: #666; line-height: 1.6;">
+        The following e-way bills expire shortly. If the goods have not reached the
+        recipient, extend the validity within 8 hours of expiry.
+      </p>
+
+      <table class="table">
+        <thead>
+          <tr>
+            <th>E-Way Bill #</th>
+            <th>Invoice #</th>
+            <th>Client</th>
+            <th>Vehicle</th>
+            <th>Valid Upto</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${invoices.map(inv => `
+            <tr>
+              <td>${inv.eWayBill.ewbNumber}</td>
+              <td>${inv.invoiceNumber}</td>
+              <td>${inv.client?.companyName || 'N/A'}</td>
+              <td>${inv.eWayBill.vehicleNumber || '-'}</td>
+              <td>${new Date(inv.eWayBill.validUpto).toLocaleString('en-IN')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="footer">
+      This is an automated alert from ${organization.name}'s invoicing system.
+    </div>
+  </div>
+</body>
+</html>
+  `;
+};
+
+// Quarterly TDS certificate sent to a vendor
+export const generateForm16AEmail = (certificate, organization) => {
+  const amount = (certificate.totals.tdsDeposited || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Form 16A ${certificate.quarter} ${certificate.financialYear}</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 0;
+      font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+      background-color: #f5f5f5;
+    }
+    .email-container {
+      max-width: 600px;
+      margin: 40px auto;
+      background: white;
+      border-radius: 12px;
+      overflow: hidden;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+    .header {
+      background: linear-gradient(135deg, #1e40af 0%, #2563eb 100%);
+      padding: 30px;
+      text-align: center;
+      color: white;
+    }
+    .header-title {
+      font-size: 22px;
+      font-weight: 600;
+      margin: 10px 0;
+    }
+    .content {
+      padding: 30px;
+      color: #444;
+      line-height: 1.6;
+    }
+    .table {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 15px 0;
+    }
+    .table td {
+      padding: 10px 12px;
+      border-bottom: 1px solid #dee2e6;
+      font-size: 14px;
+    }
+    .table td:first-child {
+      color: #666;
+      width: 45%;
+    }
+    .footer {
+      background: #f8f9fa;
+      padding: 20px;
+      text-align: center;
+      font-size: 12px;
+      color: #666;
+      border-top: 1px solid #dee2e6;
+    }
+  </style>
+</head>
+<body>
+  <div class="email-container">
+    <div class="header">
+      <div>🧾</div>
+      <div class="header-title">TDS Certificate (Form 16A)</div>
+      <div>${certificate.quarter} · FY ${certificate.financialYear}</div>
+    </div>
+
+    <div class="content">
+      <h2 style="color: #333; margin-top: 0;">Dear ${certificate.deductee.name},</h2>
+      <p>
+        Please find attached the Form 16A for tax deducted at source on our payments to you
+        during ${certificate.quarter} of FY ${certificate.financialYear}.
+      </p>
+
+      <table class="table">
+        <tr><td>Certificate No.</td><td>${certificate.certificateNumber}</td></tr>
+        <tr><td>Deductor TAN</td><td>${certificate.deductor.tan || '-'}</td></tr>
+        <tr><td>Your PAN</td><td>${certificate.deductee.pan || 'PANNOTAVBL'}</td></tr>
+        <tr><td>Payments covered</td><td>${certificate.payments.length}</td></tr>
+        <tr><td>Tax deducted and deposited</td><td>₹${amount}</td></tr>
+      </table>
+
+      <p>The credit will reflect in your Form 26AS once our quarterly TDS statement is processed.</p>
+    </div>
+
+    <div class="footer">
+      Sent by ${organization.name}. For queries, reply to ${organization.email || 'this email'}.
+    </div>
+  </div>
+</body>
+</html>
+  `;
+};
@@ -0,0 +1,192 @@
+/**
+ * ============================================
+ * FILE: server/utils/etdsFormat.js
+ * NSDL e-TDS/TCS statement file format (caret-delimited)
+ * Shared by Form 26Q (TDS) and Form 27EQ (TCS)
+ * ============================================
+ */
+
+// State codes of the e-TDS file format (not the GST codes)
+export const ETDS_STATE_CODES = {
+  'andaman and nicobar islands': '01',
+  'andhra pradesh': '02',
+  'arunachal pradesh': '03',
+  assam: '04',
+  bihar: '05',
+  chandigarh: '06',
+  'dadra and nagar haveli and daman and diu': '07',
+  delhi: '09',
+  goa: '10',
+  gujarat: '11',
+  haryana: '12',
+  'himachal pradesh': '13',
+  'jammu and kashmir': '14',
+  karnataka: '15',
+  kerala: '16',
+  lakshadweep: '17',
+  'madhya pradesh': '18',
+  maharashtra: '19',
+  manipur: '20',
+  meghalaya: '21',
+  mizoram: '22',
+  nagaland: '23',
+  odisha: '24',
+  puducherry: '25',
+  punjab: '26',
+  rajasthan: '27',
+  sikkim: '28',
+  'tamil nadu': '29',
+  tripura: '30',
+  'uttar pradesh': '31',
+  'west bengal': '32',
+  chhattisgarh: '33',
+  uttarakhand: '34',
+  jharkhand: '35',
+  telangana: '36',
+  ladakh: '37',
+};
+
+const RPU_NAME = 'InvoiceApp';
+
+/**
+ * Dates are ddmmyyyy without separators
+ */
+export const etdsDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}${String(d.getMonth() + 1).padStart(2, '0')}${d.getFullYear()}`;
+};
+
+export const etdsAmount = (value) => (value || 0).toFixed(2);
+
+// Free text may not contain the delimiter
+export const etdsText = (value, max = 75) =>
+  String(value || '')
+    .replace(/[\^\r\n]/g, ' ')
+    .trim()
+    .substring(0, max)
+    .toUpperCase();
+
+const addressLines = (address) => {
+  const parts = String(address || '')
+    .split(/,|\n/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  return Array.from({ length: 5 }, (_, index) => etdsText(parts[index], 25));
+};
+
+/**
+ * Validate deductor/collector details needed for a statement
+ * @param {Object} organization
+ * @param {string} form - Label used in messages, e.g. "Form 26Q"
+ * @returns {string[]} Errors
+ */
+export const getDeductorErrors = (organization, form) => {
+  const errors = [];
+  const responsible = organization.tdsDeductor?.responsiblePerson || {};
+  if (!organization.tan) errors.push(`Organization TAN is required for ${form}`);
+  if (!organization.pan) errors.push(`Organization PAN is required for ${form}`);
+  if (!organization.address || !organization.pincode) {
+    errors.push(`Organization address and PIN code are required for ${form}`);
+  }
+  if (!ETDS_STATE_CODES[String(organization.state || '').trim().toLowerCase()]) {
+    errors.push(`Organization state "${organization.state || ''}" is not a valid state for ${form}`);
+  }
+  if (!(responsible.name || organization.authorizedSignatory?.name)) {
+    errors.push(`Name of the responsible person is required for ${form}`);
+  }
+  return errors;
+};
+
+/**
+ * File header (FH) fields, without the line number
+ */
+export const buildFileHeader = (organization, form) => [
+  'FH',
+  'NS1', // file type
+  'R', // regular statement
+  etdsDate(new Date()),
+  1, // file sequence
+  'D', // uploaded by the deductor
+  etdsText(organization.tan, 10),
+  1, // batches
+  `${RPU_NAME}-${form}`,
+  '', '', '', '', '', '', '', '', '', // hashes and utility versions, filled by the FVU
+];
+
+/**
+ * Batch header (BH) fields, without the line number
+ * @param {Object} params
+ * @param {Object} params.organization
+ * @param {string} params.form - 26Q or 27EQ
+ * @param {Object} params.range - From getTDSQuarterRange
+ * @param {number} params.challanCount
+ * @param {number} params.challanTotal
+ */
+export const buildBatchHeader = ({ organization, form, range, challanCount, challanTotal }) => {
+  const startYear = parseInt(range.financialYear, 10);
+  const fyCode = `${startYear}${startYear + 1}`;
+  const ayCode = `${startYear + 1}${startYear + 2}`;
+  const responsible = organization.tdsDeductor?.responsiblePerson || {};
+  const stateCode = ETDS_STATE_CODES[String(organization.state || '').trim().toLowerCase()] || '';
+  const orgAddress = addressLines([organization.address, organization.city].filter(Boolean).join(', '));
+
+  return [
+    'BH',
+    1, // batch number
+    challanCount,
+    form,
+    '', '', '', '', '', '', '', // transaction type, updation, RRR numbers (corrections only)
+    etdsText(organization.tan, 10),
+    '',
+    etdsText(organization.pan, 10),
+    ayCode,
+    fyCode,
+    range.quarter,
+    etdsText(organization.name),
+    etdsText(organization.tdsDeductor?.branch),
+    ...orgAddress,
+    stateCode,
+    etdsText(organization.pincode, 6),
+    etdsText(organization.email, 75).toLowerCase(),
+    '', // STD code
+    etdsText(organization.phone, 10),
+    'N', // address changed since last return
+    etdsText(organization.tdsDeductor?.deductorType || 'K', 1),
+    etdsText(responsible.name || organization.authorizedSignatory?.name),
+    etdsText(responsible.designation || organization.authorizedSignatory?.designation, 20),
+    ...orgAddress,
+    stateCode,
+    etdsText(organization.pincode, 6),
+    etdsText(responsible.email || organization.email, 75).toLowerCase(),
+    etdsText(responsible.mobile || organization.phone, 10),
+    '', // STD code
+    etdsText(responsible.mobile || organization.phone, 10),
+    'N', // responsible person's address changed
+    etdsAmount(challanTotal),
+    '', // unmatched challans
+    '', // salary records (24Q only)
+    '', // gross total income (24Q only)
+    'N', // AO approval
+    '',
+    '', // last deductor type
+    '', '', '', '', '', // government deductor details
+    etdsText(responsible.pan, 10),
+    '', '', // PAO / DDO registration
+    '', '', '', // alternate contact of deductor
+    '', '', '', // alternate contact of responsible person
+    '', // AIN
+    etdsText(organization.gstin, 15),
+    '', // record hash
+  ];
+};
+
+export default {
+  ETDS_STATE_CODES,
+  etdsDate,
+  etdsAmount,
+  etdsText,
+  getDeductorErrors,
+  buildFileHeader,
+  buildBatchHeader,
+};
@@ -0,0 +1,224 @@
+/**
+ * ============================================
+ * FILE: server/utils/exportSupply.js
+ * Zero-rated and deemed-export supplies
+ * Export / SEZ with or without IGST (LUT), deemed exports, PDF declarations
+ * ============================================
+ */
+
+/**
+ * Supply types, keyed by the e-invoice SupTyp code
+ * `withoutPayment` supplies are zero-rated under LUT: no IGST or cess is charged.
+ */
+export const SUPPLY_TYPES = {
+  DOMESTIC: {
+    label: 'Domestic supply',
+  },
+  EXPWP: {
+    label: 'Export with payment of IGST',
+    clientTreatment: 'EXPORT',
+    declaration: 'SUPPLY MEANT FOR EXPORT ON PAYMENT OF INTEGRATED TAX',
+  },
+  EXPWOP: {
+    label: 'Export under LUT without payment of IGST',
+    clientTreatment: 'EXPORT',
+    withoutPayment: true,
+    declaration:
+      'SUPPLY MEANT FOR EXPORT UNDER BOND OR LETTER OF UNDERTAKING WITHOUT PAYMENT OF INTEGRATED TAX',
+  },
+  SEZWP: {
+    label: 'Supply to SEZ with payment of IGST',
+    clientTreatment: 'SEZ',
+    declaration:
+      'SUPPLY MEANT FOR SEZ UNIT OR SEZ DEVELOPER FOR AUTHORISED OPERATIONS ON PAYMENT OF INTEGRATED TAX',
+  },
+  SEZWOP: {
+    label: 'Supply to SEZ under LUT without payment of IGST',
+    clientTreatment: 'SEZ',
+    withoutPayment: true,
+    declaration:
+      'SUPPLY MEANT FOR SEZ UNIT OR SEZ DEVELOPER FOR AUTHORISED OPERATIONS UNDER BOND OR LETTER OF UNDERTAKING WITHOUT PAYMENT OF INTEGRATED TAX',
+  },
+  DEXP: {
+    label: 'Deemed export',
+    declaration:
+      'SUPPLY REGARDED AS DEEMED EXPORT UNDER SECTION 147 OF THE CGST ACT, 2017 (NOTIFICATION NO. 48/2017-CENTRAL TAX)',
+  },
+};
+
+export const SUPPLY_TYPE_KEYS = Object.keys(SUPPLY_TYPES);
+
+// Six-character Indian customs port code, e.g. INNSA1, INBOM4
+const PORT_CODE_REGEX = /^[A-Z]{2}[A-Z0-9]{4}$/;
+
+export const isExportSupply = (supplyType) => supplyType === 'EXPWP' || supplyType === 'EXPWOP';
+
+export const isSEZSupply = (supplyType) => supplyType === 'SEZWP' || supplyType === 'SEZWOP';
+
+export const isZeroRatedSupply = (supplyType) => isExportSupply(supplyType) || isSEZSupply(supplyType);
+
+export const isWithoutPayment = (supplyType) => !!SUPPLY_TYPES[supplyType]?.withoutPayment;
+
+/**
+ * Supply type of a stored document; documents saved before supply types
+ * existed are classified from the client and the IGST charged.
+ */
+export const getSupplyType = (invoice, client = invoice?.client) => {
+  if (invoice?.supplyType) return invoice.supplyType;
+  const withTax = (invoice?.igst || 0) > 0;
+  if (client?.gstTreatment === 'EXPORT') return withTax ? 'EXPWP' : 'EXPWOP';
+  if (client?.gstTreatment === 'SEZ') return withTax ? 'SEZWP' : 'SEZWOP';
+  return 'DOMESTIC';
+};
+
+/**
+ * GSTIN the document is issued under
+ */
+export const resolveSupplierGstin = (organization, selectedGstin) => {
+  const entry = selectedGstin
+    ? organization.gstinEntries?.find((e) => e._id?.toString() === String(selectedGstin))
+    : null;
+  return entry?.gstin || organization.gstin;
+};
+
+/**
+ * Decide and validate the supply type for an outward invoice
+ * Export and SEZ clients default to the LUT route when a LUT is in force,
+ * otherwise IGST is charged.
+ * @param {Object} params
+ * @param {Object} params.organization - Organization document (lutEntries, gstinEntries)
+ * @param {string} params.selectedGstin - gstinEntries _id the document is issued under
+ * @param {Object} params.client - Recipient (gstin, gstTreatment)
+ * @param {Date} params.invoiceDate - Document date the LUT must cover
+ * @param {string} params.supplyType - Requested SUPPLY_TYPES key (optional)
+ * @param {Object} params.exportDetails - { shippingBillNumber, shippingBillDate, portCode, destinationCountry }
+ * @param {boolean} params.requireLut - False when only the export details are being edited
+ * @returns {Object} { supplyType, exportDetails, errors, warnings }
+ */
+export const resolveExportSupply = ({
+  organization,
+  selectedGstin,
+  client,
+  invoiceDate = new Date(),
+  supplyType,
+  exportDetails = {},
+  requireLut = true,
+}) => {
+  const errors = [];
+  const warnings = [];
+  const supplierGstin = resolveSupplierGstin(organization, selectedGstin);
+  const lut = organization.findValidLUT?.(supplierGstin, invoiceDate) || null;
+  const treatment = client?.gstTreatment;
+
+  let type = supplyType;
+  if (!type) {
+    if (treatment === 'EXPORT') type = lut ? 'EXPWOP' : 'EXPWP';
+    else if (treatment === 'SEZ') type = lut ? 'SEZWOP' : 'SEZWP';
+    else type = 'DOMESTIC';
+  }
+
+  const config = SUPPLY_TYPES[type];
+  if (!config) {
+    return {
+      supplyType: type,
+      exportDetails: null,
+      errors: [`Unknown supply type: ${type}. Use one of ${SUPPLY_TYPE_KEYS.join(', ')}`],
+      warnings,
+    };
+  }
+
+  if (config.clientTreatment && treatment !== config.clientTreatment) {
+    errors.push(`${config.label} needs a client with GST treatment ${config.clientTreatment}`);
+  }
+  if (type === 'DOMESTIC' && (treatment === 'EXPORT' || treatment === 'SEZ')) {
+    errors.push(`Client is registered as ${treatment}; choose an export or SEZ supply type`);
+  }
+  if ((isSEZSupply(type) || type === 'DEXP') && !client?.gstin) {
+    errors.push(`${config.label} needs the recipient's GSTIN`);
+  }
+
+  if (config.withoutPayment && requireLut && !lut) {
+    errors.push(
+      `No LUT in force for ${supplierGstin || 'the organization'} on ${new Date(invoiceDate).toLocaleDateString('en-IN')}; ` +
+        'record the LUT or charge IGST'
+    );
+  }
+
+  const details = {
+    shippingBillNumber: exportDetails.shippingBillNumber || undefined,
+    shippingBillDate: exportDetails.shippingBillDate || undefined,
+    portCode: exportDetails.portCode ? String(exportDetails.portCode).trim().toUpperCase() : undefined,
+    destinationCountry: exportDetails.destinationCountry
+      ? String(exportDetails.destinationCountry).trim().toUpperCase()
+      : undefined,
+    lutNumber: config.withoutPayment ? lut?.lutNumber : undefined,
+    lutValidTo: config.withoutPayment ? lut?.validTo : undefined,
+  };
+
+  if (details.portCode && !PORT_CODE_REGEX.test(details.portCode)) {
+    errors.push(`Port code ${details.portCode} must be 6 characters, e.g. INNSA1`);
+  }
+  if (details.shippingBillNumber && !/^\d{1,7}$/.test(String(details.shippingBillNumber))) {
+    errors.push('Shipping bill number must be up to 7 digits');
+  }
+  if (isExportSupply(type) && details.shippingBillNumber && !details.portCode) {
+    errors.push('Port code is required with the shipping bill number');
+  }
+  if (isExportSupply(type) && !details.shippingBillNumber) {
+    warnings.push('Shipping bill details are pending; add them before filing GSTR-1');
+  }
+
+  return {
+    supplyType: type,
+    exportDetails: type === 'DOMESTIC' ? null : details,
+    errors,
+    warnings,
+  };
+};
+
+/**
+ * Mandatory declaration lines for the invoice PDF
+ * @param {Object} invoice - Invoice with supplyType and exportDetails
+ * @returns {Array<string>} Lines; empty for domestic supplies
+ */
+export const getSupplyDeclaration = (invoice) => {
+  const supplyType = getSupplyType(invoice);
+  const config = SUPPLY_TYPES[supplyType];
+  if (!config?.declaration) return [];
+
+  const details = invoice.exportDetails || {};
+  const lines = [config.declaration];
+  if (config.withoutPayment && details.lutNumber) {
+    lines.push(
+      `LUT ARN: ${details.lutNumber}${
+        details.lutValidTo ? ` (valid up to ${new Date(details.lutValidTo).toLocaleDateString('en-IN')})` : ''
+      }`
+    );
+  }
+  if (details.shippingBillNumber) {
+    lines.push(
+      `Shipping Bill No. ${details.shippingBillNumber}${
+        details.shippingBillDate
+          ? ` dated ${new Date(details.shippingBillDate).toLocaleDateString('en-IN')}`
+          : ''
+      }${details.portCode ? `, Port Code ${details.portCode}` : ''}`
+    );
+  }
+  if (details.destinationCountry) {
+    lines.push(`Country of destination: ${details.destinationCountry}`);
+  }
+  return lines;
+};
+
+export default {
+  SUPPLY_TYPES,
+  SUPPLY_TYPE_KEYS,
+  isExportSupply,
+  isSEZSupply,
+  isZeroRatedSupply,
+  isWithoutPayment,
+  getSupplyType,
+  resolveSupplierGstin,
+  resolveExportSupply,
+  getSupplyDeclaration,
+};
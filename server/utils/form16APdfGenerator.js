@@ -0,0 +1,233 @@
+// ============================================
+// FILE: server/utils/form16APdfGenerator.js
+// Form 16A (certificate u/s 203 for TDS on other than salary) HTML for PDF
+// ============================================
+
+import { amountToWords } from './numberToWords.js';
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}-${String(d.getMonth() + 1).padStart(2, '0')}-${d.getFullYear()}`;
+};
+
+const formatAmount = (amount) =>
+  (amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/**
+ * Generate the HTML of one Form 16A certificate
+ * @param {Object} certificate - From buildForm16ACertificates
+ * @returns {string} Complete HTML document
+ */
+export const generateForm16AHTML = (certificate) => {
+  const { deductor, deductee, payments, challans, totals } = certificate;
+  const responsible = deductor.responsiblePerson || {};
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Form 16A ${certificate.certificateNumber}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      font-family: Arial, Helvetica, sans-serif;
+      font-size: 11px;
+      color: #111;
+      margin: 0;
+    }
+    h1 {
+      font-size: 16px;
+      text-align: center;
+      margin: 0;
+    }
+    .subtitle {
+      text-align: center;
+      font-size: 11px;
+      margin: 4px 0 12px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 12px;
+    }
+    th, td {
+      border: 1px solid #444;
+      padding: 5px 6px;
+      vertical-align: top;
+    }
+    th {
+      background: #f0f0f0;
+      font-weight: 600;
+      text-align: left;
+    }
+    .num { text-align: right; }
+    .section-title {
+      font-weight: 700;
+      font-size: 12px;
+      margin: 14px 0 6px;
+    }
+    .verification {
+      border: 1px solid #444;
+      padding: 10px;
+      line-height: 1.6;
+    }
+    .signature {
+      margin-top: 40px;
+      display: flex;
+      justify-content: space-between;
+    }
+    .note {
+      margin-top: 12px;
+      font-size: 9px;
+      color: #555;
+    }
+  </style>
+</head>
+<body>
+  <h1>FORM NO. 16A</h1>
+  <div class="subtitle">
+    [See rule 31(1)(b)]<br>
+    Certificate under section 203 of the Income-tax Act, 1961 for tax deducted at source
+  </div>
+
+  <table>
+    <tr>
+      <th style="width: 30%;">Certificate No.</th>
+      <td>${certificate.certificateNumber}</td>
+      <th style="width: 20%;">Last updated on</th>
+      <td>${formatDate(new Date())}</td>
+    </tr>
+    <tr>
+      <th>Name and address of the deductor</th>
+      <td colspan="3">${deductor.name}<br>${deductor.address || ''}</td>
+    </tr>
+    <tr>
+      <th>Name and address of the deductee</th>
+      <td colspan="3">${deductee.name}<br>${deductee.address || ''}</td>
+    </tr>
+    <tr>
+      <th>PAN of the deductor</th>
+      <td>${deductor.pan || '-'}</td>
+      <th>TAN of the deductor</th>
+      <td>${deductor.tan || '-'}</td>
+    </tr>
+    <tr>
+      <th>PAN of the deductee</th>
+      <td>${deductee.pan || 'PANNOTAVBL'}</td>
+      <th>Assessment Year</th>
+      <td>${certificate.assessmentYear}</td>
+    </tr>
+    <tr>
+      <th>Period</th>
+      <td colspan="3">${formatDate(certificate.periodFrom)} to ${formatDate(certificate.periodTo)} (${certificate.quarter}, FY ${certificate.financialYear})</td>
+    </tr>
+  </table>
+
+  <div class="section-title">Summary of payment</div>
+  <table>
+    <thead>
+      <tr>
+        <th>Sl. No.</th>
+        <th>Section</th>
+        <th>Nature of payment</th>
+        <th>Date of payment / credit</th>
+        <th class="num">Amount paid / credited (Rs.)</th>
+        <th class="num">Rate (%)</th>
+        <th class="num">Tax deducted (Rs.)</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${payments
+        .map(
+          (payment, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${payment.section}</td>
+        <td>${payment.sectionLabel || ''}</td>
+        <td>${formatDate(payment.paymentDate)}</td>
+        <td class="num">${formatAmount(payment.amountPaid)}</td>
+        <td class="num">${payment.rate}</td>
+        <td class="num">${formatAmount(payment.tdsAmount)}</td>
+      </tr>`
+        )
+        .join('')}
+      <tr>
+        <th colspan="4">Total</th>
+        <th class="num">${formatAmount(totals.amountPaid)}</th>
+        <th></th>
+        <th class="num">${formatAmount(totals.tdsDeducted)}</th>
+      </tr>
+    </tbody>
+  </table>
+
+  <div class="section-title">Details of tax deducted and deposited in the central government account through challan</div>
+  <table>
+    <thead>
+      <tr>
+        <th>Sl. No.</th>
+        <th class="num">Tax deposited in respect of the deductee (Rs.)</th>
+        <th>BSR code of the bank branch</th>
+        <th>Date on which tax deposited</th>
+        <th>Challan serial number</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${challans
+        .map(
+          (challan, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td class="num">${formatAmount(challan.tax)}</td>
+        <td>${challan.bsrCode}</td>
+        <td>${formatDate(challan.depositDate)}</td>
+        <td>${challan.challanSerialNumber}</td>
+      </tr>`
+        )
+        .join('')}
+      <tr>
+        <th>Total</th>
+        <th class="num">${formatAmount(totals.tdsDeposited)}</th>
+        <th colspan="3"></th>
+      </tr>
+    </tbody>
+  </table>
+
+  <div class="section-title">Verification</div>
+  <div class="verification">
+    I, ${responsible.name || '____________________'}, in my capacity as
+    ${responsible.designation || '____________________'}, do hereby certify that a sum of
+    Rs. ${formatAmount(totals.tdsDeposited)} [${amountToWords(totals.tdsDeposited)}] has been deducted
+    and deposited to the credit of the Central Government. I further certify that the information
+    given above is true, complete and correct and is based on the books of account, documents,
+    TDS statements, TDS deposited and other available records.
+
+    <div class="signature">
+      <div>
+        Place: ______________<br>
+        Date: ${formatDate(new Date())}
+      </div>
+      <div style="text-align: right;">
+        ____________________________<br>
+        (Signature of person responsible for deduction of tax)<br>
+        ${responsible.name || ''}${responsible.designation ? `, ${responsible.designation}` : ''}
+      </div>
+    </div>
+  </div>
+
+  <div class="note">
+    Prepared from the deductor's books of account. Tax credit is available to the deductee as reflected
+    in Form 26AS once the quarterly TDS statement is processed.
+  </div>
+</body>
+</html>
+  `;
+};
+
+export default {
+  generateForm16AHTML,
+};
@@ -6,6 +6,11 @@
  * ============================================
  */
 
+import HSNCode from '../models/HSNCode.js';
+import { isWithoutPayment, isZeroRatedSupply } from './exportSupply.js';
+
+export { GST_RATE_SLABS } from '../models/HSNCode.js';
+
 /**
  * Complete Indian state codes mapping (as per GST system)
  */
@@ -69,29 +74,173 @@ export const getStateName = (stateCode) => {
   return STATE_CODES[stateCode] || null;
 };
 
+/**
+ * Get state code from a state name (case-insensitive)
+ * @param {string} stateName - State or UT name
+ * @returns {string|null} Two-digit state code or null
+ */
+export const getStateCodeFromName = (stateName) => {
+  if (!stateName) return null;
+  const target = stateName.trim().toLowerCase();
+  const entry = Object.entries(STATE_CODES).find(
+    ([, name]) => name.toLowerCase() === target
+  );
+  return entry ? entry[0] : null;
+};
+
+// GSTIN check digit alphabet: each character's value is its index
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * PAN holder status (4th character of the PAN) - the entity type of a GSTIN
+ */
+export const GSTIN_ENTITY_TYPES = {
+  P: 'Individual',
+  C: 'Company',
+  H: 'Hindu Undivided Family',
+  F: 'Firm',
+  E: 'Limited Liability Partnership',
+  A: 'Association of Persons',
+  B: 'Body of Individuals',
+  T: 'Trust',
+  L: 'Local Authority',
+  J: 'Artificial Juridical Person',
+  G: 'Government',
+};
+
+/**
+ * Compute the GSTIN check digit (15th character)
+ * Mod-36: odd positions weigh 1 and even positions 2; each product adds its
+ * quotient and remainder by 36, and the check digit brings the sum to a
+ * multiple of 36.
+ * @param {string} gstin - First 14 characters of the GSTIN
+ * @returns {string} Check character
+ */
+export const computeGSTINCheckDigit = (gstin) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Validate a GSTIN in full: shape, state code, PAN entity type, check digit
+ * and (when given) the PAN it should embed
+ * @param {string} gstin - GSTIN to validate
+ * @param {Object} [options]
+ * @param {string} [options.pan] - PAN the GSTIN must belong to
+ * @param {string} [options.field='gstin'] - Field name reported with errors
+ * @returns {Object} { isValid, gstin, errors: [{ field, code, message }], details }
+ */
+export const validateGSTINDetails = (gstin, { pan, field = 'gstin' } = {}) => {
+  const value = gstin ? String(gstin).toUpperCase().trim() : '';
+  const errors = [];
+  const fail = (code, message) => {
+    errors.push({ field, code, value, message });
+    return { isValid: false, gstin: value, errors, details: null };
+  };
+
+  if (!value) {
+    return fail('GSTIN_REQUIRED', 'GSTIN is required');
+  }
+
+  // GSTIN format: 27AABCU9603R1Z5
+  // Pattern: [State Code (2)][PAN (10)][Entity Number (1)][Z][Checksum (1)]
+  const gstinRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+  if (!gstinRegex.test(value)) {
+    return fail(
+      'GSTIN_FORMAT',
+      `GSTIN ${value} is not in the format 99AAAAA9999A9Z9 (state code, PAN, entity number, Z, check digit)`
+    );
+  }
+
+  const stateCode = value.substring(0, 2);
+  const stateName = STATE_CODES[stateCode];
+  if (!stateName) {
+    errors.push({
+      field,
+      code: 'GSTIN_STATE_CODE',
+      value,
+      message: `GSTIN ${value} has an unknown state code ${stateCode}`,
+    });
+  }
+
+  const panNumber = value.substring(2, 12);
+  const entityType = panNumber[3];
+  if (!GSTIN_ENTITY_TYPES[entityType]) {
+    errors.push({
+      field,
+      code: 'GSTIN_ENTITY_TYPE',
+      value,
+      message: `GSTIN ${value} embeds PAN ${panNumber} with an unknown holder type '${entityType}'`,
+    });
+  }
+
+  const expectedCheckDigit = computeGSTINCheckDigit(value);
+  if (value[14] !== expectedCheckDigit) {
+    errors.push({
+      field,
+      code: 'GSTIN_CHECKSUM',
+      value,
+      message: `GSTIN ${value} fails the check digit (expected ${expectedCheckDigit}, found ${value[14]}); check for a typo`,
+    });
+  }
+
+  if (pan && String(pan).toUpperCase().trim() !== panNumber) {
+    errors.push({
+      field,
+      code: 'GSTIN_PAN_MISMATCH',
+      value,
+      message: `GSTIN ${value} embeds PAN ${panNumber}, which does not match PAN ${String(pan).toUpperCase().trim()}`,
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    gstin: value,
+    errors,
+    details: {
+      gstin: value,
+      stateCode,
+      stateName: stateName || null,
+      panNumber,
+      entityType,
+      entityTypeName: GSTIN_ENTITY_TYPES[entityType] || null,
+      entityNumber: value.substring(12, 13),
+      zChar: value.substring(13, 14),
+      checksum: value.substring(14, 15),
+    },
+  };
+};
+
 /**
  * Validate GSTIN format and extract components
+ * Only the shape and state code are checked, so a stored GSTIN with a bad
+ * check digit still prices; validateGSTINDetails does the full check where
+ * GSTINs are written.
  * @param {string} gstin - GSTIN to validate
  * @returns {Object|null} GSTIN components or null
  */
 export const validateAndExtractGSTIN = (gstin) => {
   if (!gstin) return null;
-  
+
   // GSTIN format: 27AABCU9603R1Z5
   // Pattern: [State Code (2)][PAN (10)][Entity Number (1)][Z][Checksum (1)]
   const gstinRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-  
+
   if (!gstinRegex.test(gstin)) {
     return null;
   }
-  
+
   const stateCode = gstin.substring(0, 2);
   const stateName = STATE_CODES[stateCode];
-  
+
   if (!stateName) {
     return null;
   }
-  
+
   return {
     gstin,
     stateCode,
@@ -114,7 +263,9 @@ export const determineTransactionType = (clientGSTIN, organizationGSTIN) => {
   const orgInfo = validateAndExtractGSTIN(organizationGSTIN);
   
   if (!orgInfo) {
-    throw new Error('Invalid organization GSTIN format');
+    throw new Error(
+      `Invalid organization GSTIN: ${validateGSTINDetails(organizationGSTIN).errors[0].message}`
+    );
   }
 
   // B2C (Unregistered customer)
@@ -132,7 +283,9 @@ export const determineTransactionType = (clientGSTIN, organizationGSTIN) => {
   const clientInfo = validateAndExtractGSTIN(clientGSTIN);
   
   if (!clientInfo) {
-    throw new Error('Invalid client GSTIN format');
+    throw new Error(
+      `Invalid client GSTIN: ${validateGSTINDetails(clientGSTIN).errors[0].message}`
+    );
   }
 
   // Same state (Intra-state)
@@ -158,13 +311,26 @@ export const determineTransactionType = (clientGSTIN, organizationGSTIN) => {
   };
 };
 
+/**
+ * Compensation cess on an item: ad valorem on taxable value, specific per unit, or both
+ * @param {Object} item - Item with cessRate (%) and/or cessPerUnit (₹)
+ * @param {number} taxableAmount - Taxable value after item discount
+ * @returns {number} Cess amount
+ */
+export const calculateItemCess = (item, taxableAmount) => {
+  const adValorem = (taxableAmount * (item.cessRate || 0)) / 100;
+  const specific = (item.quantity || 0) * (item.cessPerUnit || 0);
+  return adValorem + specific;
+};
+
 /**
  * Calculate item-level GST breakdown
  * @param {Object} item - Invoice item
  * @param {boolean} isInterstate - Is interstate transaction
- * @returns {Object} Item with GST breakdown
+ * @param {boolean} withoutPayment - Zero-rated under LUT: rate is kept, no tax or cess charged
+ * @returns {Object} Item with GST and cess breakdown
  */
-const calculateItemGST = (item, isInterstate) => {
+const calculateItemGST = (item, isInterstate, withoutPayment = false) => {
   // Base calculation
   const baseAmount = item.quantity * item.rate;
   
@@ -177,7 +343,8 @@ const calculateItemGST = (item, isInterstate) => {
   }
 
   const taxableAmount = baseAmount - itemDiscountAmount;
-  const gstAmount = (taxableAmount * (item.gstRate || 0)) / 100;
+  const gstAmount = withoutPayment ? 0 : (taxableAmount * (item.gstRate || 0)) / 100;
+  const cess = withoutPayment ? 0 : calculateItemCess(item, taxableAmount);
 
   let cgst = 0;
   let sgst = 0;
@@ -201,7 +368,10 @@ const calculateItemGST = (item, isInterstate) => {
     cgst: parseFloat(cgst.toFixed(2)),
     sgst: parseFloat(sgst.toFixed(2)),
     igst: parseFloat(igst.toFixed(2)),
-    totalAmount: parseFloat((taxableAmount + gstAmount).toFixed(2)),
+    cessRate: item.cessRate || 0,
+    cessPerUnit: item.cessPerUnit || 0,
+    cess: parseFloat(cess.toFixed(2)),
+    totalAmount: parseFloat((taxableAmount + gstAmount + cess).toFixed(2)),
   };
 };
 
@@ -210,9 +380,13 @@ const calculateItemGST = (item, isInterstate) => {
  * @param {Array} items - Invoice items
  * @param {string} clientGSTIN - Client GSTIN (optional for B2C)
  * @param {string} organizationGSTIN - Organization GSTIN (required)
+ * @param {Object} options - { placeOfSupply, supplyType, billOfSupply }
+ *   placeOfSupply (from determinePlaceOfSupply) decides the CGST/SGST vs IGST split;
+ *   export and SEZ supplyTypes are always IGST, and LUT supplies carry no tax;
+ *   billOfSupply (composition dealers) collects no tax at all
  * @returns {Object} Complete GST breakdown
  */
-export const calculateGSTBreakdown = (items, clientGSTIN, organizationGSTIN) => {
+export const calculateGSTBreakdown = (items, clientGSTIN, organizationGSTIN, options = {}) => {
   // Validate inputs
   if (!organizationGSTIN) {
     throw new Error('Organization GSTIN is required for GST calculation');
@@ -224,6 +398,30 @@ export const calculateGSTBreakdown = (items, clientGSTIN, organizationGSTIN) =>
 
   // Determine transaction type
   const transactionInfo = determineTransactionType(clientGSTIN, organizationGSTIN);
+
+  // Place of supply overrides the GSTIN-to-GSTIN comparison
+  const { placeOfSupply } = options;
+  if (placeOfSupply?.stateCode) {
+    transactionInfo.isInterstate = !!placeOfSupply.isInterstate;
+    transactionInfo.gstSplit = placeOfSupply.isInterstate ? 'IGST' : 'CGST+SGST';
+    transactionInfo.placeOfSupply = placeOfSupply.stateCode;
+    transactionInfo.clientState = placeOfSupply.stateName || transactionInfo.clientState;
+    if (transactionInfo.type !== 'B2C') {
+      transactionInfo.type = placeOfSupply.isInterstate ? 'B2B_INTERSTATE' : 'B2B_INTRASTATE';
+    }
+  }
+
+  // Zero-rated supplies are inter-state whatever the states involved (IGST Act s.16)
+  const { supplyType, billOfSupply } = options;
+  const withoutPayment = isWithoutPayment(supplyType) || !!billOfSupply;
+  if (isZeroRatedSupply(supplyType)) {
+    transactionInfo.isInterstate = true;
+    transactionInfo.gstSplit = withoutPayment ? 'NIL (LUT)' : 'IGST';
+    transactionInfo.supplyType = supplyType;
+  }
+  if (billOfSupply) {
+    transactionInfo.gstSplit = 'NIL (Bill of supply)';
+  }
   
   console.log('=== GST Calculation ===');
   console.log('Transaction Type:', transactionInfo.type);
@@ -236,14 +434,16 @@ export const calculateGSTBreakdown = (items, clientGSTIN, organizationGSTIN) =>
   let totalCGST = 0;
   let totalSGST = 0;
   let totalIGST = 0;
+  let totalCess = 0;
   let totalTaxableAmount = 0;
 
   const itemsWithGST = items.map((item, index) => {
-    const calculatedItem = calculateItemGST(item, transactionInfo.isInterstate);
+    const calculatedItem = calculateItemGST(item, transactionInfo.isInterstate, withoutPayment);
     
     totalCGST += calculatedItem.cgst;
     totalSGST += calculatedItem.sgst;
     totalIGST += calculatedItem.igst;
+    totalCess += calculatedItem.cess;
     totalTaxableAmount += calculatedItem.taxableAmount;
 
     return calculatedItem;
@@ -256,20 +456,74 @@ export const calculateGSTBreakdown = (items, clientGSTIN, organizationGSTIN) =>
       cgst: parseFloat(totalCGST.toFixed(2)),
       sgst: parseFloat(totalSGST.toFixed(2)),
       igst: parseFloat(totalIGST.toFixed(2)),
-      totalTax: parseFloat((totalCGST + totalSGST + totalIGST).toFixed(2)),
+      cess: parseFloat(totalCess.toFixed(2)),
+      totalTax: parseFloat((totalCGST + totalSGST + totalIGST + totalCess).toFixed(2)),
     },
     transactionInfo,
     // Legacy fields for backward compatibility
     totalCGST: parseFloat(totalCGST.toFixed(2)),
     totalSGST: parseFloat(totalSGST.toFixed(2)),
     totalIGST: parseFloat(totalIGST.toFixed(2)),
-    totalTax: parseFloat((totalCGST + totalSGST + totalIGST).toFixed(2)),
+    totalCess: parseFloat(totalCess.toFixed(2)),
+    totalTax: parseFloat((totalCGST + totalSGST + totalIGST + totalCess).toFixed(2)),
     isInterstate: transactionInfo.isInterstate,
     clientStateCode: getStateCodeFromGSTIN(clientGSTIN),
+    placeOfSupply: placeOfSupply?.stateCode || getStateCodeFromGSTIN(clientGSTIN),
     orgStateCode: getStateCodeFromGSTIN(organizationGSTIN),
   };
 };
 
+/**
+ * Align item GST rates with the HSN rate master for the document date
+ * - Rate matches a scheduled rate → kept
+ * - Single scheduled rate differs → replaced, listed in adjustments
+ * - Several scheduled rates (value-dependent) and none match → kept, listed in conflicts
+ * Items whose HSN/SAC has no schedule are left untouched.
+ * @param {Array} items - Invoice items (hsnSacCode, gstRate)
+ * @param {Date|string} documentDate - Invoice/quotation date
+ * @returns {Promise<Object>} { items, adjustments, conflicts }
+ */
+export const applyRateSchedule = async (items, documentDate) => {
+  const date = documentDate ? new Date(documentDate) : new Date();
+  const schedule = await HSNCode.resolveRatesOn(
+    (items || []).map((item) => item.hsnSacCode),
+    date
+  );
+
+  const adjustments = [];
+  const conflicts = [];
+
+  const scheduledItems = (items || []).map((item, index) => {
+    const code = item.hsnSacCode
+      ? String(item.hsnSacCode).replace(/\s/g, '').toUpperCase()
+      : null;
+    const entry = code && schedule.get(code);
+    if (!entry) return item;
+
+    const currentRate = Number(item.gstRate || 0);
+    if (entry.rates.includes(currentRate)) return item;
+
+    const detail = {
+      index,
+      description: item.description,
+      hsnSacCode: code,
+      matchedCode: entry.matchedCode,
+      enteredRate: currentRate,
+      scheduledRates: entry.rates,
+    };
+
+    if (entry.rates.length === 1) {
+      adjustments.push({ ...detail, appliedRate: entry.rates[0] });
+      return { ...item, gstRate: entry.rates[0] };
+    }
+
+    conflicts.push(detail);
+    return item;
+  });
+
+  return { items: scheduledItems, adjustments, conflicts, rateDate: date };
+};
+
 /**
  * Validate GST calculation for an invoice
  * @param {Object} invoice - Invoice object
@@ -290,6 +544,34 @@ export const validateGSTCalculation = (invoice) => {
     errors.push(`GST mismatch: Items sum (₹${itemsGSTSum.toFixed(2)}) != Invoice total (₹${invoiceGSTSum.toFixed(2)})`);
   }
 
+  // LUT supplies and bills of supply keep their rates but collect nothing
+  const noTaxCollected =
+    isWithoutPayment(invoice.supplyType) || invoice.invoiceType === 'BILL_OF_SUPPLY';
+
+  // Cess totals and item-level cess against its rate
+  const itemsCessSum = invoice.items.reduce((sum, item) => sum + (item.cess || 0), 0);
+  const invoiceCess = invoice.cess || 0;
+
+  if (Math.abs(itemsCessSum - invoiceCess) > 0.01) {
+    errors.push(`Cess mismatch: Items sum (₹${itemsCessSum.toFixed(2)}) != Invoice total (₹${invoiceCess.toFixed(2)})`);
+  }
+
+  invoice.items.forEach((item, index) => {
+    if (!item.cessRate && !item.cessPerUnit) {
+      if (item.cess > 0) {
+        errors.push(`Item ${index + 1} (${item.description}) has cess without a cess rate`);
+      }
+      return;
+    }
+    const taxable = item.taxableAmount ?? item.amount ?? 0;
+    const expectedCess = noTaxCollected ? 0 : calculateItemCess(item, taxable);
+    if (Math.abs(expectedCess - (item.cess || 0)) > 0.01) {
+      errors.push(
+        `Item ${index + 1} (${item.description}) cess ₹${(item.cess || 0).toFixed(2)} does not match rate (expected ₹${expectedCess.toFixed(2)})`
+      );
+    }
+  });
+
   // Check CGST/SGST vs IGST consistency
   if (invoice.isInterstate) {
     if (invoice.cgst > 0 || invoice.sgst > 0) {
@@ -304,6 +586,14 @@ export const validateGSTCalculation = (invoice) => {
     }
   }
 
+  if (noTaxCollected && invoiceGSTSum + invoiceCess > 0) {
+    errors.push(
+      invoice.invoiceType === 'BILL_OF_SUPPLY'
+        ? 'Bill of supply should not charge GST or cess'
+        : 'Zero-rated supply under LUT should not charge GST or cess'
+    );
+  }
+
   // Check HSN/SAC codes
   invoice.items.forEach((item, index) => {
     if (!item.hsnSacCode) {
@@ -317,6 +607,8 @@ export const validateGSTCalculation = (invoice) => {
     warnings,
     itemsGSTSum: parseFloat(itemsGSTSum.toFixed(2)),
     invoiceGSTSum: parseFloat(invoiceGSTSum.toFixed(2)),
+    itemsCessSum: parseFloat(itemsCessSum.toFixed(2)),
+    invoiceCess: parseFloat(invoiceCess.toFixed(2)),
   };
 };
 
@@ -355,9 +647,15 @@ export default {
   STATE_CODES,
   getStateCodeFromGSTIN,
   getStateName,
+  getStateCodeFromName,
+  GSTIN_ENTITY_TYPES,
+  computeGSTINCheckDigit,
+  validateGSTINDetails,
   validateAndExtractGSTIN,
   determineTransactionType,
   calculateGSTBreakdown,
+  calculateItemCess,
+  applyRateSchedule,
   validateGSTCalculation,
   calculateReverseChargeGST,
 };
\ No newline at end of file
@@ -41,41 +41,29 @@ export const getFinancialYearForDate = (date) => {
 };
 
 /**
- * Generate invoice number in auto mode
- * @param {string} organizationId - Organization ID
- * @param {Model} Organization - Organization model
- * @returns {Promise<Object>} Invoice number data
+ * Render an invoice number from the organization's format
+ * @param {Object} org - Organization (invoiceNumberFormat, invoicePrefix, gstin)
+ * @param {Object} params
+ * @param {Date} params.date - Invoice date
+ * @param {string} params.financialYear - FY2026-27
+ * @param {number} params.sequenceNum - Sequence number within the financial year
+ * @returns {string} Invoice number
  */
-export const generateInvoiceNumber = async (organizationId, Organization) => {
-  const org = await Organization.findById(organizationId);
-  
-  if (!org) {
-    throw new Error('Organization not found');
-  }
-
-  const currentFY = getCurrentFinancialYear();
-  
-  // Get sequence number for current FY
-  const invoiceNumbersByFY = org.invoiceNumbersByFY || new Map();
-  let sequenceNum = invoiceNumbersByFY.get(currentFY) || 0;
-  sequenceNum += 1;
+export const formatInvoiceNumber = (org, { date, financialYear, sequenceNum }) => {
+  const format = org.invoiceNumberFormat || '{PREFIX}-{FY}-{SEQ}';
 
-  // Generate invoice number based on format
-  let invoiceNumber = org.invoiceNumberFormat || '{PREFIX}-{FY}-{SEQ}';
-  
   // Get GSTIN state code if needed
   const gstinStateCode = org.gstin ? org.gstin.substring(0, 2) : '00';
-  
+
   // Get date parts
-  const now = new Date();
-  const year = now.getFullYear().toString();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  
+  const year = date.getFullYear().toString();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
   // Replace placeholders
-  invoiceNumber = invoiceNumber
+  return format
     .replace('{PREFIX}', org.invoicePrefix || 'INV')
-    .replace('{FY}', currentFY.replace('FY', ''))
+    .replace('{FY}', financialYear.replace('FY', ''))
     .replace('{YEAR}', year)
     .replace('{YY}', year.slice(-2))
     .replace('{MONTH}', month)
@@ -84,18 +72,57 @@ export const generateInvoiceNumber = async (organizationId, Organization) => {
     .replace('{DD}', day)
     .replace('{SEQ}', String(sequenceNum).padStart(5, '0'))
     .replace('{GSTIN_STATE}', gstinStateCode);
+};
 
-  // Validate length
+const assertInvoiceNumberLength = (invoiceNumber) => {
   if (invoiceNumber.length > 16) {
     throw new Error(
       `Generated invoice number exceeds 16 characters: ${invoiceNumber} (${invoiceNumber.length} chars). ` +
       `Please simplify your invoice number format in organization settings.`
     );
   }
+};
+
+/**
+ * Allocate the next invoice number in auto mode
+ * Every invoice is numbered in the series of its own financial year. The
+ * counter is incremented atomically, so concurrent requests never get the
+ * same number.
+ * @param {string} organizationId - Organization ID
+ * @param {Model} Organization - Organization model
+ * @param {Date|string} invoiceDate - Invoice date (defaults to today)
+ * @returns {Promise<Object>} Invoice number data
+ */
+export const allocateInvoiceNumber = async (organizationId, Organization, invoiceDate) => {
+  const date = invoiceDate ? new Date(invoiceDate) : new Date();
+  const financialYear = getFinancialYearForDate(date);
+
+  const org = await Organization.findById(organizationId);
+  if (!org) {
+    throw new Error('Organization not found');
+  }
+
+  // Check the format before a number is taken, so a bad format leaves no gap
+  assertInvoiceNumberLength(
+    formatInvoiceNumber(org, {
+      date,
+      financialYear,
+      sequenceNum: (org.invoiceNumbersByFY?.get(financialYear) || 0) + 1,
+    })
+  );
+
+  const updated = await Organization.findByIdAndUpdate(
+    organizationId,
+    { $inc: { [`invoiceNumbersByFY.${financialYear}`]: 1 } },
+    { new: true }
+  );
+  const sequenceNum = updated.invoiceNumbersByFY.get(financialYear);
+  const invoiceNumber = formatInvoiceNumber(updated, { date, financialYear, sequenceNum });
+  assertInvoiceNumberLength(invoiceNumber);
 
   return {
     invoiceNumber,
-    currentFY,
+    currentFY: financialYear,
     sequenceNum,
   };
 };
@@ -161,59 +188,31 @@ export const validateManualInvoiceNumber = async (
   };
 };
 
-/**
- * Update sequence number after successful invoice creation
- * @param {string} organizationId - Organization ID
- * @param {string} currentFY - Current financial year
- * @param {number} sequenceNum - Sequence number
- * @param {Model} Organization - Organization model
- */
-export const updateInvoiceSequence = async (
-  organizationId,
-  currentFY,
-  sequenceNum,
-  Organization
-) => {
-  await Organization.findByIdAndUpdate(
-    organizationId,
-    {
-      $set: {
-        [`invoiceNumbersByFY.${currentFY}`]: sequenceNum,
-        currentFinancialYear: currentFY,
-      },
-    }
-  );
-};
-
 /**
  * Preview invoice number without saving
  * @param {string} organizationId - Organization ID
  * @param {Model} Organization - Organization model
+ * @param {Date|string} invoiceDate - Invoice date (defaults to today)
  * @returns {Promise<Object>} Preview data
  */
-export const previewInvoiceNumber = async (organizationId, Organization) => {
+export const previewInvoiceNumber = async (organizationId, Organization, invoiceDate) => {
   const org = await Organization.findById(organizationId);
   
   if (!org) {
     throw new Error('Organization not found');
   }
 
-  const currentFY = getCurrentFinancialYear();
+  const date = invoiceDate ? new Date(invoiceDate) : new Date();
+  const currentFY = getFinancialYearForDate(date);
   const invoiceNumbersByFY = org.invoiceNumbersByFY || new Map();
   const nextSequenceNum = (invoiceNumbersByFY.get(currentFY) || 0) + 1;
 
   // Generate preview
-  let invoiceNumber = org.invoiceNumberFormat || '{PREFIX}-{FY}-{SEQ}';
-  const gstinStateCode = org.gstin ? org.gstin.substring(0, 2) : '00';
-  
-  invoiceNumber = invoiceNumber
-    .replace('{PREFIX}', org.invoicePrefix || 'INV')
-    .replace('{FY}', currentFY.replace('FY', ''))
-    .replace('{YEAR}', new Date().getFullYear().toString())
-    .replace('{YY}', new Date().getFullYear().toString().slice(-2))
-    .replace('{MONTH}', String(new Date().getMonth() + 1).padStart(2, '0'))
-    .replace('{SEQ}', String(nextSequenceNum).padStart(5, '0'))
-    .replace('{GSTIN_STATE}', gstinStateCode);
+  const invoiceNumber = formatInvoiceNumber(org, {
+    date,
+    financialYear: currentFY,
+    sequenceNum: nextSequenceNum,
+  });
 
   return {
     preview: invoiceNumber,
@@ -257,9 +256,9 @@ export const resetFinancialYearSequence = async (
 export default {
   getCurrentFinancialYear,
   getFinancialYearForDate,
-  generateInvoiceNumber,
+  formatInvoiceNumber,
+  allocateInvoiceNumber,
   validateManualInvoiceNumber,
-  updateInvoiceSequence,
   previewInvoiceNumber,
   resetFinancialYearSequence,
 };
\ No newline at end of file
@@ -3,9 +3,12 @@
  * FILE: server/utils/numberToWords.js
  * Convert numbers to Indian rupees in words
  * Supports crore, lakh, thousand system
+ * Foreign currencies use the million/billion system
  * ============================================
  */
 
+import { BASE_CURRENCY, getCurrency } from './currencies.js';
+
 /**
  * Convert a two-digit number to words
  * @param {number} n - Number to convert (0-99)
@@ -35,12 +38,69 @@ const convertTwoDigit = (n) => {
   }
 };
 
+/**
+ * Convert a whole number below one thousand to words
+ * @param {number} n - Number to convert (0-999)
+ * @returns {string} Words
+ */
+const convertThreeDigit = (n) => {
+  const hundred = Math.floor(n / 100);
+  const remainder = n % 100;
+  let words = hundred > 0 ? convertTwoDigit(hundred) + ' Hundred' : '';
+  if (remainder > 0) {
+    words += (words ? ' and ' : '') + convertTwoDigit(remainder);
+  }
+  return words;
+};
+
+/**
+ * Convert a whole number to words in the international system
+ * @param {number} num - Number to convert
+ * @returns {string} Words (no currency)
+ */
+const convertInternational = (num) => {
+  if (num === 0) return 'Zero';
+
+  const scales = [
+    [1000000000, 'Billion'],
+    [1000000, 'Million'],
+    [1000, 'Thousand'],
+  ];
+
+  let words = '';
+  let rest = num;
+  scales.forEach(([value, name]) => {
+    if (rest >= value) {
+      const count = Math.floor(rest / value);
+      words += (count >= 1000 ? convertInternational(count) : convertThreeDigit(count)) + ` ${name} `;
+      rest %= value;
+    }
+  });
+
+  if (rest > 0) {
+    if (words.length > 0 && rest < 100) {
+      words += 'and ';
+    }
+    words += convertThreeDigit(rest);
+  }
+
+  return words.trim();
+};
+
 /**
  * Convert integer number to Indian rupees in words
  * @param {number} num - Number to convert
+ * @param {string} [currency=INR] - Document currency
  * @returns {string} Number in words
  */
-export const numberToWords = (num) => {
+export const numberToWords = (num, currency = BASE_CURRENCY) => {
+  if (currency !== BASE_CURRENCY) {
+    if (num < 0) {
+      return 'Minus ' + numberToWords(Math.abs(num), currency);
+    }
+    return `${convertInternational(Math.floor(num))} ${getCurrency(currency).unit} Only`;
+  }
+
   if (num === 0) return 'Zero Rupees Only';
   
   // Handle negative numbers
@@ -97,24 +157,25 @@ export const numberToWords = (num) => {
 };
 
 /**
- * Convert amount with decimal to words (including paise)
+ * Convert amount with decimal to words (including paise / cents)
  * @param {number} amount - Amount to convert
+ * @param {string} [currency=INR] - Document currency
  * @returns {string} Amount in words
  */
-export const amountToWords = (amount) => {
+export const amountToWords = (amount, currency = BASE_CURRENCY) => {
   // Round to 2 decimal places
   amount = Math.round(amount * 100) / 100;
 
   const rupees = Math.floor(amount);
   const paise = Math.round((amount - rupees) * 100);
 
-  let words = numberToWords(rupees);
+  let words = numberToWords(rupees, currency);
 
   if (paise > 0) {
     words = words.replace(' Only', '') + 
             ' and ' + 
             convertTwoDigit(paise) + 
-            ' Paise Only';
+            ` ${getCurrency(currency).subunit} Only`;
   }
 
   return words;
@@ -4,6 +4,9 @@
 // ============================================
 
 import QRCode from 'qrcode';
+import { formatMoney, isForeignCurrency } from './currencies.js';
+import { getSupplyDeclaration } from './exportSupply.js';
+import { COMPOSITION_DECLARATION } from './compositionScheme.js';
 
 export const generateInvoicePDF = async (invoice, organization) => {
 
@@ -32,7 +35,12 @@ export const generateInvoicePDF = async (invoice, organization) => {
   // ✅ Generate UPI QR Code if UPI ID exists
   let upiQrCodeDataUrl = null;
   
-  if (organization?.bankDetails?.upiId && invoice.balanceAmount > 0) {
+  // UPI collects rupees only
+  if (
+    organization?.bankDetails?.upiId &&
+    invoice.balanceAmount > 0 &&
+    !isForeignCurrency(invoice.currency)
+  ) {
     try {
       // Create UPI payment string
       const upiString = `upi://pay?pa=${organization.bankDetails.upiId}&pn=${encodeURIComponent(
@@ -58,6 +66,21 @@ export const generateInvoicePDF = async (invoice, organization) => {
     }
   }
 
+  // E-invoice QR (signed by the IRP) for registered invoices
+  let irnQrCodeDataUrl = null;
+
+  if (invoice.eInvoice?.status === "GENERATED" && invoice.eInvoice.qrCode) {
+    try {
+      irnQrCodeDataUrl = await QRCode.toDataURL(invoice.eInvoice.qrCode, {
+        width: 160,
+        margin: 1,
+        errorCorrectionLevel: "L",
+      });
+    } catch (error) {
+      console.error('❌ Error generating e-invoice QR code:', error);
+    }
+  }
+
   
   // Date format with hyphens and short year (13-Jan-26)
   const formatDate = (date) => {
@@ -82,12 +105,8 @@ export const generateInvoicePDF = async (invoice, organization) => {
     return `${day}-${month}-${year}`;
   };
 
-  const formatCurrency = (amount) => {
-    return `₹${amount?.toLocaleString("en-IN", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    })}`;
-  };
+  // Amounts print in the document currency
+  const formatCurrency = (amount) => formatMoney(amount, invoice.currency);
 
   // Calculate CGST/SGST rate
   const calculateGSTRate = () => {
@@ -119,6 +138,12 @@ export const generateInvoicePDF = async (invoice, organization) => {
   const showAmountInWords =
     organization?.displaySettings?.amountInWords !== false &&
     invoice.amountInWords;
+  // Bills of supply carry no tax columns, only the composition wording
+  const isBillOfSupply = invoice.invoiceType === "BILL_OF_SUPPLY";
+  // Mandatory wording for composition, export, SEZ and deemed-export supplies
+  const supplyDeclaration = isBillOfSupply
+    ? [COMPOSITION_DECLARATION]
+    : getSupplyDeclaration(invoice);
 
   // ✅ FIX: Always show Additional Info if ANY field exists (including conditional fields)
   const hasAdditionalInfo =
@@ -537,6 +562,27 @@ export const generateInvoicePDF = async (invoice, organization) => {
         page-break-inside: avoid;
       }
     }
+    .einvoice-section {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 15px;
+      padding: 8px 12px;
+      border: 1px solid ${currentTheme.light};
+      border-radius: 4px;
+      font-size: 8px;
+    }
+
+    .einvoice-section p {
+      margin: 2px 0;
+      word-break: break-all;
+    }
+
+    .einvoice-section img {
+      width: 90px;
+      height: 90px;
+    }
+
     .gst-filing-status {
       margin-bottom: 15px;
       padding: 10px 12px;
@@ -609,6 +655,25 @@ export const generateInvoicePDF = async (invoice, organization) => {
       margin-bottom: 3px;
     }
 
+    .supply-declaration {
+      margin-bottom: 15px;
+      padding: 10px 12px;
+      background: #f0f9ff;
+      border: 1px solid #7dd3fc;
+      border-radius: 4px;
+    }
+
+    .supply-declaration p {
+      font-size: 9px;
+      color: #0c4a6e;
+      margin-bottom: 2px;
+    }
+
+    .supply-declaration p:first-child {
+      font-weight: bold;
+      margin-bottom: 4px;
+    }
+
     .notes-section {
       margin-bottom: 15px;
       padding: 10px 12px;
@@ -783,9 +848,37 @@ export const generateInvoicePDF = async (invoice, organization) => {
       size: A4;
       margin: 15mm;
     }
+
+    .cancelled-watermark {
+      position: fixed;
+      top: 40%;
+      left: 0;
+      right: 0;
+      text-align: center;
+      font-size: 110px;
+      font-weight: 800;
+      letter-spacing: 12px;
+      color: rgba(220, 38, 38, 0.15);
+      transform: rotate(-30deg);
+      z-index: 1000;
+      pointer-events: none;
+    }
+
+    .cancelled-note {
+      margin: 10px 0;
+      padding: 8px 12px;
+      border: 1px solid #dc2626;
+      color: #dc2626;
+      font-size: 12px;
+    }
   </style>
 </head>
 <body>
+  ${
+    invoice.status === "CANCELLED"
+      ? `<div class="cancelled-watermark">CANCELLED</div>`
+      : ""
+  }
   <div class="invoice-container">
     <!-- Header -->
     <div class="invoice-header">
@@ -837,6 +930,8 @@ export const generateInvoicePDF = async (invoice, organization) => {
         <h2>${
           invoice.invoiceType === "PROFORMA"
             ? "PROFORMA INVOICE"
+            : isBillOfSupply
+            ? "BILL OF SUPPLY"
             : "TAX INVOICE"
         }</h2>
         <div class="invoice-number">${invoice.invoiceNumber}</div>
@@ -910,6 +1005,22 @@ export const generateInvoicePDF = async (invoice, organization) => {
       }
     </div>
 
+    ${
+      invoice.eInvoice?.status === "GENERATED"
+        ? `
+    <!-- E-Invoice -->
+    <div class="einvoice-section">
+      <div>
+        <p><strong>IRN:</strong> ${invoice.eInvoice.irn}</p>
+        <p><strong>Ack No:</strong> ${invoice.eInvoice.ackNo}</p>
+        <p><strong>Ack Date:</strong> ${formatDate(invoice.eInvoice.ackDate)}</p>
+      </div>
+      ${irnQrCodeDataUrl ? `<img src="${irnQrCodeDataUrl}" alt="E-Invoice QR Code" />` : ""}
+    </div>
+    `
+        : ""
+    }
+
     <!-- Dates -->
     <div class="dates-section">
       <div class="date-item">
@@ -972,17 +1083,33 @@ export const generateInvoicePDF = async (invoice, organization) => {
         : ""
     }
 
+    ${
+      invoice.status === "CANCELLED"
+        ? `
+    <div class="cancelled-note">
+      <strong>Cancelled</strong>${
+        invoice.cancelledAt ? ` on ${formatDate(invoice.cancelledAt)}` : ""
+      }${invoice.cancelReason ? `: ${invoice.cancelReason}` : ""}
+    </div>
+    `
+        : ""
+    }
+
     <!-- Items Table -->
     <table class="items-table">
       <thead>
         <tr>
           <th style="width: 4%;">#</th>
-          <th style="width: 35%;">Description</th>
+          <th style="width: ${isBillOfSupply ? "52%" : "35%"};">Description</th>
           <th class="text-center" style="width: 10%;">HSN/SAC</th>
           <th class="text-center" style="width: 12%;">Qty & Unit</th>
           <th class="text-right" style="width: 12%;">Rate</th>
-          <th class="text-center" style="width: 7%;">GST%</th>
-          <th class="text-right" style="width: 10%;">Tax Amt</th>
+          ${
+            isBillOfSupply
+              ? ""
+              : `<th class="text-center" style="width: 7%;">GST%</th>
+          <th class="text-right" style="width: 10%;">Tax Amt</th>`
+          }
           <th class="text-right" style="width: 10%;">Amount</th>
         </tr>
       </thead>
@@ -1007,10 +1134,25 @@ export const generateInvoicePDF = async (invoice, organization) => {
               </span>
             </td>
             <td class="text-right">${formatCurrency(item.rate)}</td>
-            <td class="text-center">${item.gstRate}%</td>
+            ${
+              isBillOfSupply
+                ? ""
+                : `<td class="text-center">${item.gstRate}%${
+                    item.cess > 0
+                      ? `<div class="item-sub-description">+ Cess ${[
+                          item.cessRate ? `${item.cessRate}%` : "",
+                          item.cessPerUnit
+                            ? `${formatCurrency(item.cessPerUnit)}/${item.unit}`
+                            : "",
+                        ]
+                          .filter(Boolean)
+                          .join(" + ")}</div>`
+                      : ""
+                  }</td>
             <td class="text-right">${formatCurrency(
-              (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0)
-            )}</td>
+              (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0) + (item.cess || 0)
+            )}</td>`
+            }
             <td class="text-right">${formatCurrency(item.amount)}</td>
           </tr>
         `
@@ -1081,13 +1223,30 @@ export const generateInvoicePDF = async (invoice, organization) => {
             : ""
         }
 
+        ${
+          invoice.cess > 0
+            ? `
+        <div class="totals-row">
+          <span class="label">Compensation Cess</span>
+          <span class="value">${formatCurrency(invoice.cess)}</span>
+        </div>
+        `
+            : ""
+        }
+
         
 
         ${
           invoice.tcsAmount > 0
             ? `
         <div class="totals-row">
-          <span class="label">TCS (${invoice.tcsRate}%)</span>
+          <span class="label">TCS${
+            invoice.tcsSection ? ` u/s ${invoice.tcsSection}` : ""
+          } @ ${invoice.tcsRate}%${
+            invoice.tcsBaseAmount > 0
+              ? ` on ${formatCurrency(invoice.tcsBaseAmount)}`
+              : ""
+          }</span>
           <span class="value" style="color: #9333ea;">+${formatCurrency(
             invoice.tcsAmount
           )}</span>
@@ -1112,6 +1271,19 @@ export const generateInvoicePDF = async (invoice, organization) => {
           <span class="value">${formatCurrency(invoice.totalAmount)}</span>
         </div>
 
+        ${
+          isForeignCurrency(invoice.currency)
+            ? `
+        <div class="totals-row">
+          <span class="label">Total in INR @ ${invoice.exchangeRate}</span>
+          <span class="value">${formatMoney(
+            invoice.inrTotals?.totalAmount ?? invoice.totalAmount * invoice.exchangeRate
+          )}</span>
+        </div>
+        `
+            : ""
+        }
+
         ${
           invoice.paidAmount > 0
             ? `
@@ -1182,6 +1354,17 @@ export const generateInvoicePDF = async (invoice, organization) => {
         : ""
     }
 
+    <!-- Export / SEZ / Deemed Export Declaration -->
+    ${
+      supplyDeclaration.length > 0
+        ? `
+    <div class="supply-declaration">
+      ${supplyDeclaration.map((line) => `<p>${line}</p>`).join("")}
+    </div>
+    `
+        : ""
+    }
+
     <!-- Notes -->
     ${
       invoice.notes
@@ -0,0 +1,408 @@
+/**
+ * ============================================
+ * FILE: server/utils/placeOfSupply.js
+ * Place of supply determination (IGST Act, sections 10-13)
+ * Decides the POS state and whether the supply is inter-state
+ * ============================================
+ */
+
+import {
+  STATE_CODES,
+  getStateCodeFromGSTIN,
+  getStateCodeFromName,
+  getStateName,
+} from './gstCalculator.js';
+
+// GSTN code for supplies where the place of supply is outside India
+export const OUTSIDE_INDIA = '96';
+
+/**
+ * Service categories with their own place-of-supply rule.
+ * `domestic` applies when supplier and recipient are in India (section 12),
+ * `international` when either is outside India (section 13).
+ */
+export const POS_SERVICE_CATEGORIES = {
+  GENERAL: {
+    label: 'General services',
+    domestic: '12(2)',
+    international: '13(2)',
+  },
+  IMMOVABLE_PROPERTY: {
+    label: 'Immovable property, lodging, property-related events',
+    domestic: '12(3)',
+    international: '13(4)',
+  },
+  PERFORMANCE: {
+    label: 'Restaurant, catering, grooming, fitness, health, services on goods',
+    domestic: '12(4)',
+    international: '13(3)',
+  },
+  TRAINING: {
+    label: 'Training and performance appraisal',
+    domestic: '12(5)',
+    international: '13(3)(b)',
+  },
+  EVENT_ADMISSION: {
+    label: 'Admission to events and amusement parks',
+    domestic: '12(6)',
+    international: '13(5)',
+  },
+  EVENT_ORGANISATION: {
+    label: 'Organising events, fairs, conferences',
+    domestic: '12(7)',
+    international: '13(5)',
+  },
+  GOODS_TRANSPORT: {
+    label: 'Transportation of goods, including courier',
+    domestic: '12(8)',
+    international: '13(9)',
+  },
+  PASSENGER_TRANSPORT: {
+    label: 'Passenger transportation',
+    domestic: '12(9)',
+    international: '13(10)',
+  },
+  BANKING_FINANCIAL: {
+    label: 'Banking, financial and stock-broking services',
+    domestic: '12(12)',
+    international: '13(8)(a)',
+  },
+  INTERMEDIARY: {
+    label: 'Intermediary services',
+    domestic: '12(2)',
+    international: '13(8)(b)',
+  },
+};
+
+export const POS_SERVICE_CATEGORY_KEYS = Object.keys(POS_SERVICE_CATEGORIES);
+
+const UNREGISTERED_TREATMENTS = ['UNREGISTERED', 'B2CS', 'B2CL'];
+
+const isIndia = (country) => !country || /^(india|in|ind)$/i.test(String(country).trim());
+
+/**
+ * State code for an address-like object
+ * Accepts { stateCode } | { gstin } | { state, country }; '96' when abroad.
+ */
+export const resolveLocationStateCode = (location) => {
+  if (!location) return null;
+  if (!isIndia(location.country)) return OUTSIDE_INDIA;
+  if (location.stateCode && STATE_CODES[location.stateCode]) return location.stateCode;
+  return (
+    getStateCodeFromGSTIN(location.gstin) ||
+    getStateCodeFromName(location.state) ||
+    null
+  );
+};
+
+const isRegisteredRecipient = (client) =>
+  !!client?.gstin && !UNREGISTERED_TREATMENTS.includes(client.gstTreatment);
+
+const isRecipientAbroad = (client) =>
+  client?.gstTreatment === 'EXPORT' || !isIndia(client?.billingCountry);
+
+// Recipient's location on record: registration first, then billing address
+const recipientStateCode = (client) => {
+  if (isRecipientAbroad(client)) return OUTSIDE_INDIA;
+  return (
+    getStateCodeFromGSTIN(client?.gstin) ||
+    getStateCodeFromName(client?.billingState) ||
+    null
+  );
+};
+
+const isGoodsLine = (item) =>
+  item.itemType !== 'SERVICE' && !String(item.hsnSacCode || '').startsWith('99');
+
+// Section 10/11: goods
+const goodsPlaceOfSupply = ({ client, supplierStateCode, shipTo, goodsMovement }) => {
+  if (isRecipientAbroad(client) || (shipTo && !isIndia(shipTo.country))) {
+    return { stateCode: OUTSIDE_INDIA, section: '11(b)', basis: 'Export of goods' };
+  }
+
+  if (goodsMovement === false) {
+    return {
+      stateCode: supplierStateCode,
+      section: '10(1)(c)',
+      basis: 'No movement of goods: location of goods at delivery',
+    };
+  }
+
+  // Bill-to/ship-to: delivered to a third person on the recipient's direction
+  const shipToGSTIN = shipTo?.gstin?.toUpperCase();
+  const isThirdParty =
+    !!shipTo?.isThirdParty || (!!shipToGSTIN && shipToGSTIN !== client?.gstin);
+  if (isThirdParty) {
+    return {
+      stateCode: recipientStateCode(client),
+      section: '10(1)(b)',
+      basis: 'Delivered to a third person on the recipient\'s direction: recipient\'s principal place of business',
+    };
+  }
+
+  const deliveryState =
+    resolveLocationStateCode(shipTo) ||
+    getStateCodeFromName(client?.shippingState) ||
+    recipientStateCode(client);
+  return {
+    stateCode: deliveryState,
+    section: '10(1)(a)',
+    basis: 'Location where movement of goods terminates',
+  };
+};
+
+// Section 12/13: services
+const servicesPlaceOfSupply = ({ client, supplierStateCode, category, serviceLocation, shipTo }) => {
+  const rule = POS_SERVICE_CATEGORIES[category] || POS_SERVICE_CATEGORIES.GENERAL;
+  const key = POS_SERVICE_CATEGORIES[category] ? category : 'GENERAL';
+  const registered = isRegisteredRecipient(client);
+  const recipient = recipientStateCode(client);
+  const performed = resolveLocationStateCode(serviceLocation);
+
+  // Section 13: recipient outside India
+  if (isRecipientAbroad(client)) {
+    const section = rule.international;
+    switch (key) {
+      case 'IMMOVABLE_PROPERTY':
+      case 'PERFORMANCE':
+      case 'EVENT_ADMISSION':
+      case 'EVENT_ORGANISATION':
+        return {
+          stateCode: performed || OUTSIDE_INDIA,
+          section,
+          basis: performed ? 'Location where the service is performed / property or event is located' : 'Location of recipient',
+        };
+      case 'TRAINING':
+        return {
+          stateCode: performed || OUTSIDE_INDIA,
+          section: performed ? section : '13(2)',
+          basis: performed ? 'Location where training is physically delivered' : 'Location of recipient',
+        };
+      case 'BANKING_FINANCIAL':
+      case 'INTERMEDIARY':
+        return { stateCode: supplierStateCode, section, basis: 'Location of supplier' };
+      case 'GOODS_TRANSPORT':
+        return {
+          stateCode: resolveLocationStateCode(shipTo) || OUTSIDE_INDIA,
+          section,
+          basis: 'Destination of goods',
+        };
+      case 'PASSENGER_TRANSPORT':
+        return {
+          stateCode: performed || supplierStateCode,
+          section,
+          basis: 'Place where the passenger embarks',
+        };
+      default:
+        return { stateCode: OUTSIDE_INDIA, section, basis: 'Location of recipient' };
+    }
+  }
+
+  // Section 12: supplier and recipient in India
+  const section = rule.domestic;
+  const onRecord = (fallbackBasis) =>
+    recipient
+      ? { stateCode: recipient, section, basis: 'Location of recipient on record' }
+      : { stateCode: supplierStateCode, section, basis: fallbackBasis };
+
+  switch (key) {
+    case 'IMMOVABLE_PROPERTY':
+      // Property outside India: location of recipient
+      if (performed && performed !== OUTSIDE_INDIA) {
+        return { stateCode: performed, section, basis: 'Location of the immovable property' };
+      }
+      return onRecord('Location of supplier (property location not given)');
+    case 'PERFORMANCE':
+      return {
+        stateCode: performed && performed !== OUTSIDE_INDIA ? performed : supplierStateCode,
+        section,
+        basis: 'Location where the service is actually performed',
+      };
+    case 'EVENT_ADMISSION':
+      return {
+        stateCode: performed && performed !== OUTSIDE_INDIA ? performed : supplierStateCode,
+        section,
+        basis: 'Place where the event is held',
+      };
+    case 'TRAINING':
+    case 'EVENT_ORGANISATION':
+    case 'GOODS_TRANSPORT':
+    case 'PASSENGER_TRANSPORT': {
+      if (registered) {
+        return { stateCode: recipient, section: `${section}(a)`, basis: 'Location of registered recipient' };
+      }
+      const fallbackBasis = {
+        TRAINING: 'Location where the service is performed',
+        EVENT_ORGANISATION: 'Place where the event is held',
+        GOODS_TRANSPORT: 'Location where goods are handed over for transport',
+        PASSENGER_TRANSPORT: 'Place where the passenger embarks',
+      }[key];
+      if (performed && performed !== OUTSIDE_INDIA) {
+        return { stateCode: performed, section: `${section}(b)`, basis: fallbackBasis };
+      }
+      // Event abroad for an unregistered recipient: location of recipient
+      return key === 'EVENT_ORGANISATION' && performed === OUTSIDE_INDIA
+        ? onRecord('Location of supplier')
+        : { stateCode: supplierStateCode, section: `${section}(b)`, basis: fallbackBasis };
+    }
+    default:
+      return onRecord('Location of supplier (recipient address not on record)');
+  }
+};
+
+/**
+ * Determine the place of supply of an outward document
+ * Goods lines decide the POS when present; otherwise the service category
+ * (line-level posCategory, then the document's serviceCategory).
+ * @param {Object} params
+ * @param {Array} params.items - Lines (itemType, hsnSacCode, posCategory)
+ * @param {Object} params.client - Recipient (gstin, gstTreatment, billing/shipping state and country)
+ * @param {string} params.supplierStateCode - State code of the supplying registration
+ * @param {Object} params.shipTo - Delivery address { gstin, state, stateCode, country, isThirdParty }
+ * @param {string} params.serviceCategory - Default POS_SERVICE_CATEGORIES key for service lines
+ * @param {Object} params.serviceLocation - Where the service is performed / property or event is
+ * @param {boolean} params.goodsMovement - False for over-the-counter supplies
+ * @returns {Object} { stateCode, stateName, section, basis, supplyKind, isExport, isInterstate, warnings }
+ */
+export const determinePlaceOfSupply = ({
+  items = [],
+  client,
+  supplierStateCode,
+  shipTo,
+  serviceCategory,
+  serviceLocation,
+  goodsMovement = true,
+}) => {
+  const warnings = [];
+  const goodsLines = items.filter(isGoodsLine);
+  const serviceLines = items.filter((item) => !isGoodsLine(item));
+
+  let result;
+  let supplyKind;
+  if (goodsLines.length > 0 || serviceLines.length === 0) {
+    supplyKind = 'GOODS';
+    result = goodsPlaceOfSupply({ client, supplierStateCode, shipTo, goodsMovement });
+  } else {
+    supplyKind = 'SERVICES';
+    const categories = [
+      ...new Set(serviceLines.map((item) => item.posCategory || serviceCategory || 'GENERAL')),
+    ];
+    result = servicesPlaceOfSupply({
+      client,
+      supplierStateCode,
+      category: categories[0],
+      serviceLocation,
+      shipTo,
+    });
+
+    // One POS per document; flag lines whose own rule points elsewhere
+    categories.slice(1).forEach((category) => {
+      const other = servicesPlaceOfSupply({
+        client,
+        supplierStateCode,
+        category,
+        serviceLocation,
+        shipTo,
+      });
+      if (other.stateCode !== result.stateCode) {
+        warnings.push(
+          `${category} lines have place of supply ${other.stateCode} (section ${other.section}); invoice them separately`
+        );
+      }
+    });
+  }
+
+  if (goodsLines.length > 0 && serviceLines.length > 0) {
+    const servicesPos = servicesPlaceOfSupply({
+      client,
+      supplierStateCode,
+      category: serviceLines[0].posCategory || serviceCategory || 'GENERAL',
+      serviceLocation,
+      shipTo,
+    });
+    if (servicesPos.stateCode !== result.stateCode) {
+      warnings.push(
+        `Service lines have place of supply ${servicesPos.stateCode} (section ${servicesPos.section}) but goods decide ${result.stateCode}`
+      );
+    }
+  }
+
+  if (!result.stateCode) {
+    warnings.push('Recipient location could not be determined; using supplier location');
+    result = { ...result, stateCode: supplierStateCode };
+  }
+
+  const isExport = result.stateCode === OUTSIDE_INDIA;
+  // Supplies to SEZ units/developers and exports are always inter-state (section 7(5))
+  const isInterstate =
+    isExport || client?.gstTreatment === 'SEZ' || result.stateCode !== supplierStateCode;
+
+  return {
+    stateCode: result.stateCode,
+    stateName: isExport ? 'Outside India' : getStateName(result.stateCode),
+    section: result.section,
+    basis: result.basis,
+    supplyKind,
+    isExport,
+    isInterstate,
+    warnings,
+  };
+};
+
+/**
+ * Place of supply for an outward document of an organization
+ * Resolves the supplying registration (selected GSTIN entry or default),
+ * honours an explicit override and stamps the determination time.
+ * @param {Object} params
+ * @param {Object} params.organization - Organization with gstin/gstinEntries
+ * @param {string} params.selectedGstin - gstinEntries _id the document is issued under
+ * @param {Object} params.override - { stateCode, section? } entered by the user
+ * @returns {Object} Place of supply, ready to store on the invoice
+ */
+export const resolveDocumentPlaceOfSupply = ({
+  organization,
+  selectedGstin,
+  override,
+  client,
+  ...params
+}) => {
+  const entry = selectedGstin
+    ? organization.gstinEntries?.find((e) => e._id?.toString() === String(selectedGstin))
+    : null;
+  const supplierStateCode = getStateCodeFromGSTIN(entry?.gstin || organization.gstin);
+
+  if (override?.stateCode) {
+    const stateCode = String(override.stateCode).padStart(2, '0');
+    if (stateCode !== OUTSIDE_INDIA && !STATE_CODES[stateCode]) {
+      throw new Error(`Invalid place of supply state code: ${override.stateCode}`);
+    }
+    const isExport = stateCode === OUTSIDE_INDIA;
+    return {
+      stateCode,
+      stateName: isExport ? 'Outside India' : getStateName(stateCode),
+      section: override.section || null,
+      basis: 'Entered manually',
+      supplyKind: override.supplyKind,
+      isExport,
+      isInterstate: isExport || client?.gstTreatment === 'SEZ' || stateCode !== supplierStateCode,
+      overridden: true,
+      determinedAt: new Date(),
+      warnings: [],
+    };
+  }
+
+  return {
+    ...determinePlaceOfSupply({ client, supplierStateCode, ...params }),
+    overridden: false,
+    determinedAt: new Date(),
+  };
+};
+
+export default {
+  OUTSIDE_INDIA,
+  POS_SERVICE_CATEGORIES,
+  POS_SERVICE_CATEGORY_KEYS,
+  resolveLocationStateCode,
+  determinePlaceOfSupply,
+  resolveDocumentPlaceOfSupply,
+};
@@ -6,6 +6,59 @@
 import puppeteer from 'puppeteer';
 import { generateInvoicePDF } from './pdfGenerator.js';
 
+/**
+ * Browser launch options for both local development and Linux production (Render)
+ */
+const getLaunchOptions = async () => {
+  // Configuration that works on both Windows/Mac (dev) and Linux (production)
+  const launchOptions = {
+    headless: 'new', // Use new headless mode
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--no-first-run',
+      '--no-zygote',
+      '--disable-gpu',
+      '--disable-software-rasterizer',
+      '--disable-extensions',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+    ],
+    timeout: 30000,
+  };
+
+  // On Render/Linux, use system Chrome if available
+  if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+    launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+  } else if (process.platform === 'linux') {
+    // Try common Linux Chrome locations
+    const chromePaths = [
+      '/usr/bin/chromium-browser',
+      '/usr/bin/chromium',
+      '/usr/bin/google-chrome-stable',
+      '/usr/bin/google-chrome',
+    ];
+    
+    for (const path of chromePaths) {
+      try {
+        const fs = await import('fs');
+        if (fs.existsSync(path)) {
+          launchOptions.executablePath = path;
+          console.log(`✅ Using Chrome at: ${path}`);
+          break;
+        }
+      } catch (err) {
+        // Continue to next path
+      }
+    }
+  }
+
+  return launchOptions;
+};
+
 /**
  * Generate PDF buffer from invoice data
  * Works on both local development and Linux production (Render)
@@ -16,52 +69,7 @@ export const generatePDFBuffer = async (invoice, organization) => {
   try {
     console.log('🚀 Launching Puppeteer browser...');
     
-    // Configuration that works on both Windows/Mac (dev) and Linux (production)
-    const launchOptions = {
-      headless: 'new', // Use new headless mode
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding',
-      ],
-      timeout: 30000,
-    };
-
-    // On Render/Linux, use system Chrome if available
-    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-      launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-    } else if (process.platform === 'linux') {
-      // Try common Linux Chrome locations
-      const chromePaths = [
-        '/usr/bin/chromium-browser',
-        '/usr/bin/chromium',
-        '/usr/bin/google-chrome-stable',
-        '/usr/bin/google-chrome',
-      ];
-      
-      for (const path of chromePaths) {
-        try {
-          const fs = await import('fs');
-          if (fs.existsSync(path)) {
-            launchOptions.executablePath = path;
-            console.log(`✅ Using Chrome at: ${path}`);
-            break;
-          }
-        } catch (err) {
-          // Continue to next path
-        }
-      }
-    }
-
+    const launchOptions = await getLaunchOptions();
     browser = await puppeteer.launch(launchOptions);
     console.log('✅ Browser launched successfully');
 
@@ -123,6 +131,61 @@ export const generatePDFBuffer = async (invoice, organization) => {
   }
 };
 
+/**
+ * Render several HTML documents to PDF buffers with one browser
+ * Used for statutory documents (e.g. Form 16A) generated in bulk
+ * @param {string[]} htmlList - Complete HTML documents
+ * @returns {Promise<Buffer[]>} PDF buffers in the same order
+ */
+export const generateHTMLPDFBuffers = async (htmlList) => {
+  let browser = null;
+
+  try {
+    browser = await puppeteer.launch(await getLaunchOptions());
+    const page = await browser.newPage();
+
+    const buffers = [];
+    for (const html of htmlList) {
+      await page.setContent(html, {
+        waitUntil: 'networkidle0',
+        timeout: 30000,
+      });
+      buffers.push(
+        await page.pdf({
+          format: 'A4',
+          printBackground: true,
+          margin: {
+            top: '12mm',
+            right: '12mm',
+            bottom: '12mm',
+            left: '12mm',
+          },
+        })
+      );
+    }
+
+    console.log(`✅ ${buffers.length} PDF(s) generated`);
+    return buffers;
+  } catch (error) {
+    console.error('❌ PDF Generation Error:', error);
+    if (error.message.includes('Failed to launch')) {
+      throw new Error(
+        'Failed to launch browser. Please ensure Chromium is installed on the server. ' +
+        'Error: ' + error.message
+      );
+    }
+    throw new Error(`PDF generation failed: ${error.message}`);
+  } finally {
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (closeError) {
+        console.error('⚠️  Error closing browser:', closeError);
+      }
+    }
+  }
+};
+
 /**
  * Health check function to verify Puppeteer is working
  */
@@ -166,6 +229,7 @@ export const generateAndSavePDF = async (invoice, organization, outputPath) => {
 
 export default {
   generatePDFBuffer,
+  generateHTMLPDFBuffers,
   checkPuppeteerHealth,
   generateAndSavePDF,
 };
\ No newline at end of file
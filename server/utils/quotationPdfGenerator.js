@@ -4,12 +4,18 @@
 // ============================================
 
 import QRCode from "qrcode";
+import { formatMoney, isForeignCurrency } from "./currencies.js";
 
 export const generateQuotationPDF = async (quotation, organization) => {
   // ✅ Generate UPI QR Code if UPI ID exists
   let upiQrCodeDataUrl = null;
 
-  if (organization?.bankDetails?.upiId && quotation.totalAmount > 0) {
+  // UPI collects rupees only
+  if (
+    organization?.bankDetails?.upiId &&
+    quotation.totalAmount > 0 &&
+    !isForeignCurrency(quotation.currency)
+  ) {
     try {
       const upiString = `upi://pay?pa=${
         organization.bankDetails.upiId
@@ -56,12 +62,8 @@ export const generateQuotationPDF = async (quotation, organization) => {
     return `${day}-${month}-${year}`;
   };
 
-  const formatCurrency = (amount) => {
-    return `₹${amount?.toLocaleString("en-IN", {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    })}`;
-  };
+  // Amounts print in the document currency
+  const formatCurrency = (amount) => formatMoney(amount, quotation.currency);
 
   const calculateGSTRate = () => {
     if (quotation.cgst > 0 && quotation.subtotal > 0) {
@@ -683,9 +685,20 @@ export const generateQuotationPDF = async (quotation, organization) => {
             <td class="text-center">${item.hsnSacCode || "-"}</td>
             <td class="text-center">${item.quantity} ${item.unit || "PCS"}</td>
             <td class="text-right">${formatCurrency(item.rate)}</td>
-            <td class="text-center">${item.gstRate}%</td>
+            <td class="text-center">${item.gstRate}%${
+              item.cess > 0
+                ? `<div class="item-sub-description">+ Cess ${[
+                    item.cessRate ? `${item.cessRate}%` : "",
+                    item.cessPerUnit
+                      ? `${formatCurrency(item.cessPerUnit)}/${item.unit}`
+                      : "",
+                  ]
+                    .filter(Boolean)
+                    .join(" + ")}</div>`
+                : ""
+            }</td>
             <td class="text-right">${formatCurrency(
-              (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0)
+              (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0) + (item.cess || 0)
             )}</td>
             <td class="text-right">${formatCurrency(
               item.totalAmount || item.amount
@@ -750,6 +763,16 @@ export const generateQuotationPDF = async (quotation, organization) => {
         `
             : ""
         }
+        ${
+          quotation.cess > 0
+            ? `
+        <div class="totals-row">
+          <span class="label">Compensation Cess</span>
+          <span class="value">${formatCurrency(quotation.cess)}</span>
+        </div>
+        `
+            : ""
+        }
         ${
           quotation.roundOff !== 0
             ? `
@@ -764,6 +787,19 @@ export const generateQuotationPDF = async (quotation, organization) => {
           <span class="label">Total Amount</span>
           <span class="value">${formatCurrency(quotation.totalAmount)}</span>
         </div>
+
+        ${
+          isForeignCurrency(quotation.currency)
+            ? `
+        <div class="totals-row">
+          <span class="label">Total in INR @ ${quotation.exchangeRate}</span>
+          <span class="value">${formatMoney(
+            quotation.inrTotals?.totalAmount ?? quotation.totalAmount * quotation.exchangeRate
+          )}</span>
+        </div>
+        `
+            : ""
+        }
       </div>
     </div>
 
@@ -0,0 +1,118 @@
+/**
+ * ============================================
+ * FILE: server/utils/reverseCharge.js
+ * Reverse charge on inward supplies (CGST Act section 9(3) / 9(4))
+ * RCM categories and when a purchase needs a self-invoice
+ * ============================================
+ */
+
+/**
+ * Inward supplies taxed in our hands
+ * `unregisteredOnly` categories apply only when the supplier has no GSTIN;
+ * `itcRow` is the GSTR-3B Table 4A row the credit is claimed in.
+ */
+export const RCM_CATEGORIES = {
+  UNREGISTERED_VENDOR: {
+    label: 'Supply from an unregistered person (section 9(4))',
+    unregisteredOnly: true,
+    itcRow: 3,
+  },
+  GTA: {
+    label: 'Goods transport agency',
+    sac: '9965',
+    itcRow: 3,
+  },
+  LEGAL: {
+    label: 'Legal services by an advocate or firm of advocates',
+    sac: '9982',
+    itcRow: 3,
+  },
+  RENT_RESIDENTIAL: {
+    label: 'Renting of a residential dwelling to a registered person',
+    sac: '9972',
+    itcRow: 3,
+  },
+  RENT_COMMERCIAL: {
+    label: 'Renting of commercial property by an unregistered person',
+    sac: '9972',
+    unregisteredOnly: true,
+    itcRow: 3,
+  },
+  DIRECTOR: {
+    label: 'Services by a director to the company',
+    itcRow: 3,
+  },
+  SECURITY: {
+    label: 'Security services by a person other than a body corporate',
+    sac: '9985',
+    itcRow: 3,
+  },
+  SPONSORSHIP: {
+    label: 'Sponsorship services',
+    sac: '9983',
+    itcRow: 3,
+  },
+  IMPORT_SERVICES: {
+    label: 'Import of services',
+    itcRow: 2,
+  },
+  OTHER_NOTIFIED: {
+    label: 'Other notified supply under reverse charge',
+    itcRow: 3,
+  },
+};
+
+export const RCM_CATEGORY_KEYS = Object.keys(RCM_CATEGORIES);
+
+/**
+ * Purchases on which we pay the tax ourselves
+ */
+export const isReverseChargeInward = (pi) =>
+  !!pi?.reverseCharge || pi?.supplyType === 'IMPORT_SERVICES';
+
+/**
+ * Decide the reverse-charge treatment of a purchase
+ * @param {Object} params
+ * @param {Object} params.vendor - Supplier (gstin)
+ * @param {string} params.vendorGstin - Supplier branch GSTIN, if any
+ * @param {string} params.rcmCategory - Requested RCM_CATEGORIES key (optional)
+ * @param {boolean} params.reverseCharge - Flag sent by the client
+ * @param {string} params.supplyType - Purchase supply type (REGULAR, IMPORT_SERVICES, ...)
+ * @returns {Object} { reverseCharge, rcmCategory, errors }
+ */
+export const resolveReverseCharge = ({ vendor, vendorGstin, rcmCategory, reverseCharge, supplyType }) => {
+  const errors = [];
+  const registered = !!(vendorGstin || vendor?.gstin);
+
+  let category = rcmCategory || null;
+  if (supplyType === 'IMPORT_SERVICES') {
+    category = 'IMPORT_SERVICES';
+  } else if (!category && reverseCharge) {
+    category = registered ? 'OTHER_NOTIFIED' : 'UNREGISTERED_VENDOR';
+  }
+
+  if (!category) {
+    return { reverseCharge: false, rcmCategory: null, errors };
+  }
+
+  const config = RCM_CATEGORIES[category];
+  if (!config) {
+    errors.push(`Unknown RCM category: ${category}. Use one of ${RCM_CATEGORY_KEYS.join(', ')}`);
+  } else if (config.unregisteredOnly && registered) {
+    errors.push(`${config.label} applies only to suppliers without a GSTIN`);
+  }
+
+  return {
+    // Imports of services are reported by supply type, not the RCM flag
+    reverseCharge: supplyType === 'IMPORT_SERVICES' ? !!reverseCharge : true,
+    rcmCategory: category,
+    errors,
+  };
+};
+
+export default {
+  RCM_CATEGORIES,
+  RCM_CATEGORY_KEYS,
+  isReverseChargeInward,
+  resolveReverseCharge,
+};
@@ -0,0 +1,59 @@
+/**
+ * ============================================
+ * FILE: server/utils/stockTransfer.js
+ * Supplies between registrations of the same PAN
+ * Each GSTIN is a distinct person (section 25(4)); transfers between them
+ * are taxable supplies even without consideration (Schedule I, para 2)
+ * ============================================
+ */
+
+import { resolveSupplierGstin } from './exportSupply.js';
+
+// PAN is characters 3-12 of a GSTIN
+const panOf = (gstin) => (gstin ? String(gstin).toUpperCase().substring(2, 12) : null);
+
+/**
+ * Classify an outward document as an inter-GSTIN stock transfer
+ * The recipient is one of our registrations when its GSTIN is recorded on
+ * the organization or carries the same PAN as the issuing GSTIN.
+ * @param {Object} params
+ * @param {Object} params.organization - Organization (gstin, gstinEntries)
+ * @param {string} params.selectedGstin - gstinEntries _id the document is issued under
+ * @param {Object} params.client - Recipient (gstin)
+ * @returns {Object} { isStockTransfer, stockTransfer, errors }
+ */
+export const resolveStockTransfer = ({ organization, selectedGstin, client }) => {
+  const errors = [];
+  const fromGstin = resolveSupplierGstin(organization, selectedGstin);
+  const toGstin = client?.gstin ? client.gstin.toUpperCase().trim() : null;
+
+  if (!toGstin || !fromGstin) {
+    return { isStockTransfer: false, stockTransfer: null, errors };
+  }
+
+  const ownEntry = organization.gstinEntries?.find((entry) => entry.gstin === toGstin);
+  const isOwn = !!ownEntry || toGstin === organization.gstin || panOf(toGstin) === panOf(fromGstin);
+  if (!isOwn) {
+    return { isStockTransfer: false, stockTransfer: null, errors };
+  }
+
+  if (toGstin === fromGstin) {
+    errors.push(
+      'Movement within the same GSTIN is not a supply; use a delivery challan instead of a tax invoice'
+    );
+  }
+
+  return {
+    isStockTransfer: true,
+    stockTransfer: {
+      fromGstin,
+      toGstin,
+      toBranchName: ownEntry?.tradeName || client.companyName,
+    },
+    errors,
+  };
+};
+
+export default {
+  resolveStockTransfer,
+};
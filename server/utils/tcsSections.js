@@ -0,0 +1,129 @@
+/**
+ * ============================================
+ * FILE: server/utils/tcsSections.js
+ * TCS we collect from buyers under section 206C (Form 27EQ)
+ * Rates, thresholds, seller turnover condition and due dates
+ * ============================================
+ */
+
+/**
+ * Collection sections
+ * `code` is the collection code of the 27EQ collectee record. Rules are
+ * effective-dated (`from`/`to`): 206C(1H) applies only while the seller's
+ * turnover in the preceding year exceeds `sellerTurnover`, and then on the
+ * part of a buyer's FY aggregate above `aggregate`. `single` is a per-sale
+ * limit above which the whole consideration is taxed.
+ */
+export const TCS_SECTIONS = {
+  '206C(1H)': {
+    label: 'Sale of goods',
+    code: '6CR',
+    rules: [
+      {
+        from: '2020-10-01',
+        to: '2025-03-31',
+        rate: 0.1,
+        noPanRate: 1,
+        aggregate: 5000000,
+        sellerTurnover: 100000000,
+      },
+    ],
+  },
+  '206C(1F)': {
+    label: 'Sale of motor vehicle',
+    code: '6CL',
+    rules: [{ from: '2016-06-01', rate: 1, noPanRate: 5, single: 1000000 }],
+  },
+  '206C(1)-SCRAP': {
+    label: 'Scrap',
+    code: '6CE',
+    rules: [{ from: '2016-06-01', rate: 1, noPanRate: 5 }],
+  },
+  '206C(1)-MINERALS': {
+    label: 'Coal, lignite or iron ore',
+    code: '6CJ',
+    rules: [{ from: '2016-06-01', rate: 1, noPanRate: 5 }],
+  },
+};
+
+export const TCS_SECTION_KEYS = Object.keys(TCS_SECTIONS);
+
+// Section applied without a section on the buyer or invoice
+export const DEFAULT_TCS_SECTION = '206C(1H)';
+
+/**
+ * Collectee remarks of the 27EQ collectee record
+ * C: higher rate for want of PAN (206CC)
+ */
+export const TCS_REMARKS = {
+  NO_PAN: 'C',
+};
+
+/**
+ * Rule of a section in force on a date (null when the section does not apply)
+ */
+export const getTCSRule = (section, date) => {
+  const config = TCS_SECTIONS[section];
+  if (!config) return null;
+  const when = new Date(date || Date.now());
+  return (
+    config.rules.find(
+      (rule) => when >= new Date(rule.from) && (!rule.to || when <= new Date(`${rule.to}T23:59:59.999`))
+    ) || null
+  );
+};
+
+/**
+ * Rate for a collectee on a date
+ */
+export const getTCSRate = (section, pan, date) => {
+  const rule = getTCSRule(section, date);
+  if (!rule) return null;
+  return pan ? rule.rate : Math.max(rule.rate, rule.noPanRate);
+};
+
+/**
+ * Statement due date of a 27EQ quarter: 15 July, 15 October, 15 January, 15 May
+ */
+export const getTCSReturnDueDate = (financialYear, quarter) => {
+  const startYear = parseInt(String(financialYear || '').replace(/^FY/i, ''), 10);
+  const index = ['Q1', 'Q2', 'Q3', 'Q4'].indexOf(String(quarter || '').toUpperCase());
+  return index === 3 ? new Date(startYear + 1, 4, 15) : new Date(startYear, 6 + index * 3, 15);
+};
+
+/**
+ * Deposit due date for tax collected on a date: 7th of the next month
+ */
+export const getTCSDepositDueDate = (date) => {
+  const d = new Date(date);
+  return new Date(d.getFullYear(), d.getMonth() + 1, 7, 23, 59, 59, 999);
+};
+
+/**
+ * Section 206C(7) interest on late deposit: 1% per month or part month
+ * from the date of collection to the date of payment
+ */
+export const computeTCSLateInterest = (amount, collectedOn, depositedOn) => {
+  const collected = new Date(collectedOn);
+  const deposited = new Date(depositedOn);
+  if (deposited <= getTCSDepositDueDate(collected)) return 0;
+
+  let months =
+    (deposited.getFullYear() - collected.getFullYear()) * 12 +
+    (deposited.getMonth() - collected.getMonth());
+  if (deposited.getDate() >= collected.getDate()) months += 1;
+
+  return Math.round((amount * Math.max(months, 1)) / 100);
+};
+
+export default {
+  TCS_SECTIONS,
+  TCS_SECTION_KEYS,
+  DEFAULT_TCS_SECTION,
+  TCS_REMARKS,
+  getTCSRule,
+  getTCSRate,
+  getTCSReturnDueDate,
+  getTCSDepositDueDate,
+  computeTCSLateInterest,
+};
@@ -0,0 +1,200 @@
+/**
+ * ============================================
+ * FILE: server/utils/tdsSections.js
+ * TDS we deduct when paying vendors (Form 26Q sections)
+ * Rates, FY thresholds, quarters and deposit due dates
+ * ============================================
+ */
+
+/**
+ * Sections deducted on vendor bills
+ * `code` is the section code of the 26Q deductee record. Thresholds are
+ * effective-dated: `single` applies to one bill, `aggregate` to the bills of a
+ * vendor under the section in the financial year (or month, for rent from
+ * FY 2025-26). Once a threshold is crossed, tax is due on the whole aggregate.
+ */
+export const TDS_PAYABLE_SECTIONS = {
+  '194C': {
+    label: 'Payment to contractors and sub-contractors',
+    code: '94C',
+    rates: { INDIVIDUAL_HUF: 1, OTHERS: 2 },
+    thresholds: [{ from: '2020-04-01', single: 30000, aggregate: 100000, scope: 'FY' }],
+  },
+  '194J(a)': {
+    label: 'Fees for technical services, call centres, royalty for films',
+    code: '4JA',
+    rates: { INDIVIDUAL_HUF: 2, OTHERS: 2 },
+    thresholds: [
+      { from: '2020-04-01', aggregate: 30000, scope: 'FY' },
+      { from: '2025-04-01', aggregate: 50000, scope: 'FY' },
+    ],
+  },
+  '194J(b)': {
+    label: 'Fees for professional services, royalty',
+    code: '4JB',
+    rates: { INDIVIDUAL_HUF: 10, OTHERS: 10 },
+    thresholds: [
+      { from: '2020-04-01', aggregate: 30000, scope: 'FY' },
+      { from: '2025-04-01', aggregate: 50000, scope: 'FY' },
+    ],
+  },
+  '194I(a)': {
+    label: 'Rent of plant, machinery or equipment',
+    code: '4IA',
+    rates: { INDIVIDUAL_HUF: 2, OTHERS: 2 },
+    thresholds: [
+      { from: '2020-04-01', aggregate: 240000, scope: 'FY' },
+      { from: '2025-04-01', aggregate: 50000, scope: 'MONTH' },
+    ],
+  },
+  '194I(b)': {
+    label: 'Rent of land, building or furniture',
+    code: '4IB',
+    rates: { INDIVIDUAL_HUF: 10, OTHERS: 10 },
+    thresholds: [
+      { from: '2020-04-01', aggregate: 240000, scope: 'FY' },
+      { from: '2025-04-01', aggregate: 50000, scope: 'MONTH' },
+    ],
+  },
+};
+
+export const TDS_PAYABLE_SECTION_KEYS = Object.keys(TDS_PAYABLE_SECTIONS);
+
+// Section 206AA: deductees without a PAN suffer at least 20%
+export const NO_PAN_TDS_RATE = 20;
+
+/**
+ * Deductee remarks of the 26Q deductee record
+ * A: lower/nil deduction certificate u/s 197
+ * C: higher rate for want of PAN (206AA)
+ * T: transporter declaration u/s 194C(6)
+ * Y: below the threshold
+ */
+export const TDS_REMARKS = {
+  LOWER_DEDUCTION: 'A',
+  NO_PAN: 'C',
+  TRANSPORTER: 'T',
+  BELOW_THRESHOLD: 'Y',
+};
+
+/**
+ * Threshold in force for a section on a date
+ */
+export const getTDSThreshold = (section, date) => {
+  const config = TDS_PAYABLE_SECTIONS[section];
+  if (!config) return null;
+  const when = new Date(date || Date.now());
+  return [...config.thresholds].reverse().find((t) => when >= new Date(t.from)) || config.thresholds[0];
+};
+
+/**
+ * Deductee class from the PAN holder type (4th character)
+ * Individuals and HUFs get the lower 194C rate; companies report as code 01
+ */
+export const getDeducteeType = (pan) => {
+  const holder = pan ? String(pan).toUpperCase()[3] : null;
+  return {
+    rateClass: holder === 'P' || holder === 'H' ? 'INDIVIDUAL_HUF' : 'OTHERS',
+    deducteeCode: holder === 'C' ? '01' : '02',
+  };
+};
+
+/**
+ * Statutory rate for a deductee (before any lower-deduction certificate)
+ */
+export const getTDSRate = (section, pan) => {
+  const config = TDS_PAYABLE_SECTIONS[section];
+  if (!config) return null;
+  const rate = config.rates[getDeducteeType(pan).rateClass];
+  return pan ? rate : Math.max(rate, NO_PAN_TDS_RATE);
+};
+
+/**
+ * Financial year label (2025-26) of a date
+ */
+export const getFinancialYearOf = (date) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Date range of a financial year quarter (Q1 = April-June)
+ * @param {string} financialYear - e.g. 2025-26
+ * @param {string} quarter - Q1..Q4
+ * @returns {Object} { financialYear, quarter, startDate, endDate, returnDueDate }
+ */
+export const getTDSQuarterRange = (financialYear, quarter) => {
+  const startYear = parseInt(String(financialYear || '').replace(/^FY/i, ''), 10);
+  const index = ['Q1', 'Q2', 'Q3', 'Q4'].indexOf(String(quarter || '').toUpperCase());
+  if (!startYear || index === -1) {
+    throw new Error('Financial year (e.g. 2025-26) and quarter (Q1-Q4) are required');
+  }
+
+  const startDate = new Date(startYear, 3 + index * 3, 1);
+  const endDate = new Date(startYear, 6 + index * 3, 0, 23, 59, 59, 999);
+  // Statements are due on 31 July, 31 October, 31 January and 31 May
+  const returnDueDate =
+    index === 3 ? new Date(startYear + 1, 4, 31) : new Date(startYear, 7 + index * 3, 0);
+
+  return {
+    financialYear: `${startYear}-${String(startYear + 1).slice(-2)}`,
+    quarter: `Q${index + 1}`,
+    startDate,
+    endDate,
+    returnDueDate,
+  };
+};
+
+/**
+ * Quarter a date falls in
+ */
+export const getTDSQuarterOf = (date) => {
+  const d = new Date(date);
+  const fyMonth = (d.getMonth() + 9) % 12; // April = 0
+  return getTDSQuarterRange(getFinancialYearOf(d), `Q${Math.floor(fyMonth / 3) + 1}`);
+};
+
+/**
+ * Deposit due date for tax deducted on a date (rule 30)
+ * 7th of the next month; tax deducted in March may be paid by 30 April
+ */
+export const getTDSDepositDueDate = (date) => {
+  const d = new Date(date);
+  if (d.getMonth() === 2) {
+    return new Date(d.getFullYear(), 3, 30, 23, 59, 59, 999);
+  }
+  return new Date(d.getFullYear(), d.getMonth() + 1, 7, 23, 59, 59, 999);
+};
+
+/**
+ * Section 201(1A) interest on late deposit: 1.5% per month or part month
+ * from the date of deduction to the date of payment
+ */
+export const computeLateDepositInterest = (amount, deductedOn, depositedOn) => {
+  const deducted = new Date(deductedOn);
+  const deposited = new Date(depositedOn);
+  if (deposited <= getTDSDepositDueDate(deducted)) return 0;
+
+  let months =
+    (deposited.getFullYear() - deducted.getFullYear()) * 12 +
+    (deposited.getMonth() - deducted.getMonth());
+  if (deposited.getDate() >= deducted.getDate()) months += 1;
+
+  return Math.round((amount * 1.5 * Math.max(months, 1)) / 100);
+};
+
+export default {
+  TDS_PAYABLE_SECTIONS,
+  TDS_PAYABLE_SECTION_KEYS,
+  NO_PAN_TDS_RATE,
+  TDS_REMARKS,
+  getTDSThreshold,
+  getDeducteeType,
+  getTDSRate,
+  getFinancialYearOf,
+  getTDSQuarterRange,
+  getTDSQuarterOf,
+  getTDSDepositDueDate,
+  computeLateDepositInterest,
+};
@@ -2,15 +2,36 @@
 // FILE: server/utils/validators.js
 // ============================================
 
+import { validateGSTINDetails } from './gstCalculator.js';
+
 export const validateGSTIN = (gstin) => {
   if (!gstin) return false;
   
-  // GSTIN Format: 27AABCU9603R1Z5
+  // GSTIN Format: 27AABCU9603R1ZN
   // 2 digits (State Code) + 10 chars (PAN) + 1 char (Entity Number) + 1 char (Z) + 1 char (Checksum)
-  const gstinRegex = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
-  return gstinRegex.test(gstin);
+  // The checksum is verified too, so a mistyped character is caught
+  return validateGSTINDetails(gstin).isValid;
 };
 
+/**
+ * Schema validator for a GSTIN field: the full check, check digit included
+ * Only a new or changed value is checked, so a GSTIN saved before the check
+ * digit was enforced does not block other edits to the record.
+ * @param {string} path - Field name within the (sub)document
+ * @returns {Object} Mongoose validate option
+ */
+export const gstinValidator = (path) => ({
+  validator: function (v) {
+    if (!v) return true;
+    // Update validators run with the query as `this` and always check
+    if (typeof this?.isDirectModified === 'function' && !this.isNew && !this.isDirectModified(path)) {
+      return true;
+    }
+    return validateGSTINDetails(v).isValid;
+  },
+  message: (props) => validateGSTINDetails(props.value).errors[0]?.message || 'Invalid GSTIN',
+});
+
 export const validatePAN = (pan) => {
   if (!pan) return false;
   
@@ -20,6 +41,35 @@ export const validatePAN = (pan) => {
   return panRegex.test(pan);
 };
 
+/**
+ * Structured GSTIN/PAN errors for a party (client, vendor, organization)
+ * The GSTIN must carry the party's PAN when both are given.
+ * @returns {Array<Object>} [{ field, code, value, message }]
+ */
+export const getTaxIdentityErrors = ({ gstin, pan, gstinField = 'gstin', panField = 'pan' }) => {
+  const errors = [];
+  const panValue = pan ? String(pan).toUpperCase().trim() : '';
+
+  if (panValue && !validatePAN(panValue)) {
+    errors.push({
+      field: panField,
+      code: 'PAN_FORMAT',
+      value: panValue,
+      message: `PAN ${panValue} is not in the format AAAAA9999A`,
+    });
+  }
+
+  if (gstin) {
+    const result = validateGSTINDetails(gstin, {
+      pan: errors.length === 0 ? panValue : null,
+      field: gstinField,
+    });
+    errors.push(...result.errors);
+  }
+
+  return errors;
+};
+
 export const validateEmail = (email) => {
   if (!email) return false;
   